@@ -9,6 +9,10 @@ import * as SplashScreen from 'expo-splash-screen';
 
 import EnhancedMapScreen from './mapscreen/components/EnhancedMapScreen';
 import { UI_CONFIG } from './mapscreen/config/ui_config';
+import { getBuildSyncEndpoint } from './mapscreen/config/sync_config';
+
+// Backend de sincronización de esta build (EXPO_PUBLIC_SYNC_ENDPOINT o producción)
+const SYNC_CONFIG = { endpoint: getBuildSyncEndpoint() };
 
 SplashScreen.preventAutoHideAsync();
 
@@ -116,6 +120,7 @@ const App = () => {
           onPackageUpdate={handlePackageUpdate}
           onLocationUpdate={handleLocationUpdate}
           onError={handleError}
+          syncConfig={SYNC_CONFIG}
           testID="main-map-screen"
           developmentMode={__DEV__}
         />
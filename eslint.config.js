@@ -0,0 +1,23 @@
+// https://docs.expo.dev/guides/using-eslint/
+const { defineConfig } = require('eslint/config');
+const expoConfig = require('eslint-config-expo/flat');
+const globals = require('globals');
+
+module.exports = defineConfig([
+  expoConfig,
+  {
+    ignores: ['dist/*', 'mapscreen/assets/mapPageAssets.js'],
+  },
+  {
+    files: ['**/__tests__/**/*.js', 'jest.setup.js'],
+    languageOptions: {
+      globals: globals.jest,
+    },
+  },
+  {
+    files: ['scripts/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+]);
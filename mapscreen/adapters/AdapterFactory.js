@@ -1,5 +1,7 @@
 // adapters/AdapterFactory.js - Factory corregido para adaptadores
 import LocalPackageAdapter from './LocalPackageAdapter';
+import ApiPackageAdapter from './ApiPackageAdapter';
+import { getMissingAdapterMethods } from './PackageAdapter';
 
 class AdapterFactory {
   static createAdapter(type, config = {}) {
@@ -17,15 +19,16 @@ class AdapterFactory {
         console.log('AdapterFactory: Created local adapter with config:', localConfig);
         return new LocalPackageAdapter(localConfig);
         
-      case 'api':
-        // Implementar adaptador API cuando sea necesario
-        console.warn('AdapterFactory: API adapter not implemented yet, falling back to local');
-        return new LocalPackageAdapter({
-          enablePersistence: false,
-          enableRealtimeSimulation: false,
-          mockDataEnabled: false,
-          ...config
-        });
+      case 'api': {
+        const errors = AdapterFactory.validateConfig('api', config);
+
+        if (errors.length > 0) {
+          throw new Error(`AdapterFactory: Invalid API adapter config: ${errors.join(', ')}`);
+        }
+
+        console.log('AdapterFactory: Created API adapter for', config.baseURL);
+        return new ApiPackageAdapter(config);
+      }
         
       case 'firebase':
         // Implementar adaptador Firebase cuando sea necesario
@@ -38,6 +41,14 @@ class AdapterFactory {
     }
   }
 
+  /**
+   * Check a custom adapter against the PackageAdapter contract
+   * @returns {Array<string>} Errors (empty when the adapter conforms)
+   */
+  static validateAdapter(adapter) {
+    return getMissingAdapterMethods(adapter).map(method => `${method}() no está implementado`);
+  }
+
   static getSupportedTypes() {
     return ['local', 'api', 'firebase'];
   }
@@ -61,6 +72,12 @@ class AdapterFactory {
         if (config.timeout && (typeof config.timeout !== 'number' || config.timeout < 0)) {
           errors.push('timeout debe ser un número positivo');
         }
+        if (config.retries !== undefined && (!Number.isInteger(config.retries) || config.retries < 0)) {
+          errors.push('retries debe ser un entero no negativo');
+        }
+        if (config.getAuthToken && typeof config.getAuthToken !== 'function') {
+          errors.push('getAuthToken debe ser una función');
+        }
         break;
         
       case 'firebase':
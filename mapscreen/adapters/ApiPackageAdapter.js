@@ -0,0 +1,550 @@
+// adapters/ApiPackageAdapter.js - Adapter for a REST dispatch backend
+import PackageAdapter from './PackageAdapter';
+import { requestJSON, buildURL } from '../utils/httpClient';
+import { normalizePackage, normalizePackages } from '../utils/packageModel';
+import { toStoredProofOfDelivery, assertCanMarkDelivered } from '../utils/proofOfDelivery';
+import { applyFailedAttempt, toStoredDeliveryAttempt } from '../utils/failedDelivery';
+import { assertTransition, applyStatusChange } from '../utils/packageStatus';
+import { createAuditContext } from '../utils/auditTrail';
+import { createVersionConflictError } from '../utils/packageConflicts';
+import { getDeviceId } from '../services/DeviceIdentity';
+
+const createRequestKey = () =>
+  `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * ApiPackageAdapter - Adapter for handling package data through a REST API
+ * Implements the PackageAdapter contract against a configurable backend:
+ *
+ *   GET    {baseURL}/packages              -> list (supports ?status=&priority=)
+ *   GET    {baseURL}/packages/:id          -> package details
+ *   PATCH  {baseURL}/packages/:id/status   -> { status, audit } updates the status
+ *   POST   {baseURL}/packages/:id/proof-of-delivery -> { ...proof, audit }, marks it DELIVERED
+ *   POST   {baseURL}/packages/:id/attempts -> { ...attempt, audit }, reschedules or returns it
+ *   POST   {baseURL}/packages              -> creates a package
+ *   DELETE {baseURL}/packages/:id          -> removes a package
+ *
+ * `audit` is the {actor, deviceId, location} of the change (utils/auditTrail.js);
+ * the backend keeps it in the package's statusHistory. Every request that
+ * changes data carries an idempotency key in the `Idempotency-Key` header
+ * (config.idempotencyHeader): the caller's, or one made for the call, so a
+ * retry after a timeout is not applied twice. Status, proof and attempt
+ * changes also send the package version they were made on in `If-Match`
+ * (config.versionHeader): a 409 / 412 answer means the package changed since,
+ * and rejects with VERSION_CONFLICT carrying the server's package
+ * (utils/packageConflicts.js).
+ *
+ * Every request identifies the phone in `X-Device-Id` (config.getDeviceId,
+ * services/DeviceIdentity.js) and the logged-in driver in `X-Driver-Id`
+ * (config.getDriverId, see SessionService.getClientConfig).
+ *
+ * Real-time updates are obtained by polling the list endpoint while there
+ * are subscribers, and diffing against the last known state.
+ */
+class ApiPackageAdapter extends PackageAdapter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      baseURL: null,
+      timeout: 15000,
+      retries: 2,
+      retryDelay: 1000,
+      headers: {},
+      authToken: null,
+      getAuthToken: null,
+      authHeader: 'Authorization',
+      authScheme: 'Bearer',
+      getDeviceId,
+      getDriverId: null,
+      deviceIdHeader: 'X-Device-Id',
+      driverIdHeader: 'X-Driver-Id',
+      idempotencyHeader: 'Idempotency-Key',
+      versionHeader: 'If-Match',
+      enablePolling: true,
+      pollingInterval: 30000,
+      ...config
+    };
+
+    // Merge endpoints so a partial override keeps the remaining defaults
+    this.config.endpoints = {
+      packages: '/packages',
+      packageDetails: '/packages/:id',
+      packageStatus: '/packages/:id/status',
+      proofOfDelivery: '/packages/:id/proof-of-delivery',
+      deliveryAttempts: '/packages/:id/attempts',
+      ...(config.endpoints || {})
+    };
+
+    if (!this.config.baseURL) {
+      throw new Error('ApiPackageAdapter: baseURL is required');
+    }
+
+    this.pollingIntervalId = null;
+    this.isInitialized = false;
+    this.packagesData = [];
+
+    console.log('ApiPackageAdapter: Initialized with config', {
+      baseURL: this.config.baseURL,
+      timeout: this.config.timeout,
+      retries: this.config.retries,
+      enablePolling: this.config.enablePolling
+    });
+  }
+
+  /**
+   * Initialize the adapter
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      this.packagesData = await this.fetchPackages();
+      this.isInitialized = true;
+      console.log('ApiPackageAdapter: Initialization completed');
+    } catch (error) {
+      console.error('ApiPackageAdapter: Initialization failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the request headers, including authentication and the device /
+   * driver identity when configured
+   */
+  async getHeaders() {
+    const headers = { ...this.config.headers };
+
+    if (typeof this.config.getDeviceId === 'function' && this.config.deviceIdHeader) {
+      const deviceId = await this.config.getDeviceId();
+      if (deviceId) headers[this.config.deviceIdHeader] = deviceId;
+    }
+
+    if (typeof this.config.getDriverId === 'function' && this.config.driverIdHeader) {
+      const driverId = await this.config.getDriverId();
+      if (driverId) headers[this.config.driverIdHeader] = String(driverId);
+    }
+
+    let token = this.config.authToken;
+    if (typeof this.config.getAuthToken === 'function') {
+      token = await this.config.getAuthToken();
+    }
+
+    if (token) {
+      headers[this.config.authHeader] = this.config.authScheme
+        ? `${this.config.authScheme} ${token}`
+        : token;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Resolve an endpoint template (e.g. '/packages/:id') into a full URL
+   */
+  getURL(endpoint, params = {}, query = {}) {
+    const path = this.config.endpoints[endpoint].replace(/:(\w+)/g, (match, key) =>
+      encodeURIComponent(params[key])
+    );
+    return buildURL(this.config.baseURL, path, query);
+  }
+
+  /**
+   * Send a request to the backend using the adapter's timeout and retry policy.
+   * Requests that change data are retried with the same idempotency key.
+   */
+  async request(method, url, body, options = {}) {
+    const headers = await this.getHeaders();
+    const idempotencyKey = options.idempotencyKey || (method !== 'GET' ? createRequestKey() : null);
+    if (idempotencyKey) {
+      headers[this.config.idempotencyHeader] = idempotencyKey;
+    }
+    if (options.baseVersion !== undefined && options.baseVersion !== null) {
+      headers[this.config.versionHeader] = String(options.baseVersion);
+    }
+
+    const { data } = await requestJSON(url, {
+      method,
+      body,
+      headers,
+      timeout: this.config.timeout,
+      retries: this.config.retries,
+      retryDelay: this.config.retryDelay
+    });
+
+    return data;
+  }
+
+  /**
+   * Extract a package list from the common response envelopes
+   * ([...], { packages: [...] }, { data: [...] }, { data: { packages: [...] } })
+   * and normalize it to the canonical package model
+   */
+  extractPackages(body) {
+    const list = [body, body?.packages, body?.data, body?.data?.packages].find(Array.isArray);
+
+    if (!list) {
+      throw new Error(`INVALID_RESPONSE: Expected packages array, got: ${typeof body}`);
+    }
+
+    return normalizePackages(list);
+  }
+
+  /**
+   * Extract a single package from the common response envelopes
+   */
+  extractPackage(body) {
+    let pkg = body;
+    if (body?.package) pkg = body.package;
+    else if (body?.data?.package) pkg = body.data.package;
+    else if (body?.data && !Array.isArray(body.data)) pkg = body.data;
+
+    return pkg && pkg.id !== undefined ? normalizePackage(pkg) : null;
+  }
+
+  /**
+   * Fetch the package list from the backend
+   */
+  async fetchPackages(filters = {}) {
+    const body = await this.request('GET', this.getURL('packages', {}, filters));
+    return this.extractPackages(body);
+  }
+
+  /**
+   * Get all packages
+   */
+  async getPackages(filters = {}) {
+    try {
+      const packages = await this.fetchPackages(filters);
+
+      // Only an unfiltered list represents the full known state
+      if (!filters.status && !filters.priority) {
+        this.packagesData = packages;
+        this.isInitialized = true;
+      }
+
+      console.log(`ApiPackageAdapter: Retrieved ${packages.length} packages`);
+      return packages;
+    } catch (error) {
+      console.error('ApiPackageAdapter: Error getting packages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get package details by ID
+   */
+  async getPackageDetails(id) {
+    try {
+      const body = await this.request('GET', this.getURL('packageDetails', { id }));
+      const pkg = this.extractPackage(body);
+
+      if (!pkg) {
+        throw new Error(`Package with ID ${id} not found`);
+      }
+
+      console.log(`ApiPackageAdapter: Retrieved details for package ${id}`);
+      return pkg;
+    } catch (error) {
+      if (error.status === 404) {
+        error.message = `Package with ID ${id} not found`;
+      }
+      console.error('ApiPackageAdapter: Error getting package details:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update package status
+   */
+  async updatePackageStatus(id, status, audit = {}, options = {}) {
+    const repeated = this.getCompletedMutation(options.idempotencyKey);
+    if (repeated) return repeated;
+
+    try {
+      const auditContext = createAuditContext(audit);
+
+      // Illegal transitions never reach the backend when the package is known
+      const known = this.packagesData.find(pkg => pkg.id === id);
+      if (known) {
+        assertTransition(known.status, status);
+
+        if (status === 'DELIVERED') {
+          assertCanMarkDelivered(known, known.proofOfDelivery || null);
+        }
+      }
+
+      const body = await this.request('PATCH', this.getURL('packageStatus', { id }), { status, audit: auditContext }, options);
+      const updatedPackage = this.extractPackage(body) ||
+        (known ? applyStatusChange(known, status, auditContext) : { id, status });
+
+      this.replaceLocalPackage(updatedPackage);
+
+      this.notifySubscribers({
+        type: 'packageUpdated',
+        package: updatedPackage
+      });
+
+      console.log(`ApiPackageAdapter: Updated package ${id} status to ${status}`);
+      return this.rememberMutation(options.idempotencyKey, updatedPackage);
+    } catch (error) {
+      if (error.status === 409 || error.status === 412) {
+        throw await this.toVersionConflict(error, id, options.baseVersion);
+      }
+      if (error.status === 404) {
+        error.message = `Package with ID ${id} not found`;
+      }
+      console.error('ApiPackageAdapter: Error updating package status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload the proof of delivery (photos included as base64) and mark the package delivered
+   */
+  async completeDelivery(id, proof, audit = {}, options = {}) {
+    const repeated = this.getCompletedMutation(options.idempotencyKey);
+    if (repeated) return repeated;
+
+    try {
+      // A proof the package does not accept never reaches the backend
+      assertCanMarkDelivered(this.packagesData.find(pkg => pkg.id === id) || { id }, proof || null);
+
+      const body = await this.request('POST', this.getURL('proofOfDelivery', { id }), {
+        ...proof,
+        audit: createAuditContext(audit)
+      }, options);
+      const updatedPackage = this.extractPackage(body) ||
+        { id, status: 'DELIVERED', deliveredAt: proof?.capturedAt, proofOfDelivery: proof };
+
+      // The backend keeps the photo data; the local copy only needs the URIs
+      if (updatedPackage.proofOfDelivery) {
+        updatedPackage.proofOfDelivery = toStoredProofOfDelivery(updatedPackage.proofOfDelivery);
+      }
+
+      this.replaceLocalPackage(updatedPackage);
+
+      this.notifySubscribers({
+        type: 'packageUpdated',
+        package: updatedPackage
+      });
+
+      console.log(`ApiPackageAdapter: Delivered package ${id} with proof of delivery`);
+      return this.rememberMutation(options.idempotencyKey, updatedPackage);
+    } catch (error) {
+      if (error.status === 409 || error.status === 412) {
+        throw await this.toVersionConflict(error, id, options.baseVersion);
+      }
+      if (error.status === 404) {
+        error.message = `Package with ID ${id} not found`;
+      }
+      console.error('ApiPackageAdapter: Error completing delivery:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed delivery attempt; the backend decides the new status,
+   * the local rules apply when it only acknowledges the attempt
+   */
+  async recordDeliveryAttempt(id, attempt, audit = {}, options = {}) {
+    const repeated = this.getCompletedMutation(options.idempotencyKey);
+    if (repeated) return repeated;
+
+    try {
+      const auditContext = createAuditContext(audit);
+      const body = await this.request('POST', this.getURL('deliveryAttempts', { id }), { ...attempt, audit: auditContext }, options);
+      const known = this.packagesData.find(pkg => pkg.id === id) || { id };
+      const updatedPackage = this.extractPackage(body) || applyFailedAttempt(known, attempt, auditContext);
+
+      if (updatedPackage.lastAttempt) {
+        updatedPackage.lastAttempt = toStoredDeliveryAttempt(updatedPackage.lastAttempt);
+      }
+      if (Array.isArray(updatedPackage.attemptHistory)) {
+        updatedPackage.attemptHistory = updatedPackage.attemptHistory.map(toStoredDeliveryAttempt);
+      }
+
+      this.replaceLocalPackage(updatedPackage);
+
+      this.notifySubscribers({
+        type: 'packageUpdated',
+        package: updatedPackage
+      });
+
+      console.log(`ApiPackageAdapter: Attempt recorded for package ${id} (${updatedPackage.status})`);
+      return this.rememberMutation(options.idempotencyKey, updatedPackage);
+    } catch (error) {
+      if (error.status === 409 || error.status === 412) {
+        throw await this.toVersionConflict(error, id, options.baseVersion);
+      }
+      if (error.status === 404) {
+        error.message = `Package with ID ${id} not found`;
+      }
+      console.error('ApiPackageAdapter: Error recording delivery attempt:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a new package
+   * @param {Object} newPackage - Package data
+   * @param {Object} options - {idempotencyKey}; one is generated when missing
+   */
+  async addPackage(newPackage, options = {}) {
+    try {
+      const body = await this.request('POST', this.getURL('packages'), newPackage, options);
+      const createdPackage = this.extractPackage(body) || newPackage;
+
+      this.packagesData = [...this.packagesData.filter(pkg => pkg.id !== createdPackage.id), createdPackage];
+
+      this.notifySubscribers({
+        type: 'packageAdded',
+        package: createdPackage
+      });
+
+      console.log('ApiPackageAdapter: Added new package', createdPackage.id);
+      return createdPackage;
+    } catch (error) {
+      console.error('ApiPackageAdapter: Error adding package:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a package by ID
+   * @param {string} id - Package ID
+   * @param {Object} options - {idempotencyKey}; one is generated when missing
+   */
+  async removePackage(id, options = {}) {
+    try {
+      await this.request('DELETE', this.getURL('packageDetails', { id }), undefined, options);
+
+      this.packagesData = this.packagesData.filter(pkg => pkg.id !== id);
+
+      this.notifySubscribers({
+        type: 'packageRemoved',
+        packageId: id
+      });
+
+      console.log('ApiPackageAdapter: Removed package', id);
+      return true;
+    } catch (error) {
+      if (error.status === 404) {
+        error.message = `Package with ID ${id} not found`;
+      }
+      console.error('ApiPackageAdapter: Error removing package:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn a 409 / 412 answer into a VERSION_CONFLICT error carrying the
+   * server's current package (from the answer, or fetched when it has none)
+   */
+  async toVersionConflict(error, id, baseVersion) {
+    const serverPackage = this.extractPackage(error.body) || await this.getPackageDetails(id);
+    this.replaceLocalPackage(serverPackage);
+
+    console.warn(`ApiPackageAdapter: Package ${id} changed on the server (version ${serverPackage.version})`);
+    return createVersionConflictError(serverPackage, baseVersion);
+  }
+
+  /**
+   * Replace a package in the last known state
+   */
+  replaceLocalPackage(updatedPackage) {
+    const exists = this.packagesData.some(pkg => pkg.id === updatedPackage.id);
+
+    this.packagesData = exists
+      ? this.packagesData.map(pkg => (pkg.id === updatedPackage.id ? { ...pkg, ...updatedPackage } : pkg))
+      : [...this.packagesData, updatedPackage];
+  }
+
+  /**
+   * Subscribe to package updates, polling the backend while anyone listens
+   */
+  subscribe(callback) {
+    const unsubscribe = super.subscribe(callback);
+
+    if (this.config.enablePolling && !this.pollingIntervalId) {
+      this.startPolling();
+    }
+
+    return unsubscribe;
+  }
+
+  /**
+   * Unsubscribe from package updates
+   */
+  unsubscribe(callback) {
+    super.unsubscribe(callback);
+
+    if (this.subscribers.size === 0) {
+      this.stopPolling();
+    }
+  }
+
+  /**
+   * Start polling the backend for changes
+   */
+  startPolling() {
+    this.stopPolling();
+
+    this.pollingIntervalId = setInterval(() => {
+      this.pollForChanges().catch(error => {
+        console.error('ApiPackageAdapter: Error polling for changes:', error);
+      });
+    }, this.config.pollingInterval);
+
+    console.log('ApiPackageAdapter: Started polling every', this.config.pollingInterval, 'ms');
+  }
+
+  /**
+   * Stop polling the backend
+   */
+  stopPolling() {
+    if (this.pollingIntervalId) {
+      clearInterval(this.pollingIntervalId);
+      this.pollingIntervalId = null;
+      console.log('ApiPackageAdapter: Stopped polling');
+    }
+  }
+
+  /**
+   * Fetch the latest list and notify subscribers of the differences
+   */
+  async pollForChanges() {
+    const previous = new Map(this.packagesData.map(pkg => [pkg.id, pkg]));
+    const latest = await this.fetchPackages();
+    const latestIds = new Set(latest.map(pkg => pkg.id));
+
+    this.packagesData = latest;
+
+    latest.forEach(pkg => {
+      const known = previous.get(pkg.id);
+
+      if (!known) {
+        this.notifySubscribers({ type: 'packageAdded', package: pkg });
+      } else if (JSON.stringify(known) !== JSON.stringify(pkg)) {
+        this.notifySubscribers({ type: 'packageUpdated', package: pkg });
+      }
+    });
+
+    previous.forEach((pkg, id) => {
+      if (!latestIds.has(id)) {
+        this.notifySubscribers({ type: 'packageRemoved', packageId: id });
+      }
+    });
+  }
+
+  /**
+   * Clean up resources
+   */
+  async dispose() {
+    this.stopPolling();
+    await super.dispose();
+    console.log('ApiPackageAdapter: Disposed');
+  }
+}
+
+export default ApiPackageAdapter;
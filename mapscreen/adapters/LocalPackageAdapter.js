@@ -1,12 +1,20 @@
 // adapters/LocalPackageAdapter.js - Adapter for local storage and mock data
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import PackageAdapter from './PackageAdapter';
+import { toStoredProofOfDelivery, assertCanMarkDelivered, validateProofOfDelivery } from '../utils/proofOfDelivery';
+import { applyFailedAttempt } from '../utils/failedDelivery';
+import { applyStatusChange, isFinalStatus } from '../utils/packageStatus';
+import { createAuditContext } from '../utils/auditTrail';
+import { assertVersion, withNextVersion } from '../utils/packageConflicts';
 
 /**
  * LocalPackageAdapter - Adapter for handling package data in local storage
- * Implements the IPackageAdapter interface for local/mock data operations
+ * Implements the PackageAdapter contract for local/mock data operations
  */
-class LocalPackageAdapter {
+class LocalPackageAdapter extends PackageAdapter {
   constructor(config = {}) {
+    super();
+
     this.config = {
       storageKey: 'delivery_packages',
       enablePersistence: true,
@@ -18,7 +26,6 @@ class LocalPackageAdapter {
       ...config
     };
 
-    this.subscribers = new Set();
     this.simulationIntervalId = null;
     this.isInitialized = false;
     this.packagesData = [];
@@ -112,9 +119,13 @@ class LocalPackageAdapter {
   }
 
   /**
-   * Update package status
+   * Update package status; illegal transitions reject with INVALID_STATUS_TRANSITION,
+   * and DELIVERED without a required signature with SIGNATURE_REQUIRED
    */
-  async updatePackageStatus(id, status) {
+  async updatePackageStatus(id, status, audit = {}, options = {}) {
+    const repeated = this.getCompletedMutation(options.idempotencyKey);
+    if (repeated) return repeated;
+
     try {
       if (!this.isInitialized) {
         await this.initialize();
@@ -126,12 +137,20 @@ class LocalPackageAdapter {
         throw new Error(`Package with ID ${id} not found`);
       }
 
-      // Update package status
-      this.packagesData[packageIndex] = {
-        ...this.packagesData[packageIndex],
+      // Changes made on an older copy are refused with VERSION_CONFLICT
+      assertVersion(this.packagesData[packageIndex], options.baseVersion);
+
+      // Packages that need a signature can only be delivered through completeDelivery
+      if (status === 'DELIVERED') {
+        assertCanMarkDelivered(this.packagesData[packageIndex], this.packagesData[packageIndex].proofOfDelivery || null);
+      }
+
+      // Update package status (recorded in its status history with who, where and on which device)
+      this.packagesData[packageIndex] = withNextVersion(applyStatusChange(
+        this.packagesData[packageIndex],
         status,
-        updatedAt: new Date().toISOString()
-      };
+        createAuditContext(audit)
+      ));
 
       // Save to storage if persistence is enabled
       if (this.config.enablePersistence) {
@@ -145,7 +164,7 @@ class LocalPackageAdapter {
       });
 
       console.log(`LocalPackageAdapter: Updated package ${id} status to ${status}`);
-      return this.packagesData[packageIndex];
+      return this.rememberMutation(options.idempotencyKey, this.packagesData[packageIndex]);
     } catch (error) {
       console.error('LocalPackageAdapter: Error updating package status:', error);
       throw error;
@@ -153,35 +172,90 @@ class LocalPackageAdapter {
   }
 
   /**
-   * Subscribe to package updates
+   * Mark a package delivered with its proof of delivery
    */
-  subscribe(callback) {
-    this.subscribers.add(callback);
-    
-    // Return unsubscribe function
-    return () => {
-      this.subscribers.delete(callback);
-    };
-  }
+  async completeDelivery(id, proof, audit = {}, options = {}) {
+    const repeated = this.getCompletedMutation(options.idempotencyKey);
+    if (repeated) return repeated;
 
-  /**
-   * Unsubscribe from package updates
-   */
-  unsubscribe(callback) {
-    this.subscribers.delete(callback);
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const packageIndex = (this.packagesData || []).findIndex(pkg => pkg.id === id);
+
+      if (packageIndex === -1) {
+        throw new Error(`Package with ID ${id} not found`);
+      }
+
+      assertVersion(this.packagesData[packageIndex], options.baseVersion);
+      assertCanMarkDelivered(this.packagesData[packageIndex], proof || null);
+
+      const now = new Date().toISOString();
+      this.packagesData[packageIndex] = withNextVersion({
+        ...applyStatusChange(this.packagesData[packageIndex], 'DELIVERED', { ...createAuditContext(audit), at: now }),
+        deliveredAt: proof?.capturedAt || now,
+        proofOfDelivery: toStoredProofOfDelivery(proof || {})
+      });
+
+      if (this.config.enablePersistence) {
+        await this.saveToStorage();
+      }
+
+      this.notifySubscribers({
+        type: 'packageUpdated',
+        package: this.packagesData[packageIndex]
+      });
+
+      console.log(`LocalPackageAdapter: Delivered package ${id} with proof of delivery`);
+      return this.rememberMutation(options.idempotencyKey, this.packagesData[packageIndex]);
+    } catch (error) {
+      console.error('LocalPackageAdapter: Error completing delivery:', error);
+      throw error;
+    }
   }
 
   /**
-   * Notify all subscribers of an event
+   * Record a failed delivery attempt (reschedule or return to sender)
    */
-  notifySubscribers(event) {
-    this.subscribers.forEach(callback => {
-      try {
-        callback(event);
-      } catch (error) {
-        console.error('LocalPackageAdapter: Error in subscriber callback:', error);
+  async recordDeliveryAttempt(id, attempt, audit = {}, options = {}) {
+    const repeated = this.getCompletedMutation(options.idempotencyKey);
+    if (repeated) return repeated;
+
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
       }
-    });
+
+      const packageIndex = (this.packagesData || []).findIndex(pkg => pkg.id === id);
+
+      if (packageIndex === -1) {
+        throw new Error(`Package with ID ${id} not found`);
+      }
+
+      assertVersion(this.packagesData[packageIndex], options.baseVersion);
+
+      const updatedPackage = withNextVersion(
+        applyFailedAttempt(this.packagesData[packageIndex], attempt || {}, createAuditContext(audit))
+      );
+      this.packagesData[packageIndex] = updatedPackage;
+
+      if (this.config.enablePersistence) {
+        await this.saveToStorage();
+      }
+
+      this.notifySubscribers({
+        type: 'packageUpdated',
+        package: updatedPackage
+      });
+
+      console.log(`LocalPackageAdapter: Attempt ${updatedPackage.attempts} recorded for package ${id} (${updatedPackage.status})`);
+      return this.rememberMutation(options.idempotencyKey, updatedPackage);
+    } catch (error) {
+      console.error('LocalPackageAdapter: Error recording delivery attempt:', error);
+      throw error;
+    }
   }
 
   /**
@@ -220,8 +294,8 @@ class LocalPackageAdapter {
     const randomIndex = Math.floor(Math.random() * this.packagesData.length);
     const packageToUpdate = this.packagesData[randomIndex];
     
-    // Only update packages that aren't delivered or failed
-    if (['DELIVERED', 'FAILED'].includes(packageToUpdate.status)) return;
+    // Only update packages that can still move
+    if (isFinalStatus(packageToUpdate.status)) return;
 
     // Simulate status progression
     const statusFlow = {
@@ -232,8 +306,14 @@ class LocalPackageAdapter {
     };
 
     const newStatus = statusFlow[packageToUpdate.status];
+
+    // A delivery that needs a signature waits for the driver's proof
+    if (newStatus === 'DELIVERED' && !validateProofOfDelivery(packageToUpdate, packageToUpdate.proofOfDelivery || null).isValid) {
+      return;
+    }
+
     if (newStatus) {
-      this.updatePackageStatus(packageToUpdate.id, newStatus)
+      this.updatePackageStatus(packageToUpdate.id, newStatus, { actor: 'simulation' })
         .catch(error => {
           console.error('LocalPackageAdapter: Error in simulation update:', error);
         });
@@ -455,6 +535,11 @@ class LocalPackageAdapter {
         newPackage.createdAt = new Date().toISOString();
       }
 
+      // Versions start at 1 and move with every change (conflict detection)
+      if (newPackage.version === undefined || newPackage.version === null) {
+        newPackage.version = 1;
+      }
+
       // Add to packages array
       this.packagesData = [...(this.packagesData || []), newPackage];
 
@@ -517,7 +602,7 @@ class LocalPackageAdapter {
    */
   async dispose() {
     this.stopRealtimeSimulation();
-    this.subscribers.clear();
+    await super.dispose();
     console.log('LocalPackageAdapter: Disposed');
   }
 }
@@ -0,0 +1,280 @@
+// adapters/PackageAdapter.js - Base class and contract for package adapters
+
+/**
+ * Events emitted to subscribers by every adapter
+ *
+ *   { type: 'packageUpdated', package: Package }
+ *   { type: 'packageAdded',   package: Package }
+ *   { type: 'packageRemoved', packageId: string }
+ */
+export const ADAPTER_EVENTS = {
+  PACKAGE_UPDATED: 'packageUpdated',
+  PACKAGE_ADDED: 'packageAdded',
+  PACKAGE_REMOVED: 'packageRemoved'
+};
+
+/**
+ * Methods every adapter must implement
+ */
+export const ADAPTER_METHODS = [
+  'initialize',
+  'getPackages',
+  'getPackageDetails',
+  'updatePackageStatus',
+  'completeDelivery',
+  'recordDeliveryAttempt',
+  'addPackage',
+  'removePackage',
+  'subscribe',
+  'unsubscribe',
+  'dispose'
+];
+
+/**
+ * Get the contract methods an adapter is missing. A method still inherited
+ * from PackageAdapter's notImplemented stub counts as missing.
+ * @param {Object} adapter - Adapter instance
+ * @returns {Array<string>} Missing method names (empty when the adapter conforms)
+ */
+export const getMissingAdapterMethods = (adapter) => {
+  if (!adapter) return [...ADAPTER_METHODS];
+  return ADAPTER_METHODS.filter(method =>
+    typeof adapter[method] !== 'function' || STUB_METHODS.has(adapter[method])
+  );
+};
+
+/**
+ * Check whether an object implements the adapter contract
+ * @param {Object} adapter - Adapter instance
+ * @returns {boolean}
+ */
+export const isPackageAdapter = (adapter) => getMissingAdapterMethods(adapter).length === 0;
+
+/**
+ * Throw if an object does not implement the adapter contract
+ * @param {Object} adapter - Adapter instance
+ * @param {string} context - Caller name used in the error message
+ */
+export const assertPackageAdapter = (adapter, context = 'PackageAdapter') => {
+  const missing = getMissingAdapterMethods(adapter);
+
+  if (missing.length > 0) {
+    throw new Error(`${context}: adapter is missing methods: ${missing.join(', ')}`);
+  }
+};
+
+/**
+ * Idempotency keys remembered per adapter instance
+ */
+const MAX_COMPLETED_MUTATIONS = 200;
+
+const notImplemented = (adapter, method) => {
+  const error = new Error(`NOT_IMPLEMENTED: ${adapter.constructor.name}.${method}() is not implemented`);
+  error.code = 'NOT_IMPLEMENTED';
+  return error;
+};
+
+/**
+ * PackageAdapter - Base class for package data sources
+ *
+ * Subclasses implement the data methods; subscription handling is shared.
+ * Every method except subscribe/unsubscribe returns a Promise, and lookups
+ * of unknown IDs reject with `Package with ID <id> not found`.
+ * The mutations (updatePackageStatus, completeDelivery, recordDeliveryAttempt)
+ * take a last `options` argument with an `idempotencyKey`: a mutation replayed
+ * with a key that was already applied must not be applied again. Its
+ * `baseVersion` is the package version the change was made on; when the
+ * package has moved on since, the mutation rejects with VERSION_CONFLICT
+ * carrying the current package (utils/packageConflicts.js).
+ * Run `runAdapterConformance` (adapters/adapterConformance.js) against a
+ * new adapter to check it honours this contract.
+ */
+class PackageAdapter {
+  constructor() {
+    this.subscribers = new Set();
+    this.completedMutations = new Map();
+  }
+
+  /**
+   * Initialize the adapter (load storage, open connections...)
+   */
+  async initialize() {}
+
+  /**
+   * Get all packages
+   * @param {Object} filters - Optional {status, priority}
+   * @returns {Promise<Array>} Packages matching the filters
+   */
+  async getPackages(filters = {}) {
+    throw notImplemented(this, 'getPackages');
+  }
+
+  /**
+   * Get package details by ID
+   * @param {string} id - Package ID
+   * @returns {Promise<Object>} Package
+   */
+  async getPackageDetails(id) {
+    throw notImplemented(this, 'getPackageDetails');
+  }
+
+  /**
+   * Update package status and emit 'packageUpdated'. Transitions the status
+   * state machine (utils/packageStatus.js) forbids must reject with
+   * INVALID_STATUS_TRANSITION; the change is kept in pkg.statusHistory
+   * together with its audit context. DELIVERED must be refused for a package
+   * whose proof of delivery is missing the required signature
+   * (assertCanMarkDelivered in utils/proofOfDelivery.js).
+   * @param {string} id - Package ID
+   * @param {string} status - New status
+   * @param {Object} audit - {actor, deviceId, location}, see utils/auditTrail.js
+   * @param {Object} options - {idempotencyKey, baseVersion}
+   * @returns {Promise<Object>} Updated package
+   */
+  async updatePackageStatus(id, status, audit, options) {
+    throw notImplemented(this, 'updatePackageStatus');
+  }
+
+  /**
+   * Mark a package DELIVERED together with its proof of delivery (stored
+   * as pkg.proofOfDelivery) and emit 'packageUpdated'. A proof the package
+   * does not accept (no signature when requiresSignature is set) must be
+   * refused, as assertCanMarkDelivered does.
+   * @param {string} id - Package ID
+   * @param {Object} proof - See utils/proofOfDelivery.js
+   * @param {Object} audit - Audit context of the status change
+   * @param {Object} options - {idempotencyKey, baseVersion}
+   * @returns {Promise<Object>} Updated package
+   */
+  async completeDelivery(id, proof, audit, options) {
+    throw notImplemented(this, 'completeDelivery');
+  }
+
+  /**
+   * Record a failed delivery attempt: counts it, reschedules the package into
+   * its next delivery window or marks it RETURN_TO_SENDER once maxAttempts
+   * is reached, and emits 'packageUpdated'
+   * @param {string} id - Package ID
+   * @param {Object} attempt - See utils/failedDelivery.js
+   * @param {Object} audit - Audit context of the status change
+   * @param {Object} options - {idempotencyKey, baseVersion}
+   * @returns {Promise<Object>} Updated package
+   */
+  async recordDeliveryAttempt(id, attempt, audit, options) {
+    throw notImplemented(this, 'recordDeliveryAttempt');
+  }
+
+  /**
+   * Add a new package and emit 'packageAdded'
+   * @param {Object} newPackage - Package data (an ID is generated when missing)
+   * @param {Object} options - {idempotencyKey}
+   * @returns {Promise<Object>} Stored package
+   */
+  async addPackage(newPackage, options) {
+    throw notImplemented(this, 'addPackage');
+  }
+
+  /**
+   * Remove a package by ID and emit 'packageRemoved'
+   * @param {string} id - Package ID
+   * @param {Object} options - {idempotencyKey}
+   * @returns {Promise<boolean>} true when removed
+   */
+  async removePackage(id, options) {
+    throw notImplemented(this, 'removePackage');
+  }
+
+  /**
+   * Subscribe to package updates
+   * @param {Function} callback - Receives ADAPTER_EVENTS events
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.subscribers.add(callback);
+
+    // Return unsubscribe function
+    return () => {
+      this.unsubscribe(callback);
+    };
+  }
+
+  /**
+   * Unsubscribe from package updates
+   */
+  unsubscribe(callback) {
+    this.subscribers.delete(callback);
+  }
+
+  /**
+   * Alias kept for callers written against the old hook API
+   */
+  subscribeToUpdates(callback) {
+    return this.subscribe(callback);
+  }
+
+  /**
+   * Result of a mutation already applied with this idempotency key
+   * @param {string} idempotencyKey - Key sent by the caller (optional)
+   * @returns {Object|null} Package returned the first time, or null
+   */
+  getCompletedMutation(idempotencyKey) {
+    if (!idempotencyKey || !this.completedMutations.has(idempotencyKey)) {
+      return null;
+    }
+
+    console.log(`${this.constructor.name}: Mutation ${idempotencyKey} already applied, skipping`);
+    return this.completedMutations.get(idempotencyKey);
+  }
+
+  /**
+   * Remember the result of an applied mutation under its idempotency key
+   * @param {string} idempotencyKey - Key sent by the caller (optional)
+   * @param {Object} result - Package the mutation resolved to
+   * @returns {Object} The same result
+   */
+  rememberMutation(idempotencyKey, result) {
+    if (idempotencyKey) {
+      this.completedMutations.set(idempotencyKey, result);
+
+      if (this.completedMutations.size > MAX_COMPLETED_MUTATIONS) {
+        this.completedMutations.delete(this.completedMutations.keys().next().value);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Notify all subscribers of an event
+   */
+  notifySubscribers(event) {
+    this.subscribers.forEach(callback => {
+      try {
+        callback(event);
+      } catch (error) {
+        console.error(`${this.constructor.name}: Error in subscriber callback:`, error);
+      }
+    });
+  }
+
+  /**
+   * Clean up resources
+   */
+  async dispose() {
+    this.subscribers.clear();
+    this.completedMutations.clear();
+  }
+}
+
+// Methods subclasses must override; set after the class is defined
+const STUB_METHODS = new Set([
+  'getPackages',
+  'getPackageDetails',
+  'updatePackageStatus',
+  'completeDelivery',
+  'recordDeliveryAttempt',
+  'addPackage',
+  'removePackage'
+].map(method => PackageAdapter.prototype[method]));
+
+export default PackageAdapter;
@@ -0,0 +1,54 @@
+import ApiPackageAdapter from '../ApiPackageAdapter';
+import { startStubPackageServer } from '../../testUtils/stubPackageServer';
+
+describe('ApiPackageAdapter', () => {
+  let server;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await server?.close();
+    server = null;
+  });
+
+  it('retries a timed-out addPackage with the same idempotency key and creates one package', async () => {
+    let posts = 0;
+    server = await startStubPackageServer({
+      // The first POST is applied but answered too late
+      delay: (request) => (request.method === 'POST' && ++posts === 1 ? 500 : 0)
+    });
+    const adapter = new ApiPackageAdapter({ baseURL: server.baseURL, timeout: 100, retries: 1, retryDelay: 10, enablePolling: false });
+
+    const created = await adapter.addPackage({ trackingNumber: 'DUP-001', status: 'PENDING' });
+
+    const postRequests = server.requests.filter(request => request.method === 'POST');
+    expect(postRequests).toHaveLength(2);
+    expect(postRequests[0].headers['idempotency-key']).toBeTruthy();
+    expect(postRequests[1].headers['idempotency-key']).toBe(postRequests[0].headers['idempotency-key']);
+    expect(server.packages).toHaveLength(1);
+    expect(created.id).toBe(server.packages[0].id);
+  });
+
+  it('uses the caller idempotency key for addPackage and removePackage', async () => {
+    server = await startStubPackageServer({ packages: [{ id: 'P1', status: 'PENDING' }] });
+    const adapter = new ApiPackageAdapter({ baseURL: server.baseURL, retries: 0, enablePolling: false });
+
+    await adapter.addPackage({ trackingNumber: 'KEY-001' }, { idempotencyKey: 'add-1' });
+    await adapter.removePackage('P1', { idempotencyKey: 'remove-1' });
+
+    expect(server.requests.map(request => request.headers['idempotency-key'])).toEqual(['add-1', 'remove-1']);
+  });
+
+  it('does not send an idempotency key on reads', async () => {
+    server = await startStubPackageServer();
+    const adapter = new ApiPackageAdapter({ baseURL: server.baseURL, retries: 0, enablePolling: false });
+
+    await adapter.getPackages();
+
+    expect(server.requests[0].headers['idempotency-key']).toBeUndefined();
+  });
+});
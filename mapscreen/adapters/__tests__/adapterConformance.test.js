@@ -0,0 +1,93 @@
+import PackageAdapter from '../PackageAdapter';
+import LocalPackageAdapter from '../LocalPackageAdapter';
+import ApiPackageAdapter from '../ApiPackageAdapter';
+import { runAdapterConformance } from '../adapterConformance';
+import { startStubPackageServer } from '../../testUtils/stubPackageServer';
+
+const expectConformance = (summary) => {
+  const failures = summary.results.filter(result => result.status !== 'passed');
+  expect(failures).toEqual([]);
+};
+
+describe('adapter conformance', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('LocalPackageAdapter honours the contract', async () => {
+    const summary = await runAdapterConformance(
+      () => new LocalPackageAdapter({ enablePersistence: false, enableRealtimeSimulation: false }),
+      { eventTimeout: 500, log: false }
+    );
+
+    expectConformance(summary);
+  });
+
+  it('ApiPackageAdapter honours the contract against a stub server', async () => {
+    const server = await startStubPackageServer();
+
+    try {
+      const summary = await runAdapterConformance(
+        () => new ApiPackageAdapter({ baseURL: server.baseURL, retries: 0, enablePolling: false }),
+        { eventTimeout: 500, log: false }
+      );
+
+      expectConformance(summary);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('flags a subclass that only inherits the base stubs', async () => {
+    class EmptyAdapter extends PackageAdapter {}
+
+    const summary = await runAdapterConformance(() => new EmptyAdapter(), { eventTimeout: 100, log: false });
+    const byName = Object.fromEntries(summary.results.map(result => [result.name, result]));
+
+    expect(byName['implements every contract method'].status).toBe('failed');
+    expect(byName['implements every contract method'].error).toContain('getPackages');
+    expect(summary.passed).toBeLessThan(summary.results.length);
+  });
+
+  it('runs the checks that do not need the added package after addPackage() fails', async () => {
+    class EmptyAdapter extends PackageAdapter {}
+
+    const summary = await runAdapterConformance(() => new EmptyAdapter(), { eventTimeout: 100, log: false });
+    const statusOf = Object.fromEntries(summary.results.map(result => [result.name, result.status]));
+
+    expect(statusOf["addPackage() returns the package with an id and emits 'packageAdded'"]).toBe('failed');
+    expect(statusOf['initialize() resolves']).toBe('passed');
+    expect(statusOf['subscribe() returns an unsubscribe function']).toBe('passed');
+    expect(statusOf['getPackageDetails() rejects for an unknown id']).toBe('passed');
+    expect(statusOf['DELIVERED is refused while the required signature is missing']).toBe('failed');
+    expect(statusOf['dispose() resolves']).toBe('passed');
+
+    expect(statusOf['getPackageDetails() returns the added package']).toBe('skipped');
+    expect(statusOf["removePackage() resolves true and emits 'packageRemoved'"]).toBe('skipped');
+    expect(summary.skipped).toBe(11);
+  });
+
+  it('fails an adapter whose methods reject with NOT_IMPLEMENTED', async () => {
+    class StubbedAdapter extends PackageAdapter {
+      getPackages = async () => [];
+      getPackageDetails = async () => { throw Object.assign(new Error('NOT_IMPLEMENTED'), { code: 'NOT_IMPLEMENTED' }); };
+      updatePackageStatus = async () => ({});
+      completeDelivery = async () => ({});
+      recordDeliveryAttempt = async () => ({});
+      addPackage = async (pkg) => ({ ...pkg, id: 'x' });
+      removePackage = async () => true;
+    }
+
+    const summary = await runAdapterConformance(() => new StubbedAdapter(), { eventTimeout: 100, log: false });
+    const probe = summary.results.find(result => result.name === 'no contract method rejects with NOT_IMPLEMENTED');
+
+    expect(probe.status).toBe('failed');
+    expect(probe.error).toBe('Not implemented: getPackageDetails');
+  });
+});
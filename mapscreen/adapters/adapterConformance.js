@@ -0,0 +1,478 @@
+// adapters/adapterConformance.js - Reusable conformance checks for package adapters
+import { ADAPTER_EVENTS, getMissingAdapterMethods } from './PackageAdapter';
+import { STATUS_DEFINITIONS, canTransition } from '../utils/packageStatus';
+
+/**
+ * Sample package used by the checks. Adapters backed by a server should be
+ * pointed at a stand-in (local) backend, since the checks add, update and
+ * remove this package.
+ */
+export const CONFORMANCE_SAMPLE_PACKAGE = {
+  trackingNumber: 'CONFORMANCE-001',
+  recipientName: 'Conformance Check',
+  recipientAddress: 'Av. Chapultepec 1, Guadalajara, Jalisco',
+  latitude: 20.6736,
+  longitude: -103.3667,
+  status: 'PENDING',
+  priority: 'MEDIUM'
+};
+
+/**
+ * Proof of delivery sent by the completeDelivery check
+ */
+export const CONFORMANCE_SAMPLE_PROOF = {
+  recipientName: 'Conformance Check',
+  signature: null,
+  photos: [],
+  location: { latitude: 20.6736, longitude: -103.3667, accuracy: 10, timestamp: '2024-01-01T12:00:00.000Z' },
+  capturedAt: '2024-01-01T12:00:00.000Z'
+};
+
+/**
+ * Failed attempt sent by the recordDeliveryAttempt check
+ */
+export const CONFORMANCE_SAMPLE_ATTEMPT = {
+  reason: 'NOBODY_HOME',
+  notes: 'Conformance check',
+  photos: [],
+  location: { latitude: 20.6736, longitude: -103.3667, accuracy: 10, timestamp: '2024-01-01T11:00:00.000Z' },
+  attemptedAt: '2024-01-01T11:00:00.000Z'
+};
+
+/**
+ * Audit context sent with the first status update; it must come back on the
+ * package's last statusHistory entry
+ */
+export const CONFORMANCE_SAMPLE_AUDIT = {
+  actor: 'conformance-driver',
+  deviceId: 'conformance-device',
+  location: { latitude: 20.6736, longitude: -103.3667, accuracy: 10, timestamp: '2024-01-01T10:00:00.000Z' }
+};
+
+/**
+ * Wait for the first event of a given type, or reject after `timeout` ms
+ */
+const waitForEvent = (adapter, type, predicate, timeout) => {
+  let unsubscribe = () => {};
+
+  const promise = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      unsubscribe();
+      reject(new Error(`Expected a '${type}' event within ${timeout}ms`));
+    }, timeout);
+
+    unsubscribe = adapter.subscribe((event) => {
+      if (event?.type === type && predicate(event)) {
+        clearTimeout(timer);
+        unsubscribe();
+        resolve(event);
+      }
+    });
+  });
+  // A check that fails before awaiting the event must not leave the timeout unhandled
+  promise.catch(() => {});
+
+  return promise;
+};
+
+const expect = (condition, message) => {
+  if (!condition) {
+    throw new Error(message);
+  }
+};
+
+/**
+ * Contract checks, run in order against a single adapter instance.
+ * `context` carries state between checks (e.g. the created package);
+ * `needsPackage` marks the checks that work on the package addPackage() created.
+ */
+const CONFORMANCE_CHECKS = [
+  {
+    name: 'implements every contract method',
+    run: async (adapter) => {
+      const missing = getMissingAdapterMethods(adapter);
+      expect(missing.length === 0, `Missing methods: ${missing.join(', ')}`);
+    }
+  },
+  {
+    name: 'initialize() resolves',
+    run: async (adapter) => {
+      await adapter.initialize();
+    }
+  },
+  {
+    name: 'no contract method rejects with NOT_IMPLEMENTED',
+    run: async (adapter, context, options) => {
+      const unknownId = '__conformance_unknown_id__';
+      const probes = {
+        getPackages: () => adapter.getPackages(),
+        getPackageDetails: () => adapter.getPackageDetails(unknownId),
+        updatePackageStatus: () => adapter.updatePackageStatus(unknownId, options.updateStatus),
+        completeDelivery: () => adapter.completeDelivery(unknownId, CONFORMANCE_SAMPLE_PROOF),
+        recordDeliveryAttempt: () => adapter.recordDeliveryAttempt(unknownId, CONFORMANCE_SAMPLE_ATTEMPT),
+        // Added and removed right away; the later checks use their own package
+        addPackage: async () => {
+          const probe = await adapter.addPackage({ ...options.samplePackage, trackingNumber: 'CONFORMANCE-PROBE' });
+          if (probe?.id) await adapter.removePackage(probe.id);
+        },
+        removePackage: () => adapter.removePackage(unknownId)
+      };
+
+      const notImplemented = [];
+      for (const [method, probe] of Object.entries(probes)) {
+        try {
+          await probe();
+        } catch (error) {
+          // Unknown IDs may reject; only the base class stub is a failure
+          if (error?.code === 'NOT_IMPLEMENTED') notImplemented.push(method);
+        }
+      }
+
+      expect(notImplemented.length === 0, `Not implemented: ${notImplemented.join(', ')}`);
+    }
+  },
+  {
+    name: 'getPackages() resolves to an array',
+    run: async (adapter) => {
+      const packages = await adapter.getPackages();
+      expect(Array.isArray(packages), `getPackages() returned ${typeof packages}`);
+    }
+  },
+  {
+    name: 'subscribe() returns an unsubscribe function',
+    run: async (adapter) => {
+      const unsubscribe = adapter.subscribe(() => {});
+      expect(typeof unsubscribe === 'function', 'subscribe() must return a function');
+      unsubscribe();
+    }
+  },
+  {
+    name: "addPackage() returns the package with an id and emits 'packageAdded'",
+    run: async (adapter, context, options) => {
+      const eventPromise = waitForEvent(
+        adapter,
+        ADAPTER_EVENTS.PACKAGE_ADDED,
+        (event) => event.package?.trackingNumber === options.samplePackage.trackingNumber,
+        options.eventTimeout
+      );
+
+      const created = await adapter.addPackage({ ...options.samplePackage });
+      expect(created && created.id, 'addPackage() must resolve to a package with an id');
+
+      const event = await eventPromise;
+      expect(event.package.id === created.id, "'packageAdded' event must carry the created package");
+
+      context.packageId = created.id;
+    }
+  },
+  {
+    name: 'getPackageDetails() returns the added package',
+    needsPackage: true,
+    run: async (adapter, context) => {
+      const pkg = await adapter.getPackageDetails(context.packageId);
+      expect(pkg && pkg.id === context.packageId, 'getPackageDetails() returned a different package');
+    }
+  },
+  {
+    name: 'getPackageDetails() rejects for an unknown id',
+    run: async (adapter) => {
+      let rejected = false;
+      try {
+        await adapter.getPackageDetails('__conformance_unknown_id__');
+      } catch (error) {
+        rejected = true;
+      }
+      expect(rejected, 'getPackageDetails() must reject when the package does not exist');
+    }
+  },
+  {
+    name: "updatePackageStatus() returns the updated package and emits 'packageUpdated'",
+    needsPackage: true,
+    run: async (adapter, context, options) => {
+      const eventPromise = waitForEvent(
+        adapter,
+        ADAPTER_EVENTS.PACKAGE_UPDATED,
+        (event) => event.package?.id === context.packageId,
+        options.eventTimeout
+      );
+
+      const updated = await adapter.updatePackageStatus(context.packageId, options.updateStatus, CONFORMANCE_SAMPLE_AUDIT);
+      expect(updated?.status === options.updateStatus, 'updatePackageStatus() must resolve to the updated package');
+
+      const event = await eventPromise;
+      expect(event.package.status === options.updateStatus, "'packageUpdated' event must carry the new status");
+    }
+  },
+  {
+    name: 'updatePackageStatus() records the change with its audit context',
+    needsPackage: true,
+    run: async (adapter, context, options) => {
+      const pkg = await adapter.getPackageDetails(context.packageId);
+      const last = (pkg.statusHistory || [])[pkg.statusHistory?.length - 1];
+
+      expect(last?.to === options.updateStatus, 'The status change is missing from statusHistory');
+      expect(
+        last.actor === CONFORMANCE_SAMPLE_AUDIT.actor && last.deviceId === CONFORMANCE_SAMPLE_AUDIT.deviceId,
+        'statusHistory entry must keep the actor and deviceId of the change'
+      );
+      expect(
+        last.location?.latitude === CONFORMANCE_SAMPLE_AUDIT.location.latitude,
+        'statusHistory entry must keep the location of the change'
+      );
+    }
+  },
+  {
+    name: 'getPackages({ status }) only returns matching packages',
+    needsPackage: true,
+    run: async (adapter, context, options) => {
+      const packages = await adapter.getPackages({ status: options.updateStatus });
+      expect(packages.every(pkg => pkg.status === options.updateStatus), 'Filtered list contains other statuses');
+      expect(packages.some(pkg => pkg.id === context.packageId), 'Filtered list is missing the updated package');
+    }
+  },
+  {
+    name: 'unsubscribe stops event delivery',
+    needsPackage: true,
+    run: async (adapter, context, options) => {
+      let received = 0;
+      const unsubscribe = adapter.subscribe(() => { received++; });
+      unsubscribe();
+
+      // Setting the current status again is always a legal transition
+      await adapter.updatePackageStatus(context.packageId, options.updateStatus);
+      expect(received === 0, 'Callback was called after unsubscribing');
+    }
+  },
+  {
+    name: 'updatePackageStatus() rejects an illegal transition',
+    needsPackage: true,
+    run: async (adapter, context, options) => {
+      const illegal = Object.keys(STATUS_DEFINITIONS).find(status => !canTransition(options.updateStatus, status));
+      if (!illegal) return;
+
+      let rejected = false;
+      try {
+        await adapter.updatePackageStatus(context.packageId, illegal);
+      } catch (error) {
+        rejected = true;
+      }
+      expect(rejected, `updatePackageStatus() must reject ${options.updateStatus} -> ${illegal}`);
+
+      const pkg = await adapter.getPackageDetails(context.packageId);
+      expect(pkg.status === options.updateStatus, 'A rejected transition must leave the status unchanged');
+    }
+  },
+  {
+    name: 'updatePackageStatus() rejects a change made on an outdated version',
+    needsPackage: true,
+    run: async (adapter, context, options) => {
+      const pkg = await adapter.getPackageDetails(context.packageId);
+      // Sources without versions can't detect conflicts
+      if (pkg.version === null || pkg.version === undefined) return;
+
+      let conflict = null;
+      try {
+        await adapter.updatePackageStatus(context.packageId, options.updateStatus, {}, { baseVersion: 'conformance-stale' });
+      } catch (error) {
+        conflict = error;
+      }
+      expect(conflict?.code === 'VERSION_CONFLICT', 'updatePackageStatus() must reject an outdated baseVersion with VERSION_CONFLICT');
+      expect(conflict.serverPackage?.id === context.packageId, 'VERSION_CONFLICT must carry the current package as serverPackage');
+
+      const current = await adapter.updatePackageStatus(context.packageId, options.updateStatus, {}, { baseVersion: pkg.version });
+      expect(current?.status === options.updateStatus, 'updatePackageStatus() must accept the current baseVersion');
+    }
+  },
+  {
+    name: "recordDeliveryAttempt() counts the attempt and emits 'packageUpdated'",
+    needsPackage: true,
+    run: async (adapter, context, options) => {
+      const eventPromise = waitForEvent(
+        adapter,
+        ADAPTER_EVENTS.PACKAGE_UPDATED,
+        (event) => event.package?.id === context.packageId,
+        options.eventTimeout
+      );
+
+      // Attempts happen at the door
+      await adapter.updatePackageStatus(context.packageId, 'OUT_FOR_DELIVERY');
+
+      context.attemptKey = `conformance_${Date.now()}`;
+      const updated = await adapter.recordDeliveryAttempt(
+        context.packageId,
+        CONFORMANCE_SAMPLE_ATTEMPT,
+        {},
+        { idempotencyKey: context.attemptKey }
+      );
+      expect(
+        ['ATTEMPTED', 'RETURN_TO_SENDER'].includes(updated?.status),
+        'recordDeliveryAttempt() must resolve to an ATTEMPTED or RETURN_TO_SENDER package'
+      );
+      expect(updated.attempts >= 1, 'recordDeliveryAttempt() must increment attempts');
+
+      const last = (updated.attemptHistory || [])[updated.attemptHistory?.length - 1];
+      expect(
+        last?.reason === CONFORMANCE_SAMPLE_ATTEMPT.reason,
+        'recordDeliveryAttempt() must return the package with the attempt in attemptHistory'
+      );
+
+      context.attempts = updated.attempts;
+      await eventPromise;
+    }
+  },
+  {
+    name: 'recordDeliveryAttempt() ignores a replay with the same idempotency key',
+    needsPackage: true,
+    run: async (adapter, context) => {
+      const replayed = await adapter.recordDeliveryAttempt(
+        context.packageId,
+        CONFORMANCE_SAMPLE_ATTEMPT,
+        {},
+        { idempotencyKey: context.attemptKey }
+      );
+      expect(
+        replayed?.attempts === context.attempts,
+        `Replayed attempt was counted again (${context.attempts} -> ${replayed?.attempts})`
+      );
+    }
+  },
+  {
+    name: 'DELIVERED is refused while the required signature is missing',
+    run: async (adapter, context, options) => {
+      const pkg = await adapter.addPackage({
+        ...options.samplePackage,
+        trackingNumber: 'CONFORMANCE-SIGNATURE',
+        status: 'OUT_FOR_DELIVERY',
+        requiresSignature: true
+      });
+
+      try {
+        const attempts = {
+          updatePackageStatus: () => adapter.updatePackageStatus(pkg.id, 'DELIVERED'),
+          // The sample proof has no signature
+          completeDelivery: () => adapter.completeDelivery(pkg.id, CONFORMANCE_SAMPLE_PROOF)
+        };
+
+        for (const [method, attempt] of Object.entries(attempts)) {
+          let refused = null;
+          try {
+            await attempt();
+          } catch (error) {
+            refused = error;
+          }
+          expect(refused?.code === 'SIGNATURE_REQUIRED', `${method}() must reject DELIVERED without the signature with SIGNATURE_REQUIRED`);
+        }
+
+        const current = await adapter.getPackageDetails(pkg.id);
+        expect(current.status === 'OUT_FOR_DELIVERY', 'A refused delivery must leave the status unchanged');
+      } finally {
+        await adapter.removePackage(pkg.id);
+      }
+    }
+  },
+  {
+    name: "completeDelivery() stores the proof, marks DELIVERED and emits 'packageUpdated'",
+    needsPackage: true,
+    run: async (adapter, context, options) => {
+      const eventPromise = waitForEvent(
+        adapter,
+        ADAPTER_EVENTS.PACKAGE_UPDATED,
+        (event) => event.package?.id === context.packageId,
+        options.eventTimeout
+      );
+
+      const updated = await adapter.completeDelivery(context.packageId, CONFORMANCE_SAMPLE_PROOF);
+      expect(updated?.status === 'DELIVERED', 'completeDelivery() must resolve to a DELIVERED package');
+      expect(
+        updated.proofOfDelivery?.recipientName === CONFORMANCE_SAMPLE_PROOF.recipientName,
+        'completeDelivery() must return the package with its proofOfDelivery'
+      );
+
+      await eventPromise;
+    }
+  },
+  {
+    name: "removePackage() resolves true and emits 'packageRemoved'",
+    needsPackage: true,
+    run: async (adapter, context, options) => {
+      const eventPromise = waitForEvent(
+        adapter,
+        ADAPTER_EVENTS.PACKAGE_REMOVED,
+        (event) => event.packageId === context.packageId,
+        options.eventTimeout
+      );
+
+      const removed = await adapter.removePackage(context.packageId);
+      expect(removed === true, 'removePackage() must resolve to true');
+
+      await eventPromise;
+
+      const packages = await adapter.getPackages();
+      expect(!packages.some(pkg => pkg.id === context.packageId), 'Removed package is still listed');
+    }
+  },
+  {
+    name: 'dispose() resolves',
+    run: async (adapter) => {
+      await adapter.dispose();
+    }
+  }
+];
+
+/**
+ * Run the adapter contract checks against an adapter
+ *
+ * Every check runs, whatever failed before it, except those that need the
+ * added package when addPackage() did not create one: these are reported
+ * as skipped.
+ *
+ * @param {Function} createAdapter - (Async) factory returning a fresh adapter instance
+ * @param {Object} options - {samplePackage, updateStatus, eventTimeout, log}
+ * @returns {Promise<Object>} {passed, failed, skipped, results: [{name, status, error}]}
+ */
+export const runAdapterConformance = async (createAdapter, options = {}) => {
+  const settings = {
+    samplePackage: CONFORMANCE_SAMPLE_PACKAGE,
+    updateStatus: 'ASSIGNED',
+    eventTimeout: 5000,
+    log: true,
+    ...options
+  };
+
+  const adapter = await createAdapter();
+  const context = {};
+  const results = [];
+
+  for (const check of CONFORMANCE_CHECKS) {
+    if (check.needsPackage && !context.packageId) {
+      results.push({ name: check.name, status: 'skipped', error: null });
+      continue;
+    }
+
+    try {
+      await check.run(adapter, context, settings);
+      results.push({ name: check.name, status: 'passed', error: null });
+    } catch (error) {
+      results.push({ name: check.name, status: 'failed', error: error.message });
+    }
+  }
+
+  const summary = {
+    passed: results.filter(r => r.status === 'passed').length,
+    failed: results.filter(r => r.status === 'failed').length,
+    skipped: results.filter(r => r.status === 'skipped').length,
+    results
+  };
+
+  if (settings.log) {
+    results.forEach(r => {
+      const icon = { passed: '✅', failed: '❌', skipped: '⏭️' }[r.status];
+      console.log(`${icon} ${r.name}${r.error ? ` - ${r.error}` : ''}`);
+    });
+    console.log(`📋 Adapter conformance: ${summary.passed} passed, ${summary.failed} failed, ${summary.skipped} skipped`);
+  }
+
+  return summary;
+};
+
+export default runAdapterConformance;
@@ -1,45 +1,83 @@
 // mapscreen/components/EnhancedMapScreen.js - REFACTORED with UI_CONFIG
-import React, { useRef, useState, useCallback, useEffect, useMemo } from 'react';
-import { View, StatusBar, Text, Animated } from 'react-native';
+import React, { forwardRef, useRef, useState, useCallback, useEffect, useMemo, useImperativeHandle } from 'react';
+import { View, StatusBar, Text, Animated, TouchableOpacity } from 'react-native';
 import { WebView } from 'react-native-webview';
 
 // Import centralized styles
 import { createMapScreenStyles } from '../utils/styleAdapter';
-import { UI_CONFIG } from '../config/ui_config';
+import { UI_CONFIG, THEMES } from '../config/ui_config';
+import { MAP_STYLE_OPTIONS, resolveMapStyle, resolveThemeMapStyle } from '../config/map_config';
+import { MapMessageQueue } from '../utils/mapMessageQueue';
+import { getDeviceId } from '../services/DeviceIdentity';
 
 // Import components with fallback
-let LoadingScreen, ImprovedFloatingButtons;
+let LoadingScreen, ImprovedFloatingButtons, PackageDetailSheet, PACKAGE_SHEET_ACTIONS, ProofOfDeliveryForm, FailedAttemptForm, SyncConflictPrompt;
 
 try {
   LoadingScreen = require('../components/LoadingScreen').default;
 } catch (error) {
   console.warn('LoadingScreen not found, using fallback');
-  LoadingScreen = ({ message }) => (
-    <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: '#fff' }}>
-      <Text>{message || 'Cargando...'}</Text>
-    </View>
-  );
+  LoadingScreen = function LoadingScreenFallback({ message }) {
+    return (
+      <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: '#fff' }}>
+        <Text>{message || 'Cargando...'}</Text>
+      </View>
+    );
+  };
 }
 
 try {
   ImprovedFloatingButtons = require('../components/ImprovedFloatingButtons').default;
 } catch (error) {
   console.warn('ImprovedFloatingButtons not found, using basic fallback');
-  ImprovedFloatingButtons = ({ theme }) => (
-    <View style={{ 
-      position: 'absolute', 
-      bottom: 20, 
-      right: 20, 
-      backgroundColor: '#007AFF', 
-      width: 60, 
-      height: 60, 
-      borderRadius: 30 
-    }} />
-  );
+  ImprovedFloatingButtons = function FloatingButtonsFallback() {
+    return (
+      <View style={{ 
+        position: 'absolute', 
+        bottom: 20, 
+        right: 20, 
+        backgroundColor: '#007AFF', 
+        width: 60, 
+        height: 60, 
+        borderRadius: 30 
+      }} />
+    );
+  };
+}
+
+try {
+  const packageDetailSheet = require('../components/PackageDetailSheet');
+  PackageDetailSheet = packageDetailSheet.default;
+  PACKAGE_SHEET_ACTIONS = packageDetailSheet.PACKAGE_SHEET_ACTIONS;
+} catch (error) {
+  console.warn('PackageDetailSheet not found, using fallback');
+  PackageDetailSheet = function PackageDetailSheetFallback() { return null; };
+  PACKAGE_SHEET_ACTIONS = [];
+}
+
+try {
+  ProofOfDeliveryForm = require('../components/ProofOfDeliveryForm').default;
+} catch (error) {
+  console.warn('ProofOfDeliveryForm not found, using fallback');
+  ProofOfDeliveryForm = function ProofOfDeliveryFormFallback() { return null; };
+}
+
+try {
+  FailedAttemptForm = require('../components/FailedAttemptForm').default;
+} catch (error) {
+  console.warn('FailedAttemptForm not found, using fallback');
+  FailedAttemptForm = function FailedAttemptFormFallback() { return null; };
+}
+
+try {
+  SyncConflictPrompt = require('../components/SyncConflictPrompt').default;
+} catch (error) {
+  console.warn('SyncConflictPrompt not found, using fallback');
+  SyncConflictPrompt = function SyncConflictPromptFallback() { return null; };
 }
 
 // Import hooks with fallbacks
-let useLocationTracking, usePackageManager, useMapControls, useAnimations;
+let useLocationTracking, usePackageManager, useMapControls, useMapBridge, useMapController, useAnimations;
 
 try {
   useLocationTracking = require('../hooks/useLocationTracking').default;
@@ -64,6 +102,8 @@ try {
     isLoading: false,
     error: null,
     updatePackageStatus: () => Promise.resolve({}),
+    completeDelivery: () => Promise.resolve({}),
+    recordDeliveryAttempt: () => Promise.resolve({}),
     loadPackages: () => Promise.resolve([]),
     getPackageDetails: () => Promise.resolve(null),
     subscribeToUpdates: () => () => {}
@@ -78,10 +118,36 @@ try {
     updateDriverLocation: () => {},
     centerOnLocation: () => {},
     fitToPackages: () => {},
+    setClustering: () => {},
+    showRoute: () => {},
+    clearRoute: () => {},
+    prefetchTiles: () => null,
+    configureTileCache: () => {},
+    clearTileCache: () => {},
+    setMapStyle: () => null,
     loadPackagesOnMap: () => {}
   });
 }
 
+try {
+  useMapBridge = require('../hooks/useMapBridge').default;
+} catch (error) {
+  console.warn('useMapBridge not found, using fallback');
+  useMapBridge = (sendMessageToWebView) => ({
+    send: sendMessageToWebView,
+    request: () => Promise.reject(new Error('BRIDGE_UNAVAILABLE: useMapBridge not found')),
+    handleMessage: () => false,
+    protocol: { version: null, remoteVersion: null, compatible: null }
+  });
+}
+
+try {
+  useMapController = require('../hooks/useMapController').default;
+} catch (error) {
+  console.warn('useMapController not found, using fallback');
+  useMapController = () => null;
+}
+
 try {
   useAnimations = require('../hooks/useAnimations').useAnimations;
 } catch (error) {
@@ -93,13 +159,31 @@ try {
 }
 
 // Import utils with fallbacks
-let generateMapHTML, createUserLocationMarker, sendMarkerToMap, AdapterFactory;
+let generateMapHTML, createUserLocationMarker, AdapterFactory;
+let DEFAULT_MAX_VISIBLE_PACKAGES = 500;
+let TILE_CACHE_DEFAULTS = { enabled: false };
+let getBounds = () => null;
+let calculateDistance = () => Infinity;
+
+// WebView pages loaded from an HTML string get an opaque origin, which has no
+// IndexedDB; a base URL gives the map page a real origin for its tile cache
+const MAP_PAGE_BASE_URL = 'https://mapscreen.local/';
+
+// Over maxVisiblePackages the map keeps the packages closest to the driver;
+// they are ranked again once the driver has moved this far (meters)
+const PACKAGE_RERANK_DISTANCE = 250;
+
+// Changes saved offline are confirmed, but the driver should know they are queued
+const pendingSyncNote = (pkg) => (pkg?.pendingSync ? ' (pendiente de sincronizar)' : '');
 
 try {
   const mapUtils = require('../utils');
   generateMapHTML = mapUtils.generateMapHTML;
   createUserLocationMarker = mapUtils.createUserLocationMarker;
-  sendMarkerToMap = mapUtils.sendMarkerToMap;
+  DEFAULT_MAX_VISIBLE_PACKAGES = mapUtils.DEFAULT_MAX_VISIBLE_PACKAGES;
+  TILE_CACHE_DEFAULTS = mapUtils.TILE_CACHE_DEFAULTS;
+  getBounds = mapUtils.getBounds;
+  calculateDistance = mapUtils.calculateDistance;
 } catch (error) {
   console.warn('Utils not found, using fallbacks');
   
@@ -121,23 +205,6 @@ try {
     description: `Precisión: ±${Math.round(location.accuracy || 0)}m`,
     isUserLocation: true
   });
-  
-  sendMarkerToMap = (mapRef, markerData) => {
-    if (!mapRef?.current) return false;
-    try {
-      const message = JSON.stringify({
-        type: 'addUserLocationMarker',
-        marker: markerData,
-        timestamp: new Date().toISOString(),
-        messageId: `msg_${Date.now()}`
-      });
-      mapRef.current.postMessage(message);
-      return true;
-    } catch (error) {
-      console.error('Error sending marker:', error);
-      return false;
-    }
-  };
 }
 
 try {
@@ -147,7 +214,8 @@ try {
   AdapterFactory = {
     createAdapter: () => ({
       getPackages: () => Promise.resolve([]),
-      updatePackageStatus: () => Promise.resolve({})
+      updatePackageStatus: () => Promise.resolve({}),
+      completeDelivery: () => Promise.resolve({})
     })
   };
 }
@@ -156,7 +224,7 @@ try {
 // Main Component
 // ============================================================================
 
-const MapScreen = ({
+const MapScreen = forwardRef(({
   dataSource = 'local',
   apiConfig = {},
   adapter: customAdapter = null,
@@ -166,12 +234,29 @@ const MapScreen = ({
   onError,
   theme = 'light',
   locationConfig = {},
+  maxVisiblePackages = DEFAULT_MAX_VISIBLE_PACKAGES,
+  enableClustering = true,
+  clusterRadius = 50,
+  plannedRoute = null,
+  tileCache = {},
+  mapStyle = null,
+  mapApiKeys = {},
+  maxQueuedMessages = 100,
+  onQueueMetrics,
+  driverId = null,
+  deviceId = null,
+  conflictPolicy = 'merge',
+  syncService = null,
+  syncConfig = {},
+  session = null,
   primaryColor,
   accentColor,
   testID = 'map-screen',
-}) => {
+}, ref) => {
   // Refs
   const webViewRef = useRef(null);
+  // Basemap requested through the ref, not yet reported as drawn
+  const pendingStyleIdRef = useRef(null);
 
   // State
   const [isMapReady, setIsMapReady] = useState(false);
@@ -180,10 +265,45 @@ const MapScreen = ({
   const [showSettings, setShowSettings] = useState(false);
   const [initializationError, setInitializationError] = useState(null);
   const [lastMarkerAdded, setLastMarkerAdded] = useState(null);
+  const [activeBasemap, setActiveBasemap] = useState(null);
+  const [selectedMapStyle, setSelectedMapStyle] = useState(null);
+  const [selectedPackageId, setSelectedPackageId] = useState(null);
+  const [updatingStatus, setUpdatingStatus] = useState(null);
+  const [proofPackageId, setProofPackageId] = useState(null);
+  const [submittingProof, setSubmittingProof] = useState(false);
+  const [attemptPackageId, setAttemptPackageId] = useState(null);
+  const [submittingAttempt, setSubmittingAttempt] = useState(false);
+  const [resolvingConflict, setResolvingConflict] = useState(false);
+
+  const [webViewKey, setWebViewKey] = useState(0);
 
-  // Message queue
-  const [messageQueue, setMessageQueue] = useState([]);
-  const messageQueueRef = useRef([]);
+  // Message queue: prioritized and coalescing, and keeps the map state so a
+  // reloaded page can be rebuilt
+  const messageQueueRef = useRef(null);
+  if (!messageQueueRef.current) {
+    messageQueueRef.current = new MapMessageQueue({ maxSize: maxQueuedMessages });
+  }
+  const [queueMetrics, setQueueMetrics] = useState(() => messageQueueRef.current.getMetrics());
+  const needsStateReplayRef = useRef(false);
+  const mapReadyCountRef = useRef(0);
+  const onQueueMetricsRef = useRef(onQueueMetrics);
+  onQueueMetricsRef.current = onQueueMetrics;
+  const lastTilePrefetchKeyRef = useRef(null);
+  // Driver location the visible packages were last ranked from
+  const packageRankLocationRef = useRef(null);
+  // WebView source, built once from the first known location: later fixes,
+  // theme and style changes reach the page as bridge messages, not reloads
+  const mapPageSourceRef = useRef(null);
+
+  // Tile cache settings; keyed by content so inline prop objects don't re-trigger effects
+  const tileCacheKey = JSON.stringify(tileCache);
+  const tileCacheSettings = useMemo(
+    () => ({ ...TILE_CACHE_DEFAULTS, ...JSON.parse(tileCacheKey) }),
+    [tileCacheKey]
+  );
+
+  const mapApiKeysKey = JSON.stringify(mapApiKeys);
+  const mapApiKeysMemo = useMemo(() => JSON.parse(mapApiKeysKey), [mapApiKeysKey]);
 
   // Memoized styles - recreate only when theme changes
   const styles = useMemo(() => createMapScreenStyles(theme), [theme]);
@@ -203,9 +323,43 @@ const MapScreen = ({
   const fadeAnim = getAnimatedValue('screenFade', 0);
 
   // Services and Adapters
-  const adapter = useRef(
-    customAdapter || AdapterFactory.createAdapter(dataSource, apiConfig || {})
-  );
+  // Built once; with a driver session the API adapter sends its token and
+  // identity. A bad config is reported through onError instead of thrown from render
+  const [adapterSetup] = useState(() => {
+    if (customAdapter) return { adapter: customAdapter, error: null };
+
+    try {
+      const adapter = AdapterFactory.createAdapter(dataSource, {
+        ...(session ? session.getClientConfig() : {}),
+        ...(apiConfig || {})
+      });
+      return { adapter, error: null };
+    } catch (error) {
+      return { adapter: null, error };
+    }
+  });
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  useEffect(() => {
+    const { error } = adapterSetup;
+    if (!error) return;
+
+    console.error('❌ Error creando el adapter:', error);
+    setInitializationError(error.message);
+    if (onErrorRef.current) {
+      onErrorRef.current({ type: 'ADAPTER_CONFIG_ERROR', message: error.message });
+    }
+  }, [adapterSetup]);
+
+  useEffect(() => {
+    if (customAdapter && AdapterFactory.validateAdapter) {
+      const adapterErrors = AdapterFactory.validateAdapter(customAdapter);
+      if (adapterErrors.length > 0) {
+        console.warn('⚠️ Custom adapter does not implement PackageAdapter:', adapterErrors);
+      }
+    }
+  }, [customAdapter]);
 
   // Hooks
   const {
@@ -216,13 +370,42 @@ const MapScreen = ({
   const {
     packages,
     isLoading: packagesLoading,
-  } = usePackageManager(adapter.current, initialPackages || []);
+    mergePackages,
+    removePackage,
+    clearPackages,
+    updatePackageStatus,
+    completeDelivery,
+    recordDeliveryAttempt,
+    syncConflicts = [],
+    resolveSyncConflict,
+  } = usePackageManager(adapterSetup.adapter, initialPackages || [], { conflictPolicy, session });
 
   // WebView readiness check
   const isWebViewReady = useCallback(() => {
     return isMapReady && isWebViewLoaded && webViewRef.current;
   }, [isMapReady, isWebViewLoaded]);
 
+  const postToWebView = useCallback((message) => {
+    try {
+      webViewRef.current.postMessage(JSON.stringify(message));
+      console.log(`📤 [${message.messageId}] Sending message:`, message.type);
+      return true;
+    } catch (error) {
+      console.error(`❌ [${message.messageId}] Error sending message:`, error);
+      return false;
+    }
+  }, []);
+
+  // Process message queue, most important first
+  const processMessageQueue = useCallback(() => {
+    const queue = messageQueueRef.current;
+    if (!isWebViewReady() || queue.size() === 0) return;
+
+    const messages = queue.drain();
+    console.log(`📋 Processing ${messages.length} queued messages...`);
+    messages.forEach(postToWebView);
+  }, [isWebViewReady, postToWebView]);
+
   // Message sending function
   const sendMessageToWebView = useCallback((message) => {
     const enrichedMessage = {
@@ -231,48 +414,44 @@ const MapScreen = ({
       source: 'map_screen',
       messageId: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
     };
+    const queue = messageQueueRef.current;
 
-    if (isWebViewReady()) {
-      try {
-        const messageString = JSON.stringify(enrichedMessage);
-        console.log(`📤 [${enrichedMessage.messageId}] Sending message:`, message.type);
-        webViewRef.current.postMessage(messageString);
-        return true;
-      } catch (error) {
-        console.error(`❌ [${enrichedMessage.messageId}] Error sending message:`, error);
-        return false;
-      }
-    } else {
-      console.log(`⏳ [${enrichedMessage.messageId}] Adding to queue:`, message.type);
-      setMessageQueue(prev => [...prev, enrichedMessage]);
-      messageQueueRef.current = [...messageQueueRef.current, enrichedMessage];
-      return false;
+    queue.recordState(enrichedMessage);
+
+    if (isWebViewReady() && queue.size() === 0) {
+      return postToWebView(enrichedMessage);
     }
-  }, [isWebViewReady]);
 
-  // Process message queue
-  const processMessageQueue = useCallback(() => {
-    if (!isWebViewReady() || messageQueueRef.current.length === 0) return;
+    const { coalesced } = queue.enqueue(enrichedMessage);
+    console.log(`⏳ [${enrichedMessage.messageId}] ${coalesced ? 'Replacing queued' : 'Adding to queue'}:`, message.type);
 
-    const currentQueue = [...messageQueueRef.current];
-    console.log(`📋 Processing ${currentQueue.length} queued messages...`);
+    // Queued messages go first so the page sees commands in order
+    if (isWebViewReady()) {
+      processMessageQueue();
+      return true;
+    }
+    return false;
+  }, [isWebViewReady, postToWebView, processMessageQueue]);
 
-    setMessageQueue([]);
-    messageQueueRef.current = [];
+  // Validated commands, requests with responses and the protocol handshake
+  const mapBridge = useMapBridge(sendMessageToWebView, {
+    onProtocolMismatch: ({ local, remote }) => {
+      if (onError) {
+        onError({ type: 'PROTOCOL_MISMATCH', message: `Map page protocol ${remote} is not compatible with ${local}` });
+      }
+    }
+  });
+  const { send, handleMessage } = mapBridge;
 
-    currentQueue.forEach((message, index) => {
-      setTimeout(() => {
-        try {
-          if (webViewRef.current) {
-            webViewRef.current.postMessage(JSON.stringify(message));
-            console.log(`📤 [${message.messageId}] Processed message ${index + 1}/${currentQueue.length}`);
-          }
-        } catch (error) {
-          console.error(`❌ Error processing queued message ${index + 1}:`, error);
-        }
-      }, index * 100);
-    });
-  }, [isWebViewReady]);
+  // The page lost its state (content process killed, reload): remount the
+  // WebView and rebuild the map from the recorded state once it is ready
+  const handleWebViewTerminated = useCallback((reason) => {
+    console.warn(`💥 WebView ${reason}, reloading map`);
+    needsStateReplayRef.current = true;
+    setIsMapReady(false);
+    setIsWebViewLoaded(false);
+    setWebViewKey(key => key + 1);
+  }, []);
 
   // WebView message handler
   const handleWebViewMessage = useCallback((event) => {
@@ -280,10 +459,29 @@ const MapScreen = ({
       const data = JSON.parse(event.nativeEvent.data);
       console.log('📨 Message from WebView:', data.type);
 
+      if (handleMessage(data)) {
+        return;
+      }
+
       switch (data.type) {
         case 'mapReady':
           console.log('🗺️ MapLibre ready');
+          mapReadyCountRef.current += 1;
+          // A second mapReady means the page reloaded by itself
+          if (needsStateReplayRef.current || mapReadyCountRef.current > 1) {
+            needsStateReplayRef.current = false;
+            messageQueueRef.current.replayState();
+          }
+          pendingStyleIdRef.current = null;
           setIsMapReady(true);
+          setActiveBasemap(data.basemap || null);
+          break;
+        case 'mapStyleChanged':
+          console.log('🎨 Basemap changed:', data.basemap?.id);
+          if (pendingStyleIdRef.current === data.basemap?.id) {
+            pendingStyleIdRef.current = null;
+          }
+          setActiveBasemap(data.basemap || null);
           break;
         case 'userLocationMarkerAdded':
           console.log('✅ User location marker added:', data.markerId);
@@ -306,6 +504,44 @@ const MapScreen = ({
         case 'mapCentered':
           console.log('🎯 Map centered on location:', data.coordinates);
           break;
+        case 'packagesLoaded':
+          console.log(`📦 ${data.count} packages on map${data.hidden ? ` (${data.hidden} hidden)` : ''}`);
+          break;
+        case 'packagesFitted':
+          console.log(`🔍 Map fitted to ${data.count} points`);
+          break;
+        case 'packageSelected':
+          console.log(`📦 Package selected on map: ${data.packageId}${data.userInitiated ? ' (tap)' : ''}`);
+          setSelectedPackageId(String(data.packageId));
+          break;
+        case 'packageSelectionCleared':
+          console.log('📦 Package selection cleared:', data.reason);
+          setSelectedPackageId(null);
+          break;
+        case 'clusterExpanded':
+          console.log(`🔍 Cluster of ${data.count} packages expanded to zoom ${data.zoom}`);
+          break;
+        case 'clusteringChanged':
+          console.log(`🔘 Clustering ${data.enabled ? 'enabled' : 'disabled'} (radius ${data.radius})`);
+          break;
+        case 'routeShown':
+          console.log(`🛣️ Route on map: ${data.stops} stops, ${data.completed} completed, next ${data.nextPackageId}`);
+          break;
+        case 'routeCleared':
+          console.log('🧹 Route cleared from map');
+          break;
+        case 'tilePrefetchProgress':
+          console.log(`⬇️ Tile prefetch ${data.done}/${data.total}`);
+          break;
+        case 'tilePrefetchComplete':
+          console.log(`✅ Tile prefetch done: ${data.downloaded} downloaded, ${data.cached} already cached, ${data.failed} failed`);
+          break;
+        case 'tileCacheStats':
+          console.log(`🗄️ Tile cache: ${data.stats?.count} tiles, ${Math.round((data.stats?.bytes || 0) / 1024 / 1024)} MB`);
+          break;
+        case 'userLocationMarkerUpdated':
+          console.log('📍 User location marker moved:', data.markerId);
+          break;
         case 'error':
           console.error('❌ Map error:', data.error);
           if (onError) {
@@ -318,15 +554,34 @@ const MapScreen = ({
     } catch (error) {
       console.error('❌ Error processing WebView message:', error);
     }
-  }, [onError, onLocationUpdate]);
+  }, [onError, onLocationUpdate, handleMessage]);
 
   // Map controls
   const {
     updateDriverLocation,
     centerOnLocation,
     fitToPackages,
+    setClustering,
+    showRoute,
+    clearRoute,
+    prefetchTiles,
+    configureTileCache,
+    setMapStyle,
     loadPackagesOnMap
-  } = useMapControls(sendMessageToWebView, isWebViewReady());
+  } = useMapControls(send, isWebViewReady());
+
+  // Imperative API for the parent (ref): camera, selection, style, snapshots
+  const mapController = useMapController(mapBridge, {
+    packages,
+    apiKeys: mapApiKeysMemo,
+    onStyleRequested: (style, resolved) => {
+      // The controller sends the switch itself; keep the effect below from repeating it
+      pendingStyleIdRef.current = resolved.id;
+      setSelectedMapStyle(style);
+    }
+  });
+
+  useImperativeHandle(ref, () => mapController, [mapController]);
 
   // ============================================================================
   // Action handlers
@@ -372,31 +627,29 @@ const MapScreen = ({
           id: `user-center-${Date.now()}`
         });
 
+        // Through the bridge, so the marker waits in the queue until the map is
+        // ready and is put back if the page reloads
         console.log('📍 Sending marker to map...');
-        const markerSent = sendMarkerToMap(webViewRef, markerData);
+        send({ type: 'addUserLocationMarker', marker: markerData });
 
-        if (markerSent) {
-          await new Promise(resolve => setTimeout(resolve, 300));
-          
-          console.log('🎯 Centering map on new location...');
-          centerOnLocation(location);
-          
-          await new Promise(resolve => setTimeout(resolve, 800));
+        await new Promise(resolve => setTimeout(resolve, 300));
 
-          if (onLocationUpdate) {
-            onLocationUpdate({
-              ...location,
-              markerData,
-              source: 'map_screen_new_location',
-              centered: true
-            });
-          }
+        console.log('🎯 Centering map on new location...');
+        centerOnLocation(location);
 
-          console.log('✅ Location flow completed successfully');
-        } else {
-          console.warn('⚠️ Failed to send marker to map');
+        await new Promise(resolve => setTimeout(resolve, 800));
+
+        if (onLocationUpdate) {
+          onLocationUpdate({
+            ...location,
+            markerData,
+            source: 'map_screen_new_location',
+            centered: true
+          });
         }
 
+        console.log('✅ Location flow completed successfully');
+
       } catch (error) {
         console.error('❌ Error getting location:', error);
         if (onError) {
@@ -417,7 +670,7 @@ const MapScreen = ({
         });
       }
     }
-  }, [currentLocation, centerOnLocation, getCurrentLocation, onError, onLocationUpdate]);
+  }, [currentLocation, centerOnLocation, getCurrentLocation, send, onError, onLocationUpdate]);
 
   const handleFitToPackages = useCallback(() => {
     if (packages && packages.length > 0) {
@@ -433,11 +686,246 @@ const MapScreen = ({
     }
   }, [packages, fitToPackages]);
 
+  // Delta sync: changed packages are merged, removed ones leave the map
+  const handlePackagesSynced = useCallback((responseData) => {
+    if (!mergePackages || !Array.isArray(responseData?.packages)) return;
+
+    const merged = mergePackages(responseData.packages);
+    const removed = Array.isArray(responseData.removed) ? responseData.removed : [];
+    if (removePackage) {
+      removed.forEach(packageId => removePackage(String(packageId)));
+    }
+    console.log(`🔄 ${merged.length} synced packages merged into package manager, ${removed.length} removed`);
+  }, [mergePackages, removePackage]);
+
+  // Package detail sheet
+  const selectedPackage = useMemo(
+    () => (selectedPackageId ? packages.find(pkg => pkg.id === selectedPackageId) || null : null),
+    [packages, selectedPackageId]
+  );
+
+  const handleClosePackageSheet = useCallback(() => {
+    setSelectedPackageId(null);
+    send({ type: 'clearPackageSelection' });
+  }, [send]);
+
+  // Driver and device: the props win, otherwise the session's driver and the
+  // persisted ID of this installation
+  const [sessionDriverId, setSessionDriverId] = useState(() => session?.getDriverId() || null);
+  const [storedDeviceId, setStoredDeviceId] = useState(null);
+
+  useEffect(() => {
+    if (deviceId) return undefined;
+
+    let isActive = true;
+    getDeviceId()
+      .then(id => {
+        if (isActive) setStoredDeviceId(id);
+      })
+      .catch(error => console.error('❌ Error obteniendo el ID del dispositivo:', error));
+
+    return () => {
+      isActive = false;
+    };
+  }, [deviceId]);
+
+  // Al cerrar sesión los paquetes del conductor salen del mapa y del dispositivo,
+  // también los que el SyncService inyectado guarda en memoria con su cursor
+  useEffect(() => {
+    if (!session) return undefined;
+
+    session.load().then(() => setSessionDriverId(session.getDriverId()));
+
+    return session.subscribe(({ type, session: current }) => {
+      setSessionDriverId(current?.driverId || null);
+
+      if (type === 'logout') {
+        console.log('🔒 Sesión cerrada, borrando paquetes del conductor');
+        clearPackages?.();
+        syncService?.resetSyncState();
+        setSelectedPackageId(null);
+        setProofPackageId(null);
+        setAttemptPackageId(null);
+      }
+    });
+  }, [session, clearPackages, syncService]);
+
+  const auditDriverId = driverId || sessionDriverId;
+  const auditDeviceId = deviceId || storedDeviceId;
+
+  // Who, on which device and where: kept with every status change (audit trail)
+  const buildAudit = useCallback(
+    (location) => ({ actor: auditDriverId, deviceId: auditDeviceId, location }),
+    [auditDriverId, auditDeviceId]
+  );
+
+  const handleUpdatePackageStatus = useCallback(async (status) => {
+    if (!selectedPackage || updatingStatus) return;
+
+    // Delivering needs a proof of delivery: the form submits it
+    if (status === 'DELIVERED') {
+      setProofPackageId(selectedPackage.id);
+      return;
+    }
+
+    // Failed attempts are counted and rescheduled: the form records the reason
+    if (status === 'ATTEMPTED') {
+      setAttemptPackageId(selectedPackage.id);
+      return;
+    }
+
+    const action = PACKAGE_SHEET_ACTIONS.find(a => a.status === status);
+    setUpdatingStatus(status);
+
+    try {
+      const location = await getCurrentLocation();
+      const updated = await updatePackageStatus(selectedPackage.id, status, buildAudit(location || currentLocation));
+      console.log(`📦 Package ${selectedPackage.id} marked ${status}`);
+
+      if (onPackageUpdate) {
+        onPackageUpdate(updated || { ...selectedPackage, status });
+      }
+      setNotification({
+        message: `${selectedPackage.trackingNumber}: ${action ? action.label : status}${pendingSyncNote(updated)}`,
+        type: 'success'
+      });
+
+      // Nothing left to do at this stop
+      handleClosePackageSheet();
+    } catch (error) {
+      console.error('❌ Error updating package status:', error);
+      setNotification({ message: 'No se pudo actualizar el paquete', type: 'error' });
+      if (onError) {
+        onError({ type: 'PACKAGE_UPDATE_ERROR', message: error.message, packageId: selectedPackage.id });
+      }
+    } finally {
+      setUpdatingStatus(null);
+    }
+  }, [selectedPackage, updatingStatus, getCurrentLocation, updatePackageStatus, currentLocation, buildAudit, onPackageUpdate, onError, handleClosePackageSheet]);
+
+  const proofPackage = useMemo(
+    () => (proofPackageId ? packages.find(pkg => pkg.id === proofPackageId) || null : null),
+    [packages, proofPackageId]
+  );
+
+  const handleCancelProof = useCallback(() => {
+    if (!submittingProof) {
+      setProofPackageId(null);
+    }
+  }, [submittingProof]);
+
+  const handleSubmitProof = useCallback(async (input) => {
+    if (!proofPackage || submittingProof) return;
+
+    setSubmittingProof(true);
+
+    try {
+      // Fresh fix where the package was handed over; the tracked one if GPS fails
+      const location = (await getCurrentLocation()) || currentLocation;
+      const updated = await completeDelivery(proofPackage.id, { ...input, location }, buildAudit(location));
+      console.log(`📦 Package ${proofPackage.id} delivered with proof of delivery`);
+
+      if (onPackageUpdate) {
+        onPackageUpdate(updated || { ...proofPackage, status: 'DELIVERED' });
+      }
+      setNotification({ message: `${proofPackage.trackingNumber}: Entregado${pendingSyncNote(updated)}`, type: 'success' });
+
+      setProofPackageId(null);
+      handleClosePackageSheet();
+    } catch (error) {
+      console.error('❌ Error completing delivery:', error);
+      setNotification({ message: 'No se pudo registrar la entrega', type: 'error' });
+      if (onError) {
+        onError({ type: 'PROOF_OF_DELIVERY_ERROR', message: error.message, packageId: proofPackage.id });
+      }
+    } finally {
+      setSubmittingProof(false);
+    }
+  }, [proofPackage, submittingProof, getCurrentLocation, completeDelivery, currentLocation, buildAudit, onPackageUpdate, onError, handleClosePackageSheet]);
+
+  const attemptPackage = useMemo(
+    () => (attemptPackageId ? packages.find(pkg => pkg.id === attemptPackageId) || null : null),
+    [packages, attemptPackageId]
+  );
+
+  const handleCancelAttempt = useCallback(() => {
+    if (!submittingAttempt) {
+      setAttemptPackageId(null);
+    }
+  }, [submittingAttempt]);
+
+  const handleSubmitAttempt = useCallback(async (input) => {
+    if (!attemptPackage || submittingAttempt) return;
+
+    setSubmittingAttempt(true);
+
+    try {
+      const location = (await getCurrentLocation()) || currentLocation;
+      const updated = await recordDeliveryAttempt(attemptPackage.id, { ...input, location }, buildAudit(location));
+      console.log(`📦 Package ${attemptPackage.id} attempt ${updated?.attempts} recorded (${updated?.status})`);
+
+      if (onPackageUpdate && updated) {
+        onPackageUpdate(updated);
+      }
+      setNotification({
+        message: updated?.status === 'RETURN_TO_SENDER'
+          ? `${attemptPackage.trackingNumber}: sin intentos, devolver al remitente`
+          : `${attemptPackage.trackingNumber}: intento ${updated?.attempts}/${updated?.maxAttempts} registrado${pendingSyncNote(updated)}`,
+        type: updated?.status === 'RETURN_TO_SENDER' ? 'warning' : 'success'
+      });
+
+      setAttemptPackageId(null);
+      handleClosePackageSheet();
+    } catch (error) {
+      console.error('❌ Error recording delivery attempt:', error);
+      setNotification({ message: 'No se pudo registrar el intento', type: 'error' });
+      if (onError) {
+        onError({ type: 'DELIVERY_ATTEMPT_ERROR', message: error.message, packageId: attemptPackage.id });
+      }
+    } finally {
+      setSubmittingAttempt(false);
+    }
+  }, [attemptPackage, submittingAttempt, getCurrentLocation, recordDeliveryAttempt, currentLocation, buildAudit, onPackageUpdate, onError, handleClosePackageSheet]);
+
+  // Queued change the server also changed: the driver picks which copy stays (one at a time)
+  const activeConflict = syncConflicts.length > 0 ? syncConflicts[0] : null;
+
+  const handleResolveConflict = useCallback(async (resolution) => {
+    if (!activeConflict || resolvingConflict || !resolveSyncConflict) return;
+
+    setResolvingConflict(true);
+
+    try {
+      await resolveSyncConflict(activeConflict.idempotencyKey, resolution);
+      console.log(`📦 Conflict on package ${activeConflict.packageId} resolved: ${resolution}`);
+    } catch (error) {
+      console.error('❌ Error resolving sync conflict:', error);
+      setNotification({ message: 'No se pudo resolver el conflicto', type: 'error' });
+      if (onError) {
+        onError({ type: 'SYNC_CONFLICT_ERROR', message: error.message, packageId: activeConflict.packageId });
+      }
+    } finally {
+      setResolvingConflict(false);
+    }
+  }, [activeConflict, resolvingConflict, resolveSyncConflict, onError]);
+
   const handleToggleSettings = useCallback(() => {
     setShowSettings(prev => !prev);
     console.log('⚙️ Settings toggled:', !showSettings);
   }, [showSettings]);
 
+  const handleSelectMapStyle = useCallback((option) => {
+    console.log('🎨 Basemap selected:', option.key);
+    setSelectedMapStyle(option.style);
+  }, []);
+
+  // Highlighted option: the one whose style resolves to the basemap on screen
+  const activeStyleOptionKey = useMemo(() => {
+    if (!activeBasemap) return null;
+    const option = MAP_STYLE_OPTIONS.find(o => resolveMapStyle(o.style, mapApiKeysMemo).id === activeBasemap.id);
+    return option ? option.key : null;
+  }, [activeBasemap, mapApiKeysMemo]);
+
   // ============================================================================
   // Effects
   // ============================================================================
@@ -449,11 +937,18 @@ const MapScreen = ({
   }, [fadeIn]);
 
   useEffect(() => {
-    if (isWebViewReady() && messageQueueRef.current.length > 0) {
+    if (isWebViewReady() && queueMetrics.depth > 0) {
       const timeoutId = setTimeout(processMessageQueue, 500);
       return () => clearTimeout(timeoutId);
     }
-  }, [isWebViewReady, processMessageQueue]);
+  }, [isWebViewReady, processMessageQueue, queueMetrics.depth]);
+
+  useEffect(() => messageQueueRef.current.subscribe((metrics) => {
+    setQueueMetrics(metrics);
+    if (onQueueMetricsRef.current) {
+      onQueueMetricsRef.current(metrics);
+    }
+  }), []);
 
   useEffect(() => {
     if (currentLocation && updateDriverLocation) {
@@ -467,12 +962,88 @@ const MapScreen = ({
     }
   }, [currentLocation, updateDriverLocation, onLocationUpdate]);
 
+  // Packages go to the map when they change, not on every GPS fix; the
+  // location only ranks them when there are more than maxVisiblePackages
+  const latestLocationRef = useRef(currentLocation);
+  latestLocationRef.current = currentLocation;
+
   useEffect(() => {
-    if (isMapReady && packages && packages.length > 0 && loadPackagesOnMap) {
+    // Empty lists are sent too, so removed packages disappear from the map
+    if (isMapReady && Array.isArray(packages) && loadPackagesOnMap) {
       console.log(`📦 Loading ${packages.length} packages on map`);
-      loadPackagesOnMap(packages, currentLocation);
+      packageRankLocationRef.current = latestLocationRef.current;
+      loadPackagesOnMap(packages, latestLocationRef.current, { maxVisiblePackages });
+    }
+  }, [isMapReady, packages, loadPackagesOnMap, maxVisiblePackages]);
+
+  useEffect(() => {
+    if (!isMapReady || !currentLocation || !loadPackagesOnMap) return;
+    if (!Array.isArray(packages) || maxVisiblePackages <= 0 || packages.length <= maxVisiblePackages) return;
+
+    const ranked = packageRankLocationRef.current;
+    const moved = ranked
+      ? calculateDistance(ranked.latitude, ranked.longitude, currentLocation.latitude, currentLocation.longitude)
+      : Infinity;
+
+    if (moved >= PACKAGE_RERANK_DISTANCE) {
+      console.log(`📦 Driver moved ${Number.isFinite(moved) ? Math.round(moved) : '?'}m, re-ranking visible packages`);
+      packageRankLocationRef.current = currentLocation;
+      loadPackagesOnMap(packages, currentLocation, { maxVisiblePackages });
+    }
+  }, [isMapReady, currentLocation, packages, loadPackagesOnMap, maxVisiblePackages]);
+
+  useEffect(() => {
+    if (isMapReady && setClustering) {
+      setClustering(enableClustering, clusterRadius);
+    }
+  }, [isMapReady, enableClustering, clusterRadius, setClustering]);
+
+  useEffect(() => {
+    if (isMapReady) {
+      configureTileCache(tileCacheSettings);
+    }
+  }, [isMapReady, tileCacheSettings, configureTileCache]);
+
+  // Prefetch tiles around today's packages whenever their bounding box changes
+  useEffect(() => {
+    if (!isMapReady || !tileCacheSettings.enabled || !Array.isArray(packages)) return;
+
+    const coordinates = packages.filter(pkg =>
+      typeof pkg.latitude === 'number' && typeof pkg.longitude === 'number'
+    );
+    const bounds = getBounds(coordinates);
+    if (!bounds) return;
+
+    const key = [bounds.minLat, bounds.maxLat, bounds.minLng, bounds.maxLng]
+      .map(value => value.toFixed(3))
+      .concat(tileCacheSettings.minZoom, tileCacheSettings.maxZoom)
+      .join('|');
+
+    if (key !== lastTilePrefetchKeyRef.current && prefetchTiles(coordinates, tileCacheSettings)) {
+      lastTilePrefetchKeyRef.current = key;
+    }
+  }, [isMapReady, packages, tileCacheSettings, prefetchTiles]);
+
+  // Re-sent when packages change so delivered stops are greyed out
+  useEffect(() => {
+    if (!isMapReady) return;
+
+    if (plannedRoute) {
+      showRoute(plannedRoute, packages);
+    } else {
+      clearRoute();
     }
-  }, [isMapReady, packages, currentLocation, loadPackagesOnMap]);
+  }, [isMapReady, plannedRoute, packages, showRoute, clearRoute]);
+
+  // Runtime basemap switch (settings panel); also re-applied if the page reloads
+  useEffect(() => {
+    if (!isMapReady || !selectedMapStyle || !activeBasemap) return;
+
+    const target = resolveThemeMapStyle(THEMES, theme, selectedMapStyle, mapApiKeysMemo);
+    if (target.id !== activeBasemap.id && target.id !== pendingStyleIdRef.current) {
+      setMapStyle(target, mapApiKeysMemo);
+    }
+  }, [isMapReady, selectedMapStyle, activeBasemap, theme, mapApiKeysMemo, setMapStyle]);
 
   useEffect(() => {
     if (notification.message) {
@@ -504,6 +1075,13 @@ const MapScreen = ({
     );
   }
 
+  if (!mapPageSourceRef.current) {
+    mapPageSourceRef.current = {
+      html: generateMapHTML(currentLocation, theme, { mapStyle, apiKeys: mapApiKeysMemo }),
+      baseUrl: MAP_PAGE_BASE_URL
+    };
+  }
+
   return (
     <Animated.View style={[styles.container, { opacity: fadeAnim }]} testID={testID}>
       <StatusBar
@@ -512,8 +1090,9 @@ const MapScreen = ({
       />
 
       <WebView
+        key={webViewKey}
         ref={webViewRef}
-        source={{ html: generateMapHTML(currentLocation, theme) }}
+        source={mapPageSourceRef.current}
         style={styles.webview}
         onMessage={handleWebViewMessage}
         javaScriptEnabled={true}
@@ -530,11 +1109,16 @@ const MapScreen = ({
         onError={(syntheticEvent) => {
           const { nativeEvent } = syntheticEvent;
           console.error('❌ WebView error:', nativeEvent);
+          needsStateReplayRef.current = true;
           setIsWebViewLoaded(false);
           if (onError) {
             onError({ type: 'MAP_LOAD_ERROR', message: nativeEvent.description });
           }
         }}
+        onContentProcessDidTerminate={() => handleWebViewTerminated('content process terminated')}
+        onRenderProcessGone={({ nativeEvent }) => handleWebViewTerminated(
+          nativeEvent?.didCrash ? 'render process crashed' : 'render process killed'
+        )}
       />
 
       {/* Notification System */}
@@ -549,10 +1133,72 @@ const MapScreen = ({
         </View>
       )}
 
+      {/* Settings: basemap picker */}
+      {showSettings && (
+        <View style={styles.settingsPanel} testID={`${testID}-settings`}>
+          <Text style={styles.settingsTitle}>Mapa base</Text>
+          <View style={styles.styleOptions}>
+            {MAP_STYLE_OPTIONS.map(option => (
+              <TouchableOpacity
+                key={option.key}
+                style={[styles.styleOption, option.key === activeStyleOptionKey && styles.styleOptionActive]}
+                onPress={() => handleSelectMapStyle(option)}
+                testID={`${testID}-style-${option.key}`}
+              >
+                <Text style={styles.styleOptionIcon}>{option.icon}</Text>
+                <Text style={styles.styleOptionLabel}>{option.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      )}
+
+      {/* Selected package */}
+      <PackageDetailSheet
+        pkg={selectedPackage}
+        theme={theme}
+        updatingStatus={updatingStatus}
+        onUpdateStatus={handleUpdatePackageStatus}
+        onClose={handleClosePackageSheet}
+        testID={`${testID}-package-sheet`}
+      />
+
+      <ProofOfDeliveryForm
+        visible={!!proofPackage}
+        pkg={proofPackage}
+        theme={theme}
+        submitting={submittingProof}
+        onSubmit={handleSubmitProof}
+        onCancel={handleCancelProof}
+        testID={`${testID}-proof-of-delivery`}
+      />
+
+      <FailedAttemptForm
+        visible={!!attemptPackage}
+        pkg={attemptPackage}
+        theme={theme}
+        submitting={submittingAttempt}
+        onSubmit={handleSubmitAttempt}
+        onCancel={handleCancelAttempt}
+        testID={`${testID}-failed-attempt`}
+      />
+
+      <SyncConflictPrompt
+        conflict={activeConflict}
+        theme={theme}
+        resolving={resolvingConflict}
+        onResolve={handleResolveConflict}
+        testID={`${testID}-sync-conflict`}
+      />
+
       {/* Floating Buttons */}
       <ImprovedFloatingButtons
         mapRef={webViewRef}
         onLocationFound={handleLocationFound}
+        onPackagesSynced={handlePackagesSynced}
+        syncService={syncService}
+        syncConfig={syncConfig}
+        session={session}
         on_center_location={handleCenterLocation}
         on_fit_to_packages={handleFitToPackages}
         on_toggle_settings={handleToggleSettings}
@@ -566,7 +1212,7 @@ const MapScreen = ({
             Map: {isMapReady ? '✅' : '❌'} | WebView: {isWebViewLoaded ? '✅' : '❌'}
           </Text>
           <Text style={styles.debugText}>
-            Queue: {messageQueue.length} msgs | Packages: {packages.length}
+            Queue: {queueMetrics.depth} msgs (max {queueMetrics.maxDepth}, {queueMetrics.coalesced} coalesced, {queueMetrics.dropped} dropped) | Packages: {packages.length}
           </Text>
           {currentLocation && (
             <Text style={styles.debugText}>
@@ -582,6 +1228,8 @@ const MapScreen = ({
       )}
     </Animated.View>
   );
-};
+});
+
+MapScreen.displayName = 'MapScreen';
 
 export default MapScreen;
\ No newline at end of file
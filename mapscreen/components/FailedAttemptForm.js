@@ -0,0 +1,196 @@
+// mapscreen/components/FailedAttemptForm.js - Failed delivery attempt capture
+// Reason code, notes and a photo; the GPS fix is added by the caller on submit
+
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  Image,
+  TextInput,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import { createModalFormStyles, getThemeColors } from '../utils/styleAdapter';
+import {
+  FAILURE_REASONS,
+  ATTEMPT_LIMITS,
+  createDeliveryAttempt,
+  validateDeliveryAttempt,
+  getNextDeliveryWindow
+} from '../utils/failedDelivery';
+import { DEFAULT_MAX_ATTEMPTS, formatDeliveryWindow } from '../utils/packageModel';
+import { capturePhoto, isPhotoCaptureAvailable } from '../utils/photoCapture';
+
+const EMPTY_FORM = { reason: null, notes: '', photos: [] };
+
+const FailedAttemptForm = ({
+  visible,
+  pkg,
+  theme = 'light',
+  submitting = false,
+  onSubmit,
+  onCancel,
+  testID = 'failed-attempt'
+}) => {
+  const styles = useMemo(() => createModalFormStyles(theme), [theme]);
+  const colors = useMemo(() => getThemeColors(theme), [theme]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState([]);
+
+  const packageId = pkg?.id;
+
+  // Fresh form for every package
+  useEffect(() => {
+    if (visible) {
+      setForm(EMPTY_FORM);
+      setErrors([]);
+    }
+  }, [visible, packageId]);
+
+  const handleAddPhoto = useCallback(async () => {
+    if (form.photos.length >= ATTEMPT_LIMITS.maxPhotos) return;
+
+    try {
+      const photo = await capturePhoto();
+      if (!photo) return;
+
+      setForm(prev => ({ ...prev, photos: [...prev.photos, photo].slice(0, ATTEMPT_LIMITS.maxPhotos) }));
+    } catch (error) {
+      console.error('❌ Error tomando la foto:', error);
+      setErrors([{
+        code: 'CAMERA_ERROR',
+        message: error.message.startsWith('CAMERA_PERMISSION')
+          ? 'Se necesita acceso a la cámara para la foto'
+          : 'No se pudo tomar la foto'
+      }]);
+    }
+  }, [form.photos.length]);
+
+  const handleRemovePhoto = useCallback((uri) => {
+    setForm(prev => ({ ...prev, photos: prev.photos.filter(photo => photo.uri !== uri) }));
+  }, []);
+
+  const handleSubmit = useCallback(() => {
+    if (submitting) return;
+
+    const { isValid, errors: validationErrors } = validateDeliveryAttempt(pkg, createDeliveryAttempt(form));
+    setErrors(validationErrors);
+
+    if (isValid && onSubmit) {
+      onSubmit(form);
+    }
+  }, [form, pkg, submitting, onSubmit]);
+
+  if (!pkg) return null;
+
+  const photosEnabled = isPhotoCaptureAvailable();
+  const canAddPhoto = photosEnabled && form.photos.length < ATTEMPT_LIMITS.maxPhotos;
+
+  // What happens after this attempt, so the driver knows before confirming
+  const attemptNumber = (pkg.attempts || 0) + 1;
+  const maxAttempts = pkg.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  const nextWindow = attemptNumber < maxAttempts ? getNextDeliveryWindow(pkg.deliveryWindow) : null;
+  const outcome = attemptNumber >= maxAttempts
+    ? '↩️ Último intento: el paquete se devolverá al remitente'
+    : nextWindow
+      ? `🕒 Se reprograma para ${formatDeliveryWindow(nextWindow)}`
+      : '🕒 Se reprograma para el siguiente día de reparto';
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onCancel}>
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <View style={styles.container} testID={testID}>
+          <ScrollView keyboardShouldPersistTaps="handled">
+            <Text style={styles.title}>Entrega no realizada</Text>
+            <Text style={styles.subtitle}>
+              📦 {pkg.trackingNumber} · Intento {attemptNumber}/{maxAttempts}
+            </Text>
+
+            <Text style={styles.label}>Motivo</Text>
+            <View style={styles.reasons}>
+              {Object.values(FAILURE_REASONS).map(reason => (
+                <TouchableOpacity
+                  key={reason.code}
+                  style={[styles.reasonChip, form.reason === reason.code && styles.reasonChipSelected]}
+                  onPress={() => setForm(prev => ({ ...prev, reason: reason.code }))}
+                  testID={`${testID}-reason-${reason.code.toLowerCase()}`}
+                >
+                  <Text>{reason.icon}</Text>
+                  <Text style={styles.reasonChipText}>{reason.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={styles.label}>Notas</Text>
+            <TextInput
+              style={[styles.input, styles.inputMultiline]}
+              value={form.notes}
+              onChangeText={notes => setForm(prev => ({ ...prev, notes }))}
+              placeholder="Detalles para el siguiente intento"
+              placeholderTextColor={colors.textPlaceholder}
+              maxLength={ATTEMPT_LIMITS.maxNotesLength}
+              multiline
+              testID={`${testID}-notes`}
+            />
+
+            {photosEnabled && (
+              <>
+                <Text style={styles.label}>Foto</Text>
+                <View style={styles.photos}>
+                  {form.photos.map(photo => (
+                    <TouchableOpacity key={photo.uri} onLongPress={() => handleRemovePhoto(photo.uri)}>
+                      <Image source={{ uri: photo.uri }} style={styles.photo} />
+                    </TouchableOpacity>
+                  ))}
+                  {canAddPhoto && (
+                    <TouchableOpacity style={styles.addPhoto} onPress={handleAddPhoto} testID={`${testID}-add-photo`}>
+                      <Text style={styles.addPhotoIcon}>📷</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              </>
+            )}
+
+            <Text style={styles.notice}>{outcome}</Text>
+
+            {errors.map(error => (
+              <Text key={error.code} style={styles.errorText}>⚠️ {error.message}</Text>
+            ))}
+          </ScrollView>
+
+          <View style={styles.actions}>
+            <TouchableOpacity
+              style={[styles.button, styles.buttonSecondary]}
+              onPress={onCancel}
+              disabled={submitting}
+              testID={`${testID}-cancel`}
+            >
+              <Text style={styles.buttonText}>Cancelar</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.buttonWarning, submitting && styles.buttonDisabled]}
+              onPress={handleSubmit}
+              disabled={submitting}
+              testID={`${testID}-submit`}
+            >
+              {submitting ? (
+                <ActivityIndicator color={colors.textInverse} />
+              ) : (
+                <Text style={[styles.buttonText, styles.buttonTextPrimary]}>⚠️ Registrar intento</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+export default FailedAttemptForm;
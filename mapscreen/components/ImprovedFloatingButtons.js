@@ -113,6 +113,9 @@ const ImprovedFloatingButtons = ({
   mapRef,
   onLocationFound,
   onPackagesSynced,
+  syncService: injectedSyncService = null,
+  syncConfig = {},
+  session = null,
   theme = 'light',
 }) => {
   // ============================================================================
@@ -144,12 +147,38 @@ const ImprovedFloatingButtons = ({
   // REFS
   // ============================================================================
   const locationTimeoutRef = useRef(null);
-  const syncTimeoutRef = useRef(null);
   const statusTimeoutRef = useRef(null);
   const messageLogRef = useRef([]);
 
   const locationService = useRef(new LocationService()).current;
-  const syncService = useRef(new SyncService()).current;
+
+  // The host app can inject its own SyncService; otherwise one is built from
+  // syncConfig, with the driver's token and identity when there is a session
+  const ownSyncServiceRef = useRef(null);
+  if (!injectedSyncService && !ownSyncServiceRef.current) {
+    ownSyncServiceRef.current = new SyncService({
+      ...(session ? session.getClientConfig() : {}),
+      ...syncConfig
+    });
+  }
+  const syncService = injectedSyncService || ownSyncServiceRef.current;
+
+  // Al cerrar sesión el cursor y los paquetes sincronizados ya no son de nadie;
+  // un SyncService inyectado lo reinicia quien lo inyecta
+  useEffect(() => {
+    if (!session) return undefined;
+
+    return session.subscribe(({ type }) => {
+      if (type !== 'logout') return;
+
+      if (!injectedSyncService) {
+        console.log('🔄 Sesión cerrada, reiniciando sincronización');
+        syncService.resetSyncState();
+      }
+      setSyncDetailedInfo(null);
+      setSyncStatus('idle');
+    });
+  }, [session, syncService, injectedSyncService]);
 
   // ============================================================================
   // MEMOIZED STYLES - Recreate only when theme changes
@@ -232,7 +261,6 @@ const ImprovedFloatingButtons = ({
   useEffect(() => {
     return () => {
       if (locationTimeoutRef.current) clearTimeout(locationTimeoutRef.current);
-      if (syncTimeoutRef.current) clearTimeout(syncTimeoutRef.current);
       if (statusTimeoutRef.current) clearTimeout(statusTimeoutRef.current);
     };
   }, []);
@@ -466,24 +494,12 @@ const ImprovedFloatingButtons = ({
     setSyncStatus('preparing');
     setSyncDetailedInfo(null);
 
-    if (syncTimeoutRef.current) clearTimeout(syncTimeoutRef.current);
-
     if (Platform.OS === 'ios') {
       Vibration.vibrate([100, 50, 100]);
     } else {
       Vibration.vibrate(100);
     }
 
-    syncTimeoutRef.current = setTimeout(() => {
-      setSyncStatus('timeout');
-      setIsSyncing(false);
-      console.warn('Timeout de sincronización');
-      syncService.showSyncError(new Error('SYNC_TIMEOUT'), () => {
-        setSyncStatus('idle');
-        syncPackages();
-      });
-    }, 20000);
-
     try {
       setSyncStatus('syncing');
 
@@ -503,31 +519,14 @@ const ImprovedFloatingButtons = ({
       rotateAnimation.stop();
       syncRotate.setValue(0);
 
-      if (syncTimeoutRef.current) {
-        clearTimeout(syncTimeoutRef.current);
-        syncTimeoutRef.current = null;
-      }
-
       setSyncStatus('processing');
 
-      if (responseData.packages && responseData.packages.length > 0) {
-        console.log(`Procesando ${responseData.packages.length} paquetes sincronizados`);
-
-        const mapMarkers = syncService.createPackageMarkers(responseData.packages);
-
-        if (mapMarkers.length > 0) {
-          console.log(`Enviando ${mapMarkers.length} marcadores de paquetes al mapa`);
+      const removedCount = responseData.removed?.length || 0;
 
-          sendMessageToWebView({
-            type: 'addPackageMarkers',
-            markers: mapMarkers,
-            syncInfo: {
-              timestamp: new Date().toISOString(),
-              totalPackages: responseData.packages.length,
-              mappedPackages: mapMarkers.length,
-            },
-          });
-        }
+      if (responseData.packages && (responseData.packages.length > 0 || removedCount > 0)) {
+        // Sólo llegan los paquetes nuevos o cambiados desde la última sincronización
+        // (y los IDs retirados); al mapa van por onPackagesSynced -> usePackageManager
+        console.log(`Procesando ${responseData.packages.length} paquetes sincronizados`);
 
         let greenNumbers = [];
         let destinationQueries = [];
@@ -618,14 +617,10 @@ const ImprovedFloatingButtons = ({
     } catch (error) {
       console.error('Error sincronizando paquetes:', error);
 
-      if (syncTimeoutRef.current) {
-        clearTimeout(syncTimeoutRef.current);
-        syncTimeoutRef.current = null;
-      }
-
       syncRotate.setValue(0);
 
-      setSyncStatus('error');
+      // Requests time out in SyncService (AbortController), not in the UI
+      setSyncStatus(error.message === 'REQUEST_TIMEOUT' ? 'timeout' : 'error');
       setIsSyncing(false);
       setSyncDetailedInfo(null);
 
@@ -640,7 +635,7 @@ const ImprovedFloatingButtons = ({
         syncPackages();
       });
     }
-  }, [isSyncing, userLocation, onPackagesSynced, sendMessageToWebView, syncService, syncRotate, successScale, durations]);
+  }, [isSyncing, userLocation, onPackagesSynced, syncService, syncRotate, successScale, durations]);
 
   // ============================================================================
   // LOCATION PRESS HANDLER - Enhanced with design tokens
@@ -0,0 +1,193 @@
+// mapscreen/components/PackageDetailSheet.js - Bottom sheet for the package selected on the map
+// Shows the delivery details, the status timeline and the status actions (Delivered / Attempted / Failed)
+
+import React, { useEffect, useMemo, useRef } from 'react';
+import { View, Text, Animated, ScrollView, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { createPackageDetailSheetStyles, getThemeColors } from '../utils/styleAdapter';
+import { getPackageDeliveryDetails } from '../utils/packageModel';
+import { FAILURE_REASONS } from '../utils/failedDelivery';
+import { getStatusDefinition, canTransition, isFinalStatus } from '../utils/packageStatus';
+import { getPackageTimeline, formatAuditLocation } from '../utils/auditTrail';
+
+/**
+ * Status actions offered in the sheet; `color` is a theme color key. Only the
+ * ones the status state machine allows from the current status are shown.
+ */
+export const PACKAGE_SHEET_ACTIONS = [
+  { status: 'DELIVERED', label: 'Entregado', icon: '✅', color: 'success' },
+  { status: 'ATTEMPTED', label: 'Intento', icon: '⚠️', color: 'warning' },
+  { status: 'FAILED', label: 'Fallido', icon: '❌', color: 'danger' }
+];
+
+const SHEET_OFFSET = 400;
+
+const PackageDetailSheet = ({
+  pkg,
+  theme = 'light',
+  updatingStatus = null,
+  onUpdateStatus,
+  onClose,
+  testID = 'package-detail-sheet'
+}) => {
+  const styles = useMemo(() => createPackageDetailSheetStyles(theme), [theme]);
+  const colors = useMemo(() => getThemeColors(theme), [theme]);
+  const translateY = useRef(new Animated.Value(SHEET_OFFSET)).current;
+
+  const packageId = pkg?.id;
+
+  useEffect(() => {
+    if (!packageId) return;
+
+    translateY.setValue(SHEET_OFFSET);
+    Animated.spring(translateY, {
+      toValue: 0,
+      tension: 80,
+      friction: 12,
+      useNativeDriver: true
+    }).start();
+  }, [packageId, translateY]);
+
+  if (!pkg) return null;
+
+  const details = getPackageDeliveryDetails(pkg);
+  const lastReason = pkg.lastAttempt ? FAILURE_REASONS[pkg.lastAttempt.reason] : null;
+  const status = getStatusDefinition(pkg.status);
+  const timeline = getPackageTimeline(pkg);
+  const actions = isFinalStatus(pkg.status)
+    ? []
+    : PACKAGE_SHEET_ACTIONS.filter(action => canTransition(pkg.status, action.status));
+  const busy = !!updatingStatus;
+
+  return (
+    <Animated.View style={[styles.sheet, { transform: [{ translateY }] }]} testID={testID}>
+      <View style={styles.handle} />
+
+      <View style={styles.header}>
+        <View style={styles.headerText}>
+          <Text style={styles.trackingNumber}>📦 {pkg.trackingNumber}</Text>
+          <View style={[styles.statusChip, { backgroundColor: status.color }]}>
+            <Text style={styles.statusChipText}>{status.icon} {status.label}</Text>
+          </View>
+        </View>
+        <TouchableOpacity style={styles.closeButton} onPress={onClose} testID={`${testID}-close`}>
+          <Text style={styles.closeIcon}>✕</Text>
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Destinatario</Text>
+          <Text style={styles.bodyText}>{details.recipient.name || 'Sin nombre'}</Text>
+          {!!details.recipient.address && (
+            <Text style={styles.secondaryText}>{details.recipient.address}</Text>
+          )}
+          {!!details.recipient.phone && (
+            <Text style={styles.secondaryText}>📞 {details.recipient.phone}</Text>
+          )}
+        </View>
+
+        {!!details.deliveryWindow && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Ventana de entrega</Text>
+            <Text style={styles.bodyText}>🕒 {details.deliveryWindow}</Text>
+          </View>
+        )}
+
+        {!!pkg.lastAttempt && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Último intento</Text>
+            <Text style={styles.bodyText}>
+              {lastReason ? `${lastReason.icon} ${lastReason.label}` : pkg.lastAttempt.reason}
+              {' · '}{new Date(pkg.lastAttempt.attemptedAt).toLocaleString()}
+            </Text>
+            {!!pkg.lastAttempt.notes && (
+              <Text style={styles.secondaryText}>{pkg.lastAttempt.notes}</Text>
+            )}
+          </View>
+        )}
+
+        {details.instructions.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Instrucciones</Text>
+            {details.instructions.map(text => (
+              <Text key={text} style={styles.bodyText}>• {text}</Text>
+            ))}
+          </View>
+        )}
+
+        {timeline.length > 0 && (
+          <View style={styles.section} testID={`${testID}-timeline`}>
+            <Text style={styles.sectionTitle}>Historial</Text>
+            {timeline.map(entry => (
+              <View key={entry.key} style={styles.timelineEntry}>
+                <View style={[styles.timelineDot, { backgroundColor: entry.color || colors.borderStrong }]} />
+                <View style={styles.timelineContent}>
+                  <Text style={styles.bodyText}>
+                    {entry.icon} {entry.label} · {new Date(entry.at).toLocaleString()}
+                  </Text>
+                  {!!entry.detail && <Text style={styles.secondaryText}>{entry.detail}</Text>}
+                  {!!(entry.actor || entry.deviceId) && (
+                    <Text style={styles.secondaryText}>
+                      👤 {entry.actor || 'Desconocido'}{entry.deviceId ? ` · 📱 ${entry.deviceId}` : ''}
+                    </Text>
+                  )}
+                  {!!entry.location && (
+                    <Text style={styles.secondaryText}>📍 {formatAuditLocation(entry.location)}</Text>
+                  )}
+                </View>
+              </View>
+            ))}
+          </View>
+        )}
+
+        <View style={styles.badges}>
+          {pkg.pendingSync && (
+            <View style={[styles.badge, styles.badgeWarning]} testID={`${testID}-pending-sync`}>
+              <Text style={styles.badgeText}>⏳ Pendiente de sincronizar</Text>
+            </View>
+          )}
+          {details.requiresSignature && (
+            <View style={[styles.badge, styles.badgeWarning]}>
+              <Text style={styles.badgeText}>✍️ Requiere firma</Text>
+            </View>
+          )}
+          {details.containsFragile && (
+            <View style={[styles.badge, styles.badgeWarning]}>
+              <Text style={styles.badgeText}>🔸 Frágil</Text>
+            </View>
+          )}
+          <View style={[styles.badge, details.attemptsLeft <= 1 && styles.badgeWarning]}>
+            <Text style={styles.badgeText}>🔁 Intentos {details.attempts}/{details.maxAttempts}</Text>
+          </View>
+        </View>
+      </ScrollView>
+
+      {actions.length > 0 && (
+        <View style={styles.actions}>
+          {actions.map(action => (
+            <TouchableOpacity
+              key={action.status}
+              style={[
+                styles.actionButton,
+                { backgroundColor: colors[action.color] },
+                busy && styles.actionButtonDisabled
+              ]}
+              disabled={busy}
+              onPress={() => onUpdateStatus && onUpdateStatus(action.status)}
+              testID={`${testID}-${action.status.toLowerCase()}`}
+            >
+              {updatingStatus === action.status ? (
+                <ActivityIndicator color={colors.textInverse} />
+              ) : (
+                <Text style={styles.actionIcon}>{action.icon}</Text>
+              )}
+              <Text style={styles.actionLabel}>{action.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+    </Animated.View>
+  );
+};
+
+export default PackageDetailSheet;
@@ -0,0 +1,175 @@
+// mapscreen/components/ProofOfDeliveryForm.js - Proof of delivery capture
+// Recipient name, signature and photos; the GPS fix is added by the caller on submit
+
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  Image,
+  TextInput,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import { createModalFormStyles, getThemeColors } from '../utils/styleAdapter';
+import { POD_LIMITS, createProofOfDelivery, validateProofOfDelivery } from '../utils/proofOfDelivery';
+import { capturePhoto, isPhotoCaptureAvailable } from '../utils/photoCapture';
+import SignaturePad from './SignaturePad';
+
+const EMPTY_FORM = { recipientName: '', signature: null, photos: [] };
+
+const ProofOfDeliveryForm = ({
+  visible,
+  pkg,
+  theme = 'light',
+  submitting = false,
+  onSubmit,
+  onCancel,
+  testID = 'proof-of-delivery'
+}) => {
+  const styles = useMemo(() => createModalFormStyles(theme), [theme]);
+  const colors = useMemo(() => getThemeColors(theme), [theme]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState([]);
+
+  const packageId = pkg?.id;
+
+  // Fresh form for every package
+  useEffect(() => {
+    if (visible) {
+      setForm(EMPTY_FORM);
+      setErrors([]);
+    }
+  }, [visible, packageId]);
+
+  const handleSignatureChange = useCallback((signature) => {
+    setForm(prev => ({ ...prev, signature }));
+  }, []);
+
+  const handleAddPhoto = useCallback(async () => {
+    if (form.photos.length >= POD_LIMITS.maxPhotos) return;
+
+    try {
+      const photo = await capturePhoto();
+      if (!photo) return;
+
+      setForm(prev => ({ ...prev, photos: [...prev.photos, photo].slice(0, POD_LIMITS.maxPhotos) }));
+    } catch (error) {
+      console.error('❌ Error tomando la foto:', error);
+      setErrors([{
+        code: 'CAMERA_ERROR',
+        message: error.message.startsWith('CAMERA_PERMISSION')
+          ? 'Se necesita acceso a la cámara para la foto'
+          : 'No se pudo tomar la foto'
+      }]);
+    }
+  }, [form.photos.length]);
+
+  const handleRemovePhoto = useCallback((uri) => {
+    setForm(prev => ({ ...prev, photos: prev.photos.filter(photo => photo.uri !== uri) }));
+  }, []);
+
+  const handleSubmit = useCallback(() => {
+    if (submitting) return;
+
+    const { isValid, errors: validationErrors } = validateProofOfDelivery(pkg, createProofOfDelivery(form));
+    setErrors(validationErrors);
+
+    if (isValid && onSubmit) {
+      onSubmit(form);
+    }
+  }, [form, pkg, submitting, onSubmit]);
+
+  if (!pkg) return null;
+
+  const photosEnabled = isPhotoCaptureAvailable();
+  const canAddPhoto = photosEnabled && form.photos.length < POD_LIMITS.maxPhotos;
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onCancel}>
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <View style={styles.container} testID={testID}>
+          <ScrollView keyboardShouldPersistTaps="handled">
+            <Text style={styles.title}>Confirmar entrega</Text>
+            <Text style={styles.subtitle}>
+              📦 {pkg.trackingNumber}{pkg.requiresSignature ? ' · ✍️ Requiere firma' : ''}
+            </Text>
+
+            <Text style={styles.label}>Recibe</Text>
+            <TextInput
+              style={styles.input}
+              value={form.recipientName}
+              onChangeText={recipientName => setForm(prev => ({ ...prev, recipientName }))}
+              placeholder={pkg.recipientName || 'Nombre de quien recibe'}
+              placeholderTextColor={colors.textPlaceholder}
+              autoCapitalize="words"
+              testID={`${testID}-name`}
+            />
+
+            <Text style={styles.label}>Firma</Text>
+            {visible && (
+              <SignaturePad
+                onChange={handleSignatureChange}
+                styles={styles}
+                testID={`${testID}-signature`}
+              />
+            )}
+
+            {photosEnabled && (
+              <>
+                <Text style={styles.label}>Fotos ({form.photos.length}/{POD_LIMITS.maxPhotos})</Text>
+                <View style={styles.photos}>
+                  {form.photos.map(photo => (
+                    <TouchableOpacity key={photo.uri} onLongPress={() => handleRemovePhoto(photo.uri)}>
+                      <Image source={{ uri: photo.uri }} style={styles.photo} />
+                    </TouchableOpacity>
+                  ))}
+                  {canAddPhoto && (
+                    <TouchableOpacity style={styles.addPhoto} onPress={handleAddPhoto} testID={`${testID}-add-photo`}>
+                      <Text style={styles.addPhotoIcon}>📷</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              </>
+            )}
+
+            {errors.map(error => (
+              <Text key={error.code} style={styles.errorText}>⚠️ {error.message}</Text>
+            ))}
+          </ScrollView>
+
+          <View style={styles.actions}>
+            <TouchableOpacity
+              style={[styles.button, styles.buttonSecondary]}
+              onPress={onCancel}
+              disabled={submitting}
+              testID={`${testID}-cancel`}
+            >
+              <Text style={styles.buttonText}>Cancelar</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.buttonPrimary, submitting && styles.buttonDisabled]}
+              onPress={handleSubmit}
+              disabled={submitting}
+              testID={`${testID}-submit`}
+            >
+              {submitting ? (
+                <ActivityIndicator color={colors.textInverse} />
+              ) : (
+                <Text style={[styles.buttonText, styles.buttonTextPrimary]}>✅ Entregado</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+export default ProofOfDeliveryForm;
@@ -0,0 +1,158 @@
+// mapscreen/components/SignaturePad.js - Signature capture on a WebView canvas
+// Reports the drawing as a PNG data URI (null once cleared). The strokes are
+// kept so a resize (rotation, keyboard) redraws them and reports the new image
+
+import React, { useCallback, useMemo, useRef } from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import { WebView } from 'react-native-webview';
+
+/**
+ * Canvas page: dark ink on white, whatever the app theme, so the exported
+ * image reads the same everywhere
+ */
+const generateSignaturePadHTML = () => `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no">
+    <style>
+        html, body { margin: 0; padding: 0; height: 100%; overflow: hidden; background: #ffffff; }
+        canvas { display: block; width: 100%; height: 100%; touch-action: none; }
+    </style>
+</head>
+<body>
+    <canvas id="pad"></canvas>
+    <script>
+        const canvas = document.getElementById('pad');
+        const ctx = canvas.getContext('2d');
+        const ratio = Math.min(window.devicePixelRatio || 1, 2);
+        let drawing = false;
+        let hasInk = false;
+        let last = null;
+        // Points of every stroke, in CSS pixels
+        let strokes = [];
+
+        function resize() {
+            canvas.width = canvas.clientWidth * ratio;
+            canvas.height = canvas.clientHeight * ratio;
+            ctx.scale(ratio, ratio);
+            ctx.lineWidth = 2.5;
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+            ctx.strokeStyle = '#111827';
+
+            // Resizing wipes the canvas: draw the signature again and report
+            // the redrawn image, so React Native never holds a stale one
+            paintBackground();
+            strokes.forEach(drawStroke);
+            if (hasInk) notify(canvas.toDataURL('image/png'));
+        }
+
+        function notify(dataUrl) {
+            if (window.ReactNativeWebView) {
+                window.ReactNativeWebView.postMessage(JSON.stringify({ type: 'signatureChanged', dataUrl: dataUrl }));
+            }
+        }
+
+        function paintBackground() {
+            ctx.save();
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.restore();
+        }
+
+        function drawStroke(points) {
+            if (points.length < 2) return;
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, points[0].y);
+            points.slice(1).forEach(function(p) { ctx.lineTo(p.x, p.y); });
+            ctx.stroke();
+        }
+
+        function clearSignature() {
+            paintBackground();
+            strokes = [];
+            hasInk = false;
+            notify(null);
+        }
+
+        function point(e) {
+            const rect = canvas.getBoundingClientRect();
+            return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+        }
+
+        canvas.addEventListener('pointerdown', function(e) {
+            drawing = true;
+            last = point(e);
+            strokes.push([last]);
+            canvas.setPointerCapture(e.pointerId);
+        });
+
+        canvas.addEventListener('pointermove', function(e) {
+            if (!drawing) return;
+            const next = point(e);
+            ctx.beginPath();
+            ctx.moveTo(last.x, last.y);
+            ctx.lineTo(next.x, next.y);
+            ctx.stroke();
+            strokes[strokes.length - 1].push(next);
+            last = next;
+            hasInk = true;
+        });
+
+        function endStroke() {
+            if (!drawing) return;
+            drawing = false;
+            if (hasInk) notify(canvas.toDataURL('image/png'));
+        }
+
+        canvas.addEventListener('pointerup', endStroke);
+        canvas.addEventListener('pointercancel', endStroke);
+        window.addEventListener('resize', resize);
+        resize();
+    </script>
+</body>
+</html>
+`;
+
+const SignaturePad = ({ onChange, styles, height = 160, testID = 'signature-pad' }) => {
+  const webViewRef = useRef(null);
+  const html = useMemo(generateSignaturePadHTML, []);
+
+  const handleMessage = useCallback((event) => {
+    try {
+      const data = JSON.parse(event.nativeEvent.data);
+      if (data.type === 'signatureChanged' && onChange) {
+        onChange(data.dataUrl || null);
+      }
+    } catch (error) {
+      console.error('❌ Error leyendo la firma:', error);
+    }
+  }, [onChange]);
+
+  const handleClear = useCallback(() => {
+    webViewRef.current?.injectJavaScript('clearSignature(); true;');
+  }, []);
+
+  return (
+    <View testID={testID}>
+      <View style={[styles.signatureBox, { height }]}>
+        <WebView
+          ref={webViewRef}
+          source={{ html }}
+          onMessage={handleMessage}
+          scrollEnabled={false}
+          bounces={false}
+          overScrollMode="never"
+          javaScriptEnabled={true}
+        />
+      </View>
+      <TouchableOpacity style={styles.signatureClear} onPress={handleClear} testID={`${testID}-clear`}>
+        <Text style={styles.linkText}>Borrar firma</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+export default SignaturePad;
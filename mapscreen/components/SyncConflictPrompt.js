@@ -0,0 +1,97 @@
+// mapscreen/components/SyncConflictPrompt.js - Conflict between a queued change and the server
+// Shows both values of each field that changed on the device and on the server
+// and lets the driver keep one of the two copies
+
+import React, { useMemo } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator
+} from 'react-native';
+import { createModalFormStyles, getThemeColors } from '../utils/styleAdapter';
+import { CONFLICT_RESOLUTIONS, formatConflictValue } from '../utils/packageConflicts';
+
+const FIELD_LABELS = {
+  status: 'Estado',
+  attempts: 'Intentos',
+  deliveryWindow: 'Horario de entrega',
+  nextAttemptWindow: 'Siguiente intento',
+  proofOfDelivery: 'Comprobante de entrega',
+  recipientAddress: 'Dirección',
+  recipientName: 'Destinatario',
+  priority: 'Prioridad'
+};
+
+const SyncConflictPrompt = ({
+  conflict,
+  theme = 'light',
+  resolving = false,
+  onResolve,
+  onDismiss,
+  testID = 'sync-conflict'
+}) => {
+  const styles = useMemo(() => createModalFormStyles(theme), [theme]);
+  const colors = useMemo(() => getThemeColors(theme), [theme]);
+
+  if (!conflict) return null;
+
+  const { local, server } = conflict;
+
+  // Without a field-level comparison (manual policy, too many retries) the status tells the story
+  const fields = conflict.conflicts && conflict.conflicts.length > 0
+    ? conflict.conflicts
+    : [{ field: 'status', local: local?.status, server: server?.status }];
+
+  const trackingNumber = server?.trackingNumber || local?.trackingNumber || conflict.packageId;
+
+  return (
+    <Modal visible transparent animationType="slide" onRequestClose={onDismiss}>
+      <View style={styles.backdrop}>
+        <View style={styles.container} testID={testID}>
+          <ScrollView>
+            <Text style={styles.title}>Cambio en conflicto</Text>
+            <Text style={styles.subtitle}>
+              📦 {trackingNumber} · también cambió en el servidor
+            </Text>
+
+            {fields.map(({ field, local: localValue, server: serverValue }) => (
+              <View key={field} testID={`${testID}-field-${field}`}>
+                <Text style={styles.label}>{FIELD_LABELS[field] || field}</Text>
+                <Text style={styles.notice}>📱 Tu cambio: {formatConflictValue(field, localValue)}</Text>
+                <Text style={styles.notice}>☁️ Servidor: {formatConflictValue(field, serverValue)}</Text>
+              </View>
+            ))}
+          </ScrollView>
+
+          <View style={styles.actions}>
+            <TouchableOpacity
+              style={[styles.button, styles.buttonSecondary, resolving && styles.buttonDisabled]}
+              onPress={() => onResolve && onResolve(CONFLICT_RESOLUTIONS.SERVER)}
+              disabled={resolving}
+              testID={`${testID}-keep-server`}
+            >
+              <Text style={styles.buttonText}>Usar servidor</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.buttonWarning, resolving && styles.buttonDisabled]}
+              onPress={() => onResolve && onResolve(CONFLICT_RESOLUTIONS.CLIENT)}
+              disabled={resolving}
+              testID={`${testID}-keep-local`}
+            >
+              {resolving ? (
+                <ActivityIndicator color={colors.textInverse} />
+              ) : (
+                <Text style={[styles.buttonText, styles.buttonTextPrimary]}>Mantener mi cambio</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+export default SyncConflictPrompt;
@@ -0,0 +1,216 @@
+// config/map_config.js - Basemap styles and tile sources for the WebView map
+
+// ============================================================================
+// API KEYS - Se leen de variables de entorno de Expo (EXPO_PUBLIC_*)
+// ============================================================================
+
+export const MAP_API_KEYS = {
+  maptiler: process.env.EXPO_PUBLIC_MAPTILER_KEY || null,
+};
+
+// ============================================================================
+// MAP STYLES - Presets de mapa base
+// ============================================================================
+//
+// Raster:  { type: 'raster', tiles: [url templates], tileSize, maxzoom, attribution, paint }
+// Vector:  { type: 'vector', url: 'https://.../style.json' } (sprites y glyphs del style.json)
+//
+// `fonts` son las fuentes de las etiquetas propias (paquetes, paradas). Los
+// estilos vectoriales las cargan de su servidor de glyphs; con los raster la
+// página trae sus propios glyphs (Open Sans Semibold, scripts/build-map-assets.js)
+// y los usa para cualquier fuente, sin red.
+//
+// Las URLs pueden incluir el marcador {apiKey}; se sustituye con la clave de
+// `apiKeyName` (MAP_API_KEYS o la prop mapApiKeys). Si falta la clave, se usa
+// el preset indicado en `fallback`.
+//
+// Nota: la política de uso de tile.openstreetmap.org no permite tráfico de
+// flota; el preset 'osm' queda solo para desarrollo.
+
+export const MAP_STYLES = {
+  osm: {
+    name: 'OpenStreetMap',
+    type: 'raster',
+    dark: false,
+    tiles: ['https://tile.openstreetmap.org/{z}/{x}/{y}.png'],
+    tileSize: 256,
+    maxzoom: 19,
+    attribution: '© OpenStreetMap contributors',
+  },
+
+  'carto-light': {
+    name: 'Calles (claro)',
+    type: 'raster',
+    dark: false,
+    tiles: [
+      'https://a.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}.png',
+      'https://b.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}.png',
+      'https://c.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}.png',
+    ],
+    tileSize: 256,
+    maxzoom: 20,
+    attribution: '© OpenStreetMap contributors © CARTO',
+  },
+
+  'carto-dark': {
+    name: 'Calles (oscuro)',
+    type: 'raster',
+    dark: true,
+    tiles: [
+      'https://a.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png',
+      'https://b.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png',
+      'https://c.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png',
+    ],
+    tileSize: 256,
+    maxzoom: 20,
+    attribution: '© OpenStreetMap contributors © CARTO',
+  },
+
+  // Noche de alto contraste: mapa oscuro con calles y etiquetas realzadas
+  'night-contrast': {
+    name: 'Noche (alto contraste)',
+    type: 'raster',
+    dark: true,
+    tiles: [
+      'https://a.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png',
+      'https://b.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png',
+      'https://c.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png',
+    ],
+    tileSize: 256,
+    maxzoom: 20,
+    paint: {
+      'raster-contrast': 0.45,
+      'raster-brightness-min': 0.05,
+      'raster-saturation': -0.3,
+    },
+    attribution: '© OpenStreetMap contributors © CARTO',
+  },
+
+  'esri-satellite': {
+    name: 'Satélite',
+    type: 'raster',
+    dark: true,
+    tiles: ['https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}'],
+    tileSize: 256,
+    maxzoom: 19,
+    attribution: 'Tiles © Esri — Source: Esri, Maxar, Earthstar Geographics',
+  },
+
+  'maptiler-satellite': {
+    name: 'Satélite',
+    type: 'raster',
+    dark: true,
+    tiles: ['https://api.maptiler.com/tiles/satellite-v2/{z}/{x}/{y}.jpg?key={apiKey}'],
+    tileSize: 512,
+    maxzoom: 20,
+    apiKeyName: 'maptiler',
+    fallback: 'esri-satellite',
+    attribution: '© MapTiler © OpenStreetMap contributors',
+  },
+
+  'maptiler-streets': {
+    name: 'Calles (vectorial)',
+    type: 'vector',
+    dark: false,
+    url: 'https://api.maptiler.com/maps/streets-v2/style.json?key={apiKey}',
+    fonts: ['Noto Sans Bold'],
+    apiKeyName: 'maptiler',
+    fallback: 'carto-light',
+  },
+
+  'maptiler-dark': {
+    name: 'Noche (vectorial)',
+    type: 'vector',
+    dark: true,
+    url: 'https://api.maptiler.com/maps/dataviz-dark/style.json?key={apiKey}',
+    fonts: ['Noto Sans Bold'],
+    apiKeyName: 'maptiler',
+    fallback: 'carto-dark',
+  },
+};
+
+export const DEFAULT_MAP_STYLE = 'carto-light';
+
+const DEFAULT_LABEL_FONTS = ['Open Sans Semibold'];
+
+// Opciones del selector de estilo en el panel de ajustes
+export const MAP_STYLE_OPTIONS = [
+  { key: 'street', label: 'Calles', icon: '🗺️', style: 'carto-light' },
+  { key: 'satellite', label: 'Satélite', icon: '🛰️', style: 'maptiler-satellite' },
+  { key: 'night', label: 'Noche', icon: '🌙', style: 'night-contrast' },
+];
+
+// ============================================================================
+// RESOLUCIÓN DE ESTILO
+// ============================================================================
+
+const injectApiKey = (url, apiKey) =>
+  typeof url === 'string' ? url.replace(/\{apiKey\}/g, encodeURIComponent(apiKey || '')) : url;
+
+/**
+ * Resolve a style preset name or custom style object into the config the
+ * map page consumes, injecting API keys and following fallbacks
+ * @param {string|Object} style - Preset name (MAP_STYLES) or custom style object
+ * @param {Object} apiKeys - Keys by name, merged over MAP_API_KEYS
+ * @returns {Object} {id, name, type, dark, tiles|url, tileSize, maxzoom, attribution, paint, fonts}
+ */
+export const resolveMapStyle = (style = DEFAULT_MAP_STYLE, apiKeys = {}) => {
+  const keys = { ...MAP_API_KEYS, ...apiKeys };
+  const visited = new Set();
+  let id = typeof style === 'string' ? style : style?.id || 'custom';
+  let config = typeof style === 'string' ? MAP_STYLES[style] : style;
+
+  while (config) {
+    if (!config.apiKeyName || keys[config.apiKeyName]) break;
+
+    console.warn(`⚠️ Falta la clave '${config.apiKeyName}' para el estilo '${id}'`);
+    visited.add(id);
+    id = config.fallback;
+    config = id && !visited.has(id) ? MAP_STYLES[id] : null;
+  }
+
+  if (!config) {
+    console.warn(`⚠️ Estilo de mapa no disponible, usando '${DEFAULT_MAP_STYLE}'`);
+    id = DEFAULT_MAP_STYLE;
+    config = MAP_STYLES[DEFAULT_MAP_STYLE];
+  }
+
+  const apiKey = config.apiKeyName ? keys[config.apiKeyName] : null;
+
+  return {
+    id,
+    name: config.name || id,
+    type: config.type === 'vector' ? 'vector' : 'raster',
+    dark: !!config.dark,
+    tiles: Array.isArray(config.tiles) ? config.tiles.map(url => injectApiKey(url, apiKey)) : null,
+    url: injectApiKey(config.url, apiKey) || null,
+    tileSize: config.tileSize || 256,
+    maxzoom: config.maxzoom || 19,
+    attribution: config.attribution || '',
+    paint: config.paint || {},
+    fonts: Array.isArray(config.fonts) && config.fonts.length > 0 ? config.fonts : DEFAULT_LABEL_FONTS,
+  };
+};
+
+/**
+ * Resolve the basemap for a UI theme (THEMES[theme].basemap), unless an
+ * explicit style is given
+ * @param {Object} themes - THEMES from ui_config
+ * @param {string} theme - Theme name
+ * @param {string|Object} style - Optional explicit style
+ * @param {Object} apiKeys - API keys
+ * @returns {Object} Resolved style (see resolveMapStyle)
+ */
+export const resolveThemeMapStyle = (themes, theme, style, apiKeys) =>
+  resolveMapStyle(style || themes?.[theme]?.basemap || DEFAULT_MAP_STYLE, apiKeys);
+
+export const MAP_CONFIG = {
+  styles: MAP_STYLES,
+  apiKeys: MAP_API_KEYS,
+  defaultStyle: DEFAULT_MAP_STYLE,
+  styleOptions: MAP_STYLE_OPTIONS,
+  resolveMapStyle,
+  resolveThemeMapStyle,
+};
+
+export default MAP_CONFIG;
@@ -0,0 +1,18 @@
+// config/sync_config.js - Package sync backends
+
+// ============================================================================
+// ENDPOINTS - La app anfitriona elige uno y lo pasa en la prop syncConfig de
+// EnhancedMapScreen (o inyecta su propio SyncService en la prop syncService)
+// ============================================================================
+
+export const SYNC_ENDPOINTS = {
+  production: 'https://0fhmgyybv3.execute-api.us-east-2.amazonaws.com/saasintel/sync/packages',
+};
+
+// ============================================================================
+// ENDPOINT DE LA BUILD - Staging, pruebas o un backend local se configuran con
+// EXPO_PUBLIC_SYNC_ENDPOINT; sin ella se usa producción
+// ============================================================================
+
+export const getBuildSyncEndpoint = () =>
+  process.env.EXPO_PUBLIC_SYNC_ENDPOINT || SYNC_ENDPOINTS.production;
@@ -334,6 +334,7 @@ export const COLOR_PALETTE = {
 export const THEMES = {
   light: {
     name: 'Light Mode',
+    basemap: 'carto-light',  // Preset de config/map_config.js
     colors: {
       // Backgrounds - Capas sutiles
       background: COLOR_PALETTE.neutral[0],
@@ -406,6 +407,7 @@ export const THEMES = {
   
   dark: {
     name: 'Dark Mode',
+    basemap: 'carto-dark',   // Mapa base oscuro real, sin invertir colores
     colors: {
       // Backgrounds - Tonos slate profundos
       background: COLOR_PALETTE.slate[950],
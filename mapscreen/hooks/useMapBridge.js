@@ -0,0 +1,161 @@
+// hooks/useMapBridge.js - Validated messaging, requests and version handshake with the map page
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  BRIDGE_PROTOCOL_VERSION,
+  BRIDGE_REQUEST_TIMEOUT,
+  MAP_COMMANDS,
+  validateCommand,
+  validateEvent,
+  isProtocolCompatible
+} from '../utils/mapBridgeProtocol';
+
+/**
+ * @param {Function} sendMessageToWebView - Low-level sender (queues until the map is ready)
+ * @param {Object} options - {timeout, onProtocolMismatch}
+ */
+const useMapBridge = (sendMessageToWebView, options = {}) => {
+  const { timeout = BRIDGE_REQUEST_TIMEOUT, onProtocolMismatch } = options;
+
+  const pendingRequestsRef = useRef(new Map());
+  const requestCounterRef = useRef(0);
+  const onProtocolMismatchRef = useRef(onProtocolMismatch);
+  onProtocolMismatchRef.current = onProtocolMismatch;
+
+  const [protocol, setProtocol] = useState({
+    version: BRIDGE_PROTOCOL_VERSION,
+    remoteVersion: null,
+    compatible: null
+  });
+
+  // Pending requests can't be answered once the screen is gone
+  useEffect(() => {
+    const pending = pendingRequestsRef.current;
+    return () => {
+      pending.forEach(entry => {
+        clearTimeout(entry.timer);
+        entry.reject(new Error('BRIDGE_CLOSED: map bridge unmounted'));
+      });
+      pending.clear();
+    };
+  }, []);
+
+  /**
+   * Validate and send a command
+   * @param {Object} message - Command ({type, ...fields})
+   * @returns {boolean} Sent (false when queued or rejected)
+   */
+  const send = useCallback((message) => {
+    const validation = validateCommand(message);
+
+    if (!validation.valid) {
+      console.error(`❌ Mensaje inválido para el mapa (${message?.type}):`, validation.errors);
+      return false;
+    }
+
+    return sendMessageToWebView(message);
+  }, [sendMessageToWebView]);
+
+  /**
+   * Send a command as a request and wait for the page's response
+   * @param {string} type - Command type (see MAP_COMMANDS)
+   * @param {Object} payload - Command fields
+   * @param {Object} requestOptions - {timeout}
+   * @returns {Promise<*>} Response result
+   */
+  const request = useCallback((type, payload = {}, requestOptions = {}) => {
+    const requestId = `req_${Date.now()}_${++requestCounterRef.current}`;
+    const message = { ...payload, type, requestId };
+    const validation = validateCommand(message);
+
+    if (!validation.valid) {
+      return Promise.reject(new Error(`BRIDGE_INVALID_MESSAGE: ${validation.errors.join('; ')}`));
+    }
+
+    const waitFor = requestOptions.timeout || timeout;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pendingRequestsRef.current.delete(requestId);
+        reject(new Error(`BRIDGE_TIMEOUT: ${type} got no response in ${waitFor}ms`));
+      }, waitFor);
+
+      pendingRequestsRef.current.set(requestId, { type, resolve, reject, timer });
+      console.log(`📨 [${requestId}] Solicitud al mapa:`, type);
+
+      // Queued requests are sent once the map is ready, still within the timeout
+      sendMessageToWebView(message);
+    });
+  }, [sendMessageToWebView, timeout]);
+
+  const handleMapReady = useCallback((data) => {
+    const compatible = isProtocolCompatible(BRIDGE_PROTOCOL_VERSION, data.protocolVersion);
+    setProtocol({ version: BRIDGE_PROTOCOL_VERSION, remoteVersion: data.protocolVersion, compatible });
+
+    if (!compatible) {
+      console.error(`❌ Protocolo del mapa incompatible: ${data.protocolVersion} (app ${BRIDGE_PROTOCOL_VERSION})`);
+      if (onProtocolMismatchRef.current) {
+        onProtocolMismatchRef.current({ local: BRIDGE_PROTOCOL_VERSION, remote: data.protocolVersion });
+      }
+    }
+
+    // Tell the page which version it is talking to
+    request('handshake', { protocolVersion: BRIDGE_PROTOCOL_VERSION })
+      .then(result => console.log(`🤝 Protocolo del mapa v${result.protocolVersion} (compatible: ${result.compatible})`))
+      .catch(error => console.warn('⚠️ Handshake con el mapa falló:', error.message));
+  }, [request]);
+
+  /**
+   * Process a message from the page before the screen's own handling
+   * @param {Object} data - Parsed message
+   * @returns {boolean} True when the bridge consumed it (responses, invalid messages)
+   */
+  const handleMessage = useCallback((data) => {
+    const validation = validateEvent(data);
+
+    if (!validation.valid) {
+      if (validation.unknownType) {
+        console.log('❓ Unknown message type:', data?.type, data);
+      } else {
+        console.warn(`⚠️ Mensaje inválido del mapa (${data?.type}):`, validation.errors);
+      }
+      return true;
+    }
+
+    if (data.type === 'mapReady') {
+      handleMapReady(data);
+      return false;
+    }
+
+    if (data.type !== 'response') {
+      return false;
+    }
+
+    const entry = pendingRequestsRef.current.get(data.requestId);
+    if (!entry) {
+      console.warn('⚠️ Respuesta sin solicitud pendiente:', data.requestId);
+      return true;
+    }
+
+    clearTimeout(entry.timer);
+    pendingRequestsRef.current.delete(data.requestId);
+
+    if (data.ok) {
+      entry.resolve(data.result);
+    } else {
+      entry.reject(new Error(`${data.code || 'REQUEST_FAILED'}: ${data.error}`));
+    }
+    return true;
+  }, [handleMapReady]);
+
+  return {
+    send,
+    request,
+    handleMessage,
+    protocol,
+    commands: MAP_COMMANDS,
+    getPendingRequestCount: () => pendingRequestsRef.current.size
+  };
+};
+
+export default useMapBridge;
@@ -0,0 +1,178 @@
+// hooks/useMapController.js - Imperative map API (exposed through the EnhancedMapScreen ref)
+
+import { useMemo, useRef } from 'react';
+import { resolveMapStyle } from '../config/map_config';
+import { getBounds } from '../utils/mapCalculations';
+import { BRIDGE_REQUEST_TIMEOUT } from '../utils/mapBridgeProtocol';
+
+const STYLE_SWITCH_TIMEOUT = 20000;
+const SNAPSHOT_TIMEOUT = 15000;
+
+// Camera requests answer when the animation ends, so long animations get more time
+const cameraTimeout = (duration) => BRIDGE_REQUEST_TIMEOUT + (typeof duration === 'number' ? duration : 0);
+
+const hasCoordinates = (value) =>
+  !!value && typeof value.latitude === 'number' && typeof value.longitude === 'number';
+
+/**
+ * Build the MapController: promise-based camera, selection, style and
+ * snapshot calls, each answered by the map page through the bridge
+ * @param {Object} bridge - useMapBridge() result
+ * @param {Object} options - {packages, apiKeys, onStyleRequested}
+ * @returns {Object} MapController
+ */
+const useMapController = (bridge, options = {}) => {
+  // Read at call time so the controller object stays stable across renders
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+
+  const { request } = bridge;
+
+  return useMemo(() => {
+    const findPackage = (packageId) => {
+      const packages = optionsRef.current.packages || [];
+      return packages.find(pkg => String(pkg.id) === String(packageId)) || null;
+    };
+
+    /**
+     * @param {string|number|Object} target - Package id or {latitude, longitude}
+     * @param {Object} flyOptions - {zoom, bearing, pitch, duration}
+     * @returns {Promise<Object>} View state once the camera stops
+     */
+    const flyTo = (target, flyOptions = {}) => {
+      const location = hasCoordinates(target) ? target : findPackage(target);
+
+      if (!hasCoordinates(location)) {
+        return Promise.reject(new Error(`MAP_CONTROLLER: no coordinates for ${JSON.stringify(target)}`));
+      }
+
+      console.log('✈️ MapController.flyTo:', location.latitude.toFixed(6), location.longitude.toFixed(6));
+      return request('flyTo', {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        zoom: flyOptions.zoom ?? (hasCoordinates(target) ? undefined : 17),
+        bearing: flyOptions.bearing,
+        pitch: flyOptions.pitch,
+        duration: flyOptions.duration
+      }, { timeout: cameraTimeout(flyOptions.duration) });
+    };
+
+    /**
+     * @param {Object|Array} bounds - {north, south, east, west} or [{latitude, longitude}]
+     * @param {Object} fitOptions - {padding, maxZoom, duration}
+     * @returns {Promise<Object>} View state once the camera stops
+     */
+    const fitBounds = (bounds, fitOptions = {}) => {
+      let box = bounds;
+
+      if (Array.isArray(bounds)) {
+        const extent = getBounds(bounds.filter(hasCoordinates));
+        box = extent && {
+          north: extent.maxLat,
+          south: extent.minLat,
+          east: extent.maxLng,
+          west: extent.minLng
+        };
+      }
+
+      if (!box || !['north', 'south', 'east', 'west'].every(side => typeof box[side] === 'number')) {
+        return Promise.reject(new Error('MAP_CONTROLLER: fitBounds needs {north, south, east, west} or coordinates'));
+      }
+
+      return request('fitBounds', {
+        bounds: box,
+        padding: fitOptions.padding,
+        maxZoom: fitOptions.maxZoom,
+        duration: fitOptions.duration
+      }, { timeout: cameraTimeout(fitOptions.duration) });
+    };
+
+    /**
+     * Frame some packages (all of them when no ids are given)
+     * @param {Array} packageIds - Package ids, optional
+     * @param {Object} showOptions - {padding, includeDriver}
+     * @returns {Promise<Object>} {count} packages framed
+     */
+    const showPackages = (packageIds = null, showOptions = {}) => {
+      let packages = null;
+
+      if (Array.isArray(packageIds)) {
+        packages = packageIds
+          .map(findPackage)
+          .filter(hasCoordinates)
+          .map(pkg => ({ id: pkg.id, latitude: pkg.latitude, longitude: pkg.longitude }));
+
+        if (packages.length === 0) {
+          return Promise.reject(new Error('MAP_CONTROLLER: none of the packages has coordinates'));
+        }
+      }
+
+      return request('fitToPackages', {
+        packages,
+        padding: showOptions.padding ?? 50,
+        includeDriver: showOptions.includeDriver ?? false
+      }).then(() => ({ count: packages ? packages.length : (optionsRef.current.packages || []).filter(hasCoordinates).length }));
+    };
+
+    /**
+     * @param {string|number} packageId - Package id
+     * @param {Object} selectOptions - {showPopup, center}
+     * @returns {Promise<Object>} {packageId}; rejects when the package isn't on the map
+     */
+    const selectPackage = (packageId, selectOptions = {}) => request('selectPackage', {
+      packageId,
+      showPopup: selectOptions.showPopup ?? true,
+      center: selectOptions.center ?? true
+    });
+
+    const clearSelection = () => request('clearPackageSelection');
+
+    /**
+     * @param {string|Object} style - Preset name (MAP_STYLES) or custom style
+     * @returns {Promise<Object>} {id, type, dark} once the new basemap is drawn
+     */
+    const setStyle = (style) => {
+      const resolved = resolveMapStyle(style, optionsRef.current.apiKeys);
+
+      if (optionsRef.current.onStyleRequested) {
+        optionsRef.current.onStyleRequested(style, resolved);
+      }
+
+      return request('setMapStyle', { style: resolved }, { timeout: STYLE_SWITCH_TIMEOUT });
+    };
+
+    /**
+     * Capture the map as a data URI (the canvas only: no DOM markers or popups)
+     * @param {Object} snapshotOptions - {format: 'png'|'jpeg', quality}
+     * @returns {Promise<Object>} {uri, width, height, format}
+     */
+    const takeSnapshot = (snapshotOptions = {}) => request('takeSnapshot', {
+      format: snapshotOptions.format,
+      quality: snapshotOptions.quality
+    }, { timeout: SNAPSHOT_TIMEOUT });
+
+    /**
+     * @returns {Promise<Object>} {north, south, east, west}
+     */
+    const getVisibleBounds = () => request('getBounds');
+
+    /**
+     * @returns {Promise<Object>} {center, zoom, bearing, pitch}
+     */
+    const getViewState = () => request('getViewState');
+
+    return {
+      flyTo,
+      fitBounds,
+      showPackages,
+      selectPackage,
+      clearSelection,
+      setStyle,
+      takeSnapshot,
+      getVisibleBounds,
+      getViewState
+    };
+  }, [request]);
+};
+
+export default useMapController;
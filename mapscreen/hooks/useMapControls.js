@@ -1,6 +1,9 @@
 // hooks/useMapControls.js - Fixed version with improved message queue handling
 
 import { useCallback } from 'react';
+import { createPackageFeatureCollection, createRouteStops } from '../utils/markerHelpers';
+import { planTilePrefetch } from '../utils/tileMath';
+import { resolveMapStyle } from '../config/map_config';
 
 const useMapControls = (sendMessageToWebView, isMapReady) => {
   const updateDriverLocation = useCallback((location) => {
@@ -113,8 +116,130 @@ const useMapControls = (sendMessageToWebView, isMapReady) => {
     return result;
   }, [sendMessageToWebView]);
 
-  const loadPackagesOnMap = useCallback((packages, currentLocation = null) => {
-    if (!packages || packages.length === 0) {
+  const setClustering = useCallback((enabled, radius) => {
+    if (!sendMessageToWebView) {
+      console.warn('⚠️ No se puede configurar clustering - sendMessageToWebView no disponible');
+      return false;
+    }
+    
+    const message = {
+      type: 'setClustering',
+      enabled: !!enabled,
+      radius: radius
+    };
+    
+    console.log(`🔘 Enviando configuración de clustering (${enabled ? 'activado' : 'desactivado'}, radio ${radius})`);
+    return sendMessageToWebView(message);
+  }, [sendMessageToWebView]);
+
+  const showRoute = useCallback((route, packages = [], options = {}) => {
+    if (!sendMessageToWebView) {
+      console.warn('⚠️ No se puede mostrar la ruta - sendMessageToWebView no disponible');
+      return false;
+    }
+    
+    const stops = createRouteStops(route, packages);
+    
+    if (stops.length === 0) {
+      console.log('🛣️ Ruta sin paradas con coordenadas');
+      return false;
+    }
+    
+    const message = {
+      type: 'showRoute',
+      stops,
+      fit: !!options.fit,
+      padding: options.padding || 50
+    };
+    
+    console.log(`🛣️ Enviando ruta con ${stops.length} paradas`);
+    return sendMessageToWebView(message);
+  }, [sendMessageToWebView]);
+
+  const clearRoute = useCallback(() => {
+    if (!sendMessageToWebView) {
+      console.warn('⚠️ No se puede limpiar la ruta - sendMessageToWebView no disponible');
+      return false;
+    }
+    
+    console.log('🧹 Enviando comando para limpiar ruta');
+    return sendMessageToWebView({ type: 'clearRoute' });
+  }, [sendMessageToWebView]);
+
+  const prefetchTiles = useCallback((coordinates, options = {}) => {
+    if (!sendMessageToWebView) {
+      console.warn('⚠️ No se pueden precargar tiles - sendMessageToWebView no disponible');
+      return null;
+    }
+    
+    const plan = planTilePrefetch(coordinates, options);
+    
+    if (!plan || plan.tiles.length === 0) {
+      console.log('🗺️ Sin coordenadas para precargar tiles');
+      return null;
+    }
+    
+    if (plan.maxZoom < plan.requestedMaxZoom) {
+      console.log(`🗺️ Zoom máximo de precarga reducido a ${plan.maxZoom} por el límite de tiles`);
+    }
+    
+    console.log(`⬇️ Enviando precarga de ${plan.tiles.length} tiles (zoom ${plan.minZoom}-${plan.maxZoom})`);
+    sendMessageToWebView({
+      type: 'prefetchTiles',
+      tiles: plan.tiles,
+      minZoom: plan.minZoom,
+      maxZoom: plan.maxZoom
+    });
+    
+    return plan;
+  }, [sendMessageToWebView]);
+
+  const configureTileCache = useCallback((config) => {
+    if (!sendMessageToWebView) {
+      console.warn('⚠️ No se puede configurar la caché de tiles - sendMessageToWebView no disponible');
+      return false;
+    }
+    
+    return sendMessageToWebView({
+      type: 'configureTileCache',
+      enabled: config.enabled,
+      maxTiles: config.maxTiles,
+      maxBytes: config.maxBytes,
+      maxAgeDays: config.maxAgeDays
+    });
+  }, [sendMessageToWebView]);
+
+  const clearTileCache = useCallback(() => {
+    if (!sendMessageToWebView) {
+      console.warn('⚠️ No se puede limpiar la caché de tiles - sendMessageToWebView no disponible');
+      return false;
+    }
+    
+    console.log('🧹 Enviando comando para vaciar caché de tiles');
+    return sendMessageToWebView({ type: 'clearTileCache' });
+  }, [sendMessageToWebView]);
+
+  const setMapStyle = useCallback((style, apiKeys = {}) => {
+    if (!sendMessageToWebView) {
+      console.warn('⚠️ No se puede cambiar el mapa base - sendMessageToWebView no disponible');
+      return null;
+    }
+    
+    // Resolved here so API keys and fallbacks are applied before reaching the page
+    const resolved = resolveMapStyle(style, apiKeys);
+    
+    console.log(`🎨 Enviando cambio de mapa base (${resolved.id})`);
+    sendMessageToWebView({
+      type: 'setMapStyle',
+      style: resolved
+    });
+    
+    return resolved;
+  }, [sendMessageToWebView]);
+
+  const loadPackagesOnMap = useCallback((packages, currentLocation = null, options = {}) => {
+    // An empty list is still sent so the map removes stale markers
+    if (!Array.isArray(packages)) {
       console.log('📦 No hay paquetes para cargar en el mapa');
       return false;
     }
@@ -124,13 +249,24 @@ const useMapControls = (sendMessageToWebView, isMapReady) => {
       return false;
     }
     
+    const { featureCollection, total, hidden } = createPackageFeatureCollection(packages, {
+      maxVisiblePackages: options.maxVisiblePackages,
+      driverLocation: currentLocation
+    });
+    
     const message = {
       type: 'loadPackages',
-      packages: packages,
+      geojson: featureCollection,
+      total,
+      hidden,
       driverLocation: currentLocation
     };
     
-    console.log(`📦 Enviando ${packages.length} paquetes al mapa`);
+    if (hidden > 0) {
+      console.log(`📦 ${hidden} paquetes ocultos por el límite de paquetes visibles`);
+    }
+    
+    console.log(`📦 Enviando ${featureCollection.features.length} paquetes al mapa`);
     const result = sendMessageToWebView(message);
     
     if (!result) {
@@ -247,6 +383,13 @@ const useMapControls = (sendMessageToWebView, isMapReady) => {
     updateDriverLocation,
     centerOnLocation,
     fitToPackages,
+    setClustering,
+    showRoute,
+    clearRoute,
+    prefetchTiles,
+    configureTileCache,
+    clearTileCache,
+    setMapStyle,
     loadPackagesOnMap,
     addUserLocationMarker,
     clearUserMarkers,
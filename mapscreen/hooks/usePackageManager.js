@@ -1,18 +1,130 @@
 // hooks/usePackageManager.js - Hook corregido para evitar loading infinito
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { isPackageAdapter, getMissingAdapterMethods } from '../adapters/PackageAdapter';
+import { normalizePackage, normalizePackages, mergePackageLists } from '../utils/packageModel';
+import { createProofOfDelivery, assertCanMarkDelivered, toStoredProofOfDelivery } from '../utils/proofOfDelivery';
+import { createDeliveryAttempt, assertCanRecordAttempt, applyFailedAttempt } from '../utils/failedDelivery';
+import { assertTransition, applyStatusChange } from '../utils/packageStatus';
+import { createAuditContext } from '../utils/auditTrail';
+import { isRetryableError, isAuthError } from '../utils/httpClient';
+import { isVersionConflict, DEFAULT_CONFLICT_POLICY } from '../utils/packageConflicts';
+import OutboxService, { OUTBOX_EVENTS, createIdempotencyKey } from '../services/OutboxService';
+
+// options.conflictPolicy: qué hacer cuando el paquete cambió también en el servidor
+// (ver CONFLICT_POLICIES en utils/packageConflicts.js)
+// options.session: SessionService del conductor; el outbox sólo envía sus cambios con su sesión
+const usePackageManager = (adapter, initialPackages = [], options = {}) => {
+  const { conflictPolicy = DEFAULT_CONFLICT_POLICY, session = null } = options;
 
-const usePackageManager = (adapter, initialPackages = []) => {
   const [packages, setPackages] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [pendingSyncIds, setPendingSyncIds] = useState([]);
+  const [syncConflicts, setSyncConflicts] = useState([]);
   
   const adapterRef = useRef(adapter);
   const subscriptionRef = useRef(null);
+  const outboxRef = useRef(null);
+  const outboxOptionsRef = useRef({ conflictPolicy, session });
   const mountedRef = useRef(true);
 
   // Actualizar referencia del adapter
   useEffect(() => {
     adapterRef.current = adapter;
+
+    if (adapter && !isPackageAdapter(adapter)) {
+      console.warn('📦 El adapter no cumple el contrato PackageAdapter, faltan:', getMissingAdapterMethods(adapter));
+    }
+  }, [adapter]);
+
+  // La política y la sesión se cambian en el outbox existente: dos outbox sobre la
+  // misma cola enviarían y guardarían los mismos cambios
+  useEffect(() => {
+    outboxOptionsRef.current = { conflictPolicy, session };
+    outboxRef.current?.setConflictPolicy(conflictPolicy);
+    outboxRef.current?.setSession(session);
+  }, [conflictPolicy, session]);
+
+  // Outbox (uno por adapter): cambios que no llegaron al adapter, reenviados en orden al volver la conexión
+  useEffect(() => {
+    if (!isPackageAdapter(adapter)) return undefined;
+
+    const outbox = new OutboxService(adapter, outboxOptionsRef.current);
+    outboxRef.current = outbox;
+
+    const replacePackage = (updated) => {
+      setPackages(prev =>
+        prev.map(pkg =>
+          pkg.id === updated.id ? updated : pkg
+        )
+      );
+    };
+
+    const unsubscribe = outbox.subscribe((event) => {
+      if (!mountedRef.current) return;
+
+      switch (event.type) {
+        case OUTBOX_EVENTS.CHANGED:
+          setPendingSyncIds(outbox.getPendingPackageIds());
+          setSyncConflicts(outbox.getConflicts());
+          break;
+
+        case OUTBOX_EVENTS.SYNCED: {
+          // Sólo el último cambio en cola trae el estado final del paquete
+          const updated = normalizePackage(event.package);
+          if (updated && !outbox.hasPending(updated.id)) {
+            replacePackage(updated);
+          }
+          break;
+        }
+
+        case OUTBOX_EVENTS.REJECTED:
+          console.error(`❌ Cambio rechazado para ${event.entry.packageId}:`, event.error.message);
+
+          // El cambio optimista ya no vale: recuperar el paquete del adapter
+          adapter.getPackageDetails(event.entry.packageId)
+            .then(pkg => {
+              const current = normalizePackage(pkg);
+              if (mountedRef.current && current) {
+                replacePackage(current);
+              }
+            })
+            .catch(err => console.error('❌ Error recuperando paquete rechazado:', err));
+          break;
+
+        case OUTBOX_EVENTS.CONFLICT:
+          console.warn(`⚠️ Conflicto en ${event.entry.packageId}: cambió también en el servidor`);
+          setSyncConflicts(outbox.getConflicts());
+          break;
+
+        case OUTBOX_EVENTS.RESOLVED: {
+          setSyncConflicts(outbox.getConflicts());
+
+          // Se quedó la versión del servidor: reemplaza al cambio optimista
+          const serverPackage = normalizePackage(event.package);
+          if (serverPackage && !outbox.hasPending(serverPackage.id)) {
+            replacePackage(serverPackage);
+          }
+          break;
+        }
+
+        default:
+          break;
+      }
+    });
+
+    outbox.start().catch(err => {
+      console.error('❌ Error iniciando el outbox:', err);
+    });
+
+    return () => {
+      unsubscribe();
+      // El siguiente outbox carga la cola cuando termine el reenvío en curso
+      outbox.dispose();
+      if (outboxRef.current === outbox) {
+        outboxRef.current = null;
+      }
+    };
   }, [adapter]);
 
   // Cleanup al desmontar
@@ -39,13 +151,14 @@ const usePackageManager = (adapter, initialPackages = []) => {
       // Si tenemos paquetes iniciales, usarlos primero
       if (initialPackages && initialPackages.length > 0) {
         console.log(`📦 Usando ${initialPackages.length} paquetes iniciales`);
-        setPackages(initialPackages);
+        const normalizedInitial = normalizePackages(initialPackages);
+        setPackages(normalizedInitial);
         setIsLoading(false);
-        return initialPackages;
+        return normalizedInitial;
       }
 
       // Si no hay paquetes iniciales, intentar cargar del adapter
-      if (adapterRef.current && typeof adapterRef.current.getPackages === 'function') {
+      if (isPackageAdapter(adapterRef.current)) {
         console.log('📦 Cargando paquetes del adapter...');
         
         const loadedPackages = await adapterRef.current.getPackages();
@@ -54,13 +167,20 @@ const usePackageManager = (adapter, initialPackages = []) => {
 
         if (Array.isArray(loadedPackages)) {
           console.log(`📦 Cargados ${loadedPackages.length} paquetes del adapter`);
-          setPackages(loadedPackages);
+
+          // Los paquetes con cambios en el outbox conservan su estado local
+          const normalizedLoaded = normalizePackages(loadedPackages);
+          setPackages(prev =>
+            normalizedLoaded.map(pkg =>
+              outboxRef.current?.hasPending(pkg.id) ? prev.find(local => local.id === pkg.id) || pkg : pkg
+            )
+          );
         } else {
           console.warn('📦 El adapter no devolvió un array válido, usando array vacío');
           setPackages([]);
         }
       } else {
-        console.log('📦 No hay adapter disponible o no tiene método getPackages, usando paquetes vacíos');
+        console.log('📦 No hay adapter válido disponible, usando paquetes vacíos');
         setPackages([]);
       }
 
@@ -72,7 +192,7 @@ const usePackageManager = (adapter, initialPackages = []) => {
         // En caso de error, usar paquetes iniciales si están disponibles
         if (initialPackages && initialPackages.length > 0) {
           console.log('📦 Usando paquetes iniciales como fallback');
-          setPackages(initialPackages);
+          setPackages(normalizePackages(initialPackages));
         } else {
           setPackages([]);
         }
@@ -97,56 +217,194 @@ const usePackageManager = (adapter, initialPackages = []) => {
     return () => clearTimeout(timer);
   }, [loadPackages]);
 
-  // Función para actualizar estado de un paquete
-  const updatePackageStatus = useCallback(async (packageId, newStatus) => {
+  // Enviar una mutación al adapter. Sin conexión (timeout, red, 5xx) o sin sesión
+  // (401/403) queda en el outbox y el paquete se marca pendiente de sincronizar; si el paquete cambió
+  // en el servidor, el outbox aplica la política de conflictos; cualquier otro
+  // error devuelve el paquete a su estado anterior
+  const commitMutation = useCallback(async ({ method, packageId, args, previous, optimistic }) => {
+    if (optimistic) {
+      setPackages(prev =>
+        prev.map(pkg =>
+          pkg.id === packageId ? optimistic : pkg
+        )
+      );
+    }
+
+    if (!isPackageAdapter(adapterRef.current)) {
+      return optimistic;
+    }
+
+    const outbox = outboxRef.current;
+    const idempotencyKey = createIdempotencyKey();
+    const baseVersion = previous?.version ?? null;
+    const queued = { method, packageId, args, idempotencyKey, baseVersion, base: previous, local: optimistic };
+
+    // El cambio no quedó registrado: volver al paquete anterior
+    const revert = () => {
+      if (mountedRef.current && previous) {
+        setPackages(prev =>
+          prev.map(pkg =>
+            pkg.id === packageId ? previous : pkg
+          )
+        );
+      }
+    };
+
+    // Si el outbox no puede guardar el cambio (OUTBOX_PERSIST_FAILED) se pierde al cerrar la app
+    const enqueue = async () => {
+      try {
+        await outbox.enqueue(queued);
+      } catch (err) {
+        console.error(`❌ Error guardando ${method} de ${packageId} en el outbox:`, err.message);
+        revert();
+        throw err;
+      }
+    };
+
+    // Con cambios en cola (o la cola aún cargando), este va detrás para respetar el orden
+    if (outbox && (!outbox.isLoaded || outbox.hasPending())) {
+      await enqueue();
+      outbox.replay();
+      return optimistic && { ...optimistic, pendingSync: true };
+    }
+
+    try {
+      const updatedPackage = normalizePackage(
+        await adapterRef.current[method](packageId, ...args, { idempotencyKey, baseVersion })
+      );
+
+      if (mountedRef.current && updatedPackage) {
+        setPackages(prev =>
+          prev.map(pkg =>
+            pkg.id === packageId ? updatedPackage : pkg
+          )
+        );
+        return updatedPackage;
+      }
+
+      return optimistic;
+    } catch (err) {
+      if (outbox && isRetryableError(err)) {
+        console.warn(`📦 Sin conexión: ${method} de ${packageId} queda pendiente de sincronizar`);
+        await enqueue();
+        return optimistic && { ...optimistic, pendingSync: true };
+      }
+
+      if (outbox && isAuthError(err)) {
+        console.warn(`🔒 Sin sesión válida: ${method} de ${packageId} se enviará al volver a iniciar sesión`);
+        await enqueue();
+        return optimistic && { ...optimistic, pendingSync: true };
+      }
+
+      if (outbox && isVersionConflict(err)) {
+        console.warn(`⚠️ ${packageId} cambió en el servidor, resolviendo conflicto...`);
+        await enqueue();
+        outbox.replay();
+        return optimistic && { ...optimistic, pendingSync: true };
+      }
+
+      revert();
+      throw err;
+    }
+  }, []);
+
+  // Función para actualizar estado de un paquete (audit: quién, dispositivo y ubicación del cambio)
+  const updatePackageStatus = useCallback(async (packageId, newStatus, auditInput = {}) => {
     if (!mountedRef.current) return null;
 
+    const current = packages.find(pkg => pkg.id === packageId);
+    const audit = createAuditContext(auditInput);
+
+    if (current) {
+      assertTransition(current.status, newStatus);
+
+      // Packages that need a signature can only be delivered through completeDelivery
+      if (newStatus === 'DELIVERED') {
+        assertCanMarkDelivered(current, current.proofOfDelivery || null);
+      }
+    }
+
     try {
       console.log(`📦 Actualizando paquete ${packageId} a estado ${newStatus}`);
 
-      // Actualizar localmente primero para UI responsiva
-      setPackages(prev => 
-        prev.map(pkg => 
-          pkg.id === packageId 
-            ? { ...pkg, status: newStatus, updatedAt: new Date().toISOString() }
-            : pkg
-        )
-      );
+      return await commitMutation({
+        method: 'updatePackageStatus',
+        packageId,
+        args: [newStatus, audit],
+        previous: current,
+        optimistic: current ? applyStatusChange(current, newStatus, audit) : null
+      });
+    } catch (err) {
+      console.error('❌ Error actualizando paquete:', err);
+      throw err;
+    }
+  }, [packages, commitMutation]);
 
-      // Intentar actualizar en el adapter si está disponible
-      if (adapterRef.current && typeof adapterRef.current.updatePackageStatus === 'function') {
-        const updatedPackage = await adapterRef.current.updatePackageStatus(packageId, newStatus);
-        
-        if (mountedRef.current && updatedPackage) {
-          // Actualizar con la respuesta del adapter
-          setPackages(prev => 
-            prev.map(pkg => 
-              pkg.id === packageId ? updatedPackage : pkg
-            )
-          );
-          return updatedPackage;
+  // Función para completar una entrega con prueba de entrega (firma, fotos, nombre, GPS)
+  const completeDelivery = useCallback(async (packageId, proofInput, auditInput = {}) => {
+    if (!mountedRef.current) return null;
+
+    const previous = packages.find(pkg => pkg.id === packageId);
+    const proof = createProofOfDelivery(proofInput);
+    const audit = createAuditContext(auditInput);
+
+    if (!previous) {
+      throw new Error(`Package with ID ${packageId} not found`);
+    }
+    assertTransition(previous.status, 'DELIVERED');
+    assertCanMarkDelivered(previous, proof);
+
+    try {
+      console.log(`📦 Completando entrega de ${packageId} con prueba de entrega`);
+
+      return await commitMutation({
+        method: 'completeDelivery',
+        packageId,
+        args: [proof, audit],
+        previous,
+        optimistic: {
+          ...applyStatusChange(previous, 'DELIVERED', audit),
+          deliveredAt: proof.capturedAt,
+          proofOfDelivery: toStoredProofOfDelivery(proof)
         }
-      }
+      });
+    } catch (err) {
+      console.error('❌ Error completando entrega:', err);
+      throw err;
+    }
+  }, [packages, commitMutation]);
+
+  // Función para registrar un intento de entrega fallido (motivo, notas, foto, GPS)
+  const recordDeliveryAttempt = useCallback(async (packageId, attemptInput, auditInput = {}) => {
+    if (!mountedRef.current) return null;
+
+    const previous = packages.find(pkg => pkg.id === packageId);
+    const attempt = createDeliveryAttempt(attemptInput);
+    const audit = createAuditContext(auditInput);
+
+    if (!previous) {
+      throw new Error(`Package with ID ${packageId} not found`);
+    }
+    assertCanRecordAttempt(previous, attempt);
 
-      // Si no hay adapter, devolver el paquete actualizado localmente
-      const updatedPackage = packages.find(pkg => pkg.id === packageId);
-      return updatedPackage ? { ...updatedPackage, status: newStatus } : null;
+    // Same rules the adapter applies, so the UI reflects them right away
+    const optimistic = applyFailedAttempt(previous, attempt, audit);
 
+    try {
+      console.log(`📦 Registrando intento ${optimistic.attempts} de ${packageId}: ${attempt.reason}`);
+
+      return await commitMutation({
+        method: 'recordDeliveryAttempt',
+        packageId,
+        args: [attempt, audit],
+        previous,
+        optimistic
+      });
     } catch (err) {
-      console.error('❌ Error actualizando paquete:', err);
-      
-      // Revertir cambio local en caso de error
-      setPackages(prev => 
-        prev.map(pkg => 
-          pkg.id === packageId 
-            ? { ...pkg } // Mantener estado anterior
-            : pkg
-        )
-      );
-      
+      console.error('❌ Error registrando intento de entrega:', err);
       throw err;
     }
-  }, [packages]);
+  }, [packages, commitMutation]);
 
   // Función para obtener detalles de un paquete
   const getPackageDetails = useCallback(async (packageId) => {
@@ -159,7 +417,7 @@ const usePackageManager = (adapter, initialPackages = []) => {
       }
 
       // Si no está en el estado local, intentar obtener del adapter
-      if (adapterRef.current && typeof adapterRef.current.getPackageDetails === 'function') {
+      if (isPackageAdapter(adapterRef.current)) {
         const packageDetails = await adapterRef.current.getPackageDetails(packageId);
         return packageDetails;
       }
@@ -180,26 +438,34 @@ const usePackageManager = (adapter, initialPackages = []) => {
 
     console.log('📦 Suscribiéndose a actualizaciones en tiempo real');
 
-    // Si el adapter soporta suscripciones
-    if (adapterRef.current && typeof adapterRef.current.subscribeToUpdates === 'function') {
+    if (isPackageAdapter(adapterRef.current)) {
       try {
-        const unsubscribe = adapterRef.current.subscribeToUpdates((event) => {
+        const unsubscribe = adapterRef.current.subscribe((event) => {
           if (!mountedRef.current) return;
 
           console.log('📦 Evento recibido del adapter:', event.type);
 
           switch (event.type) {
-            case 'packageUpdated':
-              setPackages(prev => 
-                prev.map(pkg => 
-                  pkg.id === event.package.id ? event.package : pkg
-                )
-              );
+            case 'packageUpdated': {
+              const updated = normalizePackage(event.package);
+              // Los cambios pendientes de sincronizar mandan sobre lo que llegue del adapter
+              if (updated && !outboxRef.current?.hasPending(updated.id)) {
+                setPackages(prev => 
+                  prev.map(pkg => 
+                    pkg.id === updated.id ? updated : pkg
+                  )
+                );
+              }
               break;
+            }
 
-            case 'packageAdded':
-              setPackages(prev => [...prev, event.package]);
+            case 'packageAdded': {
+              const added = normalizePackage(event.package);
+              if (added) {
+                setPackages(prev => mergePackageLists(prev, [added]));
+              }
               break;
+            }
 
             case 'packageRemoved':
               setPackages(prev => prev.filter(pkg => pkg.id !== event.packageId));
@@ -233,9 +499,12 @@ const usePackageManager = (adapter, initialPackages = []) => {
   }, [loadPackages]);
 
   // Función para agregar un paquete
-  const addPackage = useCallback((newPackage) => {
+  const addPackage = useCallback((rawPackage) => {
     if (!mountedRef.current) return;
 
+    const newPackage = normalizePackage(rawPackage);
+    if (!newPackage) return;
+
     console.log('📦 Agregando nuevo paquete:', newPackage.trackingNumber);
     
     setPackages(prev => {
@@ -251,6 +520,20 @@ const usePackageManager = (adapter, initialPackages = []) => {
     });
   }, []);
 
+  // Función para integrar paquetes de otra fuente (p. ej. SyncService) en cualquier formato.
+  // Los paquetes con cambios en el outbox conservan su estado local: el outbox
+  // trae su versión final al sincronizarlos (OUTBOX_EVENTS.SYNCED)
+  const mergePackages = useCallback((incomingPackages) => {
+    if (!mountedRef.current) return [];
+
+    const normalized = normalizePackages(incomingPackages)
+      .filter(pkg => !outboxRef.current?.hasPending(pkg.id));
+    console.log(`📦 Integrando ${normalized.length} paquetes externos`);
+
+    setPackages(prev => mergePackageLists(prev, normalized));
+    return normalized;
+  }, []);
+
   // Función para remover un paquete
   const removePackage = useCallback((packageId) => {
     if (!mountedRef.current) return;
@@ -260,6 +543,52 @@ const usePackageManager = (adapter, initialPackages = []) => {
     setPackages(prev => prev.filter(pkg => pkg.id !== packageId));
   }, []);
 
+  // Función para vaciar la lista (p. ej. al cerrar la sesión del conductor);
+  // el outbox se conserva y sus cambios se siguen enviando
+  const clearPackages = useCallback(async () => {
+    if (!mountedRef.current) return;
+
+    console.log('📦 Vaciando paquetes');
+    setPackages([]);
+
+    if (typeof adapterRef.current?.clearStorage === 'function') {
+      try {
+        await adapterRef.current.clearStorage();
+      } catch (err) {
+        console.error('❌ Error vaciando el almacenamiento del adapter:', err);
+      }
+    }
+  }, []);
+
+  // Reintentar ya los cambios pendientes de sincronizar
+  const syncPendingChanges = useCallback(() => {
+    if (!outboxRef.current) {
+      return Promise.resolve({ synced: 0, rejected: 0, pending: 0 });
+    }
+
+    console.log('📦 Sincronizando cambios pendientes...');
+    return outboxRef.current.replay({ force: true });
+  }, []);
+
+  // Resolver un conflicto que el outbox dejó al conductor: 'server' descarta el
+  // cambio del dispositivo, 'client' lo vuelve a enviar sobre la versión del servidor
+  const resolveSyncConflict = useCallback((idempotencyKey, resolution) => {
+    if (!outboxRef.current) {
+      return Promise.resolve(null);
+    }
+
+    console.log(`📦 Resolviendo conflicto ${idempotencyKey}: ${resolution}`);
+    return outboxRef.current.resolveConflict(idempotencyKey, resolution);
+  }, []);
+
+  // Paquetes con cambios en el outbox, marcados para la UI (badge "pendiente de sincronizar")
+  const packagesWithSyncState = useMemo(() => {
+    if (pendingSyncIds.length === 0) return packages;
+
+    const pending = new Set(pendingSyncIds);
+    return packages.map(pkg => (pending.has(pkg.id) ? { ...pkg, pendingSync: true } : pkg));
+  }, [packages, pendingSyncIds]);
+
   // Debug info para desarrollo
   useEffect(() => {
     if (__DEV__) {
@@ -274,15 +603,23 @@ const usePackageManager = (adapter, initialPackages = []) => {
   }, [packages.length, isLoading, error, initialPackages.length]);
 
   return {
-    packages,
+    packages: packagesWithSyncState,
     isLoading,
     error,
     updatePackageStatus,
+    completeDelivery,
+    recordDeliveryAttempt,
     loadPackages: refreshPackages,
     getPackageDetails,
     subscribeToUpdates,
     addPackage,
+    mergePackages,
     removePackage,
+    clearPackages,
+    pendingSyncIds,
+    syncPendingChanges,
+    syncConflicts,
+    resolveSyncConflict,
     
     // Funciones de utilidad
     packagesCount: packages.length,
@@ -0,0 +1,39 @@
+// services/DeviceIdentity.js - Stable identity of this installation
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
+
+export const DEVICE_ID_STORAGE_KEY = 'delivery_device_id';
+
+let deviceIdPromise = null;
+
+const createDeviceId = () =>
+  `device_${Platform.OS}_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 9)}`;
+
+const loadOrCreateDeviceId = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(DEVICE_ID_STORAGE_KEY);
+    if (stored) return stored;
+
+    const deviceId = createDeviceId();
+    await AsyncStorage.setItem(DEVICE_ID_STORAGE_KEY, deviceId);
+    console.log('DeviceIdentity: Created device ID', deviceId);
+    return deviceId;
+  } catch (error) {
+    // Without storage the ID is still stable for this run of the app
+    console.error('DeviceIdentity: Error accessing storage, using a session-only ID:', error);
+    return createDeviceId();
+  }
+};
+
+/**
+ * ID of this installation: created on first use and kept in local storage,
+ * so every request from the same phone carries the same ID. It survives
+ * driver logouts; it changes only when the app data is cleared.
+ * @returns {Promise<string>}
+ */
+export const getDeviceId = () => {
+  if (!deviceIdPromise) {
+    deviceIdPromise = loadOrCreateDeviceId();
+  }
+  return deviceIdPromise;
+};
@@ -0,0 +1,827 @@
+// services/OutboxService.js - Offline outbox for package mutations
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import { isRetryableError, isAuthError, computeBackoffDelay } from '../utils/httpClient';
+import {
+  DEFAULT_CONFLICT_POLICY,
+  CONFLICT_RESOLUTIONS,
+  chooseConflictResolution,
+  getPackageVersion,
+  isVersionConflict
+} from '../utils/packageConflicts';
+
+// Connectivity events are optional: without them the outbox replays when the
+// app comes back to the foreground and on its backoff timer
+let NetInfo = null;
+try {
+  NetInfo = require('@react-native-community/netinfo').default;
+} catch (error) {
+  console.warn('@react-native-community/netinfo not found, outbox replays on app resume only');
+}
+
+// Photo and signature data go to files so queued entries stay small; without
+// the module they stay inline in the entry
+let FileSystem = null;
+try {
+  FileSystem = require('expo-file-system/legacy');
+} catch (error) {
+  console.warn('expo-file-system not found, queued photos are kept in storage');
+}
+
+/**
+ * Adapter methods that can be queued; each entry calls
+ * adapter[method](packageId, ...args, { idempotencyKey, baseVersion })
+ * (once rebased on another version, with its requestKey; see rebaseEntry)
+ */
+export const OUTBOX_MUTATIONS = ['updatePackageStatus', 'completeDelivery', 'recordDeliveryAttempt'];
+
+/**
+ * Events emitted to subscribers
+ *
+ *   { type: 'changed',  entries }                 queue added to, retried or emptied
+ *   { type: 'synced',   entry, package }          the adapter accepted a queued mutation
+ *   { type: 'rejected', entry, error }            the adapter refused it for good (dropped)
+ *   { type: 'conflict', entry, server, conflicts } the package changed on the server and
+ *                                                 the driver has to decide (queue paused)
+ *   { type: 'resolved', entry, resolution, package } a conflict was settled; with the
+ *                                                 'server' resolution the entry is dropped
+ *                                                 and `package` is the server's copy
+ */
+export const OUTBOX_EVENTS = {
+  CHANGED: 'changed',
+  SYNCED: 'synced',
+  REJECTED: 'rejected',
+  CONFLICT: 'conflict',
+  RESOLVED: 'resolved'
+};
+
+/**
+ * New idempotency key for a mutation; the same key is sent on every replay
+ * @returns {string}
+ */
+export const createIdempotencyKey = () =>
+  `mut_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Key a queued change is sent with once it is based on another server
+ * version. The server keeps the answer it gave to a key, so the change
+ * sent on top of the new version needs a key of its own.
+ * @param {string} idempotencyKey - The entry's own key
+ * @param {number|string} baseVersion - Version the change is now based on
+ * @returns {string}
+ */
+export const createRebasedKey = (idempotencyKey, baseVersion) => `${idempotencyKey}_v${baseVersion}`;
+
+/**
+ * Paths of the large payloads in an entry: photo data (base64) and
+ * signature data URIs, in the mutation args and the package snapshots
+ */
+const findAttachmentPaths = (entry) => {
+  const paths = [];
+
+  entry.args.forEach((arg, argIndex) => {
+    if (!arg || typeof arg !== 'object') return;
+
+    (arg.photos || []).forEach((photo, photoIndex) => {
+      if (typeof photo?.data === 'string') paths.push(['args', argIndex, 'photos', photoIndex, 'data']);
+    });
+    if (typeof arg.signature === 'string' && arg.signature.startsWith('data:')) {
+      paths.push(['args', argIndex, 'signature']);
+    }
+  });
+
+  ['base', 'local'].forEach(snapshot => {
+    const signature = entry[snapshot]?.proofOfDelivery?.signature;
+    if (typeof signature === 'string' && signature.startsWith('data:')) {
+      paths.push([snapshot, 'proofOfDelivery', 'signature']);
+    }
+  });
+
+  return paths;
+};
+
+// Disposed outboxes still finishing a replay, by storageKey: the next outbox on
+// the same storage loads once that replay is over
+const pendingDisposals = new Map();
+
+const getIn = (target, path) => path.reduce((value, key) => value?.[key], target);
+
+// Copy of `target` with the value at `path` replaced (only the path is copied)
+const setIn = (target, [key, ...rest], value) => {
+  const copy = Array.isArray(target) ? [...target] : { ...target };
+  copy[key] = rest.length === 0 ? value : setIn(target[key], rest, value);
+  return copy;
+};
+
+/**
+ * OutboxService - Persisted queue of package mutations that could not reach
+ * the adapter (offline, timeouts, 5xx). Entries are replayed strictly in the
+ * order they were made, with exponential backoff between failed replays, and
+ * as soon as connectivity returns. Errors that would fail the same way again
+ * (validation, 4xx) drop the entry and are reported as 'rejected'.
+ *
+ * Each entry keeps the package version it was made on, and the package
+ * before and after the change. When the adapter answers VERSION_CONFLICT the
+ * configured policy (utils/packageConflicts.js) keeps the server's copy,
+ * sends the change again on top of it, or pauses the queue until the driver
+ * picks one with resolveConflict().
+ *
+ * With a driver `session` (SessionService) every entry records the driver
+ * who made it and is only sent while that driver is logged in. Nothing is
+ * replayed without a session, and a 401 / 403 / SESSION_EXPIRED answer
+ * pauses the queue until the next login or token refresh instead of
+ * rejecting the change.
+ *
+ * Each entry is stored under its own key (`<storageKey>:<idempotencyKey>`,
+ * with the order in `storageKey`), and photo / signature data is written to
+ * files (expo-file-system) that are read back when the entry is replayed and
+ * deleted once it leaves the queue. enqueue() rejects with
+ * OUTBOX_PERSIST_FAILED when the entry can't be stored, so a change is
+ * never reported as queued while it only lives in memory.
+ *
+ * Keep one outbox per adapter and storageKey: change the policy and the
+ * session with setConflictPolicy() / setSession(). After dispose() the
+ * outbox neither sends nor stores anything, and a new outbox on the same
+ * storage waits for the replay that was in flight before loading.
+ */
+class OutboxService {
+  constructor(adapter, config = {}) {
+    this.adapter = adapter;
+
+    this.config = {
+      storageKey: 'delivery_outbox',
+      retryDelay: 2000,
+      maxRetryDelay: 5 * 60 * 1000,
+      conflictPolicy: DEFAULT_CONFLICT_POLICY,
+      // Automatic resolutions per entry before asking the driver
+      maxConflictRetries: 3,
+      // SessionService (optional): entries wait for their driver's session
+      session: null,
+      ...config
+    };
+
+    this.entries = [];
+    // Entry keys currently in storage, to remove the ones that left the queue
+    this.storedKeys = new Set();
+    this.listeners = new Set();
+    this.isLoaded = false;
+    this.isStarted = false;
+    this.disposed = false;
+    this.loadPromise = null;
+    this.replayPromise = null;
+    this.retryTimeoutId = null;
+    this.connectivitySubscription = null;
+    this.appStateSubscription = null;
+    this.sessionSubscription = null;
+  }
+
+  getEntryStorageKey(idempotencyKey) {
+    return `${this.config.storageKey}:${idempotencyKey}`;
+  }
+
+  /**
+   * Load the queued entries left by a previous session (once)
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.runLoad();
+    }
+
+    return this.loadPromise;
+  }
+
+  async runLoad() {
+    // An outbox disposed mid-replay may still write this queue
+    await pendingDisposals.get(this.config.storageKey);
+
+    let stored = [];
+    try {
+      const storedData = await AsyncStorage.getItem(this.config.storageKey);
+      const index = storedData ? JSON.parse(storedData) : [];
+
+      if (index.some(item => item && typeof item === 'object')) {
+        // Queue saved as a single value by an older version
+        stored = index;
+      } else {
+        const pairs = await AsyncStorage.multiGet(index.map(key => this.getEntryStorageKey(key)));
+        stored = pairs.map(([, value]) => (value ? JSON.parse(value) : null)).filter(Boolean);
+        this.storedKeys = new Set(index);
+      }
+    } catch (error) {
+      console.error('OutboxService: Error loading from storage:', error);
+    }
+
+    this.entries = stored;
+    this.isLoaded = true;
+    console.log('OutboxService: Loaded', this.entries.length, 'pending mutations');
+
+    if (stored.length > 0 && !this.storedKeys.size) {
+      await this.persist();
+    }
+    this.notify({ type: OUTBOX_EVENTS.CHANGED, entries: this.getEntries() });
+  }
+
+  /**
+   * Save the queue to local storage: the order under storageKey and every
+   * entry under its own key
+   * @returns {Promise<boolean>} false when storage failed (the queue is still in memory)
+   */
+  async persist() {
+    if (this.disposed) return false;
+
+    const keys = this.entries.map(entry => entry.idempotencyKey);
+    const removed = [...this.storedKeys].filter(key => !keys.includes(key));
+
+    try {
+      await AsyncStorage.multiSet([
+        ...this.entries.map(entry => [this.getEntryStorageKey(entry.idempotencyKey), JSON.stringify(entry)]),
+        [this.config.storageKey, JSON.stringify(keys)]
+      ]);
+
+      if (removed.length > 0) {
+        await AsyncStorage.multiRemove(removed.map(key => this.getEntryStorageKey(key)));
+      }
+
+      this.storedKeys = new Set(keys);
+      return true;
+    } catch (error) {
+      console.error('OutboxService: Error saving to storage:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Move the entry's photo / signature data to files; the entry keeps the
+   * file URIs in `attachments` ({path, uri})
+   * @returns {Promise<Object>} Entry without the inline data
+   */
+  async writeAttachments(entry) {
+    const paths = FileSystem?.documentDirectory ? findAttachmentPaths(entry) : [];
+    if (paths.length === 0) return entry;
+
+    const directory = `${FileSystem.documentDirectory}outbox/`;
+    await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+
+    let stored = { ...entry, attachments: [] };
+    for (const [index, path] of paths.entries()) {
+      const uri = `${directory}${entry.idempotencyKey}_${index}`;
+      await FileSystem.writeAsStringAsync(uri, getIn(entry, path));
+
+      stored = setIn(stored, path, null);
+      stored.attachments = [...stored.attachments, { path, uri }];
+    }
+
+    return stored;
+  }
+
+  /**
+   * Entry with its photo / signature data read back from the files. Rejects
+   * with ATTACHMENT_MISSING when a file is gone: a delivery is never sent
+   * without its photo or signature.
+   */
+  async readAttachments(entry) {
+    let restored = entry;
+
+    for (const { path, uri } of entry.attachments || []) {
+      try {
+        restored = setIn(restored, path, await FileSystem.readAsStringAsync(uri));
+      } catch (cause) {
+        console.error(`OutboxService: Attachment ${uri} of ${entry.idempotencyKey} is missing:`, cause);
+
+        const error = new Error(`ATTACHMENT_MISSING: ${entry.method} for package ${entry.packageId} lost the file ${uri}`);
+        error.code = 'ATTACHMENT_MISSING';
+        throw error;
+      }
+    }
+
+    return restored;
+  }
+
+  async deleteAttachments(entry) {
+    for (const { uri } of entry.attachments || []) {
+      try {
+        await FileSystem.deleteAsync(uri, { idempotent: true });
+      } catch (error) {
+        console.warn('OutboxService: Error deleting attachment', uri, error);
+      }
+    }
+  }
+
+  /**
+   * Remove an entry from the queue, with its attachment files (kept while
+   * the entry is still stored)
+   */
+  async dropEntry(entry) {
+    this.entries = this.entries.filter(queued => queued !== entry);
+    if (await this.persist()) {
+      await this.deleteAttachments(entry);
+    }
+  }
+
+  /**
+   * Load the queue, listen for connectivity / app resume and replay what is pending
+   */
+  async start() {
+    await this.load();
+    if (this.disposed) return null;
+    this.isStarted = true;
+
+    if (NetInfo && !this.connectivitySubscription) {
+      this.connectivitySubscription = NetInfo.addEventListener((state) => {
+        if (state.isConnected && state.isInternetReachable !== false && this.entries.length > 0) {
+          console.log('OutboxService: Connectivity restored, replaying');
+          this.replay({ force: true });
+        }
+      });
+    }
+
+    if (!this.appStateSubscription) {
+      this.appStateSubscription = AppState.addEventListener('change', (state) => {
+        if (state === 'active' && this.entries.length > 0) {
+          this.replay({ force: true });
+        }
+      });
+    }
+
+    this.subscribeSession();
+
+    return this.replay();
+  }
+
+  subscribeSession() {
+    const { session } = this.config;
+    if (session && !this.sessionSubscription) {
+      // A login (this or another driver) or a new token lets paused entries through
+      this.sessionSubscription = session.subscribe(({ type }) => {
+        if (type !== 'logout' && this.entries.length > 0) {
+          console.log(`OutboxService: Session ${type}, replaying`);
+          this.replay({ force: true });
+        }
+      });
+    }
+  }
+
+  /**
+   * Stop listening and cancel the pending retry; the queue stays stored
+   */
+  stop() {
+    if (typeof this.connectivitySubscription === 'function') {
+      this.connectivitySubscription();
+    }
+    this.connectivitySubscription = null;
+
+    if (this.appStateSubscription) {
+      this.appStateSubscription.remove();
+      this.appStateSubscription = null;
+    }
+
+    if (this.sessionSubscription) {
+      this.sessionSubscription();
+      this.sessionSubscription = null;
+    }
+
+    this.isStarted = false;
+    this.clearRetry();
+  }
+
+  /**
+   * Policy for the conflicts found from now on (CONFLICT_POLICIES)
+   */
+  setConflictPolicy(conflictPolicy) {
+    this.config.conflictPolicy = conflictPolicy;
+  }
+
+  /**
+   * Send the queued entries with another SessionService (or none)
+   */
+  setSession(session) {
+    if (session === this.config.session) return;
+
+    if (this.sessionSubscription) {
+      this.sessionSubscription();
+      this.sessionSubscription = null;
+    }
+
+    this.config.session = session;
+
+    if (this.isStarted) {
+      this.subscribeSession();
+      if (this.entries.length > 0) {
+        this.replay({ force: true });
+      }
+    }
+  }
+
+  /**
+   * Subscribe to OUTBOX_EVENTS
+   * @param {Function} listener - Receives the events
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  notify(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('OutboxService: Error in listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Driver whose entries can be sent now: undefined without a configured
+   * session (everything goes), null while nobody is logged in (nothing goes)
+   * @returns {string|null|undefined}
+   */
+  getSessionDriverId() {
+    const { session } = this.config;
+    if (!session) return undefined;
+
+    return session.isAuthenticated() ? session.getDriverId() || '' : null;
+  }
+
+  /**
+   * Whether an entry may be sent with the current session: entries queued
+   * without a driver go with any session
+   */
+  canReplay(entry, sessionDriverId = this.getSessionDriverId()) {
+    if (sessionDriverId === undefined) return true;
+    if (sessionDriverId === null) return false;
+    return !entry.driverId || entry.driverId === sessionDriverId;
+  }
+
+  /**
+   * @returns {Array} Queued entries, oldest first
+   */
+  getEntries() {
+    return this.entries.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * @returns {Array<string>} IDs of the packages with queued mutations
+   */
+  getPendingPackageIds() {
+    return [...new Set(this.entries.map(entry => entry.packageId))];
+  }
+
+  /**
+   * Whether anything (for a package, when given) is waiting to be synced
+   * @param {string} packageId - Package ID (optional)
+   * @returns {boolean}
+   */
+  hasPending(packageId) {
+    return packageId === undefined
+      ? this.entries.length > 0
+      : this.entries.some(entry => entry.packageId === packageId);
+  }
+
+  /**
+   * Entries waiting for the driver to settle a conflict
+   * @returns {Array} [{idempotencyKey, packageId, method, local, server, conflicts}]
+   */
+  getConflicts() {
+    return this.entries
+      .filter(entry => entry.conflict)
+      .map(entry => ({
+        idempotencyKey: entry.idempotencyKey,
+        packageId: entry.packageId,
+        method: entry.method,
+        local: entry.local,
+        server: entry.conflict.server,
+        conflicts: entry.conflict.conflicts
+      }));
+  }
+
+  /**
+   * Queue a mutation; a key that is already queued is not added twice
+   * @param {Object} mutation - {method, packageId, args, idempotencyKey, baseVersion,
+   *                            base (package before the change), local (package after it),
+   *                            driverId (defaults to the session's driver)}
+   * @returns {Promise<Object>} Queued entry; rejects with OUTBOX_PERSIST_FAILED
+   *   when it could not be stored (the change is then not queued)
+   */
+  async enqueue({
+    method,
+    packageId,
+    args = [],
+    idempotencyKey = createIdempotencyKey(),
+    baseVersion = null,
+    base = null,
+    local = null,
+    driverId = this.config.session?.getDriverId() || null
+  }) {
+    if (!OUTBOX_MUTATIONS.includes(method)) {
+      throw new Error(`OutboxService: ${method} cannot be queued`);
+    }
+
+    // Storing before the queue is loaded would leave the stored entries out of the index
+    await this.load();
+
+    const existing = this.entries.find(entry => entry.idempotencyKey === idempotencyKey);
+    if (existing) {
+      return { ...existing };
+    }
+
+    let entry = {
+      idempotencyKey,
+      requestKey: null,
+      method,
+      packageId,
+      args,
+      baseVersion,
+      base,
+      local,
+      driverId,
+      attachments: [],
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+      nextAttemptAt: null,
+      lastError: null,
+      conflict: null,
+      conflictCount: 0
+    };
+
+    let stored = false;
+    try {
+      entry = await this.writeAttachments(entry);
+      this.entries.push(entry);
+      stored = await this.persist();
+    } catch (error) {
+      console.error('OutboxService: Error saving attachments:', error);
+    }
+
+    if (!stored) {
+      this.entries = this.entries.filter(queued => queued !== entry);
+      await this.deleteAttachments(entry);
+
+      const error = new Error(`OUTBOX_PERSIST_FAILED: ${method} for package ${packageId} could not be saved for later`);
+      error.code = 'OUTBOX_PERSIST_FAILED';
+      throw error;
+    }
+
+    console.log(`OutboxService: Queued ${method} for package ${packageId} (${this.entries.length} pending)`);
+    this.notify({ type: OUTBOX_EVENTS.CHANGED, entries: this.getEntries() });
+
+    return { ...entry };
+  }
+
+  /**
+   * Send the queued mutations in order, stopping at the first one that still
+   * can't get through. Only one replay runs at a time.
+   * @param {Object} options - {force}: ignore the backoff of the first entry
+   * @returns {Promise<Object>} {synced, rejected, pending}
+   */
+  replay(options = {}) {
+    if (this.disposed) {
+      return Promise.resolve({ synced: 0, rejected: 0, pending: this.entries.length });
+    }
+
+    if (!this.replayPromise) {
+      this.replayPromise = this.runReplay(options).finally(() => {
+        this.replayPromise = null;
+      });
+    }
+
+    return this.replayPromise;
+  }
+
+  async runReplay({ force = false } = {}) {
+    const result = { synced: 0, rejected: 0, pending: 0 };
+
+    if (!this.isLoaded) {
+      await this.load();
+    }
+
+    this.clearRetry();
+
+    if (this.config.session) {
+      await this.config.session.load();
+    }
+
+    if (this.disposed) return result;
+
+    if (this.getSessionDriverId() === null) {
+      console.log('OutboxService: No driver session, replay paused until login');
+    }
+
+    while (!this.disposed && this.entries.length > 0) {
+      // Entries of other drivers wait for their session; the rest keep their order
+      const entry = this.entries.find(queued => this.canReplay(queued));
+      if (!entry) break;
+
+      // Nothing goes through until the driver settles the conflict
+      if (entry.conflict) break;
+
+      const waitMs = entry.nextAttemptAt ? new Date(entry.nextAttemptAt).getTime() - Date.now() : 0;
+
+      if (!force && waitMs > 0) {
+        this.scheduleRetry(waitMs);
+        break;
+      }
+      force = false;
+
+      try {
+        // A missing attachment rejects the entry below (not retryable)
+        const { args } = await this.readAttachments(entry);
+        const updatedPackage = await this.adapter[entry.method](
+          entry.packageId,
+          ...args,
+          { idempotencyKey: entry.requestKey || entry.idempotencyKey, baseVersion: entry.baseVersion }
+        );
+        // Disposed meanwhile: the entry stays stored and the next outbox sends it
+        // again under the same key, getting this same answer
+        if (this.disposed) break;
+
+        this.rebaseEntries(entry, updatedPackage);
+        await this.dropEntry(entry);
+        result.synced++;
+
+        console.log(`OutboxService: Synced ${entry.method} for package ${entry.packageId}`);
+        this.notify({ type: OUTBOX_EVENTS.SYNCED, entry, package: updatedPackage });
+      } catch (error) {
+        if (this.disposed) break;
+
+        if (isVersionConflict(error)) {
+          const resolution = await this.handleConflict(entry, error.serverPackage);
+          if (resolution === CONFLICT_RESOLUTIONS.MANUAL) break;
+          continue;
+        }
+
+        if (isAuthError(error)) {
+          entry.lastError = error.message;
+          await this.persist();
+
+          console.warn(`OutboxService: ${entry.method} for package ${entry.packageId} needs a session (${error.message}), paused until login`);
+          break;
+        }
+
+        if (isRetryableError(error)) {
+          entry.attempts += 1;
+          entry.lastError = error.message;
+
+          const delay = computeBackoffDelay(entry.attempts, this.config);
+          entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+          await this.persist();
+
+          console.warn(`OutboxService: ${entry.method} for package ${entry.packageId} failed (${error.message}), retrying in ${delay}ms`);
+          this.scheduleRetry(delay);
+          break;
+        }
+
+        await this.dropEntry(entry);
+        result.rejected++;
+
+        console.error(`OutboxService: ${entry.method} for package ${entry.packageId} rejected:`, error);
+        this.notify({ type: OUTBOX_EVENTS.REJECTED, entry, error });
+      }
+    }
+
+    result.pending = this.entries.length;
+    this.notify({ type: OUTBOX_EVENTS.CHANGED, entries: this.getEntries() });
+
+    return result;
+  }
+
+  /**
+   * Later changes to the same package were made on top of this one: once it
+   * is accepted they are based on the version the adapter returned. Queue
+   * order decides, not the versions: a conflict resolution may have moved
+   * the synced entry's baseVersion past the one the later entries were made on.
+   */
+  rebaseEntries(syncedEntry, updatedPackage) {
+    const version = getPackageVersion(updatedPackage);
+    if (version === null) return;
+
+    const syncedIndex = this.entries.indexOf(syncedEntry);
+
+    this.entries.forEach((entry, index) => {
+      if (index > syncedIndex && entry.packageId === syncedEntry.packageId) {
+        this.rebaseEntry(entry, version);
+      }
+    });
+  }
+
+  /**
+   * Base an entry on another server version. It is then sent under a key
+   * derived from its own (requestKey): replaying the old key would only get
+   * back the answer stored for the old version, such as the 409 that
+   * started a conflict.
+   */
+  rebaseEntry(entry, version) {
+    if (version === null || version === entry.baseVersion) return;
+
+    entry.baseVersion = version;
+    entry.requestKey = createRebasedKey(entry.idempotencyKey, version);
+  }
+
+  /**
+   * Apply the conflict policy to an entry the adapter refused as outdated
+   * @returns {Promise<string>} CONFLICT_RESOLUTIONS value that was applied
+   */
+  async handleConflict(entry, serverPackage) {
+    entry.conflictCount = (entry.conflictCount || 0) + 1;
+
+    // A package that keeps changing under an automatic resolution goes to the driver
+    const { base, local } = await this.readAttachments(entry);
+    const { resolution, conflicts } = entry.conflictCount > this.config.maxConflictRetries
+      ? { resolution: CONFLICT_RESOLUTIONS.MANUAL, conflicts: [] }
+      : chooseConflictResolution(this.config.conflictPolicy, { base, local, server: serverPackage });
+
+    console.warn(`OutboxService: Conflict on ${entry.method} for package ${entry.packageId}, resolution: ${resolution}`);
+
+    if (resolution === CONFLICT_RESOLUTIONS.SERVER) {
+      await this.dropEntry(entry);
+      this.notify({ type: OUTBOX_EVENTS.RESOLVED, entry, resolution, package: serverPackage });
+    } else if (resolution === CONFLICT_RESOLUTIONS.CLIENT) {
+      this.rebaseEntry(entry, getPackageVersion(serverPackage));
+      await this.persist();
+    } else {
+      entry.conflict = { server: serverPackage, conflicts, detectedAt: new Date().toISOString() };
+      await this.persist();
+      this.notify({ type: OUTBOX_EVENTS.CONFLICT, entry, server: serverPackage, conflicts });
+    }
+
+    return resolution;
+  }
+
+  /**
+   * Settle a conflict the driver was asked about and resume the queue
+   * @param {string} idempotencyKey - Entry in conflict
+   * @param {string} resolution - CONFLICT_RESOLUTIONS.SERVER (drop the change) or
+   *                              CONFLICT_RESOLUTIONS.CLIENT (send it again on top of the server's copy)
+   * @returns {Promise<Object|null>} Replay result, or null when no such conflict is pending
+   */
+  async resolveConflict(idempotencyKey, resolution) {
+    const entry = this.entries.find(queued => queued.idempotencyKey === idempotencyKey && queued.conflict);
+    if (!entry) return null;
+
+    const serverPackage = entry.conflict.server;
+
+    if (resolution === CONFLICT_RESOLUTIONS.SERVER) {
+      await this.dropEntry(entry);
+    } else {
+      this.rebaseEntry(entry, getPackageVersion(serverPackage));
+      entry.conflict = null;
+      entry.conflictCount = 0;
+      await this.persist();
+    }
+
+    console.log(`OutboxService: Conflict on package ${entry.packageId} resolved by the driver: ${resolution}`);
+    this.notify({
+      type: OUTBOX_EVENTS.RESOLVED,
+      entry,
+      resolution,
+      package: resolution === CONFLICT_RESOLUTIONS.SERVER ? serverPackage : null
+    });
+
+    return this.replay({ force: true });
+  }
+
+  scheduleRetry(delay) {
+    if (this.disposed) return;
+
+    this.clearRetry();
+    this.retryTimeoutId = setTimeout(() => {
+      this.retryTimeoutId = null;
+      this.replay();
+    }, delay);
+  }
+
+  clearRetry() {
+    if (this.retryTimeoutId) {
+      clearTimeout(this.retryTimeoutId);
+      this.retryTimeoutId = null;
+    }
+  }
+
+  /**
+   * Stop listening, sending and storing (the queue stays stored for the next
+   * outbox, which waits for the replay in flight before loading it)
+   * @returns {Promise} Settles once that replay is over
+   */
+  dispose() {
+    this.disposed = true;
+    this.stop();
+    this.listeners.clear();
+
+    const { storageKey } = this.config;
+    const finished = Promise.all([pendingDisposals.get(storageKey), this.replayPromise])
+      .catch(() => {})
+      .then(() => {
+        if (pendingDisposals.get(storageKey) === finished) {
+          pendingDisposals.delete(storageKey);
+        }
+      });
+    pendingDisposals.set(storageKey, finished);
+
+    return finished;
+  }
+}
+
+export default OutboxService;
@@ -1,6 +1,15 @@
 // services/PackageService.js - Service for package management operations
+import { assertPackageAdapter } from '../adapters/PackageAdapter';
+import { normalizePackage, normalizePackages, getPackageDeliveryDetails } from '../utils/packageModel';
+import { createProofOfDelivery, assertCanMarkDelivered } from '../utils/proofOfDelivery';
+import { createDeliveryAttempt, assertCanRecordAttempt } from '../utils/failedDelivery';
+import { assertTransition, isFinalStatus, countByStatusGroup } from '../utils/packageStatus';
+import { createAuditContext } from '../utils/auditTrail';
+import { optimizeRoute } from '../utils/routeOptimizer';
+
 class PackageService {
   constructor(adapter) {
+    assertPackageAdapter(adapter, 'PackageService');
     this.adapter = adapter;
   }
 
@@ -10,7 +19,7 @@ class PackageService {
   async getPackages(filters = {}) {
     try {
       const packages = await this.adapter.getPackages(filters);
-      return packages;
+      return normalizePackages(packages);
     } catch (error) {
       console.error('PackageService: Error getting packages:', error);
       throw error;
@@ -18,11 +27,21 @@ class PackageService {
   }
 
   /**
-   * Update package status
+   * Update package status. Illegal transitions (see utils/packageStatus.js)
+   * are refused, and so is DELIVERED for packages whose required signature
+   * is missing; use completeDelivery for those. `audit` ({actor, deviceId,
+   * location}) is recorded with the change.
    */
-  async updatePackageStatus(id, status) {
+  async updatePackageStatus(id, status, audit = {}) {
     try {
-      const updatedPackage = await this.adapter.updatePackageStatus(id, status);
+      const pkg = await this.getPackageDetails(id);
+      assertTransition(pkg.status, status);
+
+      if (status === 'DELIVERED') {
+        assertCanMarkDelivered(pkg, pkg.proofOfDelivery || null);
+      }
+
+      const updatedPackage = await this.adapter.updatePackageStatus(id, status, createAuditContext(audit));
       return updatedPackage;
     } catch (error) {
       console.error('PackageService: Error updating package status:', error);
@@ -30,19 +49,78 @@ class PackageService {
     }
   }
 
+  /**
+   * Mark a package delivered with its proof of delivery
+   * @param {string} id - Package ID
+   * @param {Object} proofInput - {recipientName, signature, photos, location}
+   * @param {Object} audit - {actor, deviceId, location} of the change
+   * @returns {Promise<Object>} Updated package
+   */
+  async completeDelivery(id, proofInput, audit = {}) {
+    try {
+      const pkg = await this.getPackageDetails(id);
+      const proof = createProofOfDelivery(proofInput);
+      assertTransition(pkg.status, 'DELIVERED');
+      assertCanMarkDelivered(pkg, proof);
+
+      const updatedPackage = await this.adapter.completeDelivery(id, proof, createAuditContext(audit));
+      return normalizePackage(updatedPackage);
+    } catch (error) {
+      console.error('PackageService: Error completing delivery:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed delivery attempt
+   * @param {string} id - Package ID
+   * @param {Object} attemptInput - {reason, notes, photos, location}
+   * @param {Object} audit - {actor, deviceId, location} of the change
+   * @returns {Promise<Object>} Updated package (ATTEMPTED or RETURN_TO_SENDER)
+   */
+  async recordDeliveryAttempt(id, attemptInput, audit = {}) {
+    try {
+      const pkg = await this.getPackageDetails(id);
+      const attempt = createDeliveryAttempt(attemptInput);
+      assertCanRecordAttempt(pkg, attempt);
+
+      const updatedPackage = await this.adapter.recordDeliveryAttempt(id, attempt, createAuditContext(audit));
+      return normalizePackage(updatedPackage);
+    } catch (error) {
+      console.error('PackageService: Error recording delivery attempt:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get package details by ID
    */
   async getPackageDetails(id) {
     try {
       const packageDetails = await this.adapter.getPackageDetails(id);
-      return packageDetails;
+      return normalizePackage(packageDetails);
     } catch (error) {
       console.error('PackageService: Error getting package details:', error);
       throw error;
     }
   }
 
+  /**
+   * Get what the driver needs at the door: recipient, instructions,
+   * delivery window, signature requirement and attempts
+   * @param {string} id - Package ID
+   * @returns {Promise<Object>} {package, details} (see getPackageDeliveryDetails)
+   */
+  async getDeliveryDetails(id) {
+    const pkg = await this.getPackageDetails(id);
+
+    if (!pkg) {
+      throw new Error(`Package with ID ${id} not found`);
+    }
+
+    return { package: pkg, details: getPackageDeliveryDetails(pkg) };
+  }
+
   /**
    * Subscribe to package updates
    */
@@ -60,8 +138,11 @@ class PackageService {
 
   /**
    * Sort packages by various criteria
+   * @param {Array} packages - Packages to sort
+   * @param {string} sortBy - 'priority' | 'distance' | 'deliveryTime'
+   * @param {Object} options - Route options for 'distance' (see optimizeRoute), e.g. {startLocation}
    */
-  sortPackages(packages, sortBy) {
+  sortPackages(packages, sortBy, options = {}) {
     let sortedPackages = [...packages];
     
     switch (sortBy) {
@@ -73,8 +154,12 @@ class PackageService {
       }
       
       case 'distance': {
-        // This would require current location to calculate distances
-        return sortedPackages;
+        // Optimized stop order first, then the packages that cannot be routed
+        const route = optimizeRoute(sortedPackages, options);
+        return [
+          ...route.stops.map(stop => stop.package),
+          ...route.skipped.map(entry => entry.package)
+        ];
       }
       
       case 'deliveryTime': {
@@ -89,16 +174,24 @@ class PackageService {
   }
 
   /**
-   * Get delivery statistics
+   * Plan the day's route over the open packages
+   * @param {Array} packages - Packages to visit
+   * @param {Object} options - See optimizeRoute ({startLocation, startTime, averageSpeedKmh...})
+   * @returns {Object} {stops, skipped, totalDistance, totalDuration, lateStops}
+   */
+  optimizeRoute(packages, options = {}) {
+    const route = optimizeRoute(packages, options);
+    console.log(`PackageService: Route with ${route.stops.length} stops, ${(route.totalDistance / 1000).toFixed(1)} km, ${route.skipped.length} skipped`);
+    return route;
+  }
+
+  /**
+   * Get delivery statistics, counted per status group (see utils/packageStatus.js)
    */
   getDeliveryStats(packages) {
     return {
       total: packages.length,
-      pending: packages.filter(p => p.status === 'PENDING').length,
-      inTransit: packages.filter(p => p.status === 'IN_TRANSIT').length,
-      outForDelivery: packages.filter(p => p.status === 'OUT_FOR_DELIVERY').length,
-      delivered: packages.filter(p => p.status === 'DELIVERED').length,
-      failed: packages.filter(p => p.status === 'FAILED').length,
+      ...countByStatusGroup(packages)
     };
   }
 
@@ -124,7 +217,7 @@ class PackageService {
     return packages.filter(pkg => 
       pkg.priority === 'URGENT' || 
       pkg.status === 'FAILED' ||
-      (pkg.attempts >= pkg.maxAttempts && pkg.status !== 'DELIVERED')
+      (pkg.attempts >= pkg.maxAttempts && !isFinalStatus(pkg.status))
     );
   }
 
@@ -193,8 +286,7 @@ class PackageService {
       const deliveryTime = new Date(pkg.estimatedDelivery);
       return deliveryTime <= thresholdTime && 
              deliveryTime >= now &&
-             pkg.status !== 'DELIVERED' &&
-             pkg.status !== 'FAILED';
+             !isFinalStatus(pkg.status);
     });
   }
 
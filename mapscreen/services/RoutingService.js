@@ -0,0 +1,271 @@
+// services/RoutingService.js - Road distances and routes through a pluggable routing engine
+import { requestJSON } from '../utils/httpClient';
+import { calculateDistance } from '../utils/mapCalculations';
+import { normalizePackages, hasCoordinates } from '../utils/packageModel';
+import { optimizeRoute, getUnroutableReason, ROUTE_START_ID } from '../utils/routeOptimizer';
+
+export const ROUTING_CONFIG = {
+  provider: 'osrm',             // 'osrm' | 'haversine' | provider instance
+  fallbackToHaversine: true,    // Use straight-line estimates when the engine fails
+  osrm: {
+    // The host app's OSRM server. The public demo server (router.project-osrm.org)
+    // is not meant for fleet traffic; without a baseURL routing uses haversine
+    baseURL: null,
+    profile: 'driving',
+    timeout: 10000,
+    retries: 1,
+    headers: {},
+    maxTableSize: 100           // OSRM's default --max-table-size
+  },
+  haversine: {
+    averageSpeedKmh: 25,
+    detourFactor: 1.3           // Roads are rarely straight lines
+  }
+};
+
+/**
+ * Routing providers implement:
+ *
+ *   getRoute(points)  -> { distance (m), duration (s), geometry: GeoJSON LineString, legs: [{distance, duration}] }
+ *   getTable(points)  -> { distances: [[m]], durations: [[s]] }
+ *
+ * `points` are objects with numeric latitude/longitude.
+ */
+
+/**
+ * HaversineRoutingProvider - Offline estimates from straight-line distance
+ */
+export class HaversineRoutingProvider {
+  constructor(config = {}) {
+    this.name = 'haversine';
+    this.config = { ...ROUTING_CONFIG.haversine, ...config };
+  }
+
+  estimate(from, to) {
+    const distance = calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude) *
+      this.config.detourFactor;
+    const duration = distance / (this.config.averageSpeedKmh * 1000 / 3600);
+    return { distance, duration };
+  }
+
+  async getRoute(points) {
+    const legs = points.slice(1).map((point, i) => this.estimate(points[i], point));
+
+    return {
+      distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+      duration: legs.reduce((sum, leg) => sum + leg.duration, 0),
+      geometry: {
+        type: 'LineString',
+        coordinates: points.map(point => [point.longitude, point.latitude])
+      },
+      legs
+    };
+  }
+
+  async getTable(points) {
+    const cells = points.map(from => points.map(to => (from === to ? { distance: 0, duration: 0 } : this.estimate(from, to))));
+
+    return {
+      distances: cells.map(row => row.map(cell => cell.distance)),
+      durations: cells.map(row => row.map(cell => cell.duration))
+    };
+  }
+}
+
+/**
+ * OsrmRoutingProvider - Client for OSRM-style /route and /table endpoints
+ * (OSRM itself, or engines exposing the same API such as Valhalla's OSRM
+ * compatible output or a local stand-in)
+ */
+export class OsrmRoutingProvider {
+  constructor(config = {}) {
+    this.name = 'osrm';
+    this.config = { ...ROUTING_CONFIG.osrm, ...config };
+
+    if (!this.config.baseURL) {
+      throw new Error('OsrmRoutingProvider: baseURL is required');
+    }
+  }
+
+  buildURL(service, points, query = {}) {
+    const coordinates = points
+      .map(point => `${Number(point.longitude).toFixed(6)},${Number(point.latitude).toFixed(6)}`)
+      .join(';');
+    // Values are OSRM option lists (e.g. 'distance,duration'), sent unencoded
+    const params = Object.entries(query)
+      .map(([key, value]) => `${key}=${value}`)
+      .join('&');
+
+    return `${this.config.baseURL.replace(/\/+$/, '')}/${service}/v1/${this.config.profile}/${coordinates}${params ? `?${params}` : ''}`;
+  }
+
+  async request(url) {
+    const { data } = await requestJSON(url, {
+      method: 'GET',
+      headers: this.config.headers,
+      timeout: this.config.timeout,
+      retries: this.config.retries
+    });
+
+    if (!data || data.code !== 'Ok') {
+      throw new Error(`ROUTING_ERROR: ${data?.code || 'NoResponse'}${data?.message ? ` - ${data.message}` : ''}`);
+    }
+
+    return data;
+  }
+
+  async getRoute(points) {
+    const data = await this.request(this.buildURL('route', points, {
+      overview: 'full',
+      geometries: 'geojson',
+      steps: 'false'
+    }));
+
+    const route = data.routes?.[0];
+    if (!route) {
+      throw new Error('ROUTING_ERROR: NoRoute');
+    }
+
+    return {
+      distance: route.distance,
+      duration: route.duration,
+      geometry: route.geometry,
+      legs: (route.legs || []).map(leg => ({ distance: leg.distance, duration: leg.duration }))
+    };
+  }
+
+  async getTable(points) {
+    if (points.length > this.config.maxTableSize) {
+      throw new Error(`ROUTING_ERROR: TooBig - ${points.length} points exceed maxTableSize ${this.config.maxTableSize}`);
+    }
+
+    const data = await this.request(this.buildURL('table', points, {
+      annotations: 'distance,duration'
+    }));
+
+    if (!Array.isArray(data.durations)) {
+      throw new Error('ROUTING_ERROR: NoTable');
+    }
+
+    return {
+      distances: data.distances || null,
+      durations: data.durations
+    };
+  }
+}
+
+/**
+ * RoutingService - Routes and distance tables through the configured
+ * provider, falling back to haversine estimates when it is unreachable.
+ * The 'osrm' provider needs the host's server in `osrm.baseURL`; until it is
+ * set every route is a haversine estimate.
+ */
+export class RoutingService {
+  constructor(config = {}) {
+    this.config = {
+      ...ROUTING_CONFIG,
+      ...config,
+      osrm: { ...ROUTING_CONFIG.osrm, ...(config.osrm || {}) },
+      haversine: { ...ROUTING_CONFIG.haversine, ...(config.haversine || {}) }
+    };
+
+    this.fallbackProvider = new HaversineRoutingProvider(this.config.haversine);
+    this.provider = this.createProvider(this.config.provider);
+
+    console.log('RoutingService: Using provider', this.provider.name || 'custom');
+  }
+
+  createProvider(provider) {
+    if (provider && typeof provider === 'object') {
+      if (typeof provider.getRoute !== 'function' || typeof provider.getTable !== 'function') {
+        throw new Error('RoutingService: provider must implement getRoute and getTable');
+      }
+      return provider;
+    }
+
+    switch (provider) {
+      case 'osrm':
+        if (!this.config.osrm.baseURL) {
+          console.warn('RoutingService: No OSRM baseURL configured, using haversine estimates');
+          return this.fallbackProvider;
+        }
+        return new OsrmRoutingProvider(this.config.osrm);
+      case 'haversine':
+        return this.fallbackProvider;
+      default:
+        throw new Error(`RoutingService: Unknown provider: ${provider}`);
+    }
+  }
+
+  /**
+   * Run a provider method, retrying on the haversine provider when allowed
+   */
+  async withFallback(method, points) {
+    if (!points.every(hasCoordinates)) {
+      throw new Error('RoutingService: every point needs numeric latitude/longitude');
+    }
+
+    try {
+      const result = await this.provider[method](points);
+      return { ...result, provider: this.provider.name || 'custom', fallback: false };
+    } catch (error) {
+      if (!this.config.fallbackToHaversine || this.provider === this.fallbackProvider) {
+        console.error(`RoutingService: ${method} failed:`, error);
+        throw error;
+      }
+
+      console.warn(`RoutingService: ${method} failed, using haversine estimate:`, error.message);
+      const result = await this.fallbackProvider[method](points);
+      return { ...result, provider: this.fallbackProvider.name, fallback: true, error: error.message };
+    }
+  }
+
+  /**
+   * Get a route visiting the points in order
+   * @param {Array} points - [{latitude, longitude}], at least two
+   * @returns {Promise<Object>} {distance, duration, geometry, legs, provider, fallback}
+   */
+  async getRoute(points) {
+    if (!Array.isArray(points) || points.length < 2) {
+      throw new Error('RoutingService: getRoute needs at least two points');
+    }
+    return this.withFallback('getRoute', points);
+  }
+
+  /**
+   * Get the all-pairs distance/duration table for the points
+   * @param {Array} points - [{latitude, longitude}]
+   * @returns {Promise<Object>} {distances, durations, provider, fallback}
+   */
+  async getTable(points) {
+    if (!Array.isArray(points) || points.length === 0) {
+      return { distances: [], durations: [], provider: this.provider.name || 'custom', fallback: false };
+    }
+    return this.withFallback('getTable', points);
+  }
+
+  /**
+   * Sequence the day's stops with road distances (see utils/routeOptimizer)
+   * @param {Array} packages - Packages in any supported format
+   * @param {Object} options - optimizeRoute options ({startLocation, startTime...})
+   * @returns {Promise<Object>} optimizeRoute result plus {provider, fallback}
+   */
+  async optimizeRoute(packages, options = {}) {
+    const routable = normalizePackages(packages).filter(pkg => !getUnroutableReason(pkg));
+    const startLocation = hasCoordinates(options.startLocation) ? options.startLocation : null;
+
+    const points = startLocation ? [startLocation, ...routable] : routable;
+    const ids = startLocation ? [ROUTE_START_ID, ...routable.map(pkg => pkg.id)] : routable.map(pkg => pkg.id);
+
+    const table = await this.getTable(points);
+    const route = optimizeRoute(packages, {
+      ...options,
+      matrix: { ids, distances: table.distances, durations: table.durations }
+    });
+
+    console.log(`RoutingService: Optimized ${route.stops.length} stops with ${table.provider}${table.fallback ? ' (fallback)' : ''}`);
+    return { ...route, provider: table.provider, fallback: table.fallback };
+  }
+}
+
+export default RoutingService;
@@ -0,0 +1,321 @@
+// services/SessionService.js - Driver login, token storage and refresh
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { requestJSON } from '../utils/httpClient';
+import { getDeviceId } from './DeviceIdentity';
+
+// Tokens go to the keychain / keystore when expo-secure-store is installed
+let SecureStore = null;
+try {
+  SecureStore = require('expo-secure-store');
+} catch (error) {
+  console.warn('expo-secure-store not found, session tokens are kept in AsyncStorage');
+}
+
+/**
+ * Events emitted to subscribers: { type, session }
+ */
+export const SESSION_EVENTS = {
+  LOGIN: 'login',
+  REFRESH: 'refresh',
+  LOGOUT: 'logout'
+};
+
+/**
+ * Session from a login / refresh response. Accepts camelCase and snake_case:
+ * {accessToken, refreshToken, expiresIn (seconds), driver: {id, name}}
+ */
+const readTokenResponse = (data = {}, previous = null) => {
+  const accessToken = data.accessToken || data.access_token || data.token;
+  if (!accessToken) {
+    throw new Error('INVALID_RESPONSE: Expected an access token');
+  }
+
+  const expiresIn = data.expiresIn ?? data.expires_in ?? null;
+  const driver = data.driver || {};
+
+  return {
+    driverId: String(driver.id ?? data.driverId ?? data.driver_id ?? previous?.driverId ?? ''),
+    driverName: driver.name || data.driverName || previous?.driverName || null,
+    accessToken,
+    refreshToken: data.refreshToken || data.refresh_token || previous?.refreshToken || null,
+    expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : null
+  };
+};
+
+/**
+ * SessionService - Session of the driver using the app:
+ *
+ *   POST {loginURL}    { username, password, deviceId }  -> tokens + driver
+ *   POST {refreshURL}  { refreshToken, deviceId }        -> new tokens
+ *   POST {logoutURL}   { refreshToken, deviceId }        (optional, best effort)
+ *
+ * The access token is refreshed shortly before it expires; a refresh the
+ * server refuses ends the session (SESSION_EXPIRED). Logging out wipes the
+ * driver's cached packages (`cacheKeys`); queued changes in the outbox are
+ * kept and wait for the driver who made them to log in again
+ * (OutboxService `session`).
+ *
+ * getClientConfig() gives SyncService and ApiPackageAdapter the token,
+ * driver and device providers so every request carries them.
+ */
+class SessionService {
+  constructor(config = {}) {
+    this.config = {
+      loginURL: null,
+      refreshURL: null,
+      logoutURL: null,
+      timeout: 15000,
+      retries: 1,
+      storageKey: 'delivery_session',
+      // Refresh this long before the access token expires
+      refreshMargin: 60 * 1000,
+      // Local caches with the driver's packages (LocalPackageAdapter, SyncService)
+      cacheKeys: ['delivery_packages', 'delivery_sync_state'],
+      ...config
+    };
+
+    this.session = null;
+    this.isLoaded = false;
+    this.refreshPromise = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Restore the session saved by a previous run of the app
+   */
+  async load() {
+    if (this.isLoaded) return this.session;
+
+    try {
+      const storedData = SecureStore
+        ? await SecureStore.getItemAsync(this.config.storageKey)
+        : await AsyncStorage.getItem(this.config.storageKey);
+
+      this.session = storedData ? JSON.parse(storedData) : null;
+      console.log('SessionService: Loaded session', this.session ? `for driver ${this.session.driverId}` : '(none)');
+    } catch (error) {
+      console.error('SessionService: Error loading session:', error);
+    }
+
+    this.isLoaded = true;
+    return this.session;
+  }
+
+  async persist() {
+    try {
+      if (this.session) {
+        const data = JSON.stringify(this.session);
+        await (SecureStore
+          ? SecureStore.setItemAsync(this.config.storageKey, data)
+          : AsyncStorage.setItem(this.config.storageKey, data));
+      } else {
+        await (SecureStore
+          ? SecureStore.deleteItemAsync(this.config.storageKey)
+          : AsyncStorage.removeItem(this.config.storageKey));
+      }
+    } catch (error) {
+      console.error('SessionService: Error saving session:', error);
+    }
+  }
+
+  /**
+   * Subscribe to SESSION_EVENTS
+   * @param {Function} listener - Receives {type, session}
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  notify(type) {
+    const event = { type, session: this.getSession() };
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('SessionService: Error in listener:', error);
+      }
+    });
+  }
+
+  /**
+   * @returns {Object|null} {driverId, driverName, expiresAt} (no tokens)
+   */
+  getSession() {
+    if (!this.session) return null;
+
+    const { driverId, driverName, expiresAt } = this.session;
+    return { driverId, driverName, expiresAt };
+  }
+
+  isAuthenticated() {
+    return !!this.session?.accessToken;
+  }
+
+  getDriverId() {
+    return this.session?.driverId || null;
+  }
+
+  post(url, body) {
+    return requestJSON(url, {
+      method: 'POST',
+      body,
+      timeout: this.config.timeout,
+      retries: this.config.retries
+    });
+  }
+
+  /**
+   * Log a driver in on this device
+   * @param {Object} credentials - {username, password}
+   * @returns {Promise<Object>} Session (see getSession)
+   */
+  async login({ username, password }) {
+    if (!this.config.loginURL) {
+      throw new Error('SessionService: loginURL is required');
+    }
+
+    await this.load();
+
+    try {
+      const { data } = await this.post(this.config.loginURL, {
+        username,
+        password,
+        deviceId: await getDeviceId()
+      });
+
+      this.session = readTokenResponse(data);
+    } catch (error) {
+      if (error.status === 401 || error.status === 403) {
+        const loginError = new Error('INVALID_CREDENTIALS: Usuario o contraseña incorrectos');
+        loginError.code = 'INVALID_CREDENTIALS';
+        loginError.status = error.status;
+        throw loginError;
+      }
+      throw error;
+    }
+
+    await this.persist();
+    console.log('SessionService: Driver logged in:', this.session.driverId);
+    this.notify(SESSION_EVENTS.LOGIN);
+
+    return this.getSession();
+  }
+
+  /**
+   * Exchange the refresh token for a new access token. Only one refresh runs at a time.
+   * @returns {Promise<string>} New access token
+   */
+  refresh() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.runRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+
+    return this.refreshPromise;
+  }
+
+  async runRefresh() {
+    if (!this.session?.refreshToken || !this.config.refreshURL) {
+      return this.expire('no refresh token');
+    }
+
+    try {
+      const { data } = await this.post(this.config.refreshURL, {
+        refreshToken: this.session.refreshToken,
+        deviceId: await getDeviceId()
+      });
+
+      this.session = readTokenResponse(data, this.session);
+    } catch (error) {
+      // Without a connection the session stays; the server refusing it ends it
+      if (error.status === 400 || error.status === 401 || error.status === 403) {
+        return this.expire(error.message);
+      }
+      throw error;
+    }
+
+    await this.persist();
+    console.log('SessionService: Access token refreshed');
+    this.notify(SESSION_EVENTS.REFRESH);
+
+    return this.session.accessToken;
+  }
+
+  async expire(reason) {
+    console.warn('SessionService: Session expired:', reason);
+    await this.logout({ notifyServer: false });
+
+    const error = new Error('SESSION_EXPIRED: Inicia sesión nuevamente');
+    error.code = 'SESSION_EXPIRED';
+    throw error;
+  }
+
+  /**
+   * Access token for a request, refreshed first when it is about to expire
+   * @returns {Promise<string|null>} Token, or null without a session
+   */
+  async getAccessToken() {
+    await this.load();
+    if (!this.session) return null;
+
+    const { expiresAt } = this.session;
+    if (expiresAt && new Date(expiresAt).getTime() - this.config.refreshMargin <= Date.now()) {
+      return this.refresh();
+    }
+
+    return this.session.accessToken;
+  }
+
+  /**
+   * End the session and wipe the driver's cached packages
+   * @param {Object} options - {notifyServer}: tell logoutURL (default true)
+   */
+  async logout({ notifyServer = true } = {}) {
+    await this.load();
+
+    const previous = this.session;
+
+    if (notifyServer && previous && this.config.logoutURL) {
+      try {
+        await this.post(this.config.logoutURL, {
+          refreshToken: previous.refreshToken,
+          deviceId: await getDeviceId()
+        });
+      } catch (error) {
+        console.warn('SessionService: Logout request failed, logging out locally:', error.message);
+      }
+    }
+
+    this.session = null;
+    await this.persist();
+
+    try {
+      await AsyncStorage.multiRemove(this.config.cacheKeys);
+    } catch (error) {
+      console.error('SessionService: Error wiping cached packages:', error);
+    }
+
+    console.log('SessionService: Driver logged out:', previous?.driverId || '(none)');
+    this.notify(SESSION_EVENTS.LOGOUT);
+  }
+
+  /**
+   * Token, driver and device providers for SyncService / ApiPackageAdapter:
+   * new SyncService({ endpoint, ...session.getClientConfig() })
+   * @returns {Object} {getAuthToken, getDriverId, getDeviceId}
+   */
+  getClientConfig() {
+    return {
+      getAuthToken: () => this.getAccessToken(),
+      getDriverId: () => this.getDriverId(),
+      getDeviceId
+    };
+  }
+}
+
+export default SessionService;
@@ -1,9 +1,49 @@
-import { Alert, Platform } from 'react-native';
-
-export const SYNC_CONFIG = {
-  endpoint: 'https://0fhmgyybv3.execute-api.us-east-2.amazonaws.com/saasintel/sync/packages',
+import { Alert } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { normalizePackages } from '../utils/packageModel';
+import { createPackageMarker } from '../utils/markerHelpers';
+import { SYNC_DELTA_DEFAULTS, readSyncPage, applySyncDelta } from '../utils/syncDelta';
+import { requestJSON, HTTP_DEFAULTS } from '../utils/httpClient';
+import { getDeviceId } from './DeviceIdentity';
+
+/**
+ * Default client settings; the host app passes its own to the constructor:
+ *
+ *   endpoint        - Sync URL (required; see config/sync_config.js)
+ *   headers         - Extra headers for every request
+ *   authToken       - Static token, or
+ *   getAuthToken    - async () => token, called before every request
+ *   timeout         - Per request, enforced with AbortController
+ *   retries, retryDelay, maxRetryDelay, jitter, retryOnStatus - Retry policy
+ *   getDeviceId     - async () => ID of this installation (default: services/DeviceIdentity.js)
+ *   getDriverId     - () => ID of the logged-in driver (see SessionService.getClientConfig)
+ *   onRequest       - ({url, headers, body}) => void | {url, headers, body}: inspect or rewrite a request
+ *   onResponse      - ({url, requestId, status, data, error, durationMs}) => void: after every request
+ */
+export const SYNC_DEFAULTS = {
+  endpoint: null,
+  headers: {},
+  authToken: null,
+  getAuthToken: null,
+  authHeader: 'Authorization',
+  authScheme: 'Bearer',
+  getDeviceId,
+  getDriverId: null,
+  deviceIdHeader: 'X-Device-Id',
+  driverIdHeader: 'X-Driver-Id',
   timeout: 20000,
   retries: 2,
+  retryDelay: 1000,
+  maxRetryDelay: 10000,
+  jitter: 0.3,
+  retryOnStatus: HTTP_DEFAULTS.retryOnStatus,
+  onRequest: null,
+  onResponse: null,
+  // Sincronización incremental (ver utils/syncDelta.js)
+  storageKey: 'delivery_sync_state',
+  pageSize: SYNC_DELTA_DEFAULTS.pageSize,
+  maxPages: SYNC_DELTA_DEFAULTS.maxPages,
+  initialWindowDays: SYNC_DELTA_DEFAULTS.initialWindowDays,
   // Nueva configuración para geocoding
   geocoding: {
     enabled: true,  // Habilitar/deshabilitar desde config
@@ -12,19 +52,121 @@ export const SYNC_CONFIG = {
 };
 
 export class SyncService {
-  constructor() {
+  constructor(config = {}) {
+    this.config = {
+      ...SYNC_DEFAULTS,
+      ...config,
+      geocoding: { ...SYNC_DEFAULTS.geocoding, ...config.geocoding }
+    };
+
     this.syncedPackages = [];
     this.syncStats = {
       totalPackages: 0,
       lastSync: null,
       syncCount: 0
     };
+
+    // Cursor de la última sincronización completa; null pide todo
+    this.cursor = null;
+    // Conductor dueño del cursor y de los paquetes guardados
+    this.driverId = null;
+    this.isStateLoaded = false;
+    // El consumidor aún no recibió los paquetes restaurados de la sesión anterior
+    this.hasDeliveredSnapshot = false;
+    this.syncPromise = null;
+  }
+
+  /**
+   * Load the cursor and synced packages left by a previous session
+   */
+  async loadState() {
+    if (this.isStateLoaded) return;
+
+    try {
+      const storedData = await AsyncStorage.getItem(this.config.storageKey);
+      const stored = storedData ? JSON.parse(storedData) : null;
+
+      if (stored && Array.isArray(stored.packages)) {
+        this.syncedPackages = stored.packages;
+        this.cursor = stored.cursor || null;
+        this.driverId = stored.driverId || null;
+        this.syncStats.lastSync = stored.lastSync || null;
+        console.log(`Estado de sincronización restaurado: ${this.syncedPackages.length} paquetes, cursor ${this.cursor}`);
+      }
+    } catch (error) {
+      console.error('Error cargando el estado de sincronización:', error);
+    }
+
+    this.isStateLoaded = true;
+  }
+
+  async saveState() {
+    try {
+      await AsyncStorage.setItem(this.config.storageKey, JSON.stringify({
+        cursor: this.cursor,
+        driverId: this.driverId,
+        packages: this.syncedPackages,
+        lastSync: this.syncStats.lastSync
+      }));
+    } catch (error) {
+      console.error('Error guardando el estado de sincronización:', error);
+    }
+  }
+
+  /**
+   * Forget the cursor and the synced packages: the next sync pulls everything
+   */
+  async resetSyncState() {
+    this.syncedPackages = [];
+    this.cursor = null;
+    this.driverId = null;
+    this.hasDeliveredSnapshot = false;
+    this.isStateLoaded = true;
+
+    try {
+      await AsyncStorage.removeItem(this.config.storageKey);
+    } catch (error) {
+      console.error('Error borrando el estado de sincronización:', error);
+    }
+  }
+
+  /**
+   * Sync the packages changed since the last sync, page by page, and merge
+   * them into syncedPackages. Only one sync runs at a time.
+   * @param {Object} userLocation - {latitude, longitude, accuracy}
+   * @param {Object} options - {full}: ignore the cursor and pull everything
+   * @returns {Promise<Object>} Last page's data with packages (added or changed;
+   *   all of them on the first sync after a restart), removed (IDs), cursor,
+   *   isFullSync, isComplete and pages
+   */
+  syncPackages(userLocation, options = {}) {
+    if (!this.syncPromise) {
+      this.syncPromise = this.runSync(userLocation, options).finally(() => {
+        this.syncPromise = null;
+      });
+    }
+
+    return this.syncPromise;
   }
 
-  async syncPackages(userLocation) {
+  async runSync(userLocation, { full = false } = {}) {
+    await this.loadState();
+
+    const { deviceId, driverId } = await this.getIdentity();
+
+    // Otro conductor en este teléfono: su cursor y sus paquetes no sirven
+    if (driverId && this.driverId && driverId !== this.driverId) {
+      console.log(`Cambio de conductor (${this.driverId} -> ${driverId}), reiniciando sincronización`);
+      await this.resetSyncState();
+    }
+    this.driverId = driverId || this.driverId;
+
+    const since = full ? null : this.cursor;
+
     const syncData = {
       timestamp: new Date().toISOString(),
-      deviceId: `device_${Platform.OS}_${Math.random().toString(36).substr(2, 9)}`,
+      deviceId,
+      driverId,
       location: userLocation ? {
         latitude: userLocation.latitude,
         longitude: userLocation.longitude,
@@ -33,42 +175,219 @@ export class SyncService {
       requestId: `sync_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       filters: {
         geocoding_ready: true,
-        date_from: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString()
+        // La ventana sólo aplica a la primera sincronización; después manda el cursor
+        ...(since ? {} : {
+          date_from: new Date(Date.now() - this.config.initialWindowDays * 24 * 60 * 60 * 1000).toISOString()
+        })
       },
-      limit: 100,
+      since,
+      limit: this.config.pageSize,
       includeMetadata: true,
-      enableGeocoding: true
+      enableGeocoding: this.config.geocoding.enabled || (this.config.geocoding.autoEnableOnLocation && !!userLocation)
     };
 
     console.log('Iniciando sincronización con datos:', {
-      deviceId: syncData.deviceId,
+      deviceId,
+      driverId,
       hasLocation: !!syncData.location,
       filters: syncData.filters,
+      since,
       limit: syncData.limit
     });
 
-    const response = await fetch(SYNC_CONFIG.endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-      },
-      body: JSON.stringify(syncData),
-      timeout: SYNC_CONFIG.timeout
+    const received = [];
+    const removedIds = [];
+    let isFullSync = !since;
+    let pageCount = 0;
+    let page = null;
+    let responseData = null;
+
+    try {
+      do {
+        responseData = await this.requestPage({
+          ...syncData,
+          page_token: page?.nextPageToken || null,
+          offset: received.length
+        });
+        page = readSyncPage(responseData);
+        pageCount++;
+
+        received.push(...page.packages);
+        removedIds.push(...page.removedIds);
+        isFullSync = isFullSync || page.isFullSync;
+      } while (page.hasMore && pageCount < this.config.maxPages);
+    } catch (error) {
+      // Cursor vencido: el servidor ya no tiene los cambios desde `since`
+      if (error.status === 410 && since) {
+        console.warn('Cursor de sincronización vencido, sincronizando todo');
+        return this.runSync(userLocation, { full: true });
+      }
+      throw error;
+    }
+
+    // Sin todas las páginas, la próxima vez se repite desde el mismo cursor
+    const isComplete = !page.hasMore;
+    if (!isComplete) {
+      console.warn(`Sincronización incompleta: se alcanzó el límite de ${this.config.maxPages} páginas`);
+    }
+
+    const delta = applySyncDelta(this.syncedPackages, {
+      packages: received,
+      removedIds,
+      // Una lista completa pero truncada no dice qué paquetes ya no existen
+      isFullSync: isFullSync && isComplete
+    });
+
+    this.syncedPackages = delta.packages;
+    if (isComplete) {
+      this.cursor = page.cursor || responseData.timestamp || syncData.timestamp;
+    }
+
+    // Primera sincronización sobre un estado restaurado: el consumidor no tiene esos paquetes
+    const deliveredPackages = this.hasDeliveredSnapshot ? [...delta.added, ...delta.changed] : delta.packages;
+    this.hasDeliveredSnapshot = true;
+
+    const greenNumbersTotal = this.syncedPackages.reduce((total, pkg) => {
+      return total + (pkg.stamps_summary?.green_numbers?.length || 0);
+    }, 0);
+
+    const packagesWithDestinationQuery = this.syncedPackages.filter(pkg => 
+      pkg.location_details?.destination?.query && pkg.location_details.destination.query.trim()
+    ).length;
+
+    this.syncStats = {
+      totalPackages: responseData.totalPackages || this.syncedPackages.length,
+      lastSync: responseData.timestamp || new Date().toISOString(),
+      syncCount: (this.syncStats.syncCount || 0) + 1,
+      updatedPackages: delta.added.length + delta.changed.length,
+      addedPackages: delta.added.length,
+      removedPackages: delta.removedIds.length,
+      pages: pageCount,
+      greenNumbersTotal,
+      packagesWithDestinationQuery
+    };
+
+    await this.saveState();
+
+    console.log('Sincronización completada:', {
+      since,
+      cursor: this.cursor,
+      pages: pageCount,
+      added: delta.added.length,
+      changed: delta.changed.length,
+      removed: delta.removedIds.length,
+      total: this.syncedPackages.length
     });
 
-    if (!response.ok) {
-      throw new Error(`HTTP_ERROR_${response.status}: ${response.statusText}`);
+    return {
+      ...responseData,
+      packages: deliveredPackages,
+      removed: delta.removedIds,
+      totalPackages: this.syncStats.totalPackages,
+      returnedPackages: received.length,
+      timestamp: this.syncStats.lastSync,
+      cursor: this.cursor,
+      isFullSync,
+      isComplete,
+      pages: pageCount
+    };
+  }
+
+  /**
+   * Device and driver the requests are made for
+   * @returns {Promise<Object>} {deviceId, driverId}; driverId is null without a session
+   */
+  async getIdentity() {
+    const { getDeviceId: readDeviceId, getDriverId } = this.config;
+
+    return {
+      deviceId: typeof readDeviceId === 'function' ? await readDeviceId() : null,
+      driverId: typeof getDriverId === 'function' ? (await getDriverId()) || null : null
+    };
+  }
+
+  async getHeaders() {
+    const headers = { ...this.config.headers };
+
+    const { deviceId, driverId } = await this.getIdentity();
+    if (deviceId && this.config.deviceIdHeader) {
+      headers[this.config.deviceIdHeader] = deviceId;
+    }
+    if (driverId && this.config.driverIdHeader) {
+      headers[this.config.driverIdHeader] = String(driverId);
+    }
+
+    let token = this.config.authToken;
+    if (typeof this.config.getAuthToken === 'function') {
+      token = await this.config.getAuthToken();
+    }
+
+    if (token) {
+      headers[this.config.authHeader] = this.config.authScheme
+        ? `${this.config.authScheme} ${token}`
+        : token;
+    }
+
+    return headers;
+  }
+
+  /**
+   * POST one page of the sync request with the configured timeout, retry
+   * policy and hooks
+   * @param {Object} syncData - Request body
+   * @returns {Promise<Object>} `data` of the response
+   */
+  async requestPage(syncData) {
+    if (!this.config.endpoint) {
+      throw new Error('SYNC_NOT_CONFIGURED: SyncService needs an endpoint');
+    }
+
+    let request = {
+      url: this.config.endpoint,
+      headers: await this.getHeaders(),
+      body: syncData
+    };
+
+    if (typeof this.config.onRequest === 'function') {
+      request = (await this.config.onRequest(request)) || request;
+    }
+
+    const startedAt = Date.now();
+    let responseDataJson;
+
+    try {
+      const { data, status } = await requestJSON(request.url, {
+        method: 'POST',
+        headers: request.headers,
+        body: request.body,
+        timeout: this.config.timeout,
+        retries: this.config.retries,
+        retryDelay: this.config.retryDelay,
+        maxRetryDelay: this.config.maxRetryDelay,
+        jitter: this.config.jitter,
+        retryOnStatus: this.config.retryOnStatus
+      });
+
+      responseDataJson = data;
+      this.notifyResponse({ url: request.url, requestId: syncData.requestId, status, data, error: null, durationMs: Date.now() - startedAt });
+    } catch (error) {
+      this.notifyResponse({ url: request.url, requestId: syncData.requestId, status: error.status || null, data: error.body || null, error, durationMs: Date.now() - startedAt });
+      throw error;
     }
 
-    const responseDataJson = await response.json();
-    const responseData = responseDataJson.data;
+    const responseData = responseDataJson?.data;
+
+    if (!responseData) {
+      console.error('Estructura de respuesta inesperada:', responseDataJson);
+      throw new Error('INVALID_RESPONSE: Expected a data envelope');
+    }
     
     console.log('Respuesta del servidor recibida:', {
       success: responseData.success,
       totalPackages: responseData.totalPackages,
       packagesCount: responseData.packages?.length,
-      fullResponse: responseData
+      removedCount: (responseData.removed_ids || responseData.removed || []).length,
+      nextPageToken: responseData.next_page_token || null
     });
 
     if (!responseData.success) {
@@ -80,25 +399,24 @@ export class SyncService {
       throw new Error(`INVALID_RESPONSE: Expected packages array, got: ${typeof responseData.packages}`);
     }
 
-    const greenNumbersTotal = responseData.packages.reduce((total, pkg) => {
-      return total + (pkg.stamps_summary?.green_numbers?.length || 0);
-    }, 0);
+    return responseData;
+  }
 
-    const packagesWithDestinationQuery = responseData.packages.filter(pkg => 
-      pkg.location_details?.destination?.query && pkg.location_details.destination.query.trim()
-    ).length;
+  notifyResponse(response) {
+    if (typeof this.config.onResponse !== 'function') return;
 
-    this.syncedPackages = responseData.packages;
-    this.syncStats = {
-      totalPackages: responseData.totalPackages || 0,
-      lastSync: responseData.timestamp || new Date().toISOString(),
-      syncCount: (this.syncStats.syncCount || 0) + 1,
-      updatedPackages: responseData.returnedPackages || 0,
-      greenNumbersTotal,
-      packagesWithDestinationQuery
-    };
+    try {
+      this.config.onResponse(response);
+    } catch (error) {
+      console.error('Error en el hook onResponse:', error);
+    }
+  }
 
-    return responseData;
+  /**
+   * Normalize the synced payload into canonical packages (see utils/packageModel)
+   */
+  getNormalizedPackages(packages = this.syncedPackages) {
+    return normalizePackages(packages);
   }
 
   createPackageMarkers(packages) {
@@ -107,59 +425,10 @@ export class SyncService {
       return [];
     }
 
-    return packages
-      .filter(pkg => pkg.route_summary?.geocoding_ready)
-      .map(pkg => {
-        // Extraer coordenadas reales del paquete
-        let coordinates = null;
-        
-        // Intentar obtener coordenadas del destino
-        if (pkg.location_details?.destination?.coordinates) {
-          coordinates = {
-            latitude: pkg.location_details.destination.coordinates.latitude,
-            longitude: pkg.location_details.destination.coordinates.longitude
-          };
-        }
-        // Fallback: intentar coordenadas de origen si destino no está disponible
-        else if (pkg.location_details?.origin?.coordinates) {
-          coordinates = {
-            latitude: pkg.location_details.origin.coordinates.latitude,
-            longitude: pkg.location_details.origin.coordinates.longitude
-          };
-        }
-        // Último fallback: usar coordenadas de Guadalajara como placeholder
-        else {
-          console.warn(`Paquete ${pkg.tracking_number} sin coordenadas válidas, usando placeholder`);
-          coordinates = {
-            latitude: 20.676109 + (Math.random() - 0.5) * 0.1,
-            longitude: -103.347769 + (Math.random() - 0.5) * 0.1
-          };
-        }
-
-        return {
-          id: `package_${pkg.id}`,
-          type: 'package',
-          title: `📦 ${pkg.tracking_number}`,
-          description: [
-            `Carrier: ${pkg.carrier}`,
-            `Ruta: ${pkg.route_summary?.from} → ${pkg.route_summary?.to}`,
-            `Estado: ${pkg.route_summary?.viable ? 'Viable' : 'Revisar'}`,
-            `Confianza: ${Math.round((pkg.quality?.address_confidence || 0) * 100)}%`,
-            `Coordenadas: ${coordinates.latitude.toFixed(6)}, ${coordinates.longitude.toFixed(6)}`,
-            `Números verdes: ${pkg.stamps_summary?.green_numbers?.length || 0}`,
-            `Query destino: ${pkg.location_details?.destination?.query ? 'Sí' : 'No'}`,
-            `Sellos detectados: ${pkg.stamps_summary?.total_stamps || 0}`,
-            `Sincronizado: ${new Date().toLocaleTimeString()}`
-          ].join('\n'),
-          coordinates,
-          packageData: pkg,
-          style: {
-            color: pkg.route_summary?.viable ? '#10b981' : '#f59e0b',
-            size: 'medium',
-            icon: pkg.stamps_summary?.green_numbers?.length > 0 ? '💚' : '📦'
-          }
-        };
-      });
+    return normalizePackages(packages)
+      .filter(pkg => pkg.geocodingReady)
+      .map(createPackageMarker)
+      .filter(Boolean);
   }
 
   showSyncNotification(type, data) {
@@ -371,7 +640,7 @@ export class SyncService {
           };
           break;
       }
-    } else if (error.message === 'SYNC_TIMEOUT') {
+    } else if (error.message === 'SYNC_TIMEOUT' || error.message === 'REQUEST_TIMEOUT') {
       errorInfo = {
         title: 'Tiempo Agotado',
         message: 'La sincronización tardó demasiado.',
@@ -401,6 +670,24 @@ export class SyncService {
           'Reporta este error'
         ]
       };
+    } else if (error.message.startsWith('SYNC_NOT_CONFIGURED')) {
+      errorInfo = {
+        title: 'Sincronización No Configurada',
+        message: 'La app no tiene un servidor de sincronización configurado.',
+        suggestions: [
+          'Define EXPO_PUBLIC_SYNC_ENDPOINT o la prop syncConfig',
+          'Contacta al administrador'
+        ]
+      };
+    } else if (error.message.startsWith('SESSION_EXPIRED')) {
+      errorInfo = {
+        title: 'Sesión Expirada',
+        message: 'Tu sesión terminó y los paquetes guardados se borraron.',
+        suggestions: [
+          'Inicia sesión nuevamente',
+          'Tus cambios pendientes se enviarán al reconectar'
+        ]
+      };
     }
 
     const fullMessage = `${errorInfo.message}\n\n${errorInfo.suggestions.map(s => `• ${s}`).join('\n')}`;
@@ -0,0 +1,45 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+describe('DeviceIdentity', () => {
+  // getDeviceId() keeps its promise for the life of the module
+  let getDeviceId;
+  let DEVICE_ID_STORAGE_KEY;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await AsyncStorage.clear();
+
+    jest.isolateModules(() => {
+      ({ getDeviceId, DEVICE_ID_STORAGE_KEY } = require('../DeviceIdentity'));
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates one ID for concurrent callers and stores it', async () => {
+    const ids = await Promise.all([getDeviceId(), getDeviceId()]);
+
+    expect(ids[0]).toMatch(/^device_/);
+    expect(ids[1]).toBe(ids[0]);
+    expect(await AsyncStorage.getItem(DEVICE_ID_STORAGE_KEY)).toBe(ids[0]);
+  });
+
+  it('keeps the stored ID across app runs', async () => {
+    await AsyncStorage.setItem(DEVICE_ID_STORAGE_KEY, 'device_ios_stored');
+
+    await expect(getDeviceId()).resolves.toBe('device_ios_stored');
+  });
+
+  it('still gives a stable ID for this run when storage fails', async () => {
+    jest.spyOn(AsyncStorage, 'getItem').mockRejectedValueOnce(new Error('storage unavailable'));
+
+    const id = await getDeviceId();
+
+    expect(id).toMatch(/^device_/);
+    expect(console.error).toHaveBeenCalled();
+    await expect(getDeviceId()).resolves.toBe(id);
+  });
+});
@@ -0,0 +1,457 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import OutboxService, { OUTBOX_EVENTS } from '../OutboxService';
+import ApiPackageAdapter from '../../adapters/ApiPackageAdapter';
+import { startStubPackageServer } from '../../testUtils/stubPackageServer';
+import { CONFLICT_POLICIES, CONFLICT_RESOLUTIONS, createVersionConflictError } from '../../utils/packageConflicts';
+
+jest.mock('expo-file-system/legacy', () => {
+  const files = new Map();
+  return {
+    documentDirectory: 'file:///documents/',
+    files,
+    makeDirectoryAsync: jest.fn(async () => {}),
+    writeAsStringAsync: jest.fn(async (uri, contents) => { files.set(uri, contents); }),
+    readAsStringAsync: jest.fn(async (uri) => {
+      if (!files.has(uri)) throw new Error(`File ${uri} not found`);
+      return files.get(uri);
+    }),
+    deleteAsync: jest.fn(async (uri) => { files.delete(uri); })
+  };
+});
+
+// In-memory files of the mock above, by URI
+const mockFiles = jest.requireMock('expo-file-system/legacy').files;
+
+const PHOTO_DATA = 'aGVsbG8gcGhvdG8=';
+const SIGNATURE = 'data:image/png;base64,c2lnbmF0dXJl';
+
+const networkError = () => {
+  const error = new Error('NETWORK_ERROR: Network request failed');
+  error.code = 'NETWORK_ERROR';
+  return error;
+};
+
+const createAdapter = () => ({
+  updatePackageStatus: jest.fn(async (id, status) => ({ id, status, version: 2 })),
+  completeDelivery: jest.fn(async (id, proof) => ({ id, status: 'DELIVERED', proofOfDelivery: proof, version: 2 })),
+  recordDeliveryAttempt: jest.fn(async (id) => ({ id, status: 'ATTEMPTED', version: 2 }))
+});
+
+const statusChange = (packageId, status, extra = {}) => ({
+  method: 'updatePackageStatus',
+  packageId,
+  args: [status, { actor: 'driver-1' }],
+  baseVersion: 1,
+  ...extra
+});
+
+const delivery = (packageId) => ({
+  method: 'completeDelivery',
+  packageId,
+  args: [
+    {
+      recipientName: 'Ana',
+      signature: SIGNATURE,
+      photos: [{ uri: 'file:///cache/photo.jpg', width: 10, height: 10, mimeType: 'image/jpeg', data: PHOTO_DATA }]
+    },
+    { actor: 'driver-1' }
+  ],
+  baseVersion: 1,
+  base: { id: packageId, status: 'OUT_FOR_DELIVERY', version: 1 },
+  local: { id: packageId, status: 'DELIVERED', proofOfDelivery: { recipientName: 'Ana', signature: SIGNATURE }, version: 1 }
+});
+
+describe('OutboxService', () => {
+  let adapter;
+  let outbox;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await AsyncStorage.clear();
+    mockFiles.clear();
+
+    adapter = createAdapter();
+    outbox = new OutboxService(adapter, { retryDelay: 1000 });
+    await outbox.load();
+  });
+
+  afterEach(() => {
+    outbox.dispose();
+    jest.restoreAllMocks();
+  });
+
+  describe('replay', () => {
+    it('sends the queued mutations in order with their idempotency key and base version', async () => {
+      const first = await outbox.enqueue(statusChange('PKG-1', 'IN_TRANSIT'));
+      const second = await outbox.enqueue(statusChange('PKG-2', 'OUT_FOR_DELIVERY'));
+
+      const result = await outbox.replay();
+
+      expect(result).toEqual({ synced: 2, rejected: 0, pending: 0 });
+      expect(adapter.updatePackageStatus.mock.calls).toEqual([
+        ['PKG-1', 'IN_TRANSIT', { actor: 'driver-1' }, { idempotencyKey: first.idempotencyKey, baseVersion: 1 }],
+        ['PKG-2', 'OUT_FOR_DELIVERY', { actor: 'driver-1' }, { idempotencyKey: second.idempotencyKey, baseVersion: 1 }]
+      ]);
+      expect(outbox.hasPending()).toBe(false);
+    });
+
+    it('drops a mutation the adapter refuses and reports it as rejected', async () => {
+      const invalid = new Error('INVALID_STATUS_TRANSITION: DELIVERED -> PENDING');
+      adapter.updatePackageStatus.mockRejectedValueOnce(invalid);
+      const events = [];
+      outbox.subscribe(event => events.push(event));
+
+      await outbox.enqueue(statusChange('PKG-1', 'PENDING'));
+      const result = await outbox.replay();
+
+      expect(result).toEqual({ synced: 0, rejected: 1, pending: 0 });
+      expect(events.find(event => event.type === OUTBOX_EVENTS.REJECTED).error).toBe(invalid);
+    });
+  });
+
+  describe('backoff', () => {
+    it('keeps a mutation that failed on the network and waits before sending it again', async () => {
+      adapter.updatePackageStatus.mockRejectedValueOnce(networkError());
+      await outbox.enqueue(statusChange('PKG-1', 'IN_TRANSIT'));
+      await outbox.enqueue(statusChange('PKG-2', 'IN_TRANSIT'));
+
+      const failed = await outbox.replay();
+
+      expect(failed).toEqual({ synced: 0, rejected: 0, pending: 2 });
+      const [entry] = outbox.getEntries();
+      expect(entry.attempts).toBe(1);
+      expect(entry.lastError).toMatch(/^NETWORK_ERROR/);
+      expect(new Date(entry.nextAttemptAt).getTime()).toBeGreaterThan(Date.now());
+
+      // Still backing off: nothing is sent
+      await outbox.replay();
+      expect(adapter.updatePackageStatus).toHaveBeenCalledTimes(1);
+
+      const forced = await outbox.replay({ force: true });
+      expect(forced).toEqual({ synced: 2, rejected: 0, pending: 0 });
+    });
+  });
+
+  describe('conflicts', () => {
+    it('drops the change when the server wins', async () => {
+      outbox.config.conflictPolicy = CONFLICT_POLICIES.SERVER_WINS;
+      const server = { id: 'PKG-1', status: 'CANCELLED', version: 5 };
+      adapter.updatePackageStatus.mockRejectedValueOnce(createVersionConflictError(server, 1));
+      const events = [];
+      outbox.subscribe(event => events.push(event));
+
+      await outbox.enqueue(statusChange('PKG-1', 'IN_TRANSIT'));
+      const result = await outbox.replay();
+
+      expect(result.pending).toBe(0);
+      expect(adapter.updatePackageStatus).toHaveBeenCalledTimes(1);
+      expect(events.find(event => event.type === OUTBOX_EVENTS.RESOLVED).package).toBe(server);
+    });
+
+    it('sends the change again on top of the server version when the client wins', async () => {
+      outbox.config.conflictPolicy = CONFLICT_POLICIES.CLIENT_WINS;
+      adapter.updatePackageStatus.mockRejectedValueOnce(
+        createVersionConflictError({ id: 'PKG-1', status: 'ASSIGNED', version: 5 }, 1)
+      );
+
+      await outbox.enqueue(statusChange('PKG-1', 'IN_TRANSIT'));
+      const result = await outbox.replay();
+
+      expect(result).toEqual({ synced: 1, rejected: 0, pending: 0 });
+      expect(adapter.updatePackageStatus.mock.calls[1][3].baseVersion).toBe(5);
+    });
+
+    it('bases later changes to the package on the version returned after a resolved conflict', async () => {
+      outbox.config.conflictPolicy = CONFLICT_POLICIES.CLIENT_WINS;
+      adapter.updatePackageStatus
+        .mockRejectedValueOnce(createVersionConflictError({ id: 'PKG-1', status: 'ASSIGNED', version: 5 }, 1))
+        .mockResolvedValueOnce({ id: 'PKG-1', status: 'IN_TRANSIT', version: 6 });
+
+      await outbox.enqueue(statusChange('PKG-1', 'IN_TRANSIT'));
+      await outbox.enqueue(statusChange('PKG-2', 'IN_TRANSIT'));
+      await outbox.enqueue(statusChange('PKG-1', 'OUT_FOR_DELIVERY'));
+      const result = await outbox.replay();
+
+      expect(result).toEqual({ synced: 3, rejected: 0, pending: 0 });
+      const baseVersions = adapter.updatePackageStatus.mock.calls.map(([id, , , options]) => [id, options.baseVersion]);
+      expect(baseVersions).toEqual([['PKG-1', 1], ['PKG-1', 5], ['PKG-2', 1], ['PKG-1', 6]]);
+    });
+
+    it('gets a client-wins change past the 409 the API stored for its key', async () => {
+      // The package moved to version 2 on the server after the driver saw version 1
+      const server = await startStubPackageServer({ packages: [{ id: 'PKG-1', status: 'ASSIGNED', version: 2 }] });
+      const api = new ApiPackageAdapter({ baseURL: server.baseURL, retries: 0, enablePolling: false });
+      const apiOutbox = new OutboxService(api, { conflictPolicy: CONFLICT_POLICIES.CLIENT_WINS, storageKey: 'api_outbox' });
+
+      try {
+        await apiOutbox.load();
+
+        // Sent directly first, as usePackageManager does, then queued under the same key
+        await expect(api.updatePackageStatus('PKG-1', 'IN_TRANSIT', {}, { idempotencyKey: 'mut-1', baseVersion: 1 }))
+          .rejects.toMatchObject({ code: 'VERSION_CONFLICT' });
+        await apiOutbox.enqueue({ ...statusChange('PKG-1', 'IN_TRANSIT'), idempotencyKey: 'mut-1' });
+
+        const result = await apiOutbox.replay();
+
+        expect(result).toEqual({ synced: 1, rejected: 0, pending: 0 });
+        expect(server.packages[0]).toMatchObject({ status: 'IN_TRANSIT', version: 3 });
+        expect(server.requests.map(request => [request.headers['idempotency-key'], request.headers['if-match']]))
+          .toEqual([['mut-1', '1'], ['mut-1', '1'], ['mut-1_v2', '2']]);
+      } finally {
+        apiOutbox.dispose();
+        await server.close();
+      }
+    });
+
+    it('pauses the queue until the driver resolves a manual conflict', async () => {
+      outbox.config.conflictPolicy = CONFLICT_POLICIES.MANUAL;
+      adapter.updatePackageStatus.mockRejectedValueOnce(
+        createVersionConflictError({ id: 'PKG-1', status: 'ASSIGNED', version: 5 }, 1)
+      );
+
+      const entry = await outbox.enqueue(statusChange('PKG-1', 'IN_TRANSIT'));
+      await outbox.enqueue(statusChange('PKG-2', 'IN_TRANSIT'));
+      await outbox.replay();
+
+      expect(outbox.getConflicts()).toHaveLength(1);
+      expect(adapter.updatePackageStatus).toHaveBeenCalledTimes(1);
+
+      const result = await outbox.resolveConflict(entry.idempotencyKey, CONFLICT_RESOLUTIONS.CLIENT);
+
+      expect(result).toEqual({ synced: 2, rejected: 0, pending: 0 });
+      expect(adapter.updatePackageStatus.mock.calls[1][3].baseVersion).toBe(5);
+    });
+  });
+
+  describe('storage', () => {
+    it('stores each entry under its own key, with photo and signature data in files', async () => {
+      const entry = await outbox.enqueue(delivery('PKG-1'));
+
+      const index = JSON.parse(await AsyncStorage.getItem('delivery_outbox'));
+      expect(index).toEqual([entry.idempotencyKey]);
+
+      const stored = await AsyncStorage.getItem(`delivery_outbox:${entry.idempotencyKey}`);
+      expect(stored).not.toContain(PHOTO_DATA);
+      expect(stored).not.toContain(SIGNATURE);
+      expect(JSON.parse(stored).attachments).toHaveLength(3);
+      expect([...mockFiles.values()]).toEqual(expect.arrayContaining([PHOTO_DATA, SIGNATURE]));
+    });
+
+    it('reads the attachments back when replaying and deletes them once synced', async () => {
+      await outbox.enqueue(delivery('PKG-1'));
+      await outbox.replay();
+
+      const [, proof] = adapter.completeDelivery.mock.calls[0];
+      expect(proof.signature).toBe(SIGNATURE);
+      expect(proof.photos[0].data).toBe(PHOTO_DATA);
+
+      expect(mockFiles.size).toBe(0);
+      expect(JSON.parse(await AsyncStorage.getItem('delivery_outbox'))).toEqual([]);
+      expect((await AsyncStorage.getAllKeys()).filter(key => key.startsWith('delivery_outbox:'))).toEqual([]);
+    });
+
+    it('rejects a delivery whose attachment file is gone instead of sending it without it', async () => {
+      const events = [];
+      outbox.subscribe(event => events.push(event));
+      const entry = await outbox.enqueue(delivery('PKG-1'));
+      mockFiles.delete(entry.attachments[0].uri);
+
+      const result = await outbox.replay();
+
+      expect(result).toEqual({ synced: 0, rejected: 1, pending: 0 });
+      expect(adapter.completeDelivery).not.toHaveBeenCalled();
+      expect(events.find(event => event.type === OUTBOX_EVENTS.REJECTED).error.code).toBe('ATTACHMENT_MISSING');
+      expect(mockFiles.size).toBe(0);
+    });
+
+    it('loads the queue left by a previous session, including the old single-value format', async () => {
+      const legacyEntry = { ...statusChange('PKG-1', 'IN_TRANSIT'), idempotencyKey: 'mut_legacy', attempts: 0 };
+      await AsyncStorage.setItem('delivery_outbox', JSON.stringify([legacyEntry]));
+
+      const restored = new OutboxService(adapter);
+      await restored.load();
+
+      expect(restored.getEntries().map(entry => entry.idempotencyKey)).toEqual(['mut_legacy']);
+      expect(JSON.parse(await AsyncStorage.getItem('delivery_outbox'))).toEqual(['mut_legacy']);
+      expect(await AsyncStorage.getItem('delivery_outbox:mut_legacy')).not.toBeNull();
+
+      const reloaded = new OutboxService(adapter);
+      await reloaded.load();
+      expect(reloaded.getEntries()).toHaveLength(1);
+    });
+
+    it('rejects enqueue with OUTBOX_PERSIST_FAILED when the entry cannot be stored', async () => {
+      jest.spyOn(AsyncStorage, 'multiSet').mockRejectedValueOnce(new Error('QuotaExceededError'));
+
+      await expect(outbox.enqueue(delivery('PKG-1'))).rejects.toMatchObject({ code: 'OUTBOX_PERSIST_FAILED' });
+
+      expect(outbox.hasPending()).toBe(false);
+      expect(mockFiles.size).toBe(0);
+    });
+  });
+
+  describe('dispose', () => {
+    // Adapter call that answers when the test says so
+    const deferred = () => {
+      let settle;
+      const promise = new Promise((resolve, reject) => { settle = { resolve, reject }; });
+      return { promise, ...settle };
+    };
+
+    it('stops a replay in flight from retrying or storing anything', async () => {
+      const call = deferred();
+      adapter.updatePackageStatus.mockReturnValueOnce(call.promise);
+      const entry = await outbox.enqueue(statusChange('PKG-1', 'IN_TRANSIT'));
+      await outbox.enqueue(statusChange('PKG-2', 'IN_TRANSIT'));
+
+      const replaying = outbox.replay();
+      await new Promise(resolve => setTimeout(resolve, 0));
+      const disposed = outbox.dispose();
+      call.reject(networkError());
+      await replaying;
+      await disposed;
+
+      expect(adapter.updatePackageStatus).toHaveBeenCalledTimes(1);
+      expect(outbox.retryTimeoutId).toBeNull();
+      const stored = JSON.parse(await AsyncStorage.getItem(`delivery_outbox:${entry.idempotencyKey}`));
+      expect(stored).toMatchObject({ attempts: 0, nextAttemptAt: null });
+      expect(await outbox.replay()).toEqual({ synced: 0, rejected: 0, pending: 2 });
+    });
+
+    it('lets the next outbox load the queue only after the old replay finished', async () => {
+      const call = deferred();
+      adapter.completeDelivery.mockReturnValueOnce(call.promise);
+      await outbox.enqueue(delivery('PKG-1'));
+      await outbox.enqueue(statusChange('PKG-2', 'IN_TRANSIT'));
+
+      const replaying = outbox.replay();
+      await new Promise(resolve => setTimeout(resolve, 0));
+      outbox.dispose();
+
+      const next = new OutboxService(adapter);
+      let loaded = false;
+      const loading = next.load().then(() => { loaded = true; });
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(loaded).toBe(false);
+
+      // The old outbox synced the first entry but no longer drops it
+      call.resolve({ id: 'PKG-1', status: 'DELIVERED', version: 2 });
+      await replaying;
+      await loading;
+
+      expect(next.getEntries().map(entry => entry.packageId)).toEqual(['PKG-1', 'PKG-2']);
+      expect(mockFiles.size).toBe(3);
+
+      // Sent again under the same key, the API answers what it answered before
+      await next.replay();
+      expect(adapter.completeDelivery.mock.calls[1][1].photos[0].data).toBe(PHOTO_DATA);
+      const [first, again] = adapter.completeDelivery.mock.calls.map(([, , , options]) => options.idempotencyKey);
+      expect(again).toBe(first);
+      expect(next.hasPending()).toBe(false);
+      next.dispose();
+    });
+  });
+
+  describe('session', () => {
+    // Stand-in for SessionService
+    const createSession = (driverId) => {
+      const listeners = new Set();
+      const session = {
+        driverId,
+        load: async () => {},
+        isAuthenticated: () => !!session.driverId,
+        getDriverId: () => session.driverId,
+        subscribe: (listener) => {
+          listeners.add(listener);
+          return () => listeners.delete(listener);
+        },
+        loginAs: (id) => {
+          session.driverId = id;
+          listeners.forEach(listener => listener({ type: 'login' }));
+        },
+        logout: () => {
+          session.driverId = null;
+          listeners.forEach(listener => listener({ type: 'logout' }));
+        }
+      };
+      return session;
+    };
+
+    const authError = (status) => Object.assign(new Error(`HTTP_ERROR_${status}:`), { status });
+
+    it('sends nothing without a session and replays on login', async () => {
+      const session = createSession(null);
+      outbox.config.session = session;
+      await outbox.start();
+
+      await outbox.enqueue(statusChange('PKG-1', 'IN_TRANSIT', { driverId: 'driver-1' }));
+      await outbox.replay();
+      expect(adapter.updatePackageStatus).not.toHaveBeenCalled();
+
+      session.loginAs('driver-1');
+      const result = await outbox.replayPromise;
+
+      expect(result).toEqual({ synced: 1, rejected: 0, pending: 0 });
+    });
+
+    it.each([
+      ['401', authError(401)],
+      ['403', authError(403)],
+      ['SESSION_EXPIRED', Object.assign(new Error('SESSION_EXPIRED: Inicia sesión nuevamente'), { code: 'SESSION_EXPIRED' })]
+    ])('keeps the change and pauses the queue on %s', async (label, error) => {
+      adapter.updatePackageStatus.mockRejectedValueOnce(error);
+      const events = [];
+      outbox.subscribe(event => events.push(event));
+
+      await outbox.enqueue(statusChange('PKG-1', 'IN_TRANSIT'));
+      await outbox.enqueue(statusChange('PKG-2', 'IN_TRANSIT'));
+      const result = await outbox.replay();
+
+      expect(result).toEqual({ synced: 0, rejected: 0, pending: 2 });
+      expect(adapter.updatePackageStatus).toHaveBeenCalledTimes(1);
+      expect(events.some(event => event.type === OUTBOX_EVENTS.REJECTED)).toBe(false);
+      expect(outbox.getEntries()[0].lastError).toBe(error.message);
+    });
+
+    it('switches to another session without a new outbox', async () => {
+      const previous = createSession(null);
+      outbox.config.session = previous;
+      await outbox.start();
+      await outbox.enqueue(statusChange('PKG-1', 'IN_TRANSIT', { driverId: 'driver-1' }));
+
+      const session = createSession('driver-1');
+      outbox.setSession(session);
+      const result = await outbox.replayPromise;
+
+      expect(result).toEqual({ synced: 1, rejected: 0, pending: 0 });
+
+      // Events of the old session no longer reach the outbox
+      await outbox.enqueue(statusChange('PKG-2', 'IN_TRANSIT', { driverId: 'driver-3' }));
+      previous.loginAs('driver-3');
+      expect(outbox.replayPromise).toBeNull();
+    });
+
+    it('records the driver who queued a change and only sends it with their session', async () => {
+      const session = createSession('driver-1');
+      outbox.config.session = session;
+
+      const first = await outbox.enqueue(statusChange('PKG-1', 'IN_TRANSIT'));
+      expect(first.driverId).toBe('driver-1');
+
+      session.loginAs('driver-2');
+      await outbox.enqueue(statusChange('PKG-2', 'IN_TRANSIT'));
+      const result = await outbox.replay();
+
+      expect(result).toEqual({ synced: 1, rejected: 0, pending: 1 });
+      expect(adapter.updatePackageStatus.mock.calls.map(([id]) => id)).toEqual(['PKG-2']);
+
+      session.loginAs('driver-1');
+      await outbox.replay();
+      expect(adapter.updatePackageStatus.mock.calls.map(([id]) => id)).toEqual(['PKG-2', 'PKG-1']);
+      expect(outbox.hasPending()).toBe(false);
+    });
+  });
+});
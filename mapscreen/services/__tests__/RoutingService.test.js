@@ -0,0 +1,54 @@
+import { RoutingService, ROUTING_CONFIG } from '../RoutingService';
+
+const points = [
+  { latitude: 19.4326, longitude: -99.1332 },
+  { latitude: 19.4270, longitude: -99.1677 }
+];
+
+describe('RoutingService', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  it('has no OSRM server by default', () => {
+    expect(ROUTING_CONFIG.osrm.baseURL).toBeNull();
+  });
+
+  it('uses haversine estimates when no OSRM baseURL is configured', async () => {
+    const routing = new RoutingService();
+
+    const route = await routing.getRoute(points);
+
+    expect(routing.provider.name).toBe('haversine');
+    expect(route.provider).toBe('haversine');
+    expect(route.distance).toBeGreaterThan(0);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('asks the configured OSRM server', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      headers: {},
+      text: async () => JSON.stringify({
+        code: 'Ok',
+        routes: [{ distance: 4200, duration: 600, geometry: { type: 'LineString', coordinates: [] }, legs: [] }]
+      })
+    });
+    const routing = new RoutingService({ osrm: { baseURL: 'http://osrm.local/' } });
+
+    const route = await routing.getRoute(points);
+
+    expect(global.fetch.mock.calls[0][0]).toMatch(/^http:\/\/osrm\.local\/route\/v1\/driving\//);
+    expect(route).toMatchObject({ distance: 4200, duration: 600, provider: 'osrm', fallback: false });
+  });
+});
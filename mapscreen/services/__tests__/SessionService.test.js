@@ -0,0 +1,138 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import SessionService, { SESSION_EVENTS } from '../SessionService';
+
+jest.mock('expo-secure-store', () => {
+  const items = new Map();
+  return {
+    items,
+    getItemAsync: jest.fn(async (key) => (items.has(key) ? items.get(key) : null)),
+    setItemAsync: jest.fn(async (key, value) => { items.set(key, value); }),
+    deleteItemAsync: jest.fn(async (key) => { items.delete(key); })
+  };
+});
+
+// In-memory keychain of the mock above
+const mockSecureItems = jest.requireMock('expo-secure-store').items;
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: '',
+  headers: {},
+  text: async () => (body === undefined ? '' : JSON.stringify(body))
+});
+
+const tokens = (accessToken, extra = {}) => ({
+  accessToken,
+  refreshToken: `refresh-${accessToken}`,
+  expiresIn: 3600,
+  driver: { id: 'driver-1', name: 'Ana' },
+  ...extra
+});
+
+const requestsTo = (url) => global.fetch.mock.calls.filter(([requestURL]) => requestURL === url);
+
+describe('SessionService', () => {
+  const originalFetch = global.fetch;
+  let session;
+  let events;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await AsyncStorage.clear();
+    mockSecureItems.clear();
+
+    global.fetch = jest.fn(async () => jsonResponse(200, tokens('token-1')));
+
+    session = new SessionService({
+      loginURL: 'http://backend/auth/login',
+      refreshURL: 'http://backend/auth/refresh',
+      retries: 0
+    });
+    events = [];
+    session.subscribe(event => events.push(event.type));
+
+    await session.login({ username: 'ana', password: 'secret' });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  describe('refresh', () => {
+    it('sends one refresh for concurrent callers and gives all of them the new token', async () => {
+      let answer;
+      global.fetch.mockImplementationOnce(() => new Promise(resolve => { answer = resolve; }));
+      // The token is about to expire, so getAccessToken() refreshes too
+      session.session.expiresAt = new Date(Date.now() + 1000).toISOString();
+
+      const pending = [session.refresh(), session.refresh(), session.getAccessToken()];
+      // The request goes out once the device ID is read
+      while (!answer) await new Promise(resolve => setTimeout(resolve, 0));
+      answer(jsonResponse(200, tokens('token-2')));
+
+      await expect(Promise.all(pending)).resolves.toEqual(['token-2', 'token-2', 'token-2']);
+      expect(requestsTo('http://backend/auth/refresh')).toHaveLength(1);
+      expect(events.filter(type => type === SESSION_EVENTS.REFRESH)).toHaveLength(1);
+
+      // The next refresh is a new request
+      global.fetch.mockResolvedValueOnce(jsonResponse(200, tokens('token-3')));
+      await expect(session.refresh()).resolves.toBe('token-3');
+      expect(requestsTo('http://backend/auth/refresh')).toHaveLength(2);
+    });
+
+    it('ends the session with SESSION_EXPIRED when the server refuses the refresh token', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse(401, { error: 'invalid_grant' }));
+
+      await expect(session.refresh()).rejects.toMatchObject({ code: 'SESSION_EXPIRED' });
+
+      expect(session.isAuthenticated()).toBe(false);
+      expect(session.getDriverId()).toBeNull();
+      expect(events).toEqual([SESSION_EVENTS.LOGIN, SESSION_EVENTS.LOGOUT]);
+      expect(mockSecureItems.has('delivery_session')).toBe(false);
+    });
+
+    it('keeps the session when the refresh fails on the network', async () => {
+      global.fetch.mockRejectedValueOnce(new TypeError('Network request failed'));
+
+      await expect(session.refresh()).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+
+      expect(session.isAuthenticated()).toBe(true);
+      expect(events).toEqual([SESSION_EVENTS.LOGIN]);
+    });
+  });
+
+  describe('logout', () => {
+    it("wipes the driver's cached packages and keeps the device ID and the outbox", async () => {
+      await AsyncStorage.multiSet([
+        ['delivery_packages', '[]'],
+        ['delivery_sync_state', '{}'],
+        ['delivery_device_id', 'device_test'],
+        ['delivery_outbox', '[]']
+      ]);
+
+      await session.logout();
+
+      expect(await AsyncStorage.getItem('delivery_packages')).toBeNull();
+      expect(await AsyncStorage.getItem('delivery_sync_state')).toBeNull();
+      expect(await AsyncStorage.getItem('delivery_device_id')).toBe('device_test');
+      expect(await AsyncStorage.getItem('delivery_outbox')).toBe('[]');
+      expect(session.isAuthenticated()).toBe(false);
+      expect(events).toEqual([SESSION_EVENTS.LOGIN, SESSION_EVENTS.LOGOUT]);
+    });
+
+    it('wipes the cache keys it is configured with', async () => {
+      const custom = new SessionService({ cacheKeys: ['route_cache'] });
+      await AsyncStorage.multiSet([['route_cache', '{}'], ['delivery_packages', '[]']]);
+
+      await custom.logout();
+
+      expect(await AsyncStorage.getItem('route_cache')).toBeNull();
+      expect(await AsyncStorage.getItem('delivery_packages')).toBe('[]');
+    });
+  });
+});
@@ -0,0 +1,118 @@
+// testUtils/stubPackageServer.js - Local stand-in for the REST dispatch backend
+import http from 'http';
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+/**
+ * Start an in-memory backend implementing the endpoints ApiPackageAdapter
+ * talks to (see its class doc). Packages carry a `version` checked against
+ * `If-Match`, and replays of an `Idempotency-Key` get the first response.
+ * @param {Object} options - {packages}: initial list; {delay}: (request) => ms
+ *   to hold a response after the change was applied (simulates a slow network)
+ * @returns {Promise<Object>} {baseURL, packages, requests, close()}
+ */
+export const startStubPackageServer = ({ packages = [], delay = null } = {}) => {
+  const state = {
+    packages: packages.map(pkg => ({ version: 1, ...pkg })),
+    requests: [],
+    responses: new Map(),
+    nextId: 1
+  };
+
+  const findPackage = (id) => state.packages.find(pkg => String(pkg.id) === id);
+
+  const handle = (req, body) => {
+    const [path, query = ''] = req.url.split('?');
+    const [, , id, action] = path.split('/');
+    const params = new URLSearchParams(query);
+
+    if (req.method === 'GET' && !id) {
+      const status = params.get('status');
+      return [200, state.packages.filter(pkg => !status || pkg.status === status)];
+    }
+
+    if (req.method === 'POST' && !id) {
+      const created = { ...body, id: `S${state.nextId++}`, version: 1 };
+      state.packages.push(created);
+      return [201, created];
+    }
+
+    const pkg = findPackage(id);
+    if (!pkg) return [404, { error: 'not found' }];
+
+    if (req.method === 'GET') return [200, pkg];
+
+    if (req.method === 'DELETE') {
+      state.packages = state.packages.filter(item => item !== pkg);
+      return [204];
+    }
+
+    const baseVersion = req.headers['if-match'];
+    if (baseVersion && baseVersion !== String(pkg.version)) {
+      return [409, pkg];
+    }
+
+    const { audit = {}, ...change } = body;
+    const status = action === 'proof-of-delivery' ? 'DELIVERED'
+      : action === 'attempts' ? 'ATTEMPTED'
+        : change.status;
+
+    pkg.statusHistory = [
+      ...(pkg.statusHistory || []),
+      { from: pkg.status, to: status, at: new Date().toISOString(), ...audit }
+    ];
+    pkg.status = status;
+    pkg.version += 1;
+
+    if (action === 'proof-of-delivery') {
+      pkg.proofOfDelivery = change;
+    }
+    if (action === 'attempts') {
+      pkg.attempts = (pkg.attempts || 0) + 1;
+      pkg.attemptHistory = [...(pkg.attemptHistory || []), change];
+      pkg.lastAttempt = change;
+    }
+
+    return [200, pkg];
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : {};
+      const key = req.headers['idempotency-key'];
+      const request = { method: req.method, url: req.url, headers: req.headers, body };
+      state.requests.push(request);
+
+      let response = key && state.responses.get(key);
+      if (!response) {
+        response = handle(req, body);
+        if (key) state.responses.set(key, response);
+      }
+
+      const wait = delay ? delay(request) : 0;
+      if (wait > 0) {
+        setTimeout(() => !res.destroyed && send(res, ...response), wait);
+      } else {
+        send(res, ...response);
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseURL: `http://127.0.0.1:${server.address().port}`,
+        get packages() { return state.packages; },
+        requests: state.requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+};
+
+export default startStubPackageServer;
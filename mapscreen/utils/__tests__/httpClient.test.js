@@ -0,0 +1,145 @@
+import {
+  requestJSON,
+  fetchWithTimeout,
+  isRetryableError,
+  isAuthError,
+  computeBackoffDelay,
+  buildURL
+} from '../httpClient';
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: '',
+  headers: {},
+  text: async () => (body === undefined ? '' : JSON.stringify(body))
+});
+
+describe('httpClient', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  describe('requestJSON', () => {
+    it('retries a retryable status and returns the later success', async () => {
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce(jsonResponse(503, {}))
+        .mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+
+      const { data, status } = await requestJSON('http://backend/x', { retries: 2, retryDelay: 1 });
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(status).toBe(200);
+      expect(data).toEqual({ ok: true });
+    });
+
+    it('does not retry a client error and exposes status and body', async () => {
+      global.fetch = jest.fn().mockResolvedValue(jsonResponse(422, { error: 'bad' }));
+
+      await expect(requestJSON('http://backend/x', { retries: 2, retryDelay: 1 })).rejects.toMatchObject({
+        message: expect.stringMatching(/^HTTP_ERROR_422/),
+        status: 422,
+        body: { error: 'bad' }
+      });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('gives up after the configured retries', async () => {
+      global.fetch = jest.fn().mockResolvedValue(jsonResponse(500, {}));
+
+      await expect(requestJSON('http://backend/x', { retries: 2, retryDelay: 1 })).rejects.toMatchObject({ status: 500 });
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('retries a network failure as NETWORK_ERROR', async () => {
+      global.fetch = jest.fn()
+        .mockRejectedValueOnce(new TypeError('Network request failed'))
+        .mockResolvedValueOnce(jsonResponse(200, []));
+
+      await expect(requestJSON('http://backend/x', { retries: 1, retryDelay: 1 })).resolves.toMatchObject({ data: [] });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('sends the body as JSON', async () => {
+      global.fetch = jest.fn().mockResolvedValue(jsonResponse(204));
+
+      await requestJSON('http://backend/x', { method: 'POST', body: { a: 1 }, headers: { 'X-Test': '1' } });
+
+      const [, init] = global.fetch.mock.calls[0];
+      expect(init.body).toBe('{"a":1}');
+      expect(init.headers).toMatchObject({ 'Content-Type': 'application/json', 'X-Test': '1' });
+    });
+  });
+
+  describe('fetchWithTimeout', () => {
+    it('aborts a slow request with REQUEST_TIMEOUT', async () => {
+      global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+      }));
+
+      await expect(fetchWithTimeout('http://backend/slow', {}, 10)).rejects.toThrow('REQUEST_TIMEOUT');
+    });
+
+    it('wraps fetch failures into NETWORK_ERROR', async () => {
+      const cause = new TypeError('Network request failed');
+      global.fetch = jest.fn().mockRejectedValue(cause);
+
+      await expect(fetchWithTimeout('http://backend/x')).rejects.toMatchObject({ code: 'NETWORK_ERROR', cause });
+    });
+  });
+
+  describe('isRetryableError', () => {
+    it('retries timeouts, network failures and the retryable statuses', () => {
+      expect(isRetryableError(new Error('REQUEST_TIMEOUT'))).toBe(true);
+      expect(isRetryableError(Object.assign(new Error('NETWORK_ERROR: offline'), { code: 'NETWORK_ERROR' }))).toBe(true);
+      expect(isRetryableError(Object.assign(new Error('HTTP_ERROR_503'), { status: 503 }))).toBe(true);
+      expect(isRetryableError(Object.assign(new Error('HTTP_ERROR_404'), { status: 404 }))).toBe(false);
+    });
+
+    it('does not retry programming errors', () => {
+      expect(isRetryableError(new TypeError('adapter[method] is not a function'))).toBe(false);
+      expect(isRetryableError(new TypeError("Cannot read properties of null (reading 'id')"))).toBe(false);
+    });
+  });
+
+  describe('isAuthError', () => {
+    it('recognises 401, 403 and SESSION_EXPIRED', () => {
+      expect(isAuthError(Object.assign(new Error('HTTP_ERROR_401'), { status: 401 }))).toBe(true);
+      expect(isAuthError(Object.assign(new Error('HTTP_ERROR_403'), { status: 403 }))).toBe(true);
+      expect(isAuthError(Object.assign(new Error('SESSION_EXPIRED: Inicia sesión nuevamente'), { code: 'SESSION_EXPIRED' }))).toBe(true);
+      expect(isAuthError(Object.assign(new Error('HTTP_ERROR_404'), { status: 404 }))).toBe(false);
+      expect(isAuthError(null)).toBe(false);
+    });
+  });
+
+  describe('computeBackoffDelay', () => {
+    it('doubles the delay up to maxRetryDelay', () => {
+      expect(computeBackoffDelay(1, { retryDelay: 100, maxRetryDelay: 1000 })).toBe(100);
+      expect(computeBackoffDelay(3, { retryDelay: 100, maxRetryDelay: 1000 })).toBe(400);
+      expect(computeBackoffDelay(10, { retryDelay: 100, maxRetryDelay: 1000 })).toBe(1000);
+    });
+
+    it('takes up to the jitter fraction off the delay', () => {
+      const delays = Array.from({ length: 20 }, () => computeBackoffDelay(2, { retryDelay: 1000, jitter: 0.5 }));
+
+      delays.forEach(delay => {
+        expect(delay).toBeGreaterThanOrEqual(1000);
+        expect(delay).toBeLessThanOrEqual(2000);
+      });
+    });
+  });
+
+  describe('buildURL', () => {
+    it('joins the path and skips empty query values', () => {
+      expect(buildURL('http://api/', '/packages', { status: 'PENDING', priority: '', page: null }))
+        .toBe('http://api/packages?status=PENDING');
+    });
+  });
+});
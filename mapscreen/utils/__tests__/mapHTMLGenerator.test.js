@@ -0,0 +1,22 @@
+import { generateMapHTML } from '../mapHTMLGenerator';
+import { LABEL_GLYPHS } from '../../assets/mapPageAssets';
+
+describe('generateMapHTML', () => {
+  const html = generateMapHTML({ latitude: 19.4326, longitude: -99.1332 });
+
+  it('loads MapLibre and its CSS from the page instead of the network', () => {
+    expect(html).not.toMatch(/<script[^>]+src=/);
+    expect(html).not.toMatch(/<link[^>]+stylesheet/);
+    expect(html).toContain('maplibregl');
+  });
+
+  it('serves the label glyphs from the page', () => {
+    expect(html).not.toContain('demotiles.maplibre.org');
+    expect(html).toContain("GLYPHS_PROTOCOL + '://{fontstack}/{range}'");
+    expect(html).toContain(LABEL_GLYPHS.ranges['0-255']);
+  });
+
+  it('centers the map on the given location', () => {
+    expect(html).toContain('center: [-99.1332, 19.4326]');
+  });
+});
@@ -0,0 +1,65 @@
+import { MapMessageQueue } from '../mapMessageQueue';
+
+describe('MapMessageQueue', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('drains the most important messages first, in order within a priority', () => {
+    const queue = new MapMessageQueue();
+    queue.enqueue({ type: 'prefetchTiles' });
+    queue.enqueue({ type: 'flyTo' });
+    queue.enqueue({ type: 'loadPackages' });
+    queue.enqueue({ type: 'selectPackage' });
+
+    expect(queue.drain().map(message => message.type)).toEqual(['loadPackages', 'flyTo', 'selectPackage', 'prefetchTiles']);
+  });
+
+  it('keeps only the latest message of a coalesced kind', () => {
+    const queue = new MapMessageQueue();
+    queue.enqueue({ type: 'updateDriverLocation', latitude: 1 });
+    const { coalesced } = queue.enqueue({ type: 'updateDriverLocation', latitude: 2 });
+
+    expect(coalesced).toBe(true);
+    expect(queue.drain()).toEqual([{ type: 'updateDriverLocation', latitude: 2 }]);
+  });
+
+  it('drops the least important message when full', () => {
+    const queue = new MapMessageQueue({ maxSize: 2 });
+    queue.enqueue({ type: 'loadPackages' });
+    queue.enqueue({ type: 'takeSnapshot' });
+
+    const { dropped } = queue.enqueue({ type: 'flyTo' });
+
+    expect(dropped.type).toBe('takeSnapshot');
+    expect(queue.drain().map(message => message.type)).toEqual(['loadPackages', 'flyTo']);
+  });
+
+  it('never drops a request to make room', () => {
+    const queue = new MapMessageQueue({ maxSize: 2 });
+    queue.enqueue({ type: 'takeSnapshot', requestId: 'req_1' });
+    queue.enqueue({ type: 'getTileCacheStats', requestId: 'req_2' });
+
+    const { dropped } = queue.enqueue({ type: 'prefetchTiles' });
+    expect(dropped.type).toBe('prefetchTiles');
+
+    const result = queue.enqueue({ type: 'takeSnapshot', requestId: 'req_3' });
+    expect(result.dropped).toBeNull();
+    expect(queue.drain().map(message => message.requestId)).toEqual(['req_1', 'req_2', 'req_3']);
+  });
+
+  it('replays the recorded map state after a reload', () => {
+    const queue = new MapMessageQueue();
+    queue.recordState({ type: 'loadPackages', packages: [] });
+    queue.recordState({ type: 'selectPackage', packageId: 'PKG-1' });
+    queue.recordState({ type: 'clearPackageSelection' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    expect(queue.replayState()).toBe(1);
+    expect(queue.drain().map(message => message.type)).toEqual(['loadPackages']);
+  });
+});
@@ -0,0 +1,67 @@
+import {
+  CONFLICT_POLICIES,
+  CONFLICT_RESOLUTIONS,
+  mergePackageChanges,
+  chooseConflictResolution
+} from '../packageConflicts';
+
+const base = {
+  id: 'PKG-1',
+  status: 'OUT_FOR_DELIVERY',
+  notes: '',
+  recipientPhone: '+52 33 1234 5678',
+  version: 3,
+  updatedAt: '2026-03-02T09:00:00.000Z'
+};
+
+describe('packageConflicts', () => {
+  describe('mergePackageChanges', () => {
+    it('keeps both changes when the device and the server changed different fields', () => {
+      const local = { ...base, status: 'DELIVERED', updatedAt: '2026-03-02T10:00:00.000Z' };
+      const server = { ...base, recipientPhone: '+52 33 8765 4321', version: 4, updatedAt: '2026-03-02T09:30:00.000Z' };
+
+      const { merged, conflicts } = mergePackageChanges(base, local, server);
+
+      expect(conflicts).toEqual([]);
+      expect(merged).toMatchObject({ status: 'DELIVERED', recipientPhone: '+52 33 8765 4321', version: 4 });
+    });
+
+    it('reports a field both sides changed to different values', () => {
+      const local = { ...base, status: 'DELIVERED' };
+      const server = { ...base, status: 'CANCELLED', version: 4 };
+
+      const { merged, conflicts } = mergePackageChanges(base, local, server);
+
+      expect(conflicts).toEqual([{ field: 'status', local: 'DELIVERED', server: 'CANCELLED' }]);
+      expect(merged.status).toBe('CANCELLED');
+    });
+  });
+
+  describe('chooseConflictResolution with the merge policy', () => {
+    it('sends the change again when it touches other fields than the server', () => {
+      const local = { ...base, notes: 'Dejar en recepción' };
+      const server = { ...base, status: 'ATTEMPTED', version: 4 };
+
+      expect(chooseConflictResolution(CONFLICT_POLICIES.MERGE, { base, local, server }))
+        .toEqual({ resolution: CONFLICT_RESOLUTIONS.CLIENT, conflicts: [] });
+    });
+
+    it('asks the driver when both changed the same field', () => {
+      const local = { ...base, status: 'DELIVERED' };
+      const server = { ...base, status: 'CANCELLED', version: 4 };
+
+      const { resolution, conflicts } = chooseConflictResolution(CONFLICT_POLICIES.MERGE, { base, local, server });
+
+      expect(resolution).toBe(CONFLICT_RESOLUTIONS.MANUAL);
+      expect(conflicts.map(conflict => conflict.field)).toEqual(['status']);
+    });
+
+    it('asks the driver when the package the change was made on is missing', () => {
+      const local = { ...base, notes: 'Dejar en recepción' };
+      const server = { ...base, status: 'ATTEMPTED', version: 4 };
+
+      expect(chooseConflictResolution(CONFLICT_POLICIES.MERGE, { base: null, local, server }))
+        .toEqual({ resolution: CONFLICT_RESOLUTIONS.MANUAL, conflicts: [] });
+    });
+  });
+});
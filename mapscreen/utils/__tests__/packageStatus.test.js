@@ -0,0 +1,111 @@
+import {
+  PACKAGE_STATUSES as S,
+  STATUS_DEFINITIONS,
+  normalizeStatus,
+  canTransition,
+  assertTransition,
+  applyStatusChange,
+  isFinalStatus,
+  getAllowedTransitions,
+  getStatusDefinition,
+  countByStatusGroup
+} from '../packageStatus';
+
+describe('packageStatus', () => {
+  describe('canTransition', () => {
+    it.each([
+      [S.PENDING, S.ASSIGNED],
+      [S.ASSIGNED, S.OUT_FOR_DELIVERY],
+      [S.IN_TRANSIT, S.DELIVERED],
+      [S.OUT_FOR_DELIVERY, S.ATTEMPTED],
+      [S.ATTEMPTED, S.ATTEMPTED],
+      [S.ATTEMPTED, S.RETURN_TO_SENDER]
+    ])('allows %s -> %s', (from, to) => {
+      expect(canTransition(from, to)).toBe(true);
+    });
+
+    it.each([
+      [S.DELIVERED, S.PENDING],
+      [S.CANCELLED, S.OUT_FOR_DELIVERY],
+      [S.PENDING, S.DELIVERED],
+      [S.OUT_FOR_DELIVERY, S.PENDING]
+    ])('refuses %s -> %s', (from, to) => {
+      expect(canTransition(from, to)).toBe(false);
+    });
+
+    it('allows setting the same status again, even a final one', () => {
+      expect(canTransition(S.DELIVERED, S.DELIVERED)).toBe(true);
+    });
+
+    it('lets unknown statuses move to known ones only', () => {
+      expect(canTransition('LOST_IN_DEPOT', S.IN_TRANSIT)).toBe(true);
+      expect(canTransition(S.PENDING, 'LOST_IN_DEPOT')).toBe(false);
+    });
+
+    it('normalizes the current status before checking', () => {
+      expect(canTransition('out_for_delivery', S.DELIVERED)).toBe(true);
+      expect(canTransition('returned', S.PENDING)).toBe(false);
+    });
+
+    it('gives every final status no way out', () => {
+      Object.keys(STATUS_DEFINITIONS)
+        .filter(isFinalStatus)
+        .forEach(status => {
+          expect(getAllowedTransitions(status)).toEqual([]);
+          expect(canTransition(status, S.PENDING)).toBe(false);
+        });
+    });
+  });
+
+  describe('assertTransition', () => {
+    it('throws INVALID_STATUS_TRANSITION with both statuses', () => {
+      expect(() => assertTransition(S.DELIVERED, S.PENDING)).toThrow(
+        expect.objectContaining({ code: 'INVALID_STATUS_TRANSITION', from: S.DELIVERED, to: S.PENDING })
+      );
+    });
+  });
+
+  describe('applyStatusChange', () => {
+    it('sets the status and appends the change to the history', () => {
+      const pkg = { id: 'PKG-1', status: S.OUT_FOR_DELIVERY, statusHistory: [{ from: null, to: S.OUT_FOR_DELIVERY }] };
+
+      const updated = applyStatusChange(pkg, S.DELIVERED, { at: '2026-03-02T10:00:00.000Z', actor: 'driver-1' });
+
+      expect(updated.status).toBe(S.DELIVERED);
+      expect(updated.updatedAt).toBe('2026-03-02T10:00:00.000Z');
+      expect(updated.statusHistory).toEqual([
+        { from: null, to: S.OUT_FOR_DELIVERY },
+        { from: S.OUT_FOR_DELIVERY, to: S.DELIVERED, at: '2026-03-02T10:00:00.000Z', actor: 'driver-1' }
+      ]);
+      expect(pkg.status).toBe(S.OUT_FOR_DELIVERY);
+    });
+
+    it('refuses an illegal change without touching the package', () => {
+      const pkg = { id: 'PKG-1', status: S.DELIVERED };
+
+      expect(() => applyStatusChange(pkg, S.OUT_FOR_DELIVERY)).toThrow(/^INVALID_STATUS_TRANSITION/);
+      expect(pkg).toEqual({ id: 'PKG-1', status: S.DELIVERED });
+    });
+  });
+
+  it('normalizeStatus uppercases, resolves aliases and falls back when empty', () => {
+    expect(normalizeStatus(' in_transit ')).toBe(S.IN_TRANSIT);
+    expect(normalizeStatus('canceled')).toBe(S.CANCELLED);
+    expect(normalizeStatus('')).toBe(S.PENDING);
+  });
+
+  it('getStatusDefinition labels unknown statuses with their own name', () => {
+    expect(getStatusDefinition('LOST_IN_DEPOT')).toMatchObject({ label: 'LOST IN DEPOT', group: 'other', next: [] });
+  });
+
+  it('countByStatusGroup buckets packages by status group', () => {
+    const counts = countByStatusGroup([
+      { status: S.PENDING },
+      { status: S.ASSIGNED },
+      { status: S.DELIVERED },
+      { status: 'LOST_IN_DEPOT' }
+    ]);
+
+    expect(counts).toMatchObject({ pending: 2, delivered: 1, other: 1, failed: 0 });
+  });
+});
@@ -0,0 +1,136 @@
+import { optimizeRoute, parseDeliveryWindow, getUnroutableReason, ROUTE_START_ID } from '../routeOptimizer';
+
+// Stops along a line of longitude, about 1.1 km apart
+const stop = (id, index, extra = {}) => ({
+  id,
+  status: 'OUT_FOR_DELIVERY',
+  priority: 'MEDIUM',
+  latitude: 19.4 + index * 0.01,
+  longitude: -99.1,
+  ...extra
+});
+
+const START = { latitude: 19.4, longitude: -99.1 };
+const START_TIME = '2026-03-02T09:00:00';
+
+const order = (route) => route.stops.map(entry => entry.package.id);
+
+describe('routeOptimizer', () => {
+  describe('optimizeRoute', () => {
+    it('visits the stops outwards from the start location', () => {
+      const packages = [stop('C', 3), stop('A', 1), stop('D', 4), stop('B', 2)];
+
+      const route = optimizeRoute(packages, { startLocation: START, startTime: START_TIME });
+
+      expect(order(route)).toEqual(['A', 'B', 'C', 'D']);
+      expect(route.stops.map(entry => entry.sequence)).toEqual([1, 2, 3, 4]);
+      expect(route.stops[3].cumulativeDistance).toBe(route.totalDistance);
+      expect(route.lateStops).toBe(0);
+    });
+
+    it('finds the same route whatever order the packages come in', () => {
+      const packages = [stop('A', 1), stop('D', 4), stop('B', 2), stop('C', 3)];
+
+      const route = optimizeRoute(packages, { startLocation: START, startTime: START_TIME });
+
+      const straight = optimizeRoute([stop('A', 1), stop('B', 2), stop('C', 3), stop('D', 4)], {
+        startLocation: START,
+        startTime: START_TIME
+      });
+      expect(route.totalDistance).toBe(straight.totalDistance);
+    });
+
+    it('visits URGENT stops first when respectPriority is set', () => {
+      const packages = [stop('A', 1), stop('B', 2), stop('FAR', 5, { priority: 'URGENT' })];
+
+      expect(order(optimizeRoute(packages, { startLocation: START, startTime: START_TIME })))
+        .toEqual(['FAR', 'B', 'A']);
+      expect(order(optimizeRoute(packages, { startLocation: START, startTime: START_TIME, respectPriority: false })))
+        .toEqual(['A', 'B', 'FAR']);
+    });
+
+    it('moves a stop later to meet its delivery window and reports waiting time', () => {
+      const packages = [stop('A', 1, { deliveryWindow: '11:00-12:00' }), stop('B', 2)];
+
+      const route = optimizeRoute(packages, { startLocation: START, startTime: START_TIME });
+
+      expect(order(route)).toEqual(['B', 'A']);
+      expect(route.stops[1].waitMinutes).toBeGreaterThan(0);
+      expect(new Date(route.stops[1].eta).getHours()).toBe(11);
+      expect(route.lateStops).toBe(0);
+    });
+
+    it('flags stops that cannot make their window', () => {
+      const route = optimizeRoute([stop('A', 10, { deliveryWindow: '09:00-09:01' })], {
+        startLocation: START,
+        startTime: START_TIME
+      });
+
+      expect(route.stops[0].late).toBe(true);
+      expect(route.lateStops).toBe(1);
+    });
+
+    it('skips closed packages, packages out of attempts and packages without coordinates', () => {
+      const route = optimizeRoute([
+        stop('OPEN', 1),
+        stop('DONE', 2, { status: 'DELIVERED' }),
+        stop('TRIED', 3, { attempts: 3, maxAttempts: 3 }),
+        { id: 'NOWHERE', status: 'PENDING' }
+      ], { startLocation: START, startTime: START_TIME });
+
+      expect(order(route)).toEqual(['OPEN']);
+      expect(route.skipped.map(entry => [entry.package.id, entry.reason])).toEqual([
+        ['DONE', 'CLOSED'],
+        ['TRIED', 'MAX_ATTEMPTS'],
+        ['NOWHERE', 'NO_COORDINATES']
+      ]);
+    });
+
+    it('uses road distances from the matrix instead of straight lines', () => {
+      const ids = [ROUTE_START_ID, 'A', 'B'];
+      // Straight-line A is closer, but by road B comes first
+      const distances = [
+        [0, 9000, 3000],
+        [9000, 0, 2000],
+        [3000, 2000, 0]
+      ];
+      const durations = distances.map(row => row.map(meters => meters / 10));
+
+      const route = optimizeRoute([stop('A', 1), stop('B', 2)], {
+        startLocation: START,
+        startTime: START_TIME,
+        matrix: { ids, distances, durations }
+      });
+
+      expect(order(route)).toEqual(['B', 'A']);
+      expect(route.totalDistance).toBe(5000);
+    });
+
+    it('returns an empty route when nothing can be routed', () => {
+      expect(optimizeRoute([])).toEqual({ stops: [], skipped: [], totalDistance: 0, totalDuration: 0, lateStops: 0 });
+    });
+  });
+
+  describe('parseDeliveryWindow', () => {
+    const day = new Date('2026-03-02T00:00:00');
+
+    it('reads HH:MM-HH:MM on the route day and ISO ranges', () => {
+      const window = parseDeliveryWindow('09:30-11:00', day);
+      expect(new Date(window.start).getHours()).toBe(9);
+      expect(new Date(window.end).getMinutes()).toBe(0);
+
+      const iso = parseDeliveryWindow({ start: '2026-03-02T10:00:00Z', end: '2026-03-02T12:00:00Z' }, day);
+      expect(iso.end - iso.start).toBe(2 * 60 * 60 * 1000);
+    });
+
+    it('returns null for missing or inverted windows', () => {
+      expect(parseDeliveryWindow(null, day)).toBeNull();
+      expect(parseDeliveryWindow('12:00-09:00', day)).toBeNull();
+      expect(parseDeliveryWindow('whenever', day)).toBeNull();
+    });
+  });
+
+  it('getUnroutableReason accepts an open package with coordinates', () => {
+    expect(getUnroutableReason(stop('A', 1))).toBeNull();
+  });
+});
@@ -0,0 +1,77 @@
+import { applySyncDelta, readSyncPage, getSyncPackageId } from '../syncDelta';
+
+const pkg = (id, status = 'PENDING') => ({ id, status });
+
+describe('syncDelta', () => {
+  describe('applySyncDelta', () => {
+    it('adds new packages at the end and replaces changed ones in place', () => {
+      const current = [pkg('1'), pkg('2'), pkg('3')];
+
+      const delta = applySyncDelta(current, { packages: [pkg('4'), pkg('2', 'IN_TRANSIT')] });
+
+      expect(delta.packages).toEqual([pkg('1'), pkg('2', 'IN_TRANSIT'), pkg('3'), pkg('4')]);
+      expect(delta.added).toEqual([pkg('4')]);
+      expect(delta.changed).toEqual([pkg('2', 'IN_TRANSIT')]);
+      expect(delta.removedIds).toEqual([]);
+    });
+
+    it('removes the packages listed in removedIds', () => {
+      const delta = applySyncDelta([pkg('1'), pkg('2')], { removedIds: ['1', 'unknown'] });
+
+      expect(delta.packages).toEqual([pkg('2')]);
+      expect(delta.removedIds).toEqual(['1', 'unknown']);
+    });
+
+    it('keeps a package that is both changed and removed in the same delta', () => {
+      const delta = applySyncDelta([pkg('1')], { packages: [pkg('1', 'ASSIGNED')], removedIds: ['1'] });
+
+      expect(delta.packages).toEqual([pkg('1', 'ASSIGNED')]);
+      expect(delta.removedIds).toEqual([]);
+    });
+
+    it('keeps the last copy of a package listed on several pages', () => {
+      const delta = applySyncDelta([], { packages: [pkg('1'), pkg('1', 'IN_TRANSIT')] });
+
+      expect(delta.packages).toEqual([pkg('1', 'IN_TRANSIT')]);
+      expect(delta.added).toHaveLength(1);
+    });
+
+    it('replaces everything on a full sync', () => {
+      const delta = applySyncDelta([pkg('1'), pkg('2')], { packages: [pkg('2'), pkg('3')], isFullSync: true });
+
+      expect(delta.packages).toEqual([pkg('2'), pkg('3')]);
+      expect(delta.removedIds).toEqual(['1']);
+    });
+
+    it('matches numeric and string ids and skips packages without one', () => {
+      const delta = applySyncDelta([{ id: 7, status: 'PENDING' }], {
+        packages: [{ id: '7', status: 'DELIVERED' }, { status: 'PENDING' }]
+      });
+
+      expect(delta.packages).toEqual([{ id: '7', status: 'DELIVERED' }]);
+      expect(delta.added).toEqual([]);
+    });
+  });
+
+  describe('readSyncPage', () => {
+    it('reads tokens, cursors and removed ids, with their aliases', () => {
+      expect(readSyncPage({ packages: [pkg('1')], removed: [3], next_cursor: 'c2', has_more: true })).toEqual({
+        packages: [pkg('1')],
+        removedIds: ['3'],
+        nextPageToken: null,
+        hasMore: true,
+        cursor: 'c2',
+        isFullSync: false
+      });
+    });
+
+    it('returns an empty page for a response without data', () => {
+      expect(readSyncPage()).toMatchObject({ packages: [], removedIds: [], hasMore: false, cursor: null });
+    });
+  });
+
+  it('getSyncPackageId stringifies ids and returns null without one', () => {
+    expect(getSyncPackageId({ id: 0 })).toBe('0');
+    expect(getSyncPackageId({})).toBeNull();
+  });
+});
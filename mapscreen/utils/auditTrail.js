@@ -0,0 +1,93 @@
+// ============================================================================
+// FILE: mapscreen/utils/auditTrail.js
+// PURPOSE: Package audit trail: who changed a package's status, on which
+//          device and where, and the timeline shown in the package details
+// ============================================================================
+
+import { normalizeLocation } from './proofOfDelivery';
+import { FAILURE_REASONS } from './failedDelivery';
+import { getStatusDefinition } from './packageStatus';
+
+/**
+ * Audit context, passed with every status change and kept on its
+ * pkg.statusHistory entry next to {from, to, at}:
+ *
+ *   actor     - Driver / user ID that made the change, or null
+ *   deviceId  - Device the change was made on, or null
+ *   location  - {latitude, longitude, accuracy, timestamp}, or null
+ */
+
+/**
+ * Build an audit context from what the caller knows
+ * @param {Object} input - {actor, deviceId, location}
+ * @returns {Object} {actor, deviceId, location}
+ */
+export const createAuditContext = (input = {}) => ({
+  actor: input.actor ? String(input.actor) : null,
+  deviceId: input.deviceId ? String(input.deviceId) : null,
+  location: normalizeLocation(input.location)
+});
+
+/**
+ * Short text for an audit location
+ * @param {Object} location - {latitude, longitude, accuracy}
+ * @returns {string|null} "20.67360, -103.36670 (±10 m)"
+ */
+export const formatAuditLocation = (location) => {
+  if (!location) return null;
+
+  const coordinates = `${location.latitude.toFixed(5)}, ${location.longitude.toFixed(5)}`;
+  return location.accuracy ? `${coordinates} (±${Math.round(location.accuracy)} m)` : coordinates;
+};
+
+/**
+ * Timeline of a package, newest first: its creation and every status change
+ * with the audit data recorded for it
+ * @param {Object} pkg - Canonical package
+ * @returns {Array} [{key, at, label, icon, color, detail, actor, deviceId, location}]
+ */
+export const getPackageTimeline = (pkg) => {
+  if (!pkg) return [];
+
+  const entries = (pkg.statusHistory || []).map((change, index) => {
+    const status = getStatusDefinition(change.to);
+    const reason = change.reason ? FAILURE_REASONS[change.reason] : null;
+
+    let detail = reason ? `${reason.icon} ${reason.label}` : change.reason || null;
+    if (change.to === 'DELIVERED' && pkg.proofOfDelivery?.recipientName) {
+      detail = `Recibió ${pkg.proofOfDelivery.recipientName}`;
+    }
+
+    return {
+      key: `${index}-${change.at}`,
+      at: change.at,
+      label: status.label,
+      icon: status.icon,
+      color: status.color,
+      detail,
+      actor: change.actor || null,
+      deviceId: change.deviceId || null,
+      location: change.location || null
+    };
+  });
+
+  if (pkg.createdAt) {
+    entries.unshift({
+      key: 'created',
+      at: pkg.createdAt,
+      label: 'Creado',
+      icon: '🆕',
+      color: null,
+      detail: null,
+      actor: null,
+      deviceId: null,
+      location: null
+    });
+  }
+
+  // Stable for equal timestamps: later entries in the history stay on top
+  return entries
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) => (new Date(b.entry.at) - new Date(a.entry.at)) || (b.index - a.index))
+    .map(({ entry }) => entry);
+};
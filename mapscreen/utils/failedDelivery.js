@@ -0,0 +1,168 @@
+// ============================================================================
+// FILE: mapscreen/utils/failedDelivery.js
+// PURPOSE: Failed delivery attempts: reason codes, attempt counting,
+//          rescheduling into the next delivery window and return to sender
+// ============================================================================
+
+import { parseDeliveryWindow } from './routeOptimizer';
+import { normalizeLocation, normalizePhoto } from './proofOfDelivery';
+import { DEFAULT_MAX_ATTEMPTS } from './packageModel';
+import { canTransition, applyStatusChange } from './packageStatus';
+
+/**
+ * Delivery attempt, as kept in pkg.attemptHistory:
+ *
+ *   attemptNumber  - 1-based, counted against pkg.maxAttempts
+ *   reason         - FAILURE_REASONS code
+ *   notes          - Free text from the driver
+ *   photos         - [{uri, width, height, mimeType, data}] (data: base64, for upload)
+ *   location       - {latitude, longitude, accuracy, timestamp}, or null
+ *   attemptedAt    - ISO timestamp
+ */
+
+export const FAILURE_REASONS = {
+  NOBODY_HOME: { code: 'NOBODY_HOME', label: 'Nadie en casa', icon: '🏠' },
+  WRONG_ADDRESS: { code: 'WRONG_ADDRESS', label: 'Dirección incorrecta', icon: '📍' },
+  REFUSED: { code: 'REFUSED', label: 'Rechazado', icon: '🙅' },
+  ACCESS_DENIED: { code: 'ACCESS_DENIED', label: 'Sin acceso', icon: '🚧' }
+};
+
+export const ATTEMPT_LIMITS = {
+  maxPhotos: 1,
+  maxNotesLength: 500
+};
+
+export const ATTEMPT_ERRORS = {
+  REASON_REQUIRED: 'REASON_REQUIRED',
+  NOTES_TOO_LONG: 'NOTES_TOO_LONG',
+  TOO_MANY_PHOTOS: 'TOO_MANY_PHOTOS',
+  PACKAGE_CLOSED: 'PACKAGE_CLOSED'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a delivery attempt from what the form captured
+ * @param {Object} input - {reason, notes, photos, location}
+ * @returns {Object} Delivery attempt (attemptNumber is set when it's applied)
+ */
+export const createDeliveryAttempt = (input = {}) => ({
+  reason: typeof input.reason === 'string' ? input.reason.toUpperCase() : null,
+  notes: typeof input.notes === 'string' ? input.notes.trim() : '',
+  photos: Array.isArray(input.photos) ? input.photos.filter(photo => photo && photo.uri).map(normalizePhoto) : [],
+  location: normalizeLocation(input.location),
+  attemptedAt: new Date().toISOString()
+});
+
+/**
+ * Check a delivery attempt against the package
+ * @param {Object} pkg - Canonical package
+ * @param {Object} attempt - Delivery attempt (see createDeliveryAttempt)
+ * @returns {Object} {isValid, errors: [{code, message}]}
+ */
+export const validateDeliveryAttempt = (pkg, attempt) => {
+  const errors = [];
+
+  if (pkg && !canTransition(pkg.status, 'ATTEMPTED')) {
+    errors.push({ code: ATTEMPT_ERRORS.PACKAGE_CLOSED, message: `No se puede registrar un intento en ${pkg.status}` });
+  }
+
+  if (!attempt?.reason || !FAILURE_REASONS[attempt.reason]) {
+    errors.push({ code: ATTEMPT_ERRORS.REASON_REQUIRED, message: 'Elige el motivo del intento fallido' });
+  }
+
+  if ((attempt?.notes || '').length > ATTEMPT_LIMITS.maxNotesLength) {
+    errors.push({ code: ATTEMPT_ERRORS.NOTES_TOO_LONG, message: `Notas de máximo ${ATTEMPT_LIMITS.maxNotesLength} caracteres` });
+  }
+
+  if ((attempt?.photos || []).length > ATTEMPT_LIMITS.maxPhotos) {
+    errors.push({ code: ATTEMPT_ERRORS.TOO_MANY_PHOTOS, message: `Máximo ${ATTEMPT_LIMITS.maxPhotos} foto` });
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Throw unless the attempt can be recorded for the package
+ * @param {Object} pkg - Canonical package
+ * @param {Object} attempt - Delivery attempt
+ */
+export const assertCanRecordAttempt = (pkg, attempt) => {
+  const { isValid, errors } = validateDeliveryAttempt(pkg, attempt);
+
+  if (!isValid) {
+    const error = new Error(`DELIVERY_ATTEMPT_INVALID: ${errors.map(e => e.message).join('; ')}`);
+    error.code = errors[0].code;
+    error.errors = errors;
+    throw error;
+  }
+};
+
+/**
+ * Next occurrence of a delivery window that starts after `after`: daily
+ * windows ("09:00-18:00") and dated ones ({start, end}) both repeat every day
+ * @param {string|Object} deliveryWindow - Package delivery window
+ * @param {Date} after - Usually the time of the failed attempt
+ * @returns {Object|null} {start, end} as ISO strings, or null without a valid window
+ */
+export const getNextDeliveryWindow = (deliveryWindow, after = new Date()) => {
+  const window = parseDeliveryWindow(deliveryWindow, after);
+  if (!window) return null;
+
+  const from = after.getTime();
+  const days = window.start > from ? 0 : Math.floor((from - window.start) / DAY_MS) + 1;
+
+  return {
+    start: new Date(window.start + days * DAY_MS).toISOString(),
+    end: new Date(window.end + days * DAY_MS).toISOString()
+  };
+};
+
+/**
+ * Attempt as kept on the device: photo data stays out of local storage
+ * @param {Object} attempt - Delivery attempt
+ * @returns {Object} Attempt without photo data
+ */
+export const toStoredDeliveryAttempt = (attempt) => ({
+  ...attempt,
+  photos: (attempt.photos || []).map(({ data, ...photo }) => photo)
+});
+
+/**
+ * Package after a failed attempt: counts it, reschedules into the next
+ * delivery window or, with no attempts left, sends it back to the sender
+ * @param {Object} pkg - Canonical package
+ * @param {Object} attempt - Delivery attempt
+ * @param {Object} audit - Audit context for the status change (see auditTrail.js)
+ * @returns {Object} Updated package
+ */
+export const applyFailedAttempt = (pkg, attempt, audit = {}) => {
+  const attemptedAt = new Date(attempt.attemptedAt || Date.now());
+  const attempts = (pkg.attempts || 0) + 1;
+  const recorded = { ...toStoredDeliveryAttempt(attempt), attemptNumber: attempts };
+  const exhausted = attempts >= (pkg.maxAttempts || DEFAULT_MAX_ATTEMPTS);
+
+  const updated = applyStatusChange({
+    ...pkg,
+    attempts,
+    attemptHistory: [...(pkg.attemptHistory || []), recorded],
+    lastAttempt: recorded
+  }, exhausted ? 'RETURN_TO_SENDER' : 'ATTEMPTED', { ...audit, at: attemptedAt.toISOString(), reason: recorded.reason });
+
+  if (exhausted) {
+    return {
+      ...updated,
+      nextAttemptWindow: null,
+      returnedAt: attemptedAt.toISOString()
+    };
+  }
+
+  const nextWindow = getNextDeliveryWindow(pkg.deliveryWindow, attemptedAt);
+
+  return {
+    ...updated,
+    nextAttemptWindow: nextWindow,
+    // Daily windows repeat by themselves; dated ones move to the new day
+    deliveryWindow: nextWindow && typeof pkg.deliveryWindow !== 'string' ? nextWindow : pkg.deliveryWindow
+  };
+};
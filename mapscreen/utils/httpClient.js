@@ -0,0 +1,207 @@
+// ============================================================================
+// FILE: mapscreen/utils/httpClient.js
+// PURPOSE: JSON over HTTP with real timeouts (AbortController) and retries
+// ============================================================================
+
+/**
+ * Default request options
+ */
+export const HTTP_DEFAULTS = {
+  timeout: 15000,
+  retries: 2,
+  retryDelay: 1000,
+  maxRetryDelay: 10000,
+  // Fraction of each retry delay that is randomized (0 = fixed delays)
+  jitter: 0,
+  retryOnStatus: [408, 429, 500, 502, 503, 504]
+};
+
+/**
+ * Wait for the given amount of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+export const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Exponential backoff delay for a retry attempt. With jitter, up to that
+ * fraction of the delay is taken off at random so that many devices coming
+ * back online at once don't retry in lockstep.
+ * @param {number} attempt - Retry attempt number (1-based)
+ * @param {Object} options - {retryDelay, maxRetryDelay, jitter}
+ * @returns {number} Delay in milliseconds
+ */
+export const computeBackoffDelay = (attempt, options = {}) => {
+  const {
+    retryDelay = HTTP_DEFAULTS.retryDelay,
+    maxRetryDelay = HTTP_DEFAULTS.maxRetryDelay,
+    jitter = HTTP_DEFAULTS.jitter
+  } = options;
+
+  const delay = Math.min(retryDelay * Math.pow(2, attempt - 1), maxRetryDelay);
+  const spread = Math.min(Math.max(jitter, 0), 1);
+
+  return Math.round(delay - Math.random() * delay * spread);
+};
+
+/**
+ * Build a URL with query parameters, skipping empty values
+ * @param {string} baseURL - Base URL (with or without trailing slash)
+ * @param {string} path - Path relative to baseURL
+ * @param {Object} query - Query parameters
+ * @returns {string} Full URL
+ */
+export const buildURL = (baseURL, path = '', query = {}) => {
+  const base = baseURL.replace(/\/+$/, '');
+  const cleanPath = path ? `/${path.replace(/^\/+/, '')}` : '';
+
+  const params = Object.entries(query)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  return params ? `${base}${cleanPath}?${params}` : `${base}${cleanPath}`;
+};
+
+/**
+ * Create an error for a non-2xx response, using the same message
+ * format as SyncService (HTTP_ERROR_<status>)
+ */
+const createHttpError = (response, body) => {
+  const error = new Error(`HTTP_ERROR_${response.status}: ${response.statusText || ''}`.trim());
+  error.status = response.status;
+  error.body = body;
+  return error;
+};
+
+const parseBody = async (response) => {
+  if (response.status === 204) return null;
+
+  const text = await response.text();
+  if (!text) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+/**
+ * Whether a failed request is worth repeating later: timeouts, network
+ * failures (NETWORK_ERROR, see fetchWithTimeout) and the retryable statuses.
+ * Anything else, programming errors included, will fail the same way.
+ * @param {Error} error - Error thrown by requestJSON / fetchWithTimeout
+ * @param {Array<number>} retryOnStatus - Retryable HTTP statuses
+ * @returns {boolean}
+ */
+export const isRetryableError = (error, retryOnStatus = HTTP_DEFAULTS.retryOnStatus) => {
+  if (!error) return false;
+  if (error.message === 'REQUEST_TIMEOUT') return true;
+  if (error.code === 'NETWORK_ERROR') return true;
+  if (error.status) return retryOnStatus.includes(error.status);
+  return false;
+};
+
+/**
+ * Whether a request failed for lack of a valid session: 401 / 403, or
+ * SESSION_EXPIRED from the token provider (SessionService). It will go
+ * through once the driver logs in again, so it is neither retried right
+ * away nor a rejection of the request itself.
+ * @param {Error} error - Error thrown by requestJSON or a token provider
+ * @returns {boolean}
+ */
+export const isAuthError = (error) =>
+  !!error && (error.code === 'SESSION_EXPIRED' || error.status === 401 || error.status === 403);
+
+/**
+ * Perform a single fetch that is aborted after `timeout` milliseconds.
+ * Rejects with REQUEST_TIMEOUT, or NETWORK_ERROR (`.code`, original error
+ * in `.cause`) when fetch itself fails: offline, DNS, connection refused.
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch init options
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Response>}
+ */
+export const fetchWithTimeout = async (url, init = {}, timeout = HTTP_DEFAULTS.timeout) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('REQUEST_TIMEOUT');
+    }
+
+    const networkError = new Error(`NETWORK_ERROR: ${error.message}`);
+    networkError.code = 'NETWORK_ERROR';
+    networkError.cause = error;
+    throw networkError;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * Send a JSON request with timeout and retries
+ * @param {string} url - Request URL
+ * @param {Object} options - {method, headers, body, timeout, retries, retryDelay, maxRetryDelay, jitter, retryOnStatus}
+ * @returns {Promise<{data: any, status: number, headers: Object}>} Parsed response
+ */
+export const requestJSON = async (url, options = {}) => {
+  const {
+    method = 'GET',
+    headers = {},
+    body,
+    timeout = HTTP_DEFAULTS.timeout,
+    retries = HTTP_DEFAULTS.retries,
+    retryDelay = HTTP_DEFAULTS.retryDelay,
+    maxRetryDelay = HTTP_DEFAULTS.maxRetryDelay,
+    jitter = HTTP_DEFAULTS.jitter,
+    retryOnStatus = HTTP_DEFAULTS.retryOnStatus
+  } = options;
+
+  const init = {
+    method,
+    headers: {
+      'Accept': 'application/json',
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...headers
+    },
+    ...(body !== undefined ? { body: JSON.stringify(body) } : {})
+  };
+
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      const delay = computeBackoffDelay(attempt, { retryDelay, maxRetryDelay, jitter });
+      console.log(`httpClient: Retry ${attempt}/${retries} for ${method} ${url} in ${delay}ms`);
+      await wait(delay);
+    }
+
+    try {
+      const response = await fetchWithTimeout(url, init, timeout);
+      const data = await parseBody(response);
+
+      if (!response.ok) {
+        throw createHttpError(response, data);
+      }
+
+      return {
+        data,
+        status: response.status,
+        headers: response.headers
+      };
+    } catch (error) {
+      lastError = error;
+
+      if (!isRetryableError(error, retryOnStatus) || attempt === retries) {
+        throw error;
+      }
+    }
+  }
+
+  throw lastError;
+};
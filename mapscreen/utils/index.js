@@ -16,10 +16,115 @@ export {
   createUserLocationMarker,
   createDestinationMarker,
   createPackageMarker,
+  createPackageFeature,
+  createPackageFeatureCollection,
+  PACKAGE_STATUS_ICONS,
+  PACKAGE_STATUS_COLORS,
+  DEFAULT_MAX_VISIBLE_PACKAGES,
+  COMPLETED_STOP_STATUSES,
+  createRouteStops,
   sendMarkerToMap,
   addDestinationMarkerToMap
 } from './markerHelpers';
 
+export {
+  PACKAGE_STATUSES,
+  STATUS_DEFINITIONS,
+  STATUS_ALIASES,
+  normalizeStatus,
+  isKnownStatus,
+  getStatusDefinition,
+  isFinalStatus,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition,
+  applyStatusChange,
+  countByStatusGroup
+} from './packageStatus';
+
+export {
+  PACKAGE_SOURCES,
+  isSyncPackage,
+  normalizeLocalPackage,
+  normalizeSyncPackage,
+  normalizePackage,
+  normalizePackages,
+  hasCoordinates,
+  formatDeliveryWindow,
+  getPackageDeliveryDetails,
+  mergePackageLists
+} from './packageModel';
+
+export {
+  POD_LIMITS,
+  POD_ERRORS,
+  createProofOfDelivery,
+  validateProofOfDelivery,
+  assertCanMarkDelivered,
+  toStoredProofOfDelivery
+} from './proofOfDelivery';
+
+export {
+  FAILURE_REASONS,
+  ATTEMPT_LIMITS,
+  ATTEMPT_ERRORS,
+  createDeliveryAttempt,
+  validateDeliveryAttempt,
+  assertCanRecordAttempt,
+  getNextDeliveryWindow,
+  applyFailedAttempt
+} from './failedDelivery';
+
+export {
+  createAuditContext,
+  formatAuditLocation,
+  getPackageTimeline
+} from './auditTrail';
+
+export {
+  CONFLICT_POLICIES,
+  CONFLICT_RESOLUTIONS,
+  DEFAULT_CONFLICT_POLICY,
+  getPackageVersion,
+  isVersionConflict,
+  mergePackageChanges,
+  chooseConflictResolution,
+  formatConflictValue
+} from './packageConflicts';
+
+export {
+  SYNC_DELTA_DEFAULTS,
+  getSyncPackageId,
+  readSyncPage,
+  applySyncDelta
+} from './syncDelta';
+
+export {
+  ROUTE_DEFAULTS,
+  parseDeliveryWindow,
+  getUnroutableReason,
+  optimizeRoute
+} from './routeOptimizer';
+
+export {
+  TILE_CACHE_DEFAULTS,
+  lngLatToTile,
+  padBounds,
+  countTilesForBounds,
+  getTilesForBounds,
+  planTilePrefetch
+} from './tileMath';
+
+export {
+  BRIDGE_PROTOCOL_VERSION,
+  MAP_COMMANDS,
+  MAP_EVENTS,
+  validateMessage,
+  validateCommand,
+  validateEvent,
+  isProtocolCompatible
+} from './mapBridgeProtocol';
+
 export {
   generateMapHTML
 } from './mapHTMLGenerator';
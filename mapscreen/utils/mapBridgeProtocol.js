@@ -0,0 +1,268 @@
+// ============================================================================
+// FILE: mapscreen/utils/mapBridgeProtocol.js
+// PURPOSE: Message protocol between React Native and the WebView map page
+// ============================================================================
+//
+// Every message is JSON with a `type`. Field specs are 'string', 'number',
+// 'boolean', 'object', 'array', 'null' or 'any', joined with '|' for unions
+// and ending in '?' when the field is optional. Extra fields are allowed so
+// a newer minor version can add fields without breaking an older peer.
+//
+// Requests carry a `requestId`; the page answers with a `response` message
+// { requestId, ok, result | error }. Any command can be sent as a request
+// (the response is then an acknowledgement); types marked `request: true`
+// only make sense as requests because their answer is the result.
+
+/**
+ * Protocol version, 'MAJOR.MINOR'. Peers are compatible when MAJOR matches.
+ */
+export const BRIDGE_PROTOCOL_VERSION = '1.2';
+
+/**
+ * Default time to wait for a response
+ */
+export const BRIDGE_REQUEST_TIMEOUT = 10000;
+
+// Envelope fields added by the senders; allowed on every message
+const ENVELOPE_FIELDS = {
+  timestamp: 'string|number?',
+  source: 'string?',
+  messageId: 'string?',
+  requestId: 'string?'
+};
+
+/**
+ * Commands: React Native -> map page
+ */
+export const MAP_COMMANDS = {
+  handshake: { request: true, fields: { protocolVersion: 'string' } },
+  testConnection: { fields: {} },
+
+  addUserLocationMarker: { fields: { marker: 'object' } },
+  updateUserLocation: { fields: { marker: 'object' } },
+  clearUserMarkers: { fields: {} },
+  centerOnLocation: {
+    fields: {
+      latitude: 'number',
+      longitude: 'number',
+      zoom: 'number?',
+      animate: 'boolean?',
+      duration: 'number?',
+      easing: 'string?'
+    }
+  },
+  updateDriverLocation: {
+    fields: {
+      latitude: 'number',
+      longitude: 'number',
+      accuracy: 'number|null?',
+      heading: 'number|null?',
+      speed: 'number|null?'
+    }
+  },
+
+  loadPackages: {
+    fields: {
+      geojson: 'object',
+      total: 'number?',
+      hidden: 'number?',
+      driverLocation: 'object|null?'
+    }
+  },
+  fitToPackages: { fields: { packages: 'array|null?', padding: 'number?', includeDriver: 'boolean?' } },
+  selectPackage: {
+    fields: { packageId: 'string|number', showPopup: 'boolean?', center: 'boolean?' }
+  },
+  clearPackageSelection: { fields: {} },
+  setClustering: {
+    fields: { enabled: 'boolean?', radius: 'number|null?', maxZoom: 'number?' }
+  },
+
+  showRoute: { fields: { stops: 'array', fit: 'boolean?', padding: 'number?' } },
+  clearRoute: { fields: {} },
+
+  prefetchTiles: {
+    fields: { tiles: 'array', minZoom: 'number?', maxZoom: 'number?', urlTemplate: 'string?' }
+  },
+  configureTileCache: {
+    fields: {
+      enabled: 'boolean?',
+      maxTiles: 'number?',
+      maxBytes: 'number?',
+      maxAgeDays: 'number?'
+    }
+  },
+  clearTileCache: { fields: {} },
+  getTileCacheStats: { fields: {} },
+
+  setMapStyle: { fields: { style: 'object' } },
+
+  flyTo: {
+    fields: {
+      latitude: 'number',
+      longitude: 'number',
+      zoom: 'number?',
+      bearing: 'number?',
+      pitch: 'number?',
+      duration: 'number?'
+    }
+  },
+  fitBounds: {
+    fields: { bounds: 'object', padding: 'number?', maxZoom: 'number?', duration: 'number?' }
+  },
+
+  // Queries; the result comes back in the response
+  getBounds: { request: true, fields: {} },
+  getViewState: { request: true, fields: {} },
+  takeSnapshot: { request: true, fields: { format: 'string?', quality: 'number?' } }
+};
+
+/**
+ * Events: map page -> React Native
+ */
+export const MAP_EVENTS = {
+  mapReady: {
+    fields: { protocolVersion: 'string', capabilities: 'object', basemap: 'object|null?' }
+  },
+  response: {
+    fields: { requestId: 'string', ok: 'boolean', result: 'any?', error: 'string?', code: 'string?' }
+  },
+  error: { fields: { error: 'string', code: 'string?' } },
+  messageProcessingError: { fields: { error: 'string', originalMessage: 'string?' } },
+  connectionTestResponse: { fields: { message: 'string?' } },
+  webviewAutoTest: { fields: { mapReady: 'boolean?' } },
+
+  userLocationMarkerAdded: { fields: { markerId: 'string', coordinates: 'object' } },
+  userLocationMarkerUpdated: { fields: { markerId: 'string', coordinates: 'object' } },
+  userLocationMarkerError: { fields: { error: 'string', markerId: 'string?' } },
+  userMarkersCleared: { fields: {} },
+  mapCentered: { fields: { coordinates: 'object', zoom: 'number?' } },
+  centeringError: { fields: { error: 'string' } },
+
+  packagesLoaded: { fields: { count: 'number', total: 'number', hidden: 'number' } },
+  packagesFitted: { fields: { count: 'number' } },
+  packageSelected: {
+    fields: { packageId: 'string|number', trackingNumber: 'string?', userInitiated: 'boolean' }
+  },
+  packageSelectionCleared: { fields: { reason: 'string' } },
+  clusterExpanded: { fields: { count: 'number', zoom: 'number' } },
+  clusteringChanged: { fields: { enabled: 'boolean', radius: 'number' } },
+
+  routeShown: {
+    fields: { stops: 'number', completed: 'number', nextPackageId: 'string|number|null' }
+  },
+  routeCleared: { fields: {} },
+
+  tilePrefetchProgress: { fields: { done: 'number', total: 'number' } },
+  tilePrefetchComplete: {
+    fields: { total: 'number', downloaded: 'number', cached: 'number', failed: 'number', skipped: 'boolean?' }
+  },
+  tileCacheStats: { fields: { stats: 'object|null', config: 'object?' } },
+
+  mapStyleChanged: { fields: { basemap: 'object' } }
+};
+
+/**
+ * Validate a message against a schema table (MAP_COMMANDS or MAP_EVENTS)
+ *
+ * Self-contained: the map page gets a copy through toString(), so it must
+ * not reference anything outside its own body. The 'show source' directive
+ * keeps the source available to toString() under Hermes.
+ *
+ * @param {Object} message - Parsed message
+ * @param {Object} schemas - Schema table keyed by type
+ * @param {Object} envelope - Field specs allowed on every message
+ * @returns {Object} {valid, errors, unknownType}
+ */
+export function validateMessage(message, schemas, envelope) {
+  'show source';
+
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return { valid: false, errors: ['message must be an object'], unknownType: false };
+  }
+
+  if (typeof message.type !== 'string' || !message.type) {
+    return { valid: false, errors: ['type must be a non-empty string'], unknownType: false };
+  }
+
+  const schema = schemas[message.type];
+  if (!schema) {
+    return { valid: false, errors: ['unknown message type: ' + message.type], unknownType: true };
+  }
+
+  const errors = [];
+  const fields = Object.assign({}, envelope || {}, schema.fields || {});
+
+  Object.keys(fields).forEach(function(name) {
+    const spec = fields[name];
+    const optional = spec.charAt(spec.length - 1) === '?';
+    const types = (optional ? spec.slice(0, -1) : spec).split('|');
+    const value = message[name];
+
+    if (value === undefined) {
+      if (!optional) {
+        errors.push(name + ' is required');
+      }
+      return;
+    }
+
+    const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    if (types.indexOf('any') === -1 && types.indexOf(actual) === -1) {
+      errors.push(name + ' must be ' + types.join(' or ') + ', got ' + actual);
+    }
+  });
+
+  return { valid: errors.length === 0, errors: errors, unknownType: false };
+}
+
+/**
+ * Check whether two protocol versions can talk to each other (same MAJOR)
+ * Self-contained for the same reason as validateMessage.
+ * @param {string} a - Version 'MAJOR.MINOR'
+ * @param {string} b - Version 'MAJOR.MINOR'
+ * @returns {boolean} Compatible
+ */
+export function isProtocolCompatible(a, b) {
+  'show source';
+
+  if (typeof a !== 'string' || typeof b !== 'string') {
+    return false;
+  }
+  return a.split('.')[0] === b.split('.')[0];
+}
+
+/**
+ * Validate an outgoing command
+ * @param {Object} message - Command message
+ * @returns {Object} {valid, errors, unknownType}
+ */
+export const validateCommand = (message) => validateMessage(message, MAP_COMMANDS, ENVELOPE_FIELDS);
+
+/**
+ * Validate an incoming event
+ * @param {Object} message - Event message
+ * @returns {Object} {valid, errors, unknownType}
+ */
+export const validateEvent = (message) => validateMessage(message, MAP_EVENTS, ENVELOPE_FIELDS);
+
+/**
+ * Source for the map page: protocol constants and the shared validators
+ * @returns {string} JavaScript declarations
+ */
+export const getBridgeProtocolPageSource = () => `
+        const BRIDGE_PROTOCOL_VERSION = ${JSON.stringify(BRIDGE_PROTOCOL_VERSION)};
+        const MAP_COMMANDS = ${JSON.stringify(MAP_COMMANDS)};
+        const BRIDGE_ENVELOPE_FIELDS = ${JSON.stringify(ENVELOPE_FIELDS)};
+        ${validateMessage.toString()}
+        ${isProtocolCompatible.toString()}
+`;
+
+export default {
+  version: BRIDGE_PROTOCOL_VERSION,
+  commands: MAP_COMMANDS,
+  events: MAP_EVENTS,
+  validateMessage,
+  validateCommand,
+  validateEvent,
+  isProtocolCompatible
+};
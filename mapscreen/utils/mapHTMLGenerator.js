@@ -4,19 +4,33 @@
 // REFACTORED: Enhanced marker feedback and centering confirmation
 // ============================================================================
 
+import { TILE_CACHE_DEFAULTS } from './tileMath';
+import { THEMES } from '../config/ui_config';
+import { resolveThemeMapStyle } from '../config/map_config';
+import { getBridgeProtocolPageSource } from './mapBridgeProtocol';
+import { MAPLIBRE_SCRIPT, MAPLIBRE_CSS, LABEL_GLYPHS } from '../assets/mapPageAssets';
+
 /**
  * Generate complete MapLibre GL HTML for WebView
  * @param {Object} currentLocation - Current location {latitude, longitude}
- * @param {string} theme - Theme name ('light' or 'dark')
+ * @param {string} theme - Theme name ('light' or 'dark'); picks THEMES[theme].basemap
+ * @param {Object} options - {mapStyle: preset name or style object (see config/map_config), apiKeys}
  * @returns {string} Complete HTML string
  */
-export const generateMapHTML = (currentLocation, theme = 'light') => {
+export const generateMapHTML = (currentLocation, theme = 'light', options = {}) => {
   const defaultLat = currentLocation?.latitude || 20.6597;
   const defaultLng = currentLocation?.longitude || -103.3496;
 
-  const themeStyles = theme === 'dark'
-    ? 'filter: brightness(0.8) contrast(1.2) hue-rotate(180deg) invert(1)'
-    : 'none';
+  const tileCacheConfig = JSON.stringify({
+    enabled: TILE_CACHE_DEFAULTS.enabled,
+    maxTiles: TILE_CACHE_DEFAULTS.maxTiles,
+    maxBytes: TILE_CACHE_DEFAULTS.maxBytes,
+    maxAgeDays: TILE_CACHE_DEFAULTS.maxAgeDays
+  });
+
+  const basemap = JSON.stringify(
+    resolveThemeMapStyle(THEMES, theme, options.mapStyle, options.apiKeys)
+  );
 
   return `
 <!DOCTYPE html>
@@ -26,9 +40,9 @@ export const generateMapHTML = (currentLocation, theme = 'light') => {
     <meta name="viewport" content="width=device-width, initial-scale=1.0, user-scalable=no, maximum-scale=1.0, minimum-scale=1.0">
     <title>Delivery Map - Enhanced Location Tracking</title>
     
-    <!-- MapLibre GL JS -->
-    <script src="https://unpkg.com/maplibre-gl@3.6.2/dist/maplibre-gl.js"></script>
-    <link href="https://unpkg.com/maplibre-gl@3.6.2/dist/maplibre-gl.css" rel="stylesheet" />
+    <!-- MapLibre GL JS, bundled (scripts/build-map-assets.js) so the page starts offline -->
+    <script>${MAPLIBRE_SCRIPT}</script>
+    <style>${MAPLIBRE_CSS}</style>
     
     <style>
         * { 
@@ -48,7 +62,6 @@ export const generateMapHTML = (currentLocation, theme = 'light') => {
         #map { 
             width: 100vw; 
             height: 100vh;
-            ${themeStyles}
         }
         
         .loading-screen {
@@ -239,6 +252,41 @@ export const generateMapHTML = (currentLocation, theme = 'light') => {
         .centering-indicator.active {
             display: block;
         }
+
+        /* Driver marker with heading arrow */
+        .driver-marker {
+            width: 44px;
+            height: 44px;
+            position: relative;
+        }
+        
+        .driver-marker .driver-dot {
+            position: absolute;
+            top: 10px;
+            left: 10px;
+            width: 24px;
+            height: 24px;
+            border-radius: 50%;
+            background: #2563eb;
+            border: 3px solid #ffffff;
+            box-shadow: 0 0 0 6px rgba(37, 99, 235, 0.25);
+        }
+        
+        .driver-marker .driver-heading {
+            position: absolute;
+            top: 0;
+            left: 15px;
+            width: 0;
+            height: 0;
+            border-left: 7px solid transparent;
+            border-right: 7px solid transparent;
+            border-bottom: 12px solid #2563eb;
+            display: none;
+        }
+        
+        .driver-marker.has-heading .driver-heading {
+            display: block;
+        }
     </style>
 </head>
 <body>
@@ -251,11 +299,42 @@ export const generateMapHTML = (currentLocation, theme = 'light') => {
     <div id="centering-indicator" class="centering-indicator"></div>
 
     <script>
+        // Bridge protocol shared with React Native (utils/mapBridgeProtocol.js)
+        ${getBridgeProtocolPageSource()}
+        let hostProtocolVersion = null;
+        
         let map;
         let userLocationMarkers = new Map();
         let messageCount = 0;
         let lastAddedMarkerId = null;
         let centeringInProgress = false;
+        let packageData = { type: 'FeatureCollection', features: [] };
+        let packageLayersReady = false;
+        let selectedPackageId = null;
+        let hoveredPackageId = null;
+        let packagePopup = null;
+        let clusterSettings = { enabled: true, radius: 50, maxZoom: 14 };
+        
+        const PACKAGE_LAYERS = ['packages-clusters', 'packages-cluster-count', 'packages-halo', 'packages-circle', 'packages-label'];
+        const UNCLUSTERED_FILTER = ['!', ['has', 'point_count']];
+        let driverMarker = null;
+        let lastDriverLocation = null;
+        let routeStops = [];
+        
+        // Basemap resolved from config/map_config.js
+        let currentBasemap = ${basemap};
+        let styleSwitchToken = 0;
+        
+        // Tile cache (IndexedDB), served to MapLibre through the cached:// protocol
+        const TILE_CACHE_PROTOCOL = 'cached';
+        let tileCacheConfig = ${tileCacheConfig};
+        let tileCacheDB = null;
+        let tileCacheStats = { count: 0, bytes: 0, hits: 0, misses: 0, offlineHits: 0, errors: 0 };
+        let tilePrefetchToken = 0;
+        
+        // Glyphs of our own labels, bundled and served through the glyphs:// protocol
+        const GLYPHS_PROTOCOL = 'glyphs';
+        const labelGlyphs = ${JSON.stringify(LABEL_GLYPHS)};
         
         // Accuracy configuration
         const ACCURACY_LEVELS = {
@@ -275,37 +354,124 @@ export const generateMapHTML = (currentLocation, theme = 'light') => {
             return 'poor';
         }
         
+        /**
+         * MapLibre style for a resolved basemap: raster tiles are wrapped in an
+         * inline style and served through the tile cache; vector basemaps are
+         * loaded from their style.json URL.
+         */
+        function buildMapStyle(basemap) {
+            if (basemap.type === 'vector') {
+                return basemap.url;
+            }
+            
+            return {
+                version: 8,
+                glyphs: GLYPHS_PROTOCOL + '://{fontstack}/{range}',
+                sources: {
+                    'basemap': {
+                        type: 'raster',
+                        tiles: basemap.tiles.map(url => TILE_CACHE_PROTOCOL + '://' + url),
+                        tileSize: basemap.tileSize,
+                        maxzoom: basemap.maxzoom,
+                        attribution: basemap.attribution
+                    }
+                },
+                layers: [{
+                    id: 'basemap-layer',
+                    type: 'raster',
+                    source: 'basemap',
+                    paint: basemap.paint || {}
+                }]
+            };
+        }
+        
+        /**
+         * Switch the basemap without reloading the page. setStyle drops every
+         * source and layer, so the package and route overlays are added back
+         * (with their data and selection) once the new style has loaded. DOM
+         * markers (user location, driver) and popups are not part of the style
+         * and stay in place.
+         *
+         * Resolves with the basemap once it is on screen; rejects when the
+         * style is invalid or another switch replaces it first.
+         */
+        function setMapStyle(data) {
+            try {
+                const basemap = data.style;
+                
+                if (!basemap || (basemap.type === 'vector' ? !basemap.url : !Array.isArray(basemap.tiles))) {
+                    throw new Error('Estilo de mapa inválido');
+                }
+                
+                const token = ++styleSwitchToken;
+                currentBasemap = basemap;
+                packageLayersReady = false;
+                hoveredPackageId = null;
+                
+                console.log('🎨 Cambiando mapa base:', basemap.id);
+                
+                const loaded = new Promise((resolve, reject) => {
+                    map.once('style.load', function() {
+                        if (token !== styleSwitchToken) {
+                            reject(new Error('Cambio de mapa base reemplazado por otro'));
+                            return;
+                        }
+                        
+                        setupRouteLayers();
+                        addPackageSourceAndLayers();
+                        packageLayersReady = true;
+                        setPackageState(selectedPackageId, { selected: true });
+                        renderRoute();
+                        
+                        const info = { id: basemap.id, type: basemap.type, dark: basemap.dark };
+                        console.log('✅ Mapa base activo:', basemap.id);
+                        notifyReactNative({ type: 'mapStyleChanged', basemap: info });
+                        resolve(info);
+                    });
+                });
+                
+                // diff: false forces a full style load, so style.load always fires
+                map.setStyle(buildMapStyle(basemap), { diff: false });
+                return loaded;
+            } catch (error) {
+                console.error('❌ Error cambiando mapa base:', error);
+                notifyReactNative({
+                    type: 'error',
+                    error: 'setMapStyle: ' + error.message
+                });
+                return Promise.reject(error);
+            }
+        }
+        
         function initMap() {
             try {
                 console.log('🗺️ Inicializando mapa...');
                 
+                registerTileCacheProtocol();
+                registerGlyphProtocol();
+                
+                console.log('🎨 Mapa base:', currentBasemap.id);
+                
                 map = new maplibregl.Map({
                     container: 'map',
-                    style: {
-                        version: 8,
-                        sources: {
-                            'osm-tiles': {
-                                type: 'raster',
-                                tiles: ['https://tile.openstreetmap.org/{z}/{x}/{y}.png'],
-                                tileSize: 256,
-                                attribution: '© OpenStreetMap contributors'
-                            }
-                        },
-                        layers: [{
-                            id: 'osm-tiles-layer',
-                            type: 'raster',
-                            source: 'osm-tiles'
-                        }]
-                    },
+                    style: buildMapStyle(currentBasemap),
                     center: [${defaultLng}, ${defaultLat}],
                     zoom: 12,
                     attributionControl: false,
-                    logoPosition: 'bottom-left'
+                    logoPosition: 'bottom-left',
+                    // Keeps the last frame readable for takeSnapshot
+                    preserveDrawingBuffer: true
                 });
+                
+                map.addControl(new maplibregl.AttributionControl({ compact: true }), 'bottom-right');
 
                 map.on('load', function() {
                     console.log('✅ Mapa cargado exitosamente');
                     
+                    setupRouteLayers();
+                    setupPackageLayers();
+                    renderRoute();
+                    
                     const loadingEl = document.getElementById('loading');
                     loadingEl.style.opacity = '0';
                     setTimeout(() => {
@@ -315,12 +481,22 @@ export const generateMapHTML = (currentLocation, theme = 'light') => {
                     
                     notifyReactNative({
                         type: 'mapReady',
+                        protocolVersion: BRIDGE_PROTOCOL_VERSION,
                         capabilities: {
                             userLocationTracking: true,
                             customMarkers: true,
                             popups: true,
-                            smoothCentering: true
-                        }
+                            smoothCentering: true,
+                            packageLayer: true,
+                            clustering: true,
+                            routeDisplay: true,
+                            tileCache: typeof indexedDB !== 'undefined',
+                            styleSwitching: true,
+                            cameraControl: true,
+                            snapshots: true,
+                            driverTracking: true
+                        },
+                        basemap: { id: currentBasemap.id, type: currentBasemap.type, dark: currentBasemap.dark }
                     });
                 });
 
@@ -624,63 +800,1397 @@ export const generateMapHTML = (currentLocation, theme = 'light') => {
             }
         }
         
-        function notifyReactNative(data) {
-            if (window.ReactNativeWebView) {
-                const message = {
-                    ...data,
-                    timestamp: new Date().toISOString(),
-                    source: 'webview_map'
+        /**
+         * Add the GeoJSON source and layers used to render packages, then
+         * bind their pointer events (once; layer handlers survive rebuilds)
+         */
+        function setupPackageLayers() {
+            addPackageSourceAndLayers();
+            bindPackageLayerEvents();
+            packageLayersReady = true;
+            console.log('✅ Capas de paquetes listas');
+        }
+        
+        /**
+         * Styling is data-driven from the feature properties (status color,
+         * priority size) and from feature-state (selected, hover). Clusters
+         * carry a per-status breakdown through clusterProperties.
+         */
+        function addPackageSourceAndLayers() {
+            if (map.getSource('packages')) {
+                return;
+            }
+            
+            map.addSource('packages', {
+                type: 'geojson',
+                data: packageData,
+                promoteId: 'packageId',
+                cluster: clusterSettings.enabled,
+                clusterRadius: clusterSettings.radius,
+                clusterMaxZoom: clusterSettings.maxZoom,
+                clusterProperties: {
+                    delivered: ['+', ['case', ['==', ['get', 'statusGroup'], 'delivered'], 1, 0]],
+                    failed: ['+', ['match', ['get', 'statusGroup'], ['failed', 'returned'], 1, 0]],
+                    urgent: ['+', ['case', ['==', ['get', 'priority'], 'URGENT'], 1, 0]]
+                }
+            });
+            
+            // Red when any stop failed or goes back, orange with urgent stops, green when
+            // everything is delivered, blue otherwise
+            map.addLayer({
+                id: 'packages-clusters',
+                type: 'circle',
+                source: 'packages',
+                filter: ['has', 'point_count'],
+                paint: {
+                    'circle-color': [
+                        'case',
+                        ['>', ['get', 'failed'], 0], '#ef4444',
+                        ['>', ['get', 'urgent'], 0], '#f97316',
+                        ['==', ['get', 'delivered'], ['get', 'point_count']], '#10b981',
+                        '#3b82f6'
+                    ],
+                    'circle-radius': [
+                        'step', ['get', 'point_count'],
+                        18,
+                        10, 22,
+                        50, 28
+                    ],
+                    'circle-stroke-color': [
+                        'case',
+                        ['>', ['get', 'delivered'], 0], '#10b981',
+                        '#ffffff'
+                    ],
+                    'circle-stroke-width': 3,
+                    'circle-opacity': 0.9
+                }
+            });
+            
+            map.addLayer({
+                id: 'packages-cluster-count',
+                type: 'symbol',
+                source: 'packages',
+                filter: ['has', 'point_count'],
+                layout: {
+                    'text-field': ['get', 'point_count_abbreviated'],
+                    'text-font': currentBasemap.fonts,
+                    'text-size': 13,
+                    'text-allow-overlap': true
+                },
+                paint: {
+                    'text-color': '#ffffff'
+                }
+            });
+            
+            map.addLayer({
+                id: 'packages-halo',
+                type: 'circle',
+                source: 'packages',
+                filter: UNCLUSTERED_FILTER,
+                paint: {
+                    'circle-color': ['get', 'color'],
+                    'circle-radius': [
+                        'case',
+                        ['boolean', ['feature-state', 'selected'], false], 22,
+                        ['boolean', ['feature-state', 'hover'], false], 18,
+                        0
+                    ],
+                    'circle-opacity': 0.25
+                }
+            });
+            
+            map.addLayer({
+                id: 'packages-circle',
+                type: 'circle',
+                source: 'packages',
+                filter: UNCLUSTERED_FILTER,
+                paint: {
+                    'circle-color': ['get', 'color'],
+                    'circle-radius': [
+                        'match', ['get', 'priority'],
+                        'URGENT', 12,
+                        'HIGH', 10,
+                        'LOW', 7,
+                        8
+                    ],
+                    'circle-stroke-color': [
+                        'case',
+                        ['boolean', ['feature-state', 'selected'], false], '#1f2937',
+                        // Changes still waiting in the app's outbox
+                        ['boolean', ['get', 'pendingSync'], false], '#f59e0b',
+                        '#ffffff'
+                    ],
+                    'circle-stroke-width': [
+                        'case',
+                        ['boolean', ['feature-state', 'selected'], false], 4,
+                        ['boolean', ['feature-state', 'hover'], false], 3,
+                        ['boolean', ['get', 'pendingSync'], false], 3,
+                        2
+                    ],
+                    'circle-opacity': [
+                        'case',
+                        ['boolean', ['get', 'final'], false], 0.55,
+                        1
+                    ]
+                }
+            });
+            
+            map.addLayer({
+                id: 'packages-label',
+                type: 'symbol',
+                source: 'packages',
+                filter: UNCLUSTERED_FILTER,
+                minzoom: 14,
+                layout: {
+                    'text-field': ['get', 'trackingNumber'],
+                    'text-font': currentBasemap.fonts,
+                    'text-size': 11,
+                    'text-offset': [0, 1.4],
+                    'text-anchor': 'top',
+                    'text-optional': true
+                },
+                paint: {
+                    'text-color': currentBasemap.dark ? '#f9fafb' : '#1f2937',
+                    'text-halo-color': currentBasemap.dark ? '#111827' : '#ffffff',
+                    'text-halo-width': 1.5
+                }
+            });
+        }
+        
+        function bindPackageLayerEvents() {
+            map.on('click', 'packages-clusters', function(e) {
+                const feature = e.features && e.features[0];
+                if (feature) {
+                    expandCluster(feature);
+                }
+            });
+            
+            map.on('mouseenter', 'packages-clusters', function() {
+                map.getCanvas().style.cursor = 'pointer';
+            });
+            
+            map.on('mouseleave', 'packages-clusters', function() {
+                map.getCanvas().style.cursor = '';
+            });
+            
+            // The app shows the package in its detail sheet, so taps don't open a popup
+            map.on('click', 'packages-circle', function(e) {
+                const feature = e.features && e.features[0];
+                if (feature) {
+                    selectPackage({ packageId: feature.properties.packageId, userInitiated: true });
+                }
+            });
+            
+            // Tapping the map outside the packages drops the selection
+            map.on('click', function(e) {
+                if (!packageLayersReady || selectedPackageId === null) return;
+                
+                const hits = map.queryRenderedFeatures(e.point, { layers: ['packages-circle', 'packages-clusters'] });
+                if (hits.length > 0) return;
+                
+                clearPackageSelection();
+                notifyReactNative({ type: 'packageSelectionCleared', reason: 'mapTap' });
+            });
+            
+            map.on('mousemove', 'packages-circle', function(e) {
+                const feature = e.features && e.features[0];
+                if (!feature) return;
+                
+                map.getCanvas().style.cursor = 'pointer';
+                if (hoveredPackageId !== feature.id) {
+                    setPackageState(hoveredPackageId, { hover: false });
+                    hoveredPackageId = feature.id;
+                    setPackageState(hoveredPackageId, { hover: true });
+                }
+            });
+            
+            map.on('mouseleave', 'packages-circle', function() {
+                map.getCanvas().style.cursor = '';
+                setPackageState(hoveredPackageId, { hover: false });
+                hoveredPackageId = null;
+            });
+        }
+        
+        /**
+         * Zoom into a cluster until it splits into its packages
+         */
+        function expandCluster(feature) {
+            const clusterId = feature.properties.cluster_id;
+            
+            map.getSource('packages').getClusterExpansionZoom(clusterId, function(error, zoom) {
+                if (error) {
+                    console.error('❌ Error expandiendo cluster:', error);
+                    return;
+                }
+                
+                map.easeTo({
+                    center: feature.geometry.coordinates,
+                    zoom: zoom,
+                    duration: 600
+                });
+                
+                notifyReactNative({
+                    type: 'clusterExpanded',
+                    count: feature.properties.point_count,
+                    zoom: zoom
+                });
+            });
+        }
+        
+        /**
+         * Toggle clustering or change its radius. GeoJSON sources cannot change
+         * their cluster options in place, so the source and layers are rebuilt.
+         */
+        function setClustering(data) {
+            try {
+                const next = {
+                    enabled: data.enabled !== undefined ? !!data.enabled : clusterSettings.enabled,
+                    radius: typeof data.radius === 'number' && data.radius > 0 ? data.radius : clusterSettings.radius,
+                    maxZoom: typeof data.maxZoom === 'number' ? data.maxZoom : clusterSettings.maxZoom
                 };
                 
-                try {
-                    window.ReactNativeWebView.postMessage(JSON.stringify(message));
-                } catch (error) {
-                    console.error('❌ Error enviando mensaje a RN:', error);
+                const changed = next.enabled !== clusterSettings.enabled ||
+                    next.radius !== clusterSettings.radius ||
+                    next.maxZoom !== clusterSettings.maxZoom;
+                
+                clusterSettings = next;
+                
+                if (changed && packageLayersReady) {
+                    PACKAGE_LAYERS.forEach(layerId => {
+                        if (map.getLayer(layerId)) {
+                            map.removeLayer(layerId);
+                        }
+                    });
+                    map.removeSource('packages');
+                    addPackageSourceAndLayers();
+                    
+                    hoveredPackageId = null;
+                    setPackageState(selectedPackageId, { selected: true });
                 }
+                
+                console.log('🔘 Clustering:', clusterSettings.enabled ? 'activado' : 'desactivado', '- radio', clusterSettings.radius);
+                
+                notifyReactNative({
+                    type: 'clusteringChanged',
+                    enabled: clusterSettings.enabled,
+                    radius: clusterSettings.radius
+                });
+            } catch (error) {
+                console.error('❌ Error configurando clustering:', error);
+                notifyReactNative({
+                    type: 'error',
+                    error: 'setClustering: ' + error.message
+                });
             }
         }
         
-        function handleIncomingMessage(event) {
-            messageCount++;
-            const msgId = \`[\${messageCount}]\`;
+        function setPackageState(packageId, state) {
+            if (packageId === null || packageId === undefined || !packageLayersReady) {
+                return;
+            }
+            map.setFeatureState({ source: 'packages', id: packageId }, state);
+        }
+        
+        function findPackageFeature(packageId) {
+            return packageData.features.find(f => String(f.properties.packageId) === String(packageId));
+        }
+        
+        /**
+         * Replace the package source data with a new FeatureCollection
+         */
+        function loadPackages(data) {
+            try {
+                const geojson = data.geojson;
+                
+                if (!geojson || !Array.isArray(geojson.features)) {
+                    throw new Error('Se esperaba un FeatureCollection en geojson');
+                }
+                
+                packageData = geojson;
+                
+                if (packageLayersReady) {
+                    map.getSource('packages').setData(packageData);
+                }
+                
+                // Keep the selection only while the package is still shown
+                if (selectedPackageId !== null && !findPackageFeature(selectedPackageId)) {
+                    clearPackageSelection();
+                    notifyReactNative({ type: 'packageSelectionCleared', reason: 'packageRemoved' });
+                }
+                
+                console.log('📦 Paquetes en el mapa:', packageData.features.length);
+                
+                notifyReactNative({
+                    type: 'packagesLoaded',
+                    count: packageData.features.length,
+                    total: typeof data.total === 'number' ? data.total : packageData.features.length,
+                    hidden: data.hidden || 0
+                });
+            } catch (error) {
+                console.error('❌ Error cargando paquetes:', error);
+                notifyReactNative({
+                    type: 'error',
+                    error: 'loadPackages: ' + error.message
+                });
+            }
+        }
+        
+        /**
+         * Highlight a package through feature-state and optionally show its popup
+         */
+        function selectPackage(data) {
+            const feature = findPackageFeature(data.packageId);
+            
+            if (!feature) {
+                console.warn('⚠️ Paquete no visible en el mapa:', data.packageId);
+                return;
+            }
+            
+            clearPackageSelection();
+            selectedPackageId = feature.properties.packageId;
+            setPackageState(selectedPackageId, { selected: true });
+            
+            if (data.center) {
+                // Zoom past the cluster level so the selected package is drawn on its own
+                const zoom = clusterSettings.enabled
+                    ? Math.max(map.getZoom(), clusterSettings.maxZoom + 1)
+                    : map.getZoom();
+                map.easeTo({ center: feature.geometry.coordinates, zoom: zoom, duration: 800 });
+            }
+            
+            if (data.showPopup) {
+                packagePopup = new maplibregl.Popup({ offset: 16, closeButton: true })
+                    .setLngLat(feature.geometry.coordinates)
+                    .setDOMContent(buildPackagePopupContent(feature.properties.title, feature.properties.description))
+                    .addTo(map);
+            }
+            
+            notifyReactNative({
+                type: 'packageSelected',
+                packageId: selectedPackageId,
+                trackingNumber: feature.properties.trackingNumber,
+                userInitiated: !!data.userInitiated
+            });
+        }
+        
+        function clearPackageSelection() {
+            setPackageState(selectedPackageId, { selected: false });
+            selectedPackageId = null;
+            
+            if (packagePopup) {
+                packagePopup.remove();
+                packagePopup = null;
+            }
+        }
+        
+        /**
+         * Popup body for a package. Title and description come from the backend
+         * (tracking number, address, carrier, route), so they are set as text
+         * and never parsed as HTML.
+         */
+        function buildPackagePopupContent(title, description) {
+            const container = document.createElement('div');
+            
+            const heading = document.createElement('h3');
+            heading.style.cssText = 'margin: 0 0 6px 0; color: #1f2937; font-size: 14px; font-weight: 600;';
+            heading.textContent = title || 'Paquete';
+            container.appendChild(heading);
             
+            if (description) {
+                const details = document.createElement('p');
+                details.style.cssText = 'margin: 0; color: #6b7280; font-size: 12px; white-space: pre-line;';
+                details.textContent = description;
+                container.appendChild(details);
+            }
+            
+            return container;
+        }
+        
+        /**
+         * Fit the camera to every loaded package (or to the packages sent in the message)
+         */
+        function fitToPackages(data) {
             try {
-                const data = JSON.parse(event.data);
-                console.log(\`📨 \${msgId} Mensaje recibido:\`, data.type);
+                const coordinates = [];
                 
-                switch (data.type) {
-                    case 'addUserLocationMarker':
-                        if (data.marker) {
-                            addUserLocationMarker(data.marker);
-                        } else {
-                            console.warn('⚠️ Mensaje sin datos de marcador');
+                if (Array.isArray(data.packages) && data.packages.length > 0) {
+                    data.packages.forEach(pkg => {
+                        if (typeof pkg.latitude === 'number' && typeof pkg.longitude === 'number') {
+                            coordinates.push([pkg.longitude, pkg.latitude]);
                         }
-                        break;
-                        
-                    case 'centerOnLocation':
-                        centerOnLocation(data);
-                        break;
-                        
-                    case 'clearUserMarkers':
-                        clearAllUserMarkers();
-                        break;
-                        
-                    case 'testConnection':
-                        notifyReactNative({
-                            type: 'connectionTestResponse',
-                            message: 'WebView conectado correctamente',
-                            originalPingTime: data.timestamp,
-                            markers: userLocationMarkers.size,
-                            lastMarkerId: lastAddedMarkerId
-                        });
-                        break;
-                        
-                    default:
-                        console.log(\`❓ Tipo de mensaje desconocido:\`, data.type);
+                    });
+                } else {
+                    packageData.features.forEach(feature => {
+                        coordinates.push(feature.geometry.coordinates);
+                    });
+                }
+                
+                if (data.includeDriver !== false && lastDriverLocation) {
+                    coordinates.push([lastDriverLocation.longitude, lastDriverLocation.latitude]);
+                }
+                
+                if (coordinates.length === 0) {
+                    console.warn('⚠️ No hay paquetes para ajustar la vista');
+                    notifyReactNative({ type: 'packagesFitted', count: 0 });
+                    return;
+                }
+                
+                const padding = typeof data.padding === 'number' ? data.padding : 50;
+                
+                if (coordinates.length === 1) {
+                    map.flyTo({ center: coordinates[0], zoom: 16, essential: true });
+                } else {
+                    const bounds = coordinates.reduce(
+                        (acc, coord) => acc.extend(coord),
+                        new maplibregl.LngLatBounds(coordinates[0], coordinates[0])
+                    );
+                    map.fitBounds(bounds, { padding: padding, maxZoom: 16, duration: 1200 });
                 }
                 
+                notifyReactNative({ type: 'packagesFitted', count: coordinates.length });
             } catch (error) {
-                console.error(\`❌ \${msgId} Error procesando mensaje:\`, error);
+                console.error('❌ Error ajustando vista a paquetes:', error);
+                notifyReactNative({
+                    type: 'error',
+                    error: 'fitToPackages: ' + error.message
+                });
+            }
+        }
+        
+        /**
+         * Add the sources and layers for the planned route, below the package
+         * layers: legs split into completed / upcoming / next, plus numbered
+         * stop badges
+         */
+        function setupRouteLayers() {
+            const emptyCollection = { type: 'FeatureCollection', features: [] };
+            
+            map.addSource('route-legs', { type: 'geojson', data: emptyCollection });
+            map.addSource('route-stops', { type: 'geojson', data: emptyCollection });
+            
+            map.addLayer({
+                id: 'route-completed',
+                type: 'line',
+                source: 'route-legs',
+                filter: ['==', ['get', 'state'], 'completed'],
+                layout: { 'line-join': 'round', 'line-cap': 'round' },
+                paint: {
+                    'line-color': '#9ca3af',
+                    'line-width': 4,
+                    'line-opacity': 0.6,
+                    'line-dasharray': [1, 2]
+                }
+            });
+            
+            map.addLayer({
+                id: 'route-upcoming',
+                type: 'line',
+                source: 'route-legs',
+                filter: ['==', ['get', 'state'], 'upcoming'],
+                layout: { 'line-join': 'round', 'line-cap': 'round' },
+                paint: {
+                    'line-color': '#3b82f6',
+                    'line-width': 4,
+                    'line-opacity': 0.8
+                }
+            });
+            
+            map.addLayer({
+                id: 'route-next',
+                type: 'line',
+                source: 'route-legs',
+                filter: ['==', ['get', 'state'], 'next'],
+                layout: { 'line-join': 'round', 'line-cap': 'round' },
+                paint: {
+                    'line-color': '#10b981',
+                    'line-width': 7,
+                    'line-opacity': 0.95
+                }
+            });
+            
+            map.addLayer({
+                id: 'route-stop-badges',
+                type: 'circle',
+                source: 'route-stops',
+                paint: {
+                    'circle-radius': 10,
+                    'circle-color': [
+                        'case',
+                        ['get', 'completed'], '#9ca3af',
+                        ['get', 'isNext'], '#10b981',
+                        '#1f2937'
+                    ],
+                    'circle-stroke-color': '#ffffff',
+                    'circle-stroke-width': 2,
+                    'circle-translate': [0, -20]
+                }
+            });
+            
+            map.addLayer({
+                id: 'route-stop-numbers',
+                type: 'symbol',
+                source: 'route-stops',
+                layout: {
+                    'text-field': ['to-string', ['get', 'sequence']],
+                    'text-font': currentBasemap.fonts,
+                    'text-size': 11,
+                    'text-allow-overlap': true,
+                    'text-ignore-placement': true
+                },
+                paint: {
+                    'text-color': '#ffffff',
+                    'text-translate': [0, -20]
+                }
+            });
+        }
+        
+        /**
+         * Build the route features from routeStops and the last driver location
+         */
+        function renderRoute() {
+            const nextIndex = routeStops.findIndex(stop => !stop.completed);
+            
+            // Layers are created on map load; the stored stops are drawn then
+            if (!map || !map.getSource('route-legs')) {
+                return nextIndex;
+            }
+            const legs = [];
+            
+            routeStops.forEach((stop, index) => {
+                if (index === 0) return;
+                
+                const previous = routeStops[index - 1];
+                let state = stop.completed ? 'completed' : 'upcoming';
+                
+                // With a known driver position, the next leg starts at the driver
+                if (index === nextIndex) {
+                    if (lastDriverLocation) return;
+                    state = 'next';
+                }
+                
+                legs.push({
+                    type: 'Feature',
+                    geometry: {
+                        type: 'LineString',
+                        coordinates: [
+                            [previous.longitude, previous.latitude],
+                            [stop.longitude, stop.latitude]
+                        ]
+                    },
+                    properties: { state: state, toPackageId: stop.packageId }
+                });
+            });
+            
+            if (nextIndex !== -1 && lastDriverLocation) {
+                const next = routeStops[nextIndex];
+                legs.push({
+                    type: 'Feature',
+                    geometry: {
+                        type: 'LineString',
+                        coordinates: [
+                            [lastDriverLocation.longitude, lastDriverLocation.latitude],
+                            [next.longitude, next.latitude]
+                        ]
+                    },
+                    properties: { state: 'next', toPackageId: next.packageId }
+                });
+            }
+            
+            const stops = routeStops.map((stop, index) => ({
+                type: 'Feature',
+                geometry: {
+                    type: 'Point',
+                    coordinates: [stop.longitude, stop.latitude]
+                },
+                properties: {
+                    packageId: stop.packageId,
+                    sequence: stop.sequence,
+                    completed: !!stop.completed,
+                    isNext: index === nextIndex
+                }
+            }));
+            
+            map.getSource('route-legs').setData({ type: 'FeatureCollection', features: legs });
+            map.getSource('route-stops').setData({ type: 'FeatureCollection', features: stops });
+            
+            return nextIndex;
+        }
+        
+        /**
+         * Show an ordered stop list: [{packageId, sequence, latitude, longitude, completed}]
+         */
+        function showRoute(data) {
+            try {
+                if (!Array.isArray(data.stops)) {
+                    throw new Error('Se esperaba una lista de paradas');
+                }
+                
+                routeStops = data.stops.filter(stop =>
+                    typeof stop.latitude === 'number' && typeof stop.longitude === 'number'
+                );
+                
+                const nextIndex = renderRoute();
+                
+                if (data.fit && routeStops.length > 0) {
+                    fitToPackages({ packages: routeStops, padding: data.padding });
+                }
+                
+                console.log('🛣️ Ruta mostrada:', routeStops.length, 'paradas');
+                
+                notifyReactNative({
+                    type: 'routeShown',
+                    stops: routeStops.length,
+                    completed: routeStops.filter(stop => stop.completed).length,
+                    nextPackageId: nextIndex === -1 ? null : routeStops[nextIndex].packageId
+                });
+            } catch (error) {
+                console.error('❌ Error mostrando ruta:', error);
+                notifyReactNative({
+                    type: 'error',
+                    error: 'showRoute: ' + error.message
+                });
+            }
+        }
+        
+        function clearRoute() {
+            routeStops = [];
+            renderRoute();
+            console.log('🧹 Ruta eliminada');
+            notifyReactNative({ type: 'routeCleared' });
+        }
+        
+        /**
+         * Move the persistent driver marker, rotating it to the GPS heading
+         */
+        function updateDriverLocation(data) {
+            try {
+                const { latitude, longitude, heading, accuracy } = data;
+                
+                if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+                    throw new Error('Coordenadas del conductor inválidas');
+                }
+                
+                const lngLat = [longitude, latitude];
+                const hasHeading = typeof heading === 'number' && heading >= 0;
+                
+                if (!driverMarker) {
+                    const element = document.createElement('div');
+                    element.className = 'driver-marker';
+                    element.innerHTML = '<div class="driver-heading"></div><div class="driver-dot"></div>';
+                    
+                    driverMarker = new maplibregl.Marker({
+                        element: element,
+                        anchor: 'center',
+                        rotationAlignment: 'map'
+                    })
+                    .setLngLat(lngLat)
+                    .addTo(map);
+                } else {
+                    driverMarker.setLngLat(lngLat);
+                }
+                
+                driverMarker.getElement().classList.toggle('has-heading', hasHeading);
+                if (hasHeading) {
+                    driverMarker.setRotation(heading);
+                }
+                
+                lastDriverLocation = { latitude, longitude, heading, accuracy };
+                
+                if (routeStops.length > 0) {
+                    renderRoute();
+                }
+            } catch (error) {
+                console.error('❌ Error actualizando conductor:', error);
+                notifyReactNative({
+                    type: 'error',
+                    error: 'updateDriverLocation: ' + error.message
+                });
+            }
+        }
+        
+        /**
+         * Move an existing user marker, or add it if it is not on the map yet
+         */
+        function updateUserLocation(markerData) {
+            const existing = userLocationMarkers.get(markerData.id);
+            
+            if (!existing) {
+                addUserLocationMarker(markerData);
+                return;
+            }
+            
+            const { coordinates, accuracy, timestamp } = markerData;
+            existing.marker.setLngLat([coordinates.longitude, coordinates.latitude]);
+            existing.coordinates = coordinates;
+            existing.accuracy = accuracy;
+            existing.timestamp = timestamp || new Date().toISOString();
+            
+            notifyReactNative({
+                type: 'userLocationMarkerUpdated',
+                markerId: markerData.id,
+                coordinates: coordinates,
+                accuracy: accuracy
+            });
+        }
+        
+        // ====================================================================
+        // Tile cache
+        // ====================================================================
+        
+        function idbRequest(request) {
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        
+        /**
+         * Open the tile database once and compute the stored totals.
+         * Resolves to null when IndexedDB is not available in this WebView.
+         */
+        function openTileCache() {
+            if (tileCacheDB) {
+                return tileCacheDB;
+            }
+            
+            tileCacheDB = new Promise((resolve) => {
+                if (typeof indexedDB === 'undefined' || !indexedDB) {
+                    console.warn('⚠️ IndexedDB no disponible, tiles sin caché');
+                    resolve(null);
+                    return;
+                }
+                
+                const request = indexedDB.open('mapTileCache', 1);
+                
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore('tiles', { keyPath: 'url' });
+                    store.createIndex('lastAccess', 'lastAccess');
+                };
+                
+                request.onsuccess = () => {
+                    const db = request.result;
+                    const cursorRequest = db.transaction('tiles', 'readonly').objectStore('tiles').openCursor();
+                    
+                    tileCacheStats.count = 0;
+                    tileCacheStats.bytes = 0;
+                    
+                    cursorRequest.onsuccess = () => {
+                        const cursor = cursorRequest.result;
+                        if (cursor) {
+                            tileCacheStats.count++;
+                            tileCacheStats.bytes += cursor.value.size || 0;
+                            cursor.continue();
+                        } else {
+                            console.log('🗄️ Caché de tiles:', tileCacheStats.count, 'tiles');
+                            resolve(db);
+                        }
+                    };
+                    cursorRequest.onerror = () => resolve(db);
+                };
+                
+                request.onerror = () => {
+                    console.warn('⚠️ No se pudo abrir la caché de tiles:', request.error);
+                    resolve(null);
+                };
+            });
+            
+            return tileCacheDB;
+        }
+        
+        async function getCachedTile(url) {
+            const db = await openTileCache();
+            if (!db) return null;
+            return idbRequest(db.transaction('tiles', 'readonly').objectStore('tiles').get(url));
+        }
+        
+        async function putCachedTile(url, data, previous) {
+            const db = await openTileCache();
+            if (!db) return;
+            
+            const now = Date.now();
+            await idbRequest(db.transaction('tiles', 'readwrite').objectStore('tiles').put({
+                url: url,
+                data: data,
+                size: data.byteLength,
+                createdAt: now,
+                lastAccess: now
+            }));
+            
+            tileCacheStats.count += previous ? 0 : 1;
+            tileCacheStats.bytes += data.byteLength - (previous ? previous.size || 0 : 0);
+            
+            if (tileCacheStats.count > tileCacheConfig.maxTiles || tileCacheStats.bytes > tileCacheConfig.maxBytes) {
+                await evictTiles();
+            }
+        }
+        
+        async function touchCachedTile(entry) {
+            const db = await openTileCache();
+            if (!db) return;
+            entry.lastAccess = Date.now();
+            db.transaction('tiles', 'readwrite').objectStore('tiles').put(entry);
+        }
+        
+        /**
+         * Delete least recently used tiles until the cache is back under 90% of its limits
+         */
+        async function evictTiles() {
+            const db = await openTileCache();
+            if (!db) return 0;
+            
+            const targetTiles = Math.floor(tileCacheConfig.maxTiles * 0.9);
+            const targetBytes = Math.floor(tileCacheConfig.maxBytes * 0.9);
+            let evicted = 0;
+            
+            await new Promise((resolve) => {
+                const transaction = db.transaction('tiles', 'readwrite');
+                const cursorRequest = transaction.objectStore('tiles').index('lastAccess').openCursor();
+                
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor || (tileCacheStats.count <= targetTiles && tileCacheStats.bytes <= targetBytes)) {
+                        resolve();
+                        return;
+                    }
+                    
+                    tileCacheStats.count--;
+                    tileCacheStats.bytes -= cursor.value.size || 0;
+                    evicted++;
+                    cursor.delete();
+                    cursor.continue();
+                };
+                cursorRequest.onerror = () => resolve();
+            });
+            
+            if (evicted > 0) {
+                console.log('🧹 Tiles expulsados de la caché:', evicted);
+            }
+            return evicted;
+        }
+        
+        async function fetchTile(url) {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error('HTTP_ERROR_' + response.status);
+            }
+            return response.arrayBuffer();
+        }
+        
+        /**
+         * Cache-first while the stored tile is fresh; otherwise network, falling
+         * back to the stale copy when the network is unavailable
+         */
+        async function loadTileThroughCache(url) {
+            if (!tileCacheConfig.enabled) {
+                return fetchTile(url);
+            }
+            
+            let entry = null;
+            try {
+                entry = await getCachedTile(url);
+            } catch (error) {
+                tileCacheStats.errors++;
+            }
+            
+            const maxAge = tileCacheConfig.maxAgeDays * 24 * 60 * 60 * 1000;
+            
+            if (entry && Date.now() - entry.createdAt < maxAge) {
+                tileCacheStats.hits++;
+                touchCachedTile(entry).catch(() => {});
+                return entry.data;
+            }
+            
+            try {
+                const data = await fetchTile(url);
+                tileCacheStats.misses++;
+                putCachedTile(url, data, entry).catch(() => { tileCacheStats.errors++; });
+                return data;
+            } catch (error) {
+                if (entry) {
+                    tileCacheStats.offlineHits++;
+                    return entry.data;
+                }
+                throw error;
+            }
+        }
+        
+        function registerTileCacheProtocol() {
+            if (typeof maplibregl.addProtocol !== 'function') {
+                console.warn('⚠️ addProtocol no disponible, tiles sin caché');
+                return;
+            }
+            
+            maplibregl.addProtocol(TILE_CACHE_PROTOCOL, function(params, callback) {
+                const url = params.url.slice((TILE_CACHE_PROTOCOL + '://').length);
+                let cancelled = false;
+                
+                loadTileThroughCache(url)
+                    .then(data => { if (!cancelled) callback(null, data, null, null); })
+                    .catch(error => { if (!cancelled) callback(error); });
+                
+                return { cancel: function() { cancelled = true; } };
+            });
+        }
+        
+        /**
+         * Serve label glyphs from the page: every font stack gets the bundled
+         * font, and ranges it does not have come back empty (those characters
+         * are not drawn) instead of going to the network
+         */
+        function registerGlyphProtocol() {
+            if (typeof maplibregl.addProtocol !== 'function') return;
+            
+            maplibregl.addProtocol(GLYPHS_PROTOCOL, function(params, callback) {
+                const range = params.url.split('/').pop();
+                const data = labelGlyphs.ranges[range];
+                const buffer = data
+                    ? Uint8Array.from(atob(data), char => char.charCodeAt(0)).buffer
+                    : new ArrayBuffer(0);
+                
+                callback(null, buffer, null, null);
+                return { cancel: function() {} };
+            });
+        }
+        
+        /**
+         * Tile URL as MapLibre requests it, so prefetched tiles hit the same
+         * cache entries (with several templates, it picks by (x + y) % count)
+         */
+        function buildTileURL(templates, tile) {
+            const template = templates[(tile.x + tile.y) % templates.length];
+            return template
+                .replace('{z}', tile.z)
+                .replace('{x}', tile.x)
+                .replace('{y}', tile.y);
+        }
+        
+        /**
+         * Download and store a list of tiles [{z, x, y}]. A newer prefetch
+         * cancels the one in progress.
+         */
+        async function prefetchTiles(data) {
+            const token = ++tilePrefetchToken;
+            const tiles = Array.isArray(data.tiles) ? data.tiles : [];
+            const templates = data.urlTemplate
+                ? [data.urlTemplate]
+                : (currentBasemap.type === 'raster' ? currentBasemap.tiles : []);
+            const maxAge = tileCacheConfig.maxAgeDays * 24 * 60 * 60 * 1000;
+            const result = { total: tiles.length, downloaded: 0, cached: 0, failed: 0 };
+            
+            // Vector basemaps load through their own style and are not cached here
+            if (!templates.length || !tileCacheConfig.enabled || !(await openTileCache())) {
+                notifyReactNative({ type: 'tilePrefetchComplete', ...result, skipped: true });
+                return;
+            }
+            
+            console.log('⬇️ Precargando tiles:', tiles.length);
+            let next = 0;
+            
+            async function worker() {
+                while (next < tiles.length && token === tilePrefetchToken) {
+                    const url = buildTileURL(templates, tiles[next++]);
+                    
+                    try {
+                        const entry = await getCachedTile(url);
+                        if (entry && Date.now() - entry.createdAt < maxAge) {
+                            result.cached++;
+                        } else {
+                            await putCachedTile(url, await fetchTile(url), entry);
+                            result.downloaded++;
+                        }
+                    } catch (error) {
+                        result.failed++;
+                    }
+                    
+                    const done = result.downloaded + result.cached + result.failed;
+                    if (done % 50 === 0) {
+                        notifyReactNative({ type: 'tilePrefetchProgress', done: done, total: tiles.length });
+                    }
+                }
+            }
+            
+            await Promise.all([worker(), worker(), worker(), worker()]);
+            
+            if (token !== tilePrefetchToken) {
+                console.log('⏹️ Precarga de tiles reemplazada');
+                return;
+            }
+            
+            console.log('✅ Precarga de tiles completada:', result);
+            notifyReactNative({
+                type: 'tilePrefetchComplete',
+                ...result,
+                minZoom: data.minZoom,
+                maxZoom: data.maxZoom,
+                stats: tileCacheStats
+            });
+        }
+        
+        async function configureTileCache(data) {
+            ['enabled', 'maxTiles', 'maxBytes', 'maxAgeDays'].forEach(key => {
+                if (data[key] !== undefined) {
+                    tileCacheConfig[key] = data[key];
+                }
+            });
+            
+            if (await openTileCache()) {
+                await evictTiles();
+            }
+            
+            notifyReactNative({ type: 'tileCacheStats', config: tileCacheConfig, stats: tileCacheStats });
+        }
+        
+        async function clearTileCache() {
+            tilePrefetchToken++;
+            const db = await openTileCache();
+            
+            if (db) {
+                await idbRequest(db.transaction('tiles', 'readwrite').objectStore('tiles').clear());
+            }
+            
+            tileCacheStats = { count: 0, bytes: 0, hits: 0, misses: 0, offlineHits: 0, errors: 0 };
+            console.log('🧹 Caché de tiles vaciada');
+            notifyReactNative({ type: 'tileCacheStats', config: tileCacheConfig, stats: tileCacheStats });
+        }
+        
+        function notifyReactNative(data) {
+            if (window.ReactNativeWebView) {
+                const message = {
+                    ...data,
+                    timestamp: new Date().toISOString(),
+                    source: 'webview_map'
+                };
+                
+                try {
+                    window.ReactNativeWebView.postMessage(JSON.stringify(message));
+                } catch (error) {
+                    console.error('❌ Error enviando mensaje a RN:', error);
+                }
+            }
+        }
+        
+        // ====================================================================
+        // CAMERA AND SNAPSHOTS (MapController)
+        // ====================================================================
+        
+        function getViewState() {
+            const center = map.getCenter();
+            return {
+                center: { latitude: center.lat, longitude: center.lng },
+                zoom: map.getZoom(),
+                bearing: map.getBearing(),
+                pitch: map.getPitch()
+            };
+        }
+        
+        /**
+         * Resolve with the view state when the current camera move ends
+         * (or after the expected duration, if moveend never comes)
+         */
+        function waitForMoveEnd(duration) {
+            return new Promise(resolve => {
+                let done = false;
+                const finish = function() {
+                    if (done) return;
+                    done = true;
+                    map.off('moveend', finish);
+                    resolve(getViewState());
+                };
+                
+                map.on('moveend', finish);
+                setTimeout(finish, (typeof duration === 'number' ? duration : 2000) + 1000);
+            });
+        }
+        
+        function flyTo(data) {
+            const options = {
+                center: [data.longitude, data.latitude],
+                essential: true
+            };
+            
+            ['zoom', 'bearing', 'pitch', 'duration'].forEach(key => {
+                if (typeof data[key] === 'number') {
+                    options[key] = data[key];
+                }
+            });
+            
+            console.log('✈️ Volando a:', data.latitude.toFixed(6), data.longitude.toFixed(6));
+            map.flyTo(options);
+        }
+        
+        function fitMapToBounds(data) {
+            const b = data.bounds;
+            
+            if (![b.north, b.south, b.east, b.west].every(value => typeof value === 'number')) {
+                throw new Error('bounds necesita north, south, east y west');
+            }
+            
+            map.fitBounds([[b.west, b.south], [b.east, b.north]], {
+                padding: typeof data.padding === 'number' ? data.padding : 50,
+                maxZoom: typeof data.maxZoom === 'number' ? data.maxZoom : 17,
+                duration: typeof data.duration === 'number' ? data.duration : 1200
+            });
+        }
+        
+        /**
+         * Capture the map canvas as a data URI, once pending tiles are drawn.
+         * DOM markers (user location, driver) are not part of the canvas.
+         */
+        function takeSnapshot(data) {
+            const format = data.format === 'jpeg' ? 'image/jpeg' : 'image/png';
+            const quality = typeof data.quality === 'number' ? data.quality : 0.9;
+            
+            return new Promise((resolve, reject) => {
+                const capture = function() {
+                    try {
+                        const canvas = map.getCanvas();
+                        resolve({
+                            uri: canvas.toDataURL(format, quality),
+                            width: canvas.width,
+                            height: canvas.height,
+                            format: format
+                        });
+                    } catch (error) {
+                        reject(error);
+                    }
+                };
+                
+                if (map.loaded()) {
+                    capture();
+                } else {
+                    map.once('idle', capture);
+                }
+            });
+        }
+        
+        /**
+         * Answer a request from React Native
+         */
+        function respond(requestId, ok, payload, code) {
+            if (!requestId) return;
+            
+            notifyReactNative(ok
+                ? { type: 'response', requestId: requestId, ok: true, result: payload === undefined ? null : payload }
+                : { type: 'response', requestId: requestId, ok: false, error: String(payload), code: code || 'REQUEST_FAILED' });
+        }
+        
+        /**
+         * Commands whose answer is the response result (see MAP_COMMANDS)
+         */
+        const REQUEST_HANDLERS = {
+            handshake: function(data) {
+                hostProtocolVersion = data.protocolVersion;
+                const compatible = isProtocolCompatible(BRIDGE_PROTOCOL_VERSION, hostProtocolVersion);
+                
+                if (!compatible) {
+                    console.warn('⚠️ Versión de protocolo incompatible:', hostProtocolVersion, '≠', BRIDGE_PROTOCOL_VERSION);
+                }
+                return { protocolVersion: BRIDGE_PROTOCOL_VERSION, compatible: compatible };
+            },
+            
+            getBounds: function() {
+                const bounds = map.getBounds();
+                return {
+                    north: bounds.getNorth(),
+                    south: bounds.getSouth(),
+                    east: bounds.getEast(),
+                    west: bounds.getWest()
+                };
+            },
+            
+            getViewState: function() {
+                return getViewState();
+            },
+            
+            getTileCacheStats: function() {
+                return openTileCache().then(() => ({ config: tileCacheConfig, stats: tileCacheStats }));
+            },
+            
+            setMapStyle: function(data) {
+                return setMapStyle(data);
+            },
+            
+            selectPackage: function(data) {
+                if (!findPackageFeature(data.packageId)) {
+                    throw new Error('Paquete no visible en el mapa: ' + data.packageId);
+                }
+                selectPackage(data);
+                return { packageId: selectedPackageId };
+            },
+            
+            flyTo: function(data) {
+                const moved = waitForMoveEnd(data.duration);
+                flyTo(data);
+                return moved;
+            },
+            
+            fitBounds: function(data) {
+                const moved = waitForMoveEnd(data.duration);
+                fitMapToBounds(data);
+                return moved;
+            },
+            
+            takeSnapshot: function(data) {
+                return takeSnapshot(data);
+            }
+        };
+        
+        function handleIncomingMessage(event) {
+            messageCount++;
+            const msgId = \`[\${messageCount}]\`;
+            let data = null;
+            
+            try {
+                data = JSON.parse(event.data);
+                console.log(\`📨 \${msgId} Mensaje recibido:\`, data.type);
+                
+                const validation = validateMessage(data, MAP_COMMANDS, BRIDGE_ENVELOPE_FIELDS);
+                if (!validation.valid) {
+                    const code = validation.unknownType ? 'UNKNOWN_MESSAGE_TYPE' : 'INVALID_MESSAGE';
+                    const error = validation.errors.join('; ');
+                    
+                    console.warn(\`⚠️ \${msgId} Mensaje rechazado:\`, code, error);
+                    if (data && typeof data.requestId === 'string') {
+                        respond(data.requestId, false, error, code);
+                    } else {
+                        notifyReactNative({ type: 'error', error: code + ': ' + error, code: code });
+                    }
+                    return;
+                }
+                
+                if (!map && data.type !== 'handshake' && data.type !== 'testConnection') {
+                    respond(data.requestId, false, 'Mapa no inicializado', 'MAP_NOT_READY');
+                    if (!data.requestId) {
+                        console.warn(\`⚠️ \${msgId} Mapa no inicializado, mensaje ignorado:\`, data.type);
+                    }
+                    return;
+                }
+                
+                if (data.requestId && REQUEST_HANDLERS[data.type]) {
+                    Promise.resolve()
+                        .then(() => REQUEST_HANDLERS[data.type](data))
+                        .then(result => respond(data.requestId, true, result))
+                        .catch(error => respond(data.requestId, false, error.message));
+                    return;
+                }
+                
+                switch (data.type) {
+                    case 'addUserLocationMarker':
+                        if (data.marker) {
+                            addUserLocationMarker(data.marker);
+                        } else {
+                            console.warn('⚠️ Mensaje sin datos de marcador');
+                        }
+                        break;
+                        
+                    case 'centerOnLocation':
+                        centerOnLocation(data);
+                        break;
+                        
+                    case 'clearUserMarkers':
+                        clearAllUserMarkers();
+                        break;
+                        
+                    case 'updateUserLocation':
+                        if (data.marker) {
+                            updateUserLocation(data.marker);
+                        } else {
+                            console.warn('⚠️ Mensaje sin datos de marcador');
+                        }
+                        break;
+                        
+                    case 'updateDriverLocation':
+                        updateDriverLocation(data);
+                        break;
+                        
+                    case 'loadPackages':
+                        loadPackages(data);
+                        break;
+                        
+                    case 'fitToPackages':
+                        fitToPackages(data);
+                        break;
+                        
+                    case 'selectPackage':
+                        selectPackage(data);
+                        break;
+                        
+                    case 'clearPackageSelection':
+                        clearPackageSelection();
+                        break;
+                        
+                    case 'setClustering':
+                        setClustering(data);
+                        break;
+                        
+                    case 'showRoute':
+                        showRoute(data);
+                        break;
+                        
+                    case 'clearRoute':
+                        clearRoute();
+                        break;
+                        
+                    case 'prefetchTiles':
+                        prefetchTiles(data);
+                        break;
+                        
+                    case 'configureTileCache':
+                        configureTileCache(data);
+                        break;
+                        
+                    case 'clearTileCache':
+                        clearTileCache();
+                        break;
+                        
+                    case 'getTileCacheStats':
+                        openTileCache().then(() => {
+                            notifyReactNative({ type: 'tileCacheStats', config: tileCacheConfig, stats: tileCacheStats });
+                        });
+                        break;
+                        
+                    case 'setMapStyle':
+                        // Failures are already reported as 'error' events
+                        setMapStyle(data).catch(() => {});
+                        break;
+                        
+                    case 'flyTo':
+                        flyTo(data);
+                        break;
+                        
+                    case 'fitBounds':
+                        fitMapToBounds(data);
+                        break;
+                        
+                    case 'testConnection':
+                        notifyReactNative({
+                            type: 'connectionTestResponse',
+                            message: 'WebView conectado correctamente',
+                            originalPingTime: data.timestamp,
+                            markers: userLocationMarkers.size,
+                            lastMarkerId: lastAddedMarkerId
+                        });
+                        break;
+                        
+                    case 'handshake':
+                    case 'getBounds':
+                    case 'getViewState':
+                    case 'takeSnapshot':
+                        console.warn(\`⚠️ \${msgId} \${data.type} solo se admite como solicitud (requestId)\`);
+                        break;
+                        
+                    default:
+                        console.log(\`❓ Tipo de mensaje desconocido:\`, data.type);
+                }
+                
+                // Commands sent as requests are acknowledged once handled
+                respond(data.requestId, true, null);
+                
+            } catch (error) {
+                console.error(\`❌ \${msgId} Error procesando mensaje:\`, error);
+                if (data && data.requestId) {
+                    respond(data.requestId, false, error.message);
+                }
                 notifyReactNative({
                     type: 'messageProcessingError',
                     error: error.message,
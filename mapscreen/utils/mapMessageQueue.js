@@ -0,0 +1,259 @@
+// ============================================================================
+// FILE: mapscreen/utils/mapMessageQueue.js
+// PURPOSE: Prioritized, coalescing queue for commands sent to the map page,
+//          plus the map state needed to rebuild the page after a reload
+// ============================================================================
+
+/**
+ * Lower numbers are sent first
+ */
+export const MESSAGE_PRIORITIES = {
+  HIGH: 0,     // Map configuration and data the rest depends on
+  NORMAL: 1,   // Positions, selection, camera
+  LOW: 2       // Background work and diagnostics
+};
+
+export const MESSAGE_QUEUE_CONFIG = {
+  // Beyond this, the least important (then oldest) message is dropped.
+  // Requests are never dropped: their caller is waiting for a response, and
+  // their own timeout already bounds how long they wait
+  maxSize: 100
+};
+
+const userMarkerKey = (message) => `userMarker:${message.marker?.id}`;
+
+/**
+ * Per-type handling:
+ *   priority     - MESSAGE_PRIORITIES value
+ *   coalesce     - Key (or fn -> key); a queued message with the same key is replaced
+ *   state        - Key (or fn -> key) under which the message is kept for replay
+ *   clearsState  - Key prefix removed from the replay state
+ *
+ * Requests (messages with a requestId) are never coalesced, replayed or
+ * dropped to make room.
+ */
+export const MESSAGE_POLICIES = {
+  setMapStyle: { priority: MESSAGE_PRIORITIES.HIGH, coalesce: 'style', state: 'style' },
+  configureTileCache: { priority: MESSAGE_PRIORITIES.HIGH, coalesce: 'tileCache', state: 'tileCache' },
+  setClustering: { priority: MESSAGE_PRIORITIES.HIGH, coalesce: 'clustering', state: 'clustering' },
+  loadPackages: { priority: MESSAGE_PRIORITIES.HIGH, coalesce: 'packages', state: 'packages' },
+
+  showRoute: { priority: MESSAGE_PRIORITIES.NORMAL, coalesce: 'route', state: 'route' },
+  clearRoute: { priority: MESSAGE_PRIORITIES.NORMAL, coalesce: 'route', clearsState: 'route' },
+  selectPackage: { priority: MESSAGE_PRIORITIES.NORMAL, coalesce: 'selection', state: 'selection' },
+  clearPackageSelection: { priority: MESSAGE_PRIORITIES.NORMAL, coalesce: 'selection', clearsState: 'selection' },
+  updateDriverLocation: { priority: MESSAGE_PRIORITIES.NORMAL, coalesce: 'driverLocation', state: 'driverLocation' },
+  addUserLocationMarker: { priority: MESSAGE_PRIORITIES.NORMAL, coalesce: userMarkerKey, state: userMarkerKey },
+  updateUserLocation: { priority: MESSAGE_PRIORITIES.NORMAL, coalesce: userMarkerKey, state: userMarkerKey },
+  clearUserMarkers: { priority: MESSAGE_PRIORITIES.NORMAL, clearsState: 'userMarker:' },
+  centerOnLocation: { priority: MESSAGE_PRIORITIES.NORMAL, coalesce: 'camera' },
+  fitToPackages: { priority: MESSAGE_PRIORITIES.NORMAL, coalesce: 'camera' },
+  flyTo: { priority: MESSAGE_PRIORITIES.NORMAL, coalesce: 'camera' },
+  fitBounds: { priority: MESSAGE_PRIORITIES.NORMAL, coalesce: 'camera' },
+
+  prefetchTiles: { priority: MESSAGE_PRIORITIES.LOW, coalesce: 'prefetch' },
+  clearTileCache: { priority: MESSAGE_PRIORITIES.LOW },
+  getTileCacheStats: { priority: MESSAGE_PRIORITIES.LOW, coalesce: 'tileCacheStats' },
+  testConnection: { priority: MESSAGE_PRIORITIES.LOW, coalesce: 'testConnection' },
+  takeSnapshot: { priority: MESSAGE_PRIORITIES.LOW }
+};
+
+const DEFAULT_POLICY = { priority: MESSAGE_PRIORITIES.NORMAL };
+
+const resolveKey = (key, message) => (typeof key === 'function' ? key(message) : key || null);
+
+/**
+ * MapMessageQueue - Holds commands while the map page can't take them
+ */
+export class MapMessageQueue {
+  constructor(config = {}) {
+    this.config = { ...MESSAGE_QUEUE_CONFIG, ...config };
+    this.entries = [];
+    this.state = new Map();
+    this.sequence = 0;
+    this.listeners = new Set();
+    this.metrics = {
+      depth: 0,
+      maxDepth: 0,
+      enqueued: 0,
+      coalesced: 0,
+      dropped: 0,
+      flushed: 0,
+      replayed: 0,
+      lastFlushAt: null
+    };
+  }
+
+  getPolicy(message) {
+    const policy = MESSAGE_POLICIES[message.type] || DEFAULT_POLICY;
+
+    if (message.requestId) {
+      return { priority: policy.priority };
+    }
+    return policy;
+  }
+
+  /**
+   * Keep the latest state-bearing command of each kind for replay. Called for
+   * every command, whether it was queued or sent straight away.
+   * @param {Object} message - Command
+   */
+  recordState(message) {
+    const policy = this.getPolicy(message);
+
+    if (policy.clearsState) {
+      Array.from(this.state.keys())
+        .filter(key => key.startsWith(policy.clearsState))
+        .forEach(key => this.state.delete(key));
+    }
+
+    const stateKey = resolveKey(policy.state, message);
+    if (stateKey) {
+      // Re-inserted so replay follows the order the state was built in
+      this.state.delete(stateKey);
+      this.state.set(stateKey, message);
+    }
+  }
+
+  /**
+   * Queue a command
+   * @param {Object} message - Command
+   * @returns {Object} {coalesced, dropped} - dropped is the message that made room, if any
+   */
+  enqueue(message) {
+    const policy = this.getPolicy(message);
+    const key = resolveKey(policy.coalesce, message);
+    let coalesced = false;
+
+    if (key) {
+      const index = this.entries.findIndex(entry => entry.key === key);
+      if (index !== -1) {
+        this.entries.splice(index, 1);
+        this.metrics.coalesced++;
+        coalesced = true;
+      }
+    }
+
+    this.entries.push({ message, key, priority: policy.priority, sequence: ++this.sequence });
+    this.metrics.enqueued++;
+
+    let dropped = null;
+    while (this.entries.length > this.config.maxSize) {
+      const removed = this.dropLeastImportant();
+      if (!removed) break;
+      dropped = removed;
+    }
+
+    this.updateDepth();
+    return { coalesced, dropped };
+  }
+
+  /**
+   * Drop the least important (then oldest) message that is not a request
+   * @returns {Object|null} Dropped message, or null when only requests are queued
+   */
+  dropLeastImportant() {
+    let victim = -1;
+
+    this.entries.forEach((entry, index) => {
+      if (entry.message.requestId) return;
+
+      const current = this.entries[victim];
+      if (!current || entry.priority > current.priority ||
+          (entry.priority === current.priority && entry.sequence < current.sequence)) {
+        victim = index;
+      }
+    });
+
+    if (victim === -1) return null;
+
+    const [removed] = this.entries.splice(victim, 1);
+    this.metrics.dropped++;
+    console.warn(`⚠️ Cola del mapa llena, descartando ${removed.message.type}`);
+    return removed.message;
+  }
+
+  /**
+   * Take every queued command, most important first (FIFO within a priority)
+   * @returns {Array} Commands
+   */
+  drain() {
+    const messages = [...this.entries]
+      .sort((a, b) => a.priority - b.priority || a.sequence - b.sequence)
+      .map(entry => entry.message);
+
+    this.entries = [];
+    this.metrics.flushed += messages.length;
+    this.metrics.lastFlushAt = new Date().toISOString();
+    this.updateDepth();
+
+    return messages;
+  }
+
+  /**
+   * Queue the recorded map state again, after the page lost it (crash or
+   * reload). Commands already queued for the same key are newer and win.
+   * @returns {number} Commands queued for replay
+   */
+  replayState() {
+    let count = 0;
+
+    this.state.forEach(message => {
+      const key = resolveKey(this.getPolicy(message).coalesce, message);
+      if (key && this.entries.some(entry => entry.key === key)) {
+        return;
+      }
+
+      this.enqueue(message);
+      count++;
+    });
+
+    this.metrics.replayed += count;
+    console.log(`🔁 Reenviando estado del mapa: ${count} mensajes`);
+    return count;
+  }
+
+  clear() {
+    this.entries = [];
+    this.updateDepth();
+  }
+
+  size() {
+    return this.entries.length;
+  }
+
+  getMetrics() {
+    return {
+      ...this.metrics,
+      stateEntries: this.state.size,
+      byPriority: Object.keys(MESSAGE_PRIORITIES).reduce((acc, name) => {
+        acc[name] = this.entries.filter(entry => entry.priority === MESSAGE_PRIORITIES[name]).length;
+        return acc;
+      }, {})
+    };
+  }
+
+  /**
+   * @param {Function} listener - Called with getMetrics() when the depth changes
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  updateDepth() {
+    const depth = this.entries.length;
+    const changed = depth !== this.metrics.depth;
+
+    this.metrics.depth = depth;
+    this.metrics.maxDepth = Math.max(this.metrics.maxDepth, depth);
+
+    if (changed) {
+      const metrics = this.getMetrics();
+      this.listeners.forEach(listener => listener(metrics));
+    }
+  }
+}
+
+export default MapMessageQueue;
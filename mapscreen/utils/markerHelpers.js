@@ -3,6 +3,10 @@
 // PURPOSE: Marker creation and manipulation utilities
 // ============================================================================
 
+import { normalizePackage, normalizePackages, hasCoordinates } from './packageModel';
+import { calculateDistance } from './mapCalculations';
+import { STATUS_DEFINITIONS, getStatusDefinition, isFinalStatus } from './packageStatus';
+
 /**
  * Accuracy levels configuration for location markers
  */
@@ -110,64 +114,203 @@ export const createDestinationMarker = (destination) => {
   };
 };
 
+/**
+ * Package marker icon and color by status (from the status state machine)
+ */
+export const PACKAGE_STATUS_ICONS = Object.fromEntries(
+  Object.entries(STATUS_DEFINITIONS).map(([status, definition]) => [status, definition.icon])
+);
+
+export const PACKAGE_STATUS_COLORS = Object.fromEntries(
+  Object.entries(STATUS_DEFINITIONS).map(([status, definition]) => [status, definition.color])
+);
+
+/**
+ * Packages rendered on the map when no limit is configured
+ */
+export const DEFAULT_MAX_VISIBLE_PACKAGES = 500;
+
+const PRIORITY_RANK = { URGENT: 0, HIGH: 1, MEDIUM: 2, LOW: 3 };
+
+/**
+ * Build the popup description lines of a canonical package
+ */
+const describePackage = (pkg) => [
+  `Estado: ${getStatusDefinition(pkg.status).label}`,
+  `Prioridad: ${pkg.priority}`,
+  pkg.recipientAddress,
+  pkg.carrier ? `Carrier: ${pkg.carrier}` : '',
+  pkg.routeFrom && pkg.routeTo ? `Ruta: ${pkg.routeFrom} → ${pkg.routeTo}` : '',
+  pkg.addressConfidence !== null && pkg.addressConfidence !== undefined
+    ? `Confianza: ${Math.round(pkg.addressConfidence * 100)}%` : '',
+  pkg.greenNumbers?.length ? `Números verdes: ${pkg.greenNumbers.length}` : '',
+  pkg.estimatedDelivery ?
+    `Entrega: ${new Date(pkg.estimatedDelivery).toLocaleString()}` : ''
+].filter(Boolean).join('\n');
+
 /**
  * Create package marker data
- * @param {Object} packageData - Package information
+ * @param {Object} packageData - Package in any supported format (see packageModel)
  * @returns {Object} Marker data ready for map
  */
 export const createPackageMarker = (packageData) => {
-  if (!packageData?.latitude || !packageData?.longitude) {
+  const pkg = normalizePackage(packageData);
+
+  if (!hasCoordinates(pkg)) {
     console.warn('⚠️ Coordenadas de paquete inválidas');
     return null;
   }
 
-  const statusIcons = {
-    OUT_FOR_DELIVERY: '🚚',
-    IN_TRANSIT: '📦',
-    PENDING_PICKUP: '⏳',
-    DELIVERED: '✅',
-    FAILED: '❌'
-  };
-
-  const statusColors = {
-    OUT_FOR_DELIVERY: '#3b82f6',
-    IN_TRANSIT: '#f59e0b',
-    PENDING_PICKUP: '#6b7280',
-    DELIVERED: '#10b981',
-    FAILED: '#ef4444'
-  };
-
-  const status = packageData.status || 'PENDING_PICKUP';
-  const priority = packageData.priority || 'medium';
+  const { status, priority } = pkg;
 
   return {
-    id: `package-${packageData.id || Date.now()}`,
+    id: `package-${pkg.id}`,
     coordinates: {
-      latitude: packageData.latitude,
-      longitude: packageData.longitude
+      latitude: pkg.latitude,
+      longitude: pkg.longitude
     },
-    title: `📦 ${packageData.trackingNumber || 'Paquete'}`,
-    description: [
-      `Estado: ${status.replace(/_/g, ' ')}`,
-      `Prioridad: ${priority.toUpperCase()}`,
-      packageData.address || '',
-      packageData.estimatedDelivery ? 
-        `Entrega: ${new Date(packageData.estimatedDelivery).toLocaleString()}` : ''
-    ].filter(Boolean).join('\n'),
+    title: `📦 ${pkg.trackingNumber}`,
+    description: describePackage(pkg),
     timestamp: new Date().toISOString(),
     isPackage: true,
-    trackingNumber: packageData.trackingNumber,
+    packageId: pkg.id,
+    trackingNumber: pkg.trackingNumber,
     status,
     priority,
+    source: pkg.source,
     style: {
-      icon: statusIcons[status] || '📦',
-      color: statusColors[status] || '#6b7280',
-      size: priority === 'high' ? 'large' : 'medium',
+      icon: getStatusDefinition(status).icon,
+      color: getStatusDefinition(status).color,
+      size: ['URGENT', 'HIGH'].includes(priority) ? 'large' : 'medium',
       showAccuracyCircle: false
     }
   };
 };
 
+/**
+ * Create a GeoJSON Point feature for a package
+ * @param {Object} packageData - Package in any supported format (see packageModel)
+ * @returns {Object|null} Feature, or null when the package has no coordinates
+ */
+export const createPackageFeature = (packageData) => {
+  const pkg = normalizePackage(packageData);
+
+  if (!hasCoordinates(pkg)) {
+    return null;
+  }
+
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'Point',
+      coordinates: [pkg.longitude, pkg.latitude]
+    },
+    properties: {
+      packageId: pkg.id,
+      trackingNumber: pkg.trackingNumber,
+      status: pkg.status,
+      statusGroup: getStatusDefinition(pkg.status).group,
+      final: isFinalStatus(pkg.status),
+      pendingSync: !!pkg.pendingSync,
+      priority: pkg.priority,
+      recipientName: pkg.recipientName,
+      title: `📦 ${pkg.trackingNumber}`,
+      description: describePackage(pkg),
+      color: getStatusDefinition(pkg.status).color,
+      source: pkg.source
+    }
+  };
+};
+
+/**
+ * Create the GeoJSON FeatureCollection rendered by the map's package layers
+ *
+ * When there are more packages than `maxVisiblePackages`, open packages are
+ * kept before closed ones, then by priority and (when the driver location is
+ * known) by distance to the driver.
+ *
+ * @param {Array} packages - Packages in any supported format
+ * @param {Object} options - {maxVisiblePackages, driverLocation}
+ * @returns {Object} {featureCollection, total, hidden}
+ */
+export const createPackageFeatureCollection = (packages, options = {}) => {
+  const {
+    maxVisiblePackages = DEFAULT_MAX_VISIBLE_PACKAGES,
+    driverLocation = null
+  } = options;
+
+  const features = (Array.isArray(packages) ? packages : [])
+    .map(createPackageFeature)
+    .filter(Boolean);
+
+  let visible = features;
+
+  if (maxVisiblePackages > 0 && features.length > maxVisiblePackages) {
+    const rank = (feature) => {
+      const { status, priority } = feature.properties;
+      const [longitude, latitude] = feature.geometry.coordinates;
+
+      return [
+        isFinalStatus(status) ? 1 : 0,
+        PRIORITY_RANK[priority] ?? PRIORITY_RANK.MEDIUM,
+        driverLocation
+          ? calculateDistance(driverLocation.latitude, driverLocation.longitude, latitude, longitude)
+          : 0
+      ];
+    };
+
+    visible = features
+      .map(feature => ({ feature, rank: rank(feature) }))
+      .sort((a, b) => a.rank[0] - b.rank[0] || a.rank[1] - b.rank[1] || a.rank[2] - b.rank[2])
+      .slice(0, maxVisiblePackages)
+      .map(entry => entry.feature);
+  }
+
+  return {
+    featureCollection: {
+      type: 'FeatureCollection',
+      features: visible
+    },
+    total: features.length,
+    hidden: features.length - visible.length
+  };
+};
+
+/**
+ * Statuses that mark a route stop as done (greyed out on the map): the final ones
+ */
+export const COMPLETED_STOP_STATUSES = Object.keys(STATUS_DEFINITIONS).filter(isFinalStatus);
+
+/**
+ * Create the stop list drawn by the map's route layers
+ * @param {Array|Object} route - optimizeRoute() result, its `stops`, or packages in visiting order
+ * @param {Array} packages - Current packages; their status overrides the one stored in the route
+ * @returns {Array} [{packageId, sequence, latitude, longitude, status, completed}]
+ */
+export const createRouteStops = (route, packages = []) => {
+  const entries = Array.isArray(route) ? route : route?.stops || [];
+  const currentById = new Map(normalizePackages(packages).map(pkg => [pkg.id, pkg]));
+
+  return entries.map((entry, index) => {
+    const pkg = normalizePackage(entry.package || entry);
+
+    if (!hasCoordinates(pkg)) {
+      return null;
+    }
+
+    const status = currentById.get(pkg.id)?.status || pkg.status;
+
+    return {
+      packageId: pkg.id,
+      sequence: entry.sequence || index + 1,
+      latitude: pkg.latitude,
+      longitude: pkg.longitude,
+      status,
+      completed: COMPLETED_STOP_STATUSES.includes(status)
+    };
+  }).filter(Boolean);
+};
+
 /**
  * Send marker to WebView map
  * @param {Object} mapRef - WebView reference
@@ -0,0 +1,181 @@
+// ============================================================================
+// FILE: mapscreen/utils/packageConflicts.js
+// PURPOSE: Package versions and conflicts between a change made on the device
+//          and the server's copy: detection, field-level merge and the
+//          resolution policies used when queued changes are replayed
+// ============================================================================
+
+import { getStatusDefinition } from './packageStatus';
+
+/**
+ * What to do when a queued change was made on an older version of the package:
+ *
+ *   server-wins  - Drop the device change, keep the server's package
+ *   client-wins  - Apply the device change on top of the server's package
+ *   merge        - Apply it when it touches other fields than the server
+ *                  changed; ask the driver when both changed the same field
+ *   manual       - Always ask the driver
+ */
+export const CONFLICT_POLICIES = {
+  SERVER_WINS: 'server-wins',
+  CLIENT_WINS: 'client-wins',
+  MERGE: 'merge',
+  MANUAL: 'manual'
+};
+
+export const DEFAULT_CONFLICT_POLICY = CONFLICT_POLICIES.MERGE;
+
+/**
+ * Resolution of a conflict: keep the server's package, send the device
+ * change again on top of it, or wait for the driver
+ */
+export const CONFLICT_RESOLUTIONS = {
+  SERVER: 'server',
+  CLIENT: 'client',
+  MANUAL: 'manual'
+};
+
+// Bookkeeping that changes with every write; never a conflict by itself
+const MERGE_IGNORED_FIELDS = ['version', 'updatedAt', 'statusHistory', 'pendingSync', 'sourceData'];
+
+/**
+ * Version of a package as last seen from its source (number or etag)
+ * @param {Object} pkg - Canonical package
+ * @returns {number|string|null}
+ */
+export const getPackageVersion = (pkg) => (pkg && pkg.version !== undefined ? pkg.version : null);
+
+/**
+ * Package with its version moved forward (for sources that count versions)
+ * @param {Object} pkg - Package
+ * @returns {Object} Package with version + 1
+ */
+export const withNextVersion = (pkg) => ({
+  ...pkg,
+  version: (Number(pkg.version) || 0) + 1
+});
+
+/**
+ * Error for a change made on a version the source no longer has
+ * @param {Object} serverPackage - The source's current package
+ * @param {number|string} baseVersion - Version the change was made on
+ * @returns {Error} VERSION_CONFLICT error with .code, .status, .serverPackage and .baseVersion
+ */
+export const createVersionConflictError = (serverPackage, baseVersion) => {
+  const error = new Error(
+    `VERSION_CONFLICT: package ${serverPackage?.id} is at version ${getPackageVersion(serverPackage)}, change was made on ${baseVersion}`
+  );
+  error.code = 'VERSION_CONFLICT';
+  error.status = 409;
+  error.serverPackage = serverPackage;
+  error.baseVersion = baseVersion;
+  return error;
+};
+
+export const isVersionConflict = (error) => error?.code === 'VERSION_CONFLICT';
+
+/**
+ * Throw VERSION_CONFLICT unless the change was made on the current version.
+ * Changes without a base version (or packages without one) always pass.
+ * @param {Object} current - Package as stored by the source
+ * @param {number|string} baseVersion - Version the change was made on
+ */
+export const assertVersion = (current, baseVersion) => {
+  const currentVersion = getPackageVersion(current);
+
+  if (baseVersion === null || baseVersion === undefined || currentVersion === null) return;
+
+  if (String(currentVersion) !== String(baseVersion)) {
+    throw createVersionConflictError(current, baseVersion);
+  }
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Fields that differ between two copies of a package
+ * @param {Object} from - Earlier copy
+ * @param {Object} to - Later copy
+ * @returns {Array<string>} Field names (bookkeeping fields excluded)
+ */
+export const getChangedFields = (from = {}, to = {}) =>
+  [...new Set([...Object.keys(from || {}), ...Object.keys(to || {})])]
+    .filter(field => !MERGE_IGNORED_FIELDS.includes(field))
+    .filter(field => !sameValue(from?.[field], to?.[field]));
+
+/**
+ * Three-way, field-level merge of the device and server changes made on the
+ * same base package
+ * @param {Object} base - Package the device change was made on
+ * @param {Object} local - Package after the device change
+ * @param {Object} server - The server's current package
+ * @returns {Object} {merged, conflicts: [{field, local, server}]}
+ */
+export const mergePackageChanges = (base, local, server) => {
+  const localFields = getChangedFields(base, local);
+  const serverFields = new Set(getChangedFields(base, server));
+  const merged = { ...server };
+  const conflicts = [];
+
+  localFields.forEach(field => {
+    if (serverFields.has(field) && !sameValue(local[field], server[field])) {
+      conflicts.push({ field, local: local[field], server: server[field] });
+    } else {
+      merged[field] = local[field];
+    }
+  });
+
+  return { merged, conflicts };
+};
+
+/**
+ * Decide what to do with a queued change the server reports as conflicting
+ * @param {string} policy - CONFLICT_POLICIES value
+ * @param {Object} versions - {base, local, server} (see mergePackageChanges)
+ * @returns {Object} {resolution: CONFLICT_RESOLUTIONS value, conflicts}
+ */
+export const chooseConflictResolution = (policy, { base, local, server }) => {
+  switch (policy) {
+    case CONFLICT_POLICIES.SERVER_WINS:
+      return { resolution: CONFLICT_RESOLUTIONS.SERVER, conflicts: [] };
+
+    case CONFLICT_POLICIES.CLIENT_WINS:
+      return { resolution: CONFLICT_RESOLUTIONS.CLIENT, conflicts: [] };
+
+    case CONFLICT_POLICIES.MERGE: {
+      // Without the copies the change was made on there is nothing to merge
+      if (!base || !local || !server) {
+        return { resolution: CONFLICT_RESOLUTIONS.MANUAL, conflicts: [] };
+      }
+
+      const { conflicts } = mergePackageChanges(base, local, server);
+      return {
+        resolution: conflicts.length > 0 ? CONFLICT_RESOLUTIONS.MANUAL : CONFLICT_RESOLUTIONS.CLIENT,
+        conflicts
+      };
+    }
+
+    default: {
+      const { conflicts } = base && local && server
+        ? mergePackageChanges(base, local, server)
+        : { conflicts: [] };
+      return { resolution: CONFLICT_RESOLUTIONS.MANUAL, conflicts };
+    }
+  }
+};
+
+/**
+ * Readable value of a conflicting field for the driver
+ * @param {string} field - Field name
+ * @param {any} value - Field value
+ * @returns {string}
+ */
+export const formatConflictValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'status') {
+    const status = getStatusDefinition(value);
+    return `${status.icon} ${status.label}`;
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
@@ -0,0 +1,244 @@
+// ============================================================================
+// FILE: mapscreen/utils/packageModel.js
+// PURPOSE: Canonical package model and normalizers for every package source
+// ============================================================================
+
+import { normalizeStatus } from './packageStatus';
+
+/**
+ * Canonical package (camelCase, as used by LocalPackageAdapter):
+ *
+ *   id, trackingNumber, status, priority,
+ *   recipientName, recipientPhone, recipientEmail, recipientAddress,
+ *   latitude, longitude, estimatedDelivery, deliveryWindow,
+ *   deliveryInstructions, specialInstructions, customerNotes,
+ *   attempts, maxAttempts, requiresSignature, containsFragile,
+ *   statusHistory (see packageStatus.js),
+ *   version (source version or etag, see packageConflicts.js),
+ *   weight, packageValue, tags, carrier, createdAt, updatedAt,
+ *   geocodingReady, routeViable, addressConfidence, greenNumbers, totalStamps,
+ *   source ('local' | 'sync'), sourceData (original payload for sync packages)
+ */
+
+export const PACKAGE_SOURCES = {
+  LOCAL: 'local',
+  SYNC: 'sync'
+};
+
+const DEFAULT_PRIORITY = 'MEDIUM';
+export const DEFAULT_MAX_ATTEMPTS = 3;
+
+const toUpper = (value, fallback) =>
+  typeof value === 'string' && value.trim() ? value.trim().toUpperCase() : fallback;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toISODate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Check whether a raw package comes from the CartaPorte sync payload
+ * @param {Object} raw - Raw package
+ * @returns {boolean}
+ */
+export const isSyncPackage = (raw) =>
+  !!raw && (
+    raw.tracking_number !== undefined ||
+    raw.location_details !== undefined ||
+    raw.route_summary !== undefined
+  );
+
+/**
+ * Normalize a package in local/adapter format (also accepts the short
+ * `address` field and lowercase priorities used by host apps)
+ * @param {Object} raw - Package in camelCase format
+ * @returns {Object} Canonical package
+ */
+export const normalizeLocalPackage = (raw) => ({
+  ...raw,
+  id: String(raw.id),
+  trackingNumber: raw.trackingNumber || String(raw.id),
+  status: normalizeStatus(raw.status),
+  priority: toUpper(raw.priority, DEFAULT_PRIORITY),
+  recipientName: raw.recipientName || '',
+  recipientAddress: raw.recipientAddress || raw.address || '',
+  latitude: toNumber(raw.latitude),
+  longitude: toNumber(raw.longitude),
+  estimatedDelivery: toISODate(raw.estimatedDelivery),
+  attempts: raw.attempts || 0,
+  maxAttempts: raw.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+  requiresSignature: !!raw.requiresSignature,
+  containsFragile: !!raw.containsFragile,
+  tags: Array.isArray(raw.tags) ? raw.tags : [],
+  version: raw.version ?? raw.etag ?? null,
+  source: raw.source || PACKAGE_SOURCES.LOCAL
+});
+
+/**
+ * Pick the destination coordinates of a sync package, falling back to origin
+ */
+const getSyncCoordinates = (raw) => {
+  const destination = raw.location_details?.destination?.coordinates;
+  const origin = raw.location_details?.origin?.coordinates;
+  const coordinates = destination || origin;
+
+  if (!coordinates) return { latitude: null, longitude: null };
+
+  return {
+    latitude: toNumber(coordinates.latitude),
+    longitude: toNumber(coordinates.longitude)
+  };
+};
+
+/**
+ * Normalize a package from SyncService.syncPackages (snake_case payload)
+ * @param {Object} raw - Package as returned by the sync endpoint
+ * @returns {Object} Canonical package
+ */
+export const normalizeSyncPackage = (raw) => {
+  const { latitude, longitude } = getSyncCoordinates(raw);
+  const destination = raw.location_details?.destination;
+  const greenNumbers = raw.stamps_summary?.green_numbers || [];
+
+  return {
+    id: String(raw.id),
+    trackingNumber: raw.tracking_number || String(raw.id),
+    status: normalizeStatus(raw.status),
+    priority: toUpper(raw.priority, DEFAULT_PRIORITY),
+    recipientName: raw.recipient_name || raw.recipient?.name || '',
+    recipientPhone: raw.phone || null,
+    recipientEmail: raw.recipient_email || null,
+    recipientAddress: destination?.query || raw.destination_short || raw.route_summary?.to || '',
+    latitude,
+    longitude,
+    estimatedDelivery: toISODate(raw.estimated_delivery),
+    deliveryWindow: raw.delivery_window || null,
+    deliveryInstructions: raw.delivery_instructions || null,
+    attempts: raw.attempts || 0,
+    maxAttempts: raw.max_attempts || DEFAULT_MAX_ATTEMPTS,
+    requiresSignature: !!raw.requires_signature,
+    containsFragile: !!raw.contains_fragile,
+    tags: Array.isArray(raw.tags) ? raw.tags : [],
+    carrier: raw.carrier || null,
+    createdAt: toISODate(raw.created_at),
+    updatedAt: toISODate(raw.updated_at),
+    geocodingReady: !!raw.route_summary?.geocoding_ready,
+    routeViable: !!raw.route_summary?.viable,
+    routeFrom: raw.origin_short || raw.route_summary?.from || null,
+    routeTo: raw.destination_short || raw.route_summary?.to || null,
+    addressConfidence: raw.quality?.address_confidence ?? null,
+    greenNumbers,
+    totalStamps: raw.stamps_summary?.total_stamps || 0,
+    version: raw.version ?? raw.etag ?? null,
+    source: PACKAGE_SOURCES.SYNC,
+    sourceData: raw
+  };
+};
+
+/**
+ * Normalize a package from any known source
+ * @param {Object} raw - Raw package
+ * @returns {Object|null} Canonical package, or null when it has no id
+ */
+export const normalizePackage = (raw) => {
+  if (!raw || raw.id === undefined || raw.id === null) {
+    console.warn('⚠️ Paquete sin id, ignorado:', raw?.trackingNumber || raw?.tracking_number);
+    return null;
+  }
+
+  return isSyncPackage(raw) ? normalizeSyncPackage(raw) : normalizeLocalPackage(raw);
+};
+
+/**
+ * Normalize a list of packages, dropping invalid entries
+ * @param {Array} packages - Raw packages
+ * @returns {Array} Canonical packages
+ */
+export const normalizePackages = (packages) => {
+  if (!Array.isArray(packages)) return [];
+  return packages.map(normalizePackage).filter(Boolean);
+};
+
+/**
+ * Check whether a package can be placed on the map
+ * @param {Object} pkg - Canonical package
+ * @returns {boolean}
+ */
+export const hasCoordinates = (pkg) =>
+  typeof pkg?.latitude === 'number' && typeof pkg?.longitude === 'number';
+
+/**
+ * Readable delivery window: daily ones ("09:00-18:00") as they are, dated
+ * ones ({start, end}) with their day
+ * @param {string|Object} deliveryWindow - Package delivery window
+ * @returns {string|null}
+ */
+export const formatDeliveryWindow = (deliveryWindow) => {
+  if (!deliveryWindow) return null;
+  if (typeof deliveryWindow === 'string') return deliveryWindow;
+
+  const start = new Date(deliveryWindow.start);
+  const end = new Date(deliveryWindow.end);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return null;
+
+  const time = { hour: '2-digit', minute: '2-digit' };
+  return `${start.toLocaleDateString()} ${start.toLocaleTimeString([], time)}-${end.toLocaleTimeString([], time)}`;
+};
+
+/**
+ * Delivery details the driver needs at the door
+ * @param {Object} pkg - Canonical package
+ * @returns {Object} {recipient, instructions, deliveryWindow, requiresSignature,
+ *                    containsFragile, attempts, maxAttempts, attemptsLeft}
+ */
+export const getPackageDeliveryDetails = (pkg) => {
+  const attempts = pkg.attempts || 0;
+  const maxAttempts = pkg.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+
+  return {
+    recipient: {
+      name: pkg.recipientName || '',
+      phone: pkg.recipientPhone || null,
+      address: pkg.recipientAddress || ''
+    },
+    // Most specific first; duplicates between sources are dropped
+    instructions: [pkg.deliveryInstructions, pkg.specialInstructions, pkg.customerNotes]
+      .filter((text, index, all) => typeof text === 'string' && text.trim() && all.indexOf(text) === index),
+    deliveryWindow: formatDeliveryWindow(pkg.deliveryWindow),
+    requiresSignature: !!pkg.requiresSignature,
+    containsFragile: !!pkg.containsFragile,
+    attempts,
+    maxAttempts,
+    attemptsLeft: Math.max(0, maxAttempts - attempts)
+  };
+};
+
+/**
+ * Merge incoming packages into an existing list by id (incoming wins)
+ * @param {Array} current - Current canonical packages
+ * @param {Array} incoming - Incoming canonical packages
+ * @returns {Array} Merged list, keeping the original order for known ids
+ */
+export const mergePackageLists = (current, incoming) => {
+  const incomingById = new Map(incoming.map(pkg => [pkg.id, pkg]));
+
+  const merged = current.map(pkg =>
+    incomingById.has(pkg.id) ? { ...pkg, ...incomingById.get(pkg.id) } : pkg
+  );
+
+  const knownIds = new Set(current.map(pkg => pkg.id));
+  incoming.forEach(pkg => {
+    if (!knownIds.has(pkg.id)) {
+      merged.push(pkg);
+    }
+  });
+
+  return merged;
+};
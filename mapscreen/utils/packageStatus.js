@@ -0,0 +1,187 @@
+// ============================================================================
+// FILE: mapscreen/utils/packageStatus.js
+// PURPOSE: Package status state machine: the known statuses, their labels,
+//          icons and colors, the legal transitions and the status history
+// ============================================================================
+
+export const PACKAGE_STATUSES = {
+  PENDING: 'PENDING',
+  ASSIGNED: 'ASSIGNED',
+  PENDING_PICKUP: 'PENDING_PICKUP',
+  IN_TRANSIT: 'IN_TRANSIT',
+  OUT_FOR_DELIVERY: 'OUT_FOR_DELIVERY',
+  ATTEMPTED: 'ATTEMPTED',
+  DELIVERED: 'DELIVERED',
+  FAILED: 'FAILED',
+  RETURN_TO_SENDER: 'RETURN_TO_SENDER',
+  CANCELLED: 'CANCELLED'
+};
+
+const S = PACKAGE_STATUSES;
+
+/**
+ * Per status:
+ *   label  - Shown to the driver
+ *   icon   - Marker / chip icon
+ *   color  - Marker / chip color
+ *   group  - Bucket used by the delivery stats
+ *   next   - Statuses it may move to; none means the status is final
+ */
+export const STATUS_DEFINITIONS = {
+  [S.PENDING]: {
+    label: 'Pendiente', icon: '🕓', color: '#94a3b8', group: 'pending',
+    next: [S.ASSIGNED, S.PENDING_PICKUP, S.IN_TRANSIT, S.CANCELLED]
+  },
+  [S.ASSIGNED]: {
+    label: 'Asignado', icon: '📋', color: '#6366f1', group: 'pending',
+    next: [S.PENDING, S.PENDING_PICKUP, S.IN_TRANSIT, S.OUT_FOR_DELIVERY, S.CANCELLED]
+  },
+  [S.PENDING_PICKUP]: {
+    label: 'Por recolectar', icon: '⏳', color: '#6b7280', group: 'pending',
+    next: [S.IN_TRANSIT, S.OUT_FOR_DELIVERY, S.CANCELLED]
+  },
+  [S.IN_TRANSIT]: {
+    label: 'En tránsito', icon: '📦', color: '#f59e0b', group: 'inTransit',
+    next: [S.OUT_FOR_DELIVERY, S.DELIVERED, S.ATTEMPTED, S.FAILED, S.RETURN_TO_SENDER]
+  },
+  [S.OUT_FOR_DELIVERY]: {
+    label: 'En reparto', icon: '🚚', color: '#3b82f6', group: 'outForDelivery',
+    next: [S.DELIVERED, S.ATTEMPTED, S.FAILED, S.RETURN_TO_SENDER]
+  },
+  [S.ATTEMPTED]: {
+    label: 'Intento fallido', icon: '⚠️', color: '#f97316', group: 'attempted',
+    next: [S.OUT_FOR_DELIVERY, S.ATTEMPTED, S.DELIVERED, S.FAILED, S.RETURN_TO_SENDER]
+  },
+  [S.DELIVERED]: {
+    label: 'Entregado', icon: '✅', color: '#10b981', group: 'delivered',
+    next: []
+  },
+  [S.FAILED]: {
+    label: 'Fallido', icon: '❌', color: '#ef4444', group: 'failed',
+    next: []
+  },
+  [S.RETURN_TO_SENDER]: {
+    label: 'Devolver al remitente', icon: '↩️', color: '#8b5cf6', group: 'returned',
+    next: []
+  },
+  [S.CANCELLED]: {
+    label: 'Cancelado', icon: '🚫', color: '#9ca3af', group: 'cancelled',
+    next: []
+  }
+};
+
+/**
+ * Spellings other systems use for the same statuses
+ */
+export const STATUS_ALIASES = {
+  RETURNED: S.RETURN_TO_SENDER,
+  CANCELED: S.CANCELLED
+};
+
+const UNKNOWN_STATUS = { label: null, icon: '📦', color: '#6b7280', group: 'other', next: [] };
+
+/**
+ * Canonical status for a raw value (uppercased, aliases resolved)
+ * @param {string} status - Raw status
+ * @param {string} fallback - Used when the value is empty
+ * @returns {string}
+ */
+export const normalizeStatus = (status, fallback = S.PENDING) => {
+  if (typeof status !== 'string' || !status.trim()) return fallback;
+
+  const upper = status.trim().toUpperCase();
+  return STATUS_ALIASES[upper] || upper;
+};
+
+export const isKnownStatus = (status) => !!STATUS_DEFINITIONS[status];
+
+/**
+ * Definition of a status; unknown ones get a neutral look and their own name as label
+ * @param {string} status - Status
+ * @returns {Object} {label, icon, color, group, next}
+ */
+export const getStatusDefinition = (status) =>
+  STATUS_DEFINITIONS[status] || { ...UNKNOWN_STATUS, label: String(status || '').replace(/_/g, ' ') };
+
+/**
+ * Whether nothing else can happen to a package in this status
+ * @param {string} status - Status
+ * @returns {boolean}
+ */
+export const isFinalStatus = (status) => isKnownStatus(status) && STATUS_DEFINITIONS[status].next.length === 0;
+
+/**
+ * @param {string} status - Current status
+ * @returns {Array} Statuses it may move to
+ */
+export const getAllowedTransitions = (status) => (isKnownStatus(status) ? [...STATUS_DEFINITIONS[status].next] : []);
+
+/**
+ * Whether a package may move from one status to another. Setting the same
+ * status again is allowed; so is leaving a status this module doesn't know
+ * (packages from other systems), but only towards a known one.
+ * @param {string} rawFrom - Current status, as stored (normalized here)
+ * @param {string} to - New status
+ * @returns {boolean}
+ */
+export const canTransition = (rawFrom, to) => {
+  const from = normalizeStatus(rawFrom);
+
+  if (!isKnownStatus(to)) return false;
+  if (from === to || !isKnownStatus(from)) return true;
+  return STATUS_DEFINITIONS[from].next.includes(to);
+};
+
+/**
+ * Throw unless the transition is legal
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ */
+export const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    const error = new Error(`INVALID_STATUS_TRANSITION: ${from} -> ${to}`);
+    error.code = 'INVALID_STATUS_TRANSITION';
+    error.from = from;
+    error.to = to;
+    throw error;
+  }
+};
+
+/**
+ * Package with a new status and the change appended to pkg.statusHistory
+ * ([{from, to, at, ...details}], oldest first)
+ * @param {Object} pkg - Package
+ * @param {string} status - New status
+ * @param {Object} details - Extra fields for the history entry ({at} overrides the time)
+ * @returns {Object} Updated package; throws INVALID_STATUS_TRANSITION
+ */
+export const applyStatusChange = (pkg, status, details = {}) => {
+  assertTransition(pkg.status, status);
+
+  const { at = new Date().toISOString(), ...extra } = details;
+
+  return {
+    ...pkg,
+    status,
+    updatedAt: at,
+    statusHistory: [...(pkg.statusHistory || []), { from: pkg.status || null, to: status, at, ...extra }]
+  };
+};
+
+/**
+ * Count packages per status group
+ * @param {Array} packages - Canonical packages
+ * @returns {Object} {pending, inTransit, outForDelivery, attempted, delivered, failed, returned, cancelled, other}
+ */
+export const countByStatusGroup = (packages = []) => {
+  const counts = Object.values(STATUS_DEFINITIONS).reduce((acc, definition) => {
+    acc[definition.group] = 0;
+    return acc;
+  }, { other: 0 });
+
+  packages.forEach(pkg => {
+    counts[getStatusDefinition(pkg.status).group]++;
+  });
+
+  return counts;
+};
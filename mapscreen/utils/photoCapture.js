@@ -0,0 +1,50 @@
+// ============================================================================
+// FILE: mapscreen/utils/photoCapture.js
+// PURPOSE: Camera capture for delivery evidence (proof of delivery, failed
+//          attempts) through the optional expo-image-picker module
+// ============================================================================
+
+// Photos are optional: without the camera module the forms work without them
+let ImagePicker = null;
+try {
+  ImagePicker = require('expo-image-picker');
+} catch (error) {
+  console.warn('expo-image-picker not found, photo capture disabled');
+}
+
+export const PHOTO_CAPTURE_OPTIONS = {
+  mediaTypes: ['images'],
+  quality: 0.5,
+  base64: true
+};
+
+export const isPhotoCaptureAvailable = () => !!ImagePicker;
+
+/**
+ * Take a photo with the camera
+ * @returns {Promise<Object|null>} {uri, width, height, mimeType, base64}, or null if cancelled
+ */
+export const capturePhoto = async () => {
+  if (!ImagePicker) {
+    throw new Error('CAMERA_UNAVAILABLE: expo-image-picker is not installed');
+  }
+
+  const permission = await ImagePicker.requestCameraPermissionsAsync();
+  if (!permission.granted) {
+    throw new Error('CAMERA_PERMISSION: camera access was denied');
+  }
+
+  const result = await ImagePicker.launchCameraAsync(PHOTO_CAPTURE_OPTIONS);
+  if (result.canceled || !result.assets?.length) {
+    return null;
+  }
+
+  const [asset] = result.assets;
+  return {
+    uri: asset.uri,
+    width: asset.width,
+    height: asset.height,
+    mimeType: asset.mimeType,
+    base64: asset.base64
+  };
+};
@@ -0,0 +1,119 @@
+// ============================================================================
+// FILE: mapscreen/utils/proofOfDelivery.js
+// PURPOSE: Proof of delivery (signature, photos, recipient name, GPS fix)
+//          model and the rules that gate marking a package DELIVERED
+// ============================================================================
+
+/**
+ * Proof of delivery, as stored with the package (pkg.proofOfDelivery):
+ *
+ *   recipientName  - Who received the package
+ *   signature      - PNG data URI drawn by the recipient, or null
+ *   photos         - [{uri, width, height, mimeType, data}] (data: base64, for upload)
+ *   location       - {latitude, longitude, accuracy, timestamp} at delivery, or null
+ *   capturedAt     - ISO timestamp
+ */
+
+export const POD_LIMITS = {
+  maxPhotos: 3,
+  minRecipientNameLength: 2
+};
+
+export const POD_ERRORS = {
+  SIGNATURE_REQUIRED: 'SIGNATURE_REQUIRED',
+  RECIPIENT_NAME_REQUIRED: 'RECIPIENT_NAME_REQUIRED',
+  TOO_MANY_PHOTOS: 'TOO_MANY_PHOTOS'
+};
+
+/**
+ * Location reported with a delivery event, or null without a usable fix
+ */
+export const normalizeLocation = (location) => {
+  if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') {
+    return null;
+  }
+
+  return {
+    latitude: location.latitude,
+    longitude: location.longitude,
+    accuracy: typeof location.accuracy === 'number' ? location.accuracy : null,
+    timestamp: location.timestamp ? new Date(location.timestamp).toISOString() : new Date().toISOString()
+  };
+};
+
+/**
+ * Photo as captured by expo-image-picker, in the shape stored with the package
+ */
+export const normalizePhoto = (photo) => ({
+  uri: photo.uri,
+  width: photo.width || null,
+  height: photo.height || null,
+  mimeType: photo.mimeType || 'image/jpeg',
+  data: photo.data || photo.base64 || null
+});
+
+/**
+ * Build a proof of delivery from what the form captured
+ * @param {Object} input - {recipientName, signature, photos, location}
+ * @returns {Object} Proof of delivery
+ */
+export const createProofOfDelivery = (input = {}) => ({
+  recipientName: typeof input.recipientName === 'string' ? input.recipientName.trim() : '',
+  signature: typeof input.signature === 'string' && input.signature.startsWith('data:image/') ? input.signature : null,
+  photos: Array.isArray(input.photos) ? input.photos.filter(photo => photo && photo.uri).map(normalizePhoto) : [],
+  location: normalizeLocation(input.location),
+  capturedAt: new Date().toISOString()
+});
+
+/**
+ * Check a proof of delivery against the package's requirements
+ * @param {Object} pkg - Canonical package
+ * @param {Object} proof - Proof of delivery (see createProofOfDelivery)
+ * @returns {Object} {isValid, errors: [{code, message}]}
+ */
+export const validateProofOfDelivery = (pkg, proof) => {
+  const errors = [];
+
+  if (pkg?.requiresSignature && !proof?.signature) {
+    errors.push({ code: POD_ERRORS.SIGNATURE_REQUIRED, message: 'Este paquete requiere la firma del destinatario' });
+  }
+
+  // A signature without a printed name can't be attributed to anyone
+  const name = proof?.recipientName || '';
+  if ((pkg?.requiresSignature || proof?.signature) && name.length < POD_LIMITS.minRecipientNameLength) {
+    errors.push({ code: POD_ERRORS.RECIPIENT_NAME_REQUIRED, message: 'Escribe el nombre de quien recibe' });
+  }
+
+  if ((proof?.photos || []).length > POD_LIMITS.maxPhotos) {
+    errors.push({ code: POD_ERRORS.TOO_MANY_PHOTOS, message: `Máximo ${POD_LIMITS.maxPhotos} fotos` });
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Throw unless the package may be marked DELIVERED with this proof
+ * @param {Object} pkg - Canonical package
+ * @param {Object|null} proof - Proof of delivery, if any
+ */
+export const assertCanMarkDelivered = (pkg, proof = null) => {
+  const { isValid, errors } = validateProofOfDelivery(pkg, proof);
+
+  if (!isValid) {
+    const error = new Error(`PROOF_OF_DELIVERY_INVALID: ${errors.map(e => e.message).join('; ')}`);
+    error.code = errors[0].code;
+    error.errors = errors;
+    throw error;
+  }
+};
+
+/**
+ * Proof as kept on the device: photo data stays out of local storage,
+ * the file URI is enough to show it
+ * @param {Object} proof - Proof of delivery
+ * @returns {Object} Proof without photo data
+ */
+export const toStoredProofOfDelivery = (proof) => ({
+  ...proof,
+  photos: (proof.photos || []).map(({ data, ...photo }) => photo)
+});
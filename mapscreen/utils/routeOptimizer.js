@@ -0,0 +1,348 @@
+// ============================================================================
+// FILE: mapscreen/utils/routeOptimizer.js
+// PURPOSE: Offline stop sequencing (nearest neighbour + 2-opt) with ETAs
+// ============================================================================
+
+import { calculateDistance } from './mapCalculations';
+import { normalizePackage, hasCoordinates } from './packageModel';
+import { isFinalStatus } from './packageStatus';
+
+/**
+ * Default optimizer settings
+ */
+export const ROUTE_DEFAULTS = {
+  averageSpeedKmh: 25,      // Urban delivery speed used for ETAs
+  serviceTimeMinutes: 5,    // Time spent at each stop
+  maxImprovementPasses: 50, // Upper bound for 2-opt passes per priority group
+  respectPriority: true     // URGENT stops are always visited first
+};
+
+/**
+ * Matrix id used for the start location in `options.matrix`
+ */
+export const ROUTE_START_ID = '__start__';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Parse a delivery window into absolute timestamps
+ *
+ * Accepts 'HH:MM-HH:MM' (local time on the route's day) or
+ * { start, end } with ISO dates or 'HH:MM' strings.
+ *
+ * @param {string|Object} deliveryWindow - Delivery window
+ * @param {Date} day - Route start date, used for time-of-day windows
+ * @returns {Object|null} {start, end} in ms, or null when absent/invalid
+ */
+export const parseDeliveryWindow = (deliveryWindow, day = new Date()) => {
+  if (!deliveryWindow) return null;
+
+  const toTime = (value) => {
+    if (typeof value !== 'string') return null;
+
+    const match = value.trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (match) {
+      const date = new Date(day);
+      date.setHours(Number(match[1]), Number(match[2]), 0, 0);
+      return date.getTime();
+    }
+
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? null : time;
+  };
+
+  const [start, end] = typeof deliveryWindow === 'string'
+    ? deliveryWindow.split('-').map(toTime)
+    : [toTime(deliveryWindow.start), toTime(deliveryWindow.end)];
+
+  if (start === null || end === null || end < start) {
+    return null;
+  }
+
+  return { start, end };
+};
+
+/**
+ * Get the reason a package cannot be routed, or null when it can
+ * @param {Object} pkg - Canonical package
+ * @returns {string|null} 'CLOSED' | 'MAX_ATTEMPTS' | 'NO_COORDINATES' | null
+ */
+export const getUnroutableReason = (pkg) => {
+  if (isFinalStatus(pkg.status)) return 'CLOSED';
+  if (pkg.maxAttempts && pkg.attempts >= pkg.maxAttempts) return 'MAX_ATTEMPTS';
+  if (!hasCoordinates(pkg)) return 'NO_COORDINATES';
+  return null;
+};
+
+/**
+ * Build distance (m) and travel time (ms) matrices for the given points,
+ * using the road table from `settings.matrix` where it has an entry and
+ * haversine distance at `averageSpeedKmh` elsewhere
+ */
+const buildGraph = (points, startId, settings) => {
+  const metersPerMs = (settings.averageSpeedKmh * 1000) / (60 * MINUTE);
+  const table = settings.matrix;
+  const position = table ? new Map(table.ids.map((id, i) => [String(id), i])) : null;
+  const ids = points.map((point, i) => (startId && i === points.length - 1 ? startId : point.id));
+
+  const lookup = (values, a, b) => {
+    if (!position || !values) return null;
+    const i = position.get(ids[a]);
+    const j = position.get(ids[b]);
+    const value = i === undefined || j === undefined ? null : values[i]?.[j];
+    return typeof value === 'number' ? value : null;
+  };
+
+  const distances = points.map((a, i) => points.map((b, j) => {
+    if (i === j) return 0;
+    return lookup(table?.distances, i, j) ?? calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude);
+  }));
+
+  const times = points.map((a, i) => points.map((b, j) => {
+    const seconds = lookup(table?.durations, i, j);
+    return seconds !== null ? seconds * 1000 : distances[i][j] / metersPerMs;
+  }));
+
+  return { distances, times };
+};
+
+/**
+ * Walk a sequence and compute travel, waiting and lateness per stop
+ */
+const simulate = (sequence, stops, graph, startIndex, startTime, settings) => {
+  const serviceTime = settings.serviceTimeMinutes * MINUTE;
+
+  let time = startTime;
+  let from = startIndex;
+  let distance = 0;
+  let lateness = 0;
+
+  const schedule = sequence.map(index => {
+    const legDistance = from === null ? 0 : graph.distances[from][index];
+    const stop = stops[index];
+
+    distance += legDistance;
+    time += from === null ? 0 : graph.times[from][index];
+
+    const arrival = time;
+    const waitTime = stop.window && time < stop.window.start ? stop.window.start - time : 0;
+    time += waitTime;
+
+    const late = !!stop.window && time > stop.window.end;
+    if (late) {
+      lateness += time - stop.window.end;
+    }
+
+    const eta = time;
+    time += serviceTime;
+    from = index;
+
+    return { index, legDistance, cumulativeDistance: distance, arrival, eta, waitTime, late };
+  });
+
+  return { schedule, distance, lateness, endTime: time, endIndex: from };
+};
+
+/**
+ * Build a sequence by always moving to the cheapest next stop: travel time
+ * plus waiting, with stops that would be late pushed to the end
+ */
+const nearestNeighbour = (group, stops, graph, startIndex, startTime, settings) => {
+  const serviceTime = settings.serviceTimeMinutes * MINUTE;
+  const remaining = new Set(group);
+  const sequence = [];
+
+  let from = startIndex;
+  let time = startTime;
+
+  while (remaining.size > 0) {
+    let best = null;
+    let bestCost = Infinity;
+
+    remaining.forEach(index => {
+      const stop = stops[index];
+      const travel = from === null ? 0 : graph.times[from][index];
+      const arrival = time + travel;
+      const wait = stop.window && arrival < stop.window.start ? stop.window.start - arrival : 0;
+      const late = stop.window && arrival + wait > stop.window.end;
+      // Prefer stops whose window closes first when travel costs are similar
+      const urgency = stop.window ? (stop.window.end - time) / 1000 : 0;
+      const cost = travel + wait + (late ? 1e12 : 0) + urgency * 1e-3;
+
+      if (cost < bestCost) {
+        bestCost = cost;
+        best = index;
+      }
+    });
+
+    const travel = from === null ? 0 : graph.times[from][best];
+    const stop = stops[best];
+    time += travel;
+    if (stop.window && time < stop.window.start) {
+      time = stop.window.start;
+    }
+    time += serviceTime;
+
+    sequence.push(best);
+    remaining.delete(best);
+    from = best;
+  }
+
+  return sequence;
+};
+
+/**
+ * Improve a sequence with 2-opt moves. Only moves that shorten the route
+ * are tried, and they are kept when they do not make lateness worse.
+ */
+const twoOpt = (sequence, stops, graph, startIndex, startTime, settings) => {
+  const matrix = graph.distances;
+  if (sequence.length < 3) return sequence;
+
+  const hasWindows = sequence.some(index => stops[index].window);
+  let best = [...sequence];
+  let bestResult = simulate(best, stops, graph, startIndex, startTime, settings);
+
+  for (let pass = 0; pass < settings.maxImprovementPasses; pass++) {
+    let improved = false;
+
+    for (let i = 0; i < best.length - 1; i++) {
+      for (let k = i + 1; k < best.length; k++) {
+        const before = i === 0 ? startIndex : best[i - 1];
+        const after = k === best.length - 1 ? null : best[k + 1];
+
+        const removed = (before === null ? 0 : matrix[before][best[i]]) +
+          (after === null ? 0 : matrix[best[k]][after]);
+        const added = (before === null ? 0 : matrix[before][best[k]]) +
+          (after === null ? 0 : matrix[best[i]][after]);
+        const delta = added - removed;
+
+        if (delta >= -1e-6) {
+          continue;
+        }
+
+        const candidate = [
+          ...best.slice(0, i),
+          ...best.slice(i, k + 1).reverse(),
+          ...best.slice(k + 1)
+        ];
+
+        const result = hasWindows
+          ? simulate(candidate, stops, graph, startIndex, startTime, settings)
+          : { distance: bestResult.distance + delta, lateness: 0 };
+
+        if (result.lateness <= bestResult.lateness) {
+          best = candidate;
+          bestResult = result;
+          improved = true;
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return best;
+};
+
+/**
+ * Order the day's stops
+ *
+ * Open packages with coordinates are sequenced per priority group (URGENT
+ * first when `respectPriority` is set), each group with nearest neighbour
+ * followed by 2-opt. Packages that are closed, out of attempts or without
+ * coordinates are returned in `skipped`.
+ *
+ * Distances are straight-line (haversine) unless `options.matrix` carries a
+ * road table: { ids, distances (m), durations (s) }, where ids are package
+ * ids plus ROUTE_START_ID for the start location (see RoutingService).
+ *
+ * @param {Array} packages - Packages in any supported format (see packageModel)
+ * @param {Object} options - {startLocation, startTime, averageSpeedKmh, serviceTimeMinutes, maxImprovementPasses, respectPriority, matrix}
+ * @returns {Object} {stops, skipped, totalDistance, totalDuration, lateStops}
+ */
+export const optimizeRoute = (packages, options = {}) => {
+  const settings = { ...ROUTE_DEFAULTS, ...options };
+  const startDate = settings.startTime ? new Date(settings.startTime) : new Date();
+  const startTime = startDate.getTime();
+  const startLocation = hasCoordinates(settings.startLocation) ? settings.startLocation : null;
+
+  const stops = [];
+  const skipped = [];
+
+  (Array.isArray(packages) ? packages : []).forEach(raw => {
+    const pkg = normalizePackage(raw);
+    if (!pkg) return;
+
+    const reason = getUnroutableReason(pkg);
+    if (reason) {
+      skipped.push({ package: pkg, reason });
+      return;
+    }
+
+    stops.push({ package: pkg, window: parseDeliveryWindow(pkg.deliveryWindow, startDate) });
+  });
+
+  if (stops.length === 0) {
+    return { stops: [], skipped, totalDistance: 0, totalDuration: 0, lateStops: 0 };
+  }
+
+  // Distance/time matrices; the start location (if any) is the last row/column
+  const points = stops.map(stop => stop.package);
+  if (startLocation) points.push(startLocation);
+
+  const graph = buildGraph(points, startLocation ? ROUTE_START_ID : null, settings);
+
+  const groups = settings.respectPriority
+    ? [
+        stops.map((s, i) => i).filter(i => stops[i].package.priority === 'URGENT'),
+        stops.map((s, i) => i).filter(i => stops[i].package.priority !== 'URGENT')
+      ].filter(group => group.length > 0)
+    : [stops.map((s, i) => i)];
+
+  let from = startLocation ? stops.length : null;
+  let time = startTime;
+  const sequence = [];
+
+  groups.forEach(group => {
+    const initial = nearestNeighbour(group, stops, graph, from, time, settings);
+    const improved = twoOpt(initial, stops, graph, from, time, settings);
+    const result = simulate(improved, stops, graph, from, time, settings);
+
+    sequence.push(...improved);
+    from = result.endIndex;
+    time = result.endTime;
+  });
+
+  const { schedule, distance, endTime } = simulate(
+    sequence, stops, graph, startLocation ? stops.length : null, startTime, settings
+  );
+
+  const orderedStops = schedule.map((entry, position) => {
+    const stop = stops[entry.index];
+
+    return {
+      sequence: position + 1,
+      package: stop.package,
+      legDistance: Math.round(entry.legDistance),
+      cumulativeDistance: Math.round(entry.cumulativeDistance),
+      arrival: new Date(entry.arrival).toISOString(),
+      eta: new Date(entry.eta).toISOString(),
+      waitMinutes: Math.round(entry.waitTime / MINUTE),
+      window: stop.window
+        ? { start: new Date(stop.window.start).toISOString(), end: new Date(stop.window.end).toISOString() }
+        : null,
+      late: entry.late
+    };
+  });
+
+  return {
+    stops: orderedStops,
+    skipped,
+    totalDistance: Math.round(distance),
+    totalDuration: Math.round((endTime - startTime) / MINUTE),
+    lateStops: orderedStops.filter(stop => stop.late).length
+  };
+};
+
+export default optimizeRoute;
@@ -312,6 +312,362 @@ export const createMapScreenStyles = (theme = 'light') => {
       fontFamily: typography.fontFamilies.mono,
       marginBottom: 2,
     },
+    settingsPanel: {
+      position: 'absolute',
+      left: spacing.lg,
+      right: spacing.lg,
+      bottom: 120,
+      backgroundColor: colors.surfaceElevated,
+      padding: spacing.lg,
+      borderRadius: borderRadius.xl,
+      zIndex: 1000,
+      ...elevation.lg,
+    },
+    settingsTitle: {
+      color: colors.textSecondary,
+      fontSize: typography.sizes.xs,
+      fontWeight: typography.weights.semibold,
+      textTransform: 'uppercase',
+      marginBottom: spacing.sm,
+    },
+    styleOptions: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+    },
+    styleOption: {
+      flex: 1,
+      alignItems: 'center',
+      paddingVertical: spacing.sm,
+      marginHorizontal: spacing.xs,
+      borderRadius: borderRadius.md,
+      borderWidth: 2,
+      borderColor: colors.border,
+    },
+    styleOptionActive: {
+      borderColor: colors.primary,
+      backgroundColor: colors.primarySubtle,
+    },
+    styleOptionIcon: {
+      fontSize: typography.sizes.lg,
+      marginBottom: spacing.xs,
+    },
+    styleOptionLabel: {
+      color: colors.text,
+      fontSize: typography.sizes.sm,
+      fontWeight: typography.weights.medium,
+    },
+  });
+};
+
+// ============================================================================
+// PACKAGE DETAIL SHEET STYLES
+// ============================================================================
+
+export const createPackageDetailSheetStyles = (theme = 'light') => {
+  const colors = getThemeColors(theme);
+  const { spacing, borderRadius, elevation, typography } = designTokens;
+
+  return StyleSheet.create({
+    sheet: {
+      position: 'absolute',
+      left: 0,
+      right: 0,
+      bottom: 0,
+      maxHeight: '70%',
+      backgroundColor: colors.surface,
+      borderTopLeftRadius: borderRadius['2xl'],
+      borderTopRightRadius: borderRadius['2xl'],
+      paddingHorizontal: spacing.lg,
+      paddingBottom: spacing.xl,
+      zIndex: 1100,
+      ...elevation.lg,
+    },
+    handle: {
+      alignSelf: 'center',
+      width: 40,
+      height: 4,
+      borderRadius: borderRadius.full,
+      backgroundColor: colors.borderMedium,
+      marginVertical: spacing.sm,
+    },
+    header: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginBottom: spacing.md,
+    },
+    headerText: {
+      flex: 1,
+    },
+    trackingNumber: {
+      color: colors.text,
+      fontSize: typography.sizes.md,
+      fontWeight: typography.weights.bold,
+    },
+    statusChip: {
+      alignSelf: 'flex-start',
+      marginTop: spacing.xs,
+      paddingHorizontal: spacing.sm,
+      paddingVertical: 2,
+      borderRadius: borderRadius.full,
+    },
+    statusChipText: {
+      color: colors.textInverse,
+      fontSize: typography.sizes.xs,
+      fontWeight: typography.weights.semibold,
+    },
+    closeButton: {
+      width: 32,
+      height: 32,
+      borderRadius: borderRadius.full,
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: colors.surfaceHighlight,
+    },
+    closeIcon: {
+      color: colors.textSecondary,
+      fontSize: typography.sizes.base,
+    },
+    section: {
+      marginBottom: spacing.md,
+    },
+    sectionTitle: {
+      color: colors.textSecondary,
+      fontSize: typography.sizes.xs,
+      fontWeight: typography.weights.semibold,
+      textTransform: 'uppercase',
+      marginBottom: spacing.xs,
+    },
+    bodyText: {
+      color: colors.text,
+      fontSize: typography.sizes.sm,
+      lineHeight: typography.sizes.sm * typography.lineHeights.normal,
+    },
+    secondaryText: {
+      color: colors.textSecondary,
+      fontSize: typography.sizes.sm,
+    },
+    badges: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      marginBottom: spacing.md,
+    },
+    badge: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingHorizontal: spacing.sm,
+      paddingVertical: spacing.xs,
+      marginRight: spacing.sm,
+      marginBottom: spacing.xs,
+      borderRadius: borderRadius.sm,
+      backgroundColor: colors.surfaceHighlight,
+    },
+    badgeWarning: {
+      backgroundColor: colors.warningSubtle,
+    },
+    badgeText: {
+      color: colors.text,
+      fontSize: typography.sizes.xs,
+      fontWeight: typography.weights.medium,
+    },
+    timelineEntry: {
+      flexDirection: 'row',
+      paddingBottom: spacing.sm,
+    },
+    timelineDot: {
+      width: 10,
+      height: 10,
+      marginTop: spacing.xs,
+      marginRight: spacing.sm,
+      borderRadius: borderRadius.full,
+    },
+    timelineContent: {
+      flex: 1,
+    },
+    actions: {
+      flexDirection: 'row',
+      marginTop: spacing.sm,
+    },
+    actionButton: {
+      flex: 1,
+      alignItems: 'center',
+      justifyContent: 'center',
+      paddingVertical: spacing.md,
+      marginHorizontal: spacing.xs,
+      borderRadius: borderRadius.button,
+    },
+    actionButtonDisabled: {
+      opacity: 0.5,
+    },
+    actionIcon: {
+      fontSize: typography.sizes.md,
+      marginBottom: 2,
+    },
+    actionLabel: {
+      color: colors.textInverse,
+      fontSize: typography.sizes.sm,
+      fontWeight: typography.weights.semibold,
+    },
+  });
+};
+
+// ============================================================================
+// MODAL FORM STYLES (proof of delivery, failed attempt, sync conflict)
+// ============================================================================
+
+export const createModalFormStyles = (theme = 'light') => {
+  const colors = getThemeColors(theme);
+  const { spacing, borderRadius, typography } = designTokens;
+
+  return StyleSheet.create({
+    backdrop: {
+      flex: 1,
+      justifyContent: 'flex-end',
+      backgroundColor: colors.scrim,
+    },
+    container: {
+      backgroundColor: colors.surface,
+      borderTopLeftRadius: borderRadius['2xl'],
+      borderTopRightRadius: borderRadius['2xl'],
+      padding: spacing.lg,
+      paddingBottom: spacing.xl,
+    },
+    title: {
+      color: colors.text,
+      fontSize: typography.sizes.lg,
+      fontWeight: typography.weights.bold,
+    },
+    subtitle: {
+      color: colors.textSecondary,
+      fontSize: typography.sizes.sm,
+      marginBottom: spacing.md,
+    },
+    label: {
+      color: colors.textSecondary,
+      fontSize: typography.sizes.xs,
+      fontWeight: typography.weights.semibold,
+      textTransform: 'uppercase',
+      marginTop: spacing.md,
+      marginBottom: spacing.xs,
+    },
+    input: {
+      color: colors.text,
+      fontSize: typography.sizes.base,
+      borderWidth: 1,
+      borderColor: colors.border,
+      borderRadius: borderRadius.input,
+      paddingHorizontal: spacing.md,
+      paddingVertical: spacing.sm,
+      backgroundColor: colors.backgroundSecondary,
+    },
+    inputMultiline: {
+      minHeight: 80,
+      textAlignVertical: 'top',
+    },
+    reasons: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+    },
+    reasonChip: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingHorizontal: spacing.md,
+      paddingVertical: spacing.sm,
+      marginRight: spacing.sm,
+      marginBottom: spacing.sm,
+      borderRadius: borderRadius.full,
+      borderWidth: 1,
+      borderColor: colors.border,
+      backgroundColor: colors.surfaceHighlight,
+    },
+    reasonChipSelected: {
+      borderColor: colors.warning,
+      backgroundColor: colors.warningSubtle,
+    },
+    reasonChipText: {
+      color: colors.text,
+      fontSize: typography.sizes.sm,
+      marginLeft: spacing.xs,
+    },
+    notice: {
+      color: colors.textSecondary,
+      fontSize: typography.sizes.sm,
+      marginTop: spacing.md,
+    },
+    signatureBox: {
+      borderWidth: 1,
+      borderColor: colors.border,
+      borderRadius: borderRadius.input,
+      overflow: 'hidden',
+    },
+    signatureClear: {
+      alignSelf: 'flex-end',
+      paddingVertical: spacing.xs,
+    },
+    linkText: {
+      color: colors.primary,
+      fontSize: typography.sizes.sm,
+      fontWeight: typography.weights.medium,
+    },
+    photos: {
+      flexDirection: 'row',
+      alignItems: 'center',
+    },
+    photo: {
+      width: 64,
+      height: 64,
+      borderRadius: borderRadius.sm,
+      marginRight: spacing.sm,
+    },
+    addPhoto: {
+      width: 64,
+      height: 64,
+      borderRadius: borderRadius.sm,
+      borderWidth: 1,
+      borderStyle: 'dashed',
+      borderColor: colors.borderStrong,
+      alignItems: 'center',
+      justifyContent: 'center',
+    },
+    addPhotoIcon: {
+      fontSize: typography.sizes.xl,
+    },
+    errorText: {
+      color: colors.danger,
+      fontSize: typography.sizes.sm,
+      marginTop: spacing.sm,
+    },
+    actions: {
+      flexDirection: 'row',
+      marginTop: spacing.lg,
+    },
+    button: {
+      flex: 1,
+      alignItems: 'center',
+      justifyContent: 'center',
+      paddingVertical: spacing.md,
+      marginHorizontal: spacing.xs,
+      borderRadius: borderRadius.button,
+    },
+    buttonSecondary: {
+      backgroundColor: colors.surfaceHighlight,
+    },
+    buttonPrimary: {
+      backgroundColor: colors.success,
+    },
+    buttonWarning: {
+      backgroundColor: colors.warning,
+    },
+    buttonDisabled: {
+      opacity: 0.5,
+    },
+    buttonText: {
+      color: colors.text,
+      fontSize: typography.sizes.base,
+      fontWeight: typography.weights.semibold,
+    },
+    buttonTextPrimary: {
+      color: colors.textInverse,
+    },
   });
 };
 
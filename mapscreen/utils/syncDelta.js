@@ -0,0 +1,103 @@
+// ============================================================================
+// FILE: mapscreen/utils/syncDelta.js
+// PURPOSE: Incremental (delta) package sync: reading the pages of a sync
+//          response and merging added, changed and removed packages into the
+//          packages already synced
+// ============================================================================
+
+/**
+ * Delta sync protocol, on top of the sync endpoint's POST body and `data`:
+ *
+ *   request   since        - Cursor of the last completed sync; null asks for everything
+ *             page_token   - Next page of the same sync (from the previous page)
+ *             offset       - Packages received so far in this sync (servers without tokens)
+ *             limit        - Page size
+ *
+ *   response  packages     - Packages added or changed since `since`
+ *             removed_ids  - IDs no longer assigned to the device (alias: removed)
+ *             next_page_token / has_more - More pages follow
+ *             cursor       - Cursor for the next sync (alias: next_cursor);
+ *                            servers without one get the response timestamp back
+ *             full_sync    - The server ignored `since` (expired cursor): the
+ *                            pages are the complete list
+ */
+export const SYNC_DELTA_DEFAULTS = {
+  pageSize: 100,
+  // Safety net against a server that never stops paginating
+  maxPages: 50,
+  // Window of the first (full) sync
+  initialWindowDays: 7
+};
+
+/**
+ * ID under which a synced package is merged
+ * @param {Object} raw - Package from the sync endpoint
+ * @returns {string|null}
+ */
+export const getSyncPackageId = (raw) =>
+  raw && raw.id !== undefined && raw.id !== null ? String(raw.id) : null;
+
+/**
+ * Read one page of a sync response
+ * @param {Object} data - `data` of the sync response
+ * @returns {Object} {packages, removedIds, nextPageToken, hasMore, cursor, isFullSync}
+ */
+export const readSyncPage = (data = {}) => {
+  const removed = data.removed_ids || data.removed || [];
+
+  return {
+    packages: Array.isArray(data.packages) ? data.packages : [],
+    removedIds: Array.isArray(removed) ? removed.map(String) : [],
+    nextPageToken: data.next_page_token || null,
+    hasMore: !!data.next_page_token || data.has_more === true,
+    cursor: data.cursor || data.next_cursor || null,
+    isFullSync: data.full_sync === true
+  };
+};
+
+/**
+ * Merge a delta into the synced packages. A full sync replaces them: what it
+ * did not list is removed.
+ * @param {Array} current - Packages synced before (raw, as the endpoint returned them)
+ * @param {Object} delta - {packages, removedIds, isFullSync}
+ * @returns {Object} {packages, added, changed, removedIds}
+ */
+export const applySyncDelta = (current = [], { packages = [], removedIds = [], isFullSync = false }) => {
+  const byId = new Map();
+  current.forEach(pkg => {
+    const id = getSyncPackageId(pkg);
+    if (id) byId.set(id, pkg);
+  });
+
+  // A package listed on more than one page keeps its last copy
+  const incomingById = new Map();
+  packages.forEach(pkg => {
+    const id = getSyncPackageId(pkg);
+    if (id) incomingById.set(id, pkg);
+  });
+
+  const added = [];
+  const changed = [];
+  incomingById.forEach((pkg, id) => {
+    (byId.has(id) ? changed : added).push(pkg);
+  });
+
+  const removed = new Set(removedIds.filter(id => !incomingById.has(id)));
+  if (isFullSync) {
+    byId.forEach((pkg, id) => {
+      if (!incomingById.has(id)) removed.add(id);
+    });
+  }
+
+  // Known packages keep their position; new ones go last
+  const merged = current
+    .filter(pkg => !removed.has(getSyncPackageId(pkg)))
+    .map(pkg => incomingById.get(getSyncPackageId(pkg)) || pkg);
+
+  return {
+    packages: [...merged, ...added],
+    added,
+    changed,
+    removedIds: [...removed]
+  };
+};
@@ -0,0 +1,157 @@
+// ============================================================================
+// FILE: mapscreen/utils/tileMath.js
+// PURPOSE: Slippy-map tile math for offline tile prefetching
+// ============================================================================
+
+import { getBounds } from './mapCalculations';
+
+/**
+ * Tile cache defaults (shared by the prefetch planner and the map page)
+ */
+export const TILE_CACHE_DEFAULTS = {
+  enabled: true,
+  minZoom: 12,
+  maxZoom: 16,
+  maxPrefetchTiles: 1500,          // Tiles requested in one prefetch
+  maxTiles: 4000,                  // Tiles kept on device
+  maxBytes: 150 * 1024 * 1024,     // ~150 MB
+  maxAgeDays: 14,                  // Older tiles are refreshed when online
+  boundsPaddingMeters: 500         // Margin around the packages' bounding box
+};
+
+const MAX_LATITUDE = 85.05112878;
+
+/**
+ * Convert a coordinate to tile x/y at a zoom level
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {number} zoom - Zoom level
+ * @returns {Object} {x, y, z}
+ */
+export const lngLatToTile = (latitude, longitude, zoom) => {
+  const lat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude));
+  const n = 2 ** zoom;
+  const latRad = lat * Math.PI / 180;
+
+  const x = Math.floor((longitude + 180) / 360 * n);
+  const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
+
+  return {
+    x: Math.min(n - 1, Math.max(0, x)),
+    y: Math.min(n - 1, Math.max(0, y)),
+    z: zoom
+  };
+};
+
+/**
+ * Expand bounds by a margin in meters
+ * @param {Object} bounds - {minLat, maxLat, minLng, maxLng}
+ * @param {number} meters - Margin
+ * @returns {Object} Padded bounds
+ */
+export const padBounds = (bounds, meters) => {
+  const latDelta = meters / 111320;
+  const lngDelta = meters / (111320 * Math.cos(((bounds.minLat + bounds.maxLat) / 2) * Math.PI / 180));
+
+  return {
+    ...bounds,
+    minLat: bounds.minLat - latDelta,
+    maxLat: bounds.maxLat + latDelta,
+    minLng: bounds.minLng - lngDelta,
+    maxLng: bounds.maxLng + lngDelta
+  };
+};
+
+/**
+ * Tile x/y ranges covering bounds at a zoom level
+ */
+const getTileRange = (bounds, zoom) => {
+  const topLeft = lngLatToTile(bounds.maxLat, bounds.minLng, zoom);
+  const bottomRight = lngLatToTile(bounds.minLat, bounds.maxLng, zoom);
+
+  return {
+    minX: topLeft.x,
+    maxX: bottomRight.x,
+    minY: topLeft.y,
+    maxY: bottomRight.y
+  };
+};
+
+/**
+ * Count the tiles covering bounds across a zoom range
+ * @param {Object} bounds - {minLat, maxLat, minLng, maxLng}
+ * @param {number} minZoom - First zoom level
+ * @param {number} maxZoom - Last zoom level (inclusive)
+ * @returns {number} Tile count
+ */
+export const countTilesForBounds = (bounds, minZoom, maxZoom) => {
+  let count = 0;
+
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const range = getTileRange(bounds, z);
+    count += (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+  }
+
+  return count;
+};
+
+/**
+ * List the tiles covering bounds across a zoom range, lower zooms first
+ * @param {Object} bounds - {minLat, maxLat, minLng, maxLng}
+ * @param {number} minZoom - First zoom level
+ * @param {number} maxZoom - Last zoom level (inclusive)
+ * @returns {Array} [{z, x, y}]
+ */
+export const getTilesForBounds = (bounds, minZoom, maxZoom) => {
+  const tiles = [];
+
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const range = getTileRange(bounds, z);
+
+    for (let x = range.minX; x <= range.maxX; x++) {
+      for (let y = range.minY; y <= range.maxY; y++) {
+        tiles.push({ z, x, y });
+      }
+    }
+  }
+
+  return tiles;
+};
+
+/**
+ * Plan a prefetch for the area covering a set of coordinates
+ *
+ * The zoom range is capped from the top until the tile count fits
+ * `maxPrefetchTiles`, so wide areas still get their overview zooms.
+ *
+ * @param {Array} coordinates - [{latitude, longitude}] (packages, driver...)
+ * @param {Object} options - See TILE_CACHE_DEFAULTS
+ * @returns {Object|null} {bounds, minZoom, maxZoom, tiles, requestedMaxZoom}, or null without coordinates
+ */
+export const planTilePrefetch = (coordinates, options = {}) => {
+  const settings = { ...TILE_CACHE_DEFAULTS, ...options };
+  const valid = (coordinates || []).filter(c =>
+    typeof c?.latitude === 'number' && typeof c?.longitude === 'number'
+  );
+
+  const rawBounds = getBounds(valid);
+  if (!rawBounds) {
+    return null;
+  }
+
+  const bounds = padBounds(rawBounds, settings.boundsPaddingMeters);
+
+  let maxZoom = settings.maxZoom;
+  while (maxZoom > settings.minZoom &&
+    countTilesForBounds(bounds, settings.minZoom, maxZoom) > settings.maxPrefetchTiles) {
+    maxZoom--;
+  }
+
+  return {
+    bounds,
+    minZoom: settings.minZoom,
+    maxZoom,
+    requestedMaxZoom: settings.maxZoom,
+    tiles: getTilesForBounds(bounds, settings.minZoom, maxZoom).slice(0, settings.maxPrefetchTiles)
+  };
+};
@@ -0,0 +1,50 @@
+// scripts/build-map-assets.js - Bundle what the map page needs to start offline
+//
+// Writes mapscreen/assets/mapPageAssets.js with MapLibre GL JS and its CSS
+// (maplibre-gl) and the glyphs of the map's own labels (tileserver-gl-styles),
+// so the WebView page loads nothing from the network but its tiles.
+// Run `npm run build:map-assets` after changing either devDependency.
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+const output = path.join(root, 'mapscreen', 'assets', 'mapPageAssets.js');
+
+const LABEL_FONT = 'Open Sans Semibold';
+// Basic Latin and Latin-1: digits, tracking numbers and Spanish addresses
+const LABEL_GLYPH_RANGES = ['0-255'];
+
+const packageDir = (name) => path.dirname(require.resolve(`${name}/package.json`, { paths: [root] }));
+const version = (name) => require(path.join(packageDir(name), 'package.json')).version;
+
+const maplibreDir = path.join(packageDir('maplibre-gl'), 'dist');
+const fontDir = path.join(packageDir('tileserver-gl-styles'), 'fonts', LABEL_FONT);
+
+// Inlined in a <script> element: the page must not see a closing tag in it
+const script = fs.readFileSync(path.join(maplibreDir, 'maplibre-gl.js'), 'utf8')
+  .replace(/^\/\/# sourceMappingURL=.*$/m, '')
+  .replace(/<\/script/gi, '<\\/script');
+const css = fs.readFileSync(path.join(maplibreDir, 'maplibre-gl.css'), 'utf8');
+
+const ranges = {};
+LABEL_GLYPH_RANGES.forEach(range => {
+  ranges[range] = fs.readFileSync(path.join(fontDir, `${range}.pbf`)).toString('base64');
+});
+
+const source = `// mapscreen/assets/mapPageAssets.js - Generated by scripts/build-map-assets.js, do not edit
+// MapLibre GL JS ${version('maplibre-gl')} (BSD-3-Clause) and ${LABEL_FONT} glyphs
+// from tileserver-gl-styles ${version('tileserver-gl-styles')} (Apache-2.0)
+
+export const MAPLIBRE_VERSION = ${JSON.stringify(version('maplibre-gl'))};
+
+export const MAPLIBRE_SCRIPT = ${JSON.stringify(script)};
+
+export const MAPLIBRE_CSS = ${JSON.stringify(css)};
+
+// SDF glyph protobufs by Unicode range, base64
+export const LABEL_GLYPHS = ${JSON.stringify({ font: LABEL_FONT, ranges }, null, 2)};
+`;
+
+fs.mkdirSync(path.dirname(output), { recursive: true });
+fs.writeFileSync(output, source);
+console.log(`Wrote ${path.relative(root, output)} (${Math.round(source.length / 1024)} KB)`);